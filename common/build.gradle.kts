@@ -42,6 +42,7 @@ dependencies {
     implementation("org.graalvm.js:js-community:24.1.0")
     implementation("org.graalvm.js:js-language:24.1.0")
     implementation("org.graalvm.truffle:truffle-runtime:24.1.0")
+    implementation("org.graalvm.tools:chromeinspector-tool:24.1.0")  // Chrome DevTools debugging (/rjs debug)
 
     // JUnit 5 for testing
     testImplementation("org.junit.jupiter:junit-jupiter-api:5.10.0")
@@ -0,0 +1,61 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.events.BlockEventAdapter;
+import com.rhett.rhettjs.events.BlockEventData;
+import com.rhett.rhettjs.events.ServerEventManager;
+import net.minecraft.core.BlockPos;
+import net.minecraft.server.level.ServerPlayer;
+import net.minecraft.world.InteractionResult;
+import net.minecraft.world.item.BlockItem;
+import net.minecraft.world.item.context.BlockPlaceContext;
+import net.minecraft.world.level.block.state.BlockState;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.Shadow;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Fires the blockPlace event on Fabric, which has no block placement callback.
+ * NeoForge uses BlockEvent.EntityPlaceEvent instead (this mixin config is Fabric-only).
+ */
+@Mixin(BlockItem.class)
+public abstract class BlockItemMixin {
+
+    @Shadow
+    protected abstract BlockState getPlacementState(BlockPlaceContext context);
+
+    @Inject(method = "place", at = @At("HEAD"), cancellable = true)
+    private void rhettjs$onPlace(BlockPlaceContext context, CallbackInfoReturnable<InteractionResult> cir) {
+        if (context.getLevel().isClientSide() || !(context.getPlayer() instanceof ServerPlayer player)) {
+            return;
+        }
+        if (!ServerEventManager.INSTANCE.hasHandlers("blockPlace") || !context.canPlace()) {
+            return;
+        }
+
+        BlockState state = getPlacementState(context);
+        if (state == null) {
+            return;
+        }
+
+        BlockPos pos = context.getClickedPos();
+        BlockPos placedAgainst = context.replacingClickedOnBlock()
+                ? pos
+                : pos.relative(context.getClickedFace().getOpposite());
+
+        BlockEventData.Placed data = BlockEventAdapter.INSTANCE.createPlacedEvent(
+                pos,
+                context.getLevel(),
+                player,
+                state,
+                placedAgainst,
+                context.getClickedFace(),
+                context.getItemInHand()
+        );
+
+        if (ServerEventManager.INSTANCE.triggerBlockEvent("blockPlace", data, player)) {
+            cir.setReturnValue(InteractionResult.FAIL);
+        }
+    }
+}
@@ -0,0 +1,49 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.events.ServerEventManager;
+import net.minecraft.world.damagesource.DamageSource;
+import net.minecraft.world.entity.LivingEntity;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.Unique;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.ModifyVariable;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Fires the entityHurt event on Fabric, whose ALLOW_DAMAGE callback cannot change the amount.
+ * NeoForge uses LivingIncomingDamageEvent instead (this mixin config is Fabric-only).
+ *
+ * The handlers' amount replaces the `amount` argument in place, so `hurt` (and any subclass
+ * override) only runs once. Both injectors are at HEAD and run in declaration order.
+ */
+@Mixin(LivingEntity.class)
+public abstract class LivingEntityMixin {
+
+    // Set when handlers cancelled the damage, until the cancel injector below has seen it
+    @Unique
+    private boolean rhettjs$damageCancelled = false;
+
+    @ModifyVariable(method = "hurt", at = @At("HEAD"), argsOnly = true)
+    private float rhettjs$onHurt(float amount, DamageSource source) {
+        LivingEntity self = (LivingEntity) (Object) this;
+        if (self.level().isClientSide()) {
+            return amount;
+        }
+
+        Float result = ServerEventManager.INSTANCE.triggerEntityHurt(self, source, amount);
+        if (result == null) {
+            rhettjs$damageCancelled = true;
+            return amount;
+        }
+        return result;
+    }
+
+    @Inject(method = "hurt", at = @At("HEAD"), cancellable = true)
+    private void rhettjs$cancelHurt(DamageSource source, float amount, CallbackInfoReturnable<Boolean> cir) {
+        if (rhettjs$damageCancelled) {
+            rhettjs$damageCancelled = false;
+            cir.setReturnValue(false);
+        }
+    }
+}
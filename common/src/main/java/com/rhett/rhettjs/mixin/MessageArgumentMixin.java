@@ -0,0 +1,30 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.events.ServerEventManager;
+import net.minecraft.commands.arguments.MessageArgument;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfo;
+
+/**
+ * Marks the chat decorator calls made by message commands (/msg, /say, /me, /teammsg),
+ * so the Fabric chat decorator only fires the chat event for chat messages.
+ * NeoForge fires ServerChatEvent for chat messages only (this mixin config is Fabric-only).
+ */
+@Mixin(MessageArgument.class)
+public abstract class MessageArgumentMixin {
+
+    private static final String DECORATE =
+        "Lnet/minecraft/network/chat/ChatDecorator;decorate(Lnet/minecraft/server/level/ServerPlayer;Lnet/minecraft/network/chat/Component;)Lnet/minecraft/network/chat/Component;";
+
+    @Inject(method = "resolveSignedMessage", at = @At(value = "INVOKE", target = DECORATE))
+    private static void rhettjs$beforeDecorate(CallbackInfo ci) {
+        ServerEventManager.setDecoratingCommandMessage(true);
+    }
+
+    @Inject(method = "resolveSignedMessage", at = @At(value = "INVOKE", target = DECORATE, shift = At.Shift.AFTER))
+    private static void rhettjs$afterDecorate(CallbackInfo ci) {
+        ServerEventManager.setDecoratingCommandMessage(false);
+    }
+}
@@ -0,0 +1,42 @@
+package com.rhett.rhettjs.mixin;
+
+import com.rhett.rhettjs.events.ServerEventManager;
+import net.minecraft.server.level.ServerLevel;
+import net.minecraft.server.level.ServerPlayer;
+import net.minecraft.util.ProgressListener;
+import net.minecraft.world.entity.Entity;
+import org.spongepowered.asm.mixin.Mixin;
+import org.spongepowered.asm.mixin.injection.At;
+import org.spongepowered.asm.mixin.injection.Inject;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfo;
+import org.spongepowered.asm.mixin.injection.callback.CallbackInfoReturnable;
+
+/**
+ * Fires the worldSaved and entitySpawn events on Fabric, which has no level save callback
+ * and no cancellable spawn callback.
+ * NeoForge uses LevelEvent.Save and EntityJoinLevelEvent instead (this mixin config is Fabric-only).
+ */
+@Mixin(ServerLevel.class)
+public abstract class ServerLevelMixin {
+
+    @Inject(method = "save", at = @At("TAIL"))
+    private void rhettjs$onSave(ProgressListener progress, boolean flush, boolean skipSave, CallbackInfo ci) {
+        if (skipSave) {
+            return;
+        }
+
+        ServerLevel level = (ServerLevel) (Object) this;
+        ServerEventManager.INSTANCE.triggerWorldSaved(level.dimension().location().toString());
+    }
+
+    @Inject(method = "addFreshEntity", at = @At("HEAD"), cancellable = true)
+    private void rhettjs$onAddFreshEntity(Entity entity, CallbackInfoReturnable<Boolean> cir) {
+        if (entity instanceof ServerPlayer) {
+            return;
+        }
+
+        if (ServerEventManager.INSTANCE.triggerEntitySpawn(entity)) {
+            cir.setReturnValue(false);
+        }
+    }
+}
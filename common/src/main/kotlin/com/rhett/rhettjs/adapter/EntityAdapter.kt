@@ -0,0 +1,140 @@
+package com.rhett.rhettjs.adapter
+
+import net.minecraft.core.registries.BuiltInRegistries
+import net.minecraft.server.level.ServerLevel
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.damagesource.DamageSource
+import net.minecraft.world.entity.Entity
+import net.minecraft.world.entity.LivingEntity
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Adapter for converting Minecraft entities to pure JavaScript objects.
+ *
+ * Players are converted with PlayerAdapter, so a player found through World.getEntities()
+ * or an entity event has the same shape as one from playerJoin.
+ *
+ * Entity object structure:
+ * ```javascript
+ * {
+ *   // Properties (snapshot at conversion time)
+ *   id: string,              // Entity type, e.g. "minecraft:zombie"
+ *   uuid: string,
+ *   name: string,
+ *   isPlayer: false,
+ *   isLiving: boolean,
+ *   isAlive: boolean,
+ *   health: number | null,   // null for non-living entities (items, minecarts, ...)
+ *   maxHealth: number | null,
+ *   position: { x, y, z, dimension },
+ *   tags: string[],
+ *
+ *   // Methods
+ *   teleport(position: Position): void,
+ *   setHealth(amount: number): void,
+ *   kill(): void,
+ *   remove(): void
+ * }
+ * ```
+ */
+object EntityAdapter {
+
+    /**
+     * Convert a Minecraft Entity to a pure JavaScript object.
+     */
+    fun toJS(entity: Entity, context: Context): Value {
+        if (entity is ServerPlayer) {
+            return PlayerAdapter.toJS(entity, context)
+        }
+
+        val living = entity as? LivingEntity
+
+        val entityProxy = ProxyObject.fromMap(mapOf(
+            "id" to entityTypeId(entity),
+            "uuid" to entity.stringUUID,
+            "name" to entity.name.string,
+            "isPlayer" to false,
+            "isLiving" to (living != null),
+            "isAlive" to entity.isAlive,
+            "health" to living?.health?.toDouble(),
+            "maxHealth" to living?.maxHealth?.toDouble(),
+            "position" to createPositionObject(entity),
+            "tags" to entity.tags.toList(),
+
+            // Methods
+            "teleport" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].hasMembers()) {
+                    throw IllegalArgumentException("teleport() requires a position object { x, y, z, dimension }")
+                }
+
+                val posArg = args[0]
+                val x = posArg.getMember("x").asDouble()
+                val y = posArg.getMember("y").asDouble()
+                val z = posArg.getMember("z").asDouble()
+                val level = entity.level() as? ServerLevel ?: return@ProxyExecutable null
+                val targetLevel = if (posArg.hasMember("dimension")) {
+                    val dimension = posArg.getMember("dimension").asString()
+                    level.server.levelKeys()
+                        .find { it.location().toString() == dimension }
+                        ?.let { level.server.getLevel(it) }
+                        ?: throw IllegalArgumentException("Unknown dimension: $dimension")
+                } else {
+                    level
+                }
+
+                entity.teleportTo(targetLevel, x, y, z, emptySet(), entity.yRot, entity.xRot)
+                null
+            },
+
+            "setHealth" to ProxyExecutable { args ->
+                if (args.isEmpty()) return@ProxyExecutable null
+                val target = living ?: throw UnsupportedOperationException("${entityTypeId(entity)} has no health")
+                target.health = args[0].asDouble().toFloat()
+                null
+            },
+
+            "kill" to ProxyExecutable {
+                entity.kill()
+                null
+            },
+
+            "remove" to ProxyExecutable {
+                entity.discard()
+                null
+            }
+        ))
+
+        return context.asValue(entityProxy)
+    }
+
+    /**
+     * Get the registry id of an entity's type (e.g. "minecraft:zombie").
+     */
+    fun entityTypeId(entity: Entity): String {
+        return BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString()
+    }
+
+    /**
+     * Get the registry id of a damage source's type (e.g. "minecraft:player_attack").
+     */
+    fun damageSourceId(source: DamageSource): String {
+        return source.typeHolder().unwrapKey()
+            .map { it.location().toString() }
+            .orElse(source.msgId)
+    }
+
+    /**
+     * Create a position object from entity coordinates.
+     */
+    private fun createPositionObject(entity: Entity): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "x" to entity.x,
+            "y" to entity.y,
+            "z" to entity.z,
+            "dimension" to entity.level().dimension().location().toString()
+        ))
+    }
+}
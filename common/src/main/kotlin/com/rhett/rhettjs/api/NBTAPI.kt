@@ -349,8 +349,9 @@ class NBTAPI(
     /**
      * Convert Minecraft NBT (Tag) to JavaScript-friendly structure.
      * Note: Minecraft 1.21.1 uses *Tag classes (StringTag, IntTag, etc.)
+     * Internal visibility: DataModules decodes imported .nbt files with it.
      */
-    private fun nbtToJs(tag: Tag): Any? {
+    internal fun nbtToJs(tag: Tag): Any? {
         return when (tag) {
             is CompoundTag -> {
                 val map = mutableMapOf<String, Any?>()
@@ -19,7 +19,8 @@ object AsyncScheduler {
      */
     private data class TickTimer(
         var ticksRemaining: Int,
-        val future: CompletableFuture<Unit>
+        val future: CompletableFuture<Unit>,
+        val owner: ScriptProcessTable.ScriptProcess?
     )
 
     // List of active timers (modified only on server thread)
@@ -32,13 +33,14 @@ object AsyncScheduler {
      * Schedule a delay that will complete after the specified number of ticks.
      *
      * @param ticks Number of game ticks to wait (1 tick = 50ms, 20 ticks = 1 second)
+     * @param owner The script execution that scheduled the wait (for /rjs ps and /rjs kill)
      * @return CompletableFuture that completes after the delay
      */
-    fun scheduleWait(ticks: Int): CompletableFuture<Unit> {
+    fun scheduleWait(ticks: Int, owner: ScriptProcessTable.ScriptProcess? = null): CompletableFuture<Unit> {
         require(ticks > 0) { "Ticks must be positive, got: $ticks" }
 
         val future = CompletableFuture<Unit>()
-        val timer = TickTimer(ticks, future)
+        val timer = TickTimer(ticks, future, owner)
 
         synchronized(activeTimers) {
             activeTimers.add(timer)
@@ -128,6 +130,20 @@ object AsyncScheduler {
         synchronized(pendingCallbacks) {
             pendingCallbacks.clear()
         }
+
+        ScriptProcessTable.clear()
+    }
+
+    /**
+     * Drop all timers owned by a script execution without completing them.
+     * The awaiting code never resumes, so a killed script can't catch the cancellation.
+     */
+    fun cancelTimers(owner: ScriptProcessTable.ScriptProcess) {
+        synchronized(activeTimers) {
+            val removed = activeTimers.count { it.owner === owner }
+            activeTimers.removeIf { it.owner === owner }
+            ConfigManager.debug("Cancelled $removed timer(s) for process #${owner.id}")
+        }
     }
 
     /**
@@ -138,4 +154,13 @@ object AsyncScheduler {
             return activeTimers.size
         }
     }
+
+    /**
+     * Get the number of active timers owned by a script execution.
+     */
+    fun getActiveTimerCount(owner: ScriptProcessTable.ScriptProcess): Int {
+        synchronized(activeTimers) {
+            return activeTimers.count { it.owner === owner }
+        }
+    }
 }
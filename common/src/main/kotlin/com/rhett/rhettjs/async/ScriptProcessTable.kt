@@ -0,0 +1,166 @@
+package com.rhett.rhettjs.async
+
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.ScriptConsole
+import com.rhett.rhettjs.engine.ScriptInfo
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.atomic.AtomicInteger
+
+/**
+ * Table of running script executions, backing `/rjs ps` and `/rjs kill`.
+ *
+ * A script execution stays in the table while it has pending async work (wait() timers or
+ * API promises). Async work is attributed to the execution that was current when it was
+ * scheduled; continuations run with the same execution current again, so a loop of
+ * `await wait()` stays owned by the script that started it.
+ *
+ * Killing an execution drops its pending timers and skips its remaining continuations, so the
+ * suspended async functions simply never resume (no rejection the script could catch).
+ */
+object ScriptProcessTable {
+
+    /**
+     * A tracked script execution.
+     *
+     * @property id Process id shown by /rjs ps
+     * @property scriptName The script being executed
+     * @property caller Who started it (player name, "Server", ...)
+     * @property startTime When execution started (epoch millis)
+     * @property script The registered script being executed (null for ad-hoc code)
+     * @property echo Receives the execution's console output, e.g. to show it to the caller (see ScriptConsole)
+     */
+    class ScriptProcess(
+        val id: Int,
+        val scriptName: String,
+        val caller: String,
+        val startTime: Long,
+        val script: ScriptInfo? = null,
+        val echo: ((ScriptConsole.Level, String) -> Unit)? = null
+    ) {
+        @Volatile
+        var killed: Boolean = false
+            internal set
+
+        // Scheduled waits and promises whose continuation has not run yet
+        internal val pending = AtomicInteger(0)
+
+        /**
+         * Number of async operations (timers and API promises) still outstanding.
+         */
+        val pendingCount: Int get() = pending.get()
+    }
+
+    private val nextId = AtomicInteger(1)
+    private val processes = ConcurrentHashMap<Int, ScriptProcess>()
+
+    // Execution whose code is running on this thread (set during execution and continuations)
+    private val current = ThreadLocal<ScriptProcess?>()
+
+    /**
+     * Register a new script execution.
+     */
+    fun start(
+        scriptName: String,
+        caller: String,
+        script: ScriptInfo? = null,
+        echo: ((ScriptConsole.Level, String) -> Unit)? = null
+    ): ScriptProcess {
+        val process = ScriptProcess(nextId.getAndIncrement(), scriptName, caller, System.currentTimeMillis(), script, echo)
+        processes[process.id] = process
+        ConfigManager.debug("[Process] Started #${process.id} ${process.scriptName} (caller: $caller)")
+        return process
+    }
+
+    /**
+     * Get the execution whose code is running on this thread, if any.
+     */
+    fun current(): ScriptProcess? = current.get()
+
+    /**
+     * Run a block with the given execution as current, restoring the previous one afterwards.
+     */
+    fun <T> runAs(process: ScriptProcess?, block: () -> T): T {
+        val previous = current.get()
+        current.set(process)
+        try {
+            return block()
+        } finally {
+            current.set(previous)
+        }
+    }
+
+    /**
+     * Record an async operation (wait or promise) for an execution.
+     * Must be paired with [resume] when the operation completes.
+     */
+    fun track(process: ScriptProcess?) {
+        process?.pending?.incrementAndGet()
+    }
+
+    /**
+     * Run the continuation of a tracked async operation.
+     * Skipped if the execution was killed; removes the execution once nothing is pending.
+     */
+    fun resume(process: ScriptProcess?, continuation: () -> Unit) {
+        if (process == null) {
+            continuation()
+            return
+        }
+
+        try {
+            if (!process.killed) {
+                runAs(process, continuation)
+            }
+        } finally {
+            process.pending.decrementAndGet()
+            finishIfIdle(process)
+        }
+    }
+
+    /**
+     * Remove an execution from the table if it has no pending async work.
+     * Called after the synchronous part of a script finishes and after each continuation.
+     */
+    fun finishIfIdle(process: ScriptProcess) {
+        if (process.pending.get() <= 0 && processes.remove(process.id) != null) {
+            ConfigManager.debug("[Process] Finished #${process.id} ${process.scriptName}")
+        }
+    }
+
+    /**
+     * Kill an execution: drop its pending timers and skip its remaining continuations.
+     *
+     * @return The killed execution, or null if no execution has that id
+     */
+    fun kill(id: Int): ScriptProcess? {
+        val process = processes.remove(id) ?: return null
+        process.killed = true
+        AsyncScheduler.cancelTimers(process)
+        ConfigManager.debug("[Process] Killed #${process.id} ${process.scriptName}")
+        return process
+    }
+
+    /**
+     * Kill every running execution of a script (used when the script is unloaded).
+     *
+     * @return The number of executions killed
+     */
+    fun killAll(scriptName: String): Int {
+        val running = processes.values.filter { it.scriptName == scriptName }
+        running.forEach { kill(it.id) }
+        return running.size
+    }
+
+    /**
+     * Get all running executions, oldest first.
+     */
+    fun list(): List<ScriptProcess> = processes.values.sortedBy { it.id }
+
+    /**
+     * Forget all executions (called when the scheduler is cleared on reload/shutdown).
+     */
+    fun clear() {
+        processes.values.forEach { it.killed = true }
+        processes.clear()
+    }
+}
@@ -1,20 +1,41 @@
 package com.rhett.rhettjs.commands
 
+import com.google.gson.GsonBuilder
+import com.mojang.brigadier.Command
 import com.mojang.brigadier.CommandDispatcher
 import com.mojang.brigadier.arguments.*
 import com.mojang.brigadier.builder.LiteralArgumentBuilder
 import com.mojang.brigadier.builder.RequiredArgumentBuilder
+import com.mojang.brigadier.exceptions.CommandSyntaxException
+import com.mojang.brigadier.exceptions.SimpleCommandExceptionType
+import com.mojang.brigadier.tree.ArgumentCommandNode
 import com.rhett.rhettjs.adapter.CallerAdapter
 import com.rhett.rhettjs.adapter.PlayerAdapter
+import com.rhett.rhettjs.api.NBTAPI
 import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.ScriptErrorLog
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptLimitException
+import com.rhett.rhettjs.engine.ScriptLimits
+import com.rhett.rhettjs.engine.ScriptStackTrace
 import net.minecraft.commands.CommandSourceStack
 import net.minecraft.commands.Commands
+import net.minecraft.commands.arguments.CompoundTagArgument
+import net.minecraft.commands.arguments.DimensionArgument
 import net.minecraft.commands.arguments.EntityArgument
+import net.minecraft.commands.arguments.ResourceLocationArgument
+import net.minecraft.commands.arguments.TimeArgument
+import net.minecraft.commands.arguments.coordinates.BlockPosArgument
+import net.minecraft.commands.arguments.coordinates.Vec3Argument
 import net.minecraft.commands.arguments.item.ItemArgument
 import net.minecraft.commands.arguments.blocks.BlockStateArgument
+import net.minecraft.network.chat.Component
 import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.entity.Entity
 import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.PolyglotException
 import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
 import org.graalvm.polyglot.proxy.ProxyObject
 
 /**
@@ -24,7 +45,7 @@ import org.graalvm.polyglot.proxy.ProxyObject
  * - Storing command data from JavaScript
  * - Converting to Brigadier command builders
  * - Registering with Minecraft's command dispatcher
- * - Argument type mapping
+ * - Argument type mapping (bounds for numbers, optional trailing arguments with defaults)
  * - Permission checks
  * - Async handler support
  *
@@ -36,6 +57,63 @@ import org.graalvm.polyglot.proxy.ProxyObject
  */
 class CustomCommandRegistry {
 
+    companion object {
+        /**
+         * Argument types accepted by argument(). Also written to rhettjs.d.ts as CommandArgumentType.
+         */
+        val ARGUMENT_TYPES = listOf(
+            "string", "word", "quoted", "int", "float", "bool", "time",
+            "player", "players", "entity", "entities", "item", "block",
+            "position", "blockPos", "vec3", "dimension", "resource", "nbt", "json"
+        )
+
+        // Types accepting min/max options (time only has a minimum, in ticks)
+        private val BOUNDED_TYPES = setOf("int", "float", "time")
+
+        /**
+         * Validate argument definitions as stored by argument().
+         *
+         * Checks:
+         * - Argument types are valid
+         * - min/max are only given for int, float and time, with min <= max
+         * - No required argument follows an optional one (only trailing arguments can be left out)
+         *
+         * @throws IllegalArgumentException if a definition is invalid
+         */
+        fun validateArguments(arguments: List<*>) {
+            var optionalSeen: String? = null
+
+            arguments.filterIsInstance<Map<*, *>>().forEach { arg ->
+                val name = arg["name"]
+                val type = arg["type"] as? String
+                if (type != null && type !in ARGUMENT_TYPES) {
+                    throw IllegalArgumentException("Invalid argument type: $type. Valid types: ${ARGUMENT_TYPES.joinToString(", ")}")
+                }
+
+                val min = arg["min"] as? Number
+                val max = arg["max"] as? Number
+                if ((min != null || max != null) && type !in BOUNDED_TYPES) {
+                    throw IllegalArgumentException("Argument '$name': min and max only apply to ${BOUNDED_TYPES.joinToString(", ")} arguments")
+                }
+                if (type == "time" && max != null) {
+                    throw IllegalArgumentException("Argument '$name': time arguments only support min")
+                }
+                if (min != null && max != null && min.toDouble() > max.toDouble()) {
+                    throw IllegalArgumentException("Argument '$name': min ($min) is greater than max ($max)")
+                }
+
+                if (arg["optional"] == true) {
+                    optionalSeen = optionalSeen ?: name?.toString()
+                } else if (optionalSeen != null) {
+                    throw IllegalArgumentException("Argument '$name' is required but follows optional argument '$optionalSeen'")
+                }
+            }
+        }
+    }
+
+    private val gson = GsonBuilder().serializeSpecialFloatingPointValues().disableHtmlEscaping().create()
+    private val nbtApi = NBTAPI()
+
     private val commands = mutableMapOf<String, MutableMap<String, Any?>>()
     internal var dispatcher: CommandDispatcher<CommandSourceStack>? = null
     internal var context: Context? = null
@@ -137,7 +215,7 @@ class CustomCommandRegistry {
      *
      * Checks:
      * - Executor is present and executable
-     * - Argument types are valid
+     * - Arguments are valid (see validateArguments)
      * - Permission is string or function
      *
      * @throws IllegalArgumentException if validation fails
@@ -154,18 +232,8 @@ class CustomCommandRegistry {
             throw IllegalArgumentException("Executor must be a function")
         }
 
-        // Validate argument types
-        val arguments = data["arguments"] as? List<*> ?: emptyList<Any>()
-        val validTypes = listOf("string", "int", "float", "player", "item", "block", "entity")
-
-        arguments.forEach { arg ->
-            if (arg is Map<*, *>) {
-                val type = arg["type"] as? String
-                if (type != null && type !in validTypes) {
-                    throw IllegalArgumentException("Invalid argument type: $type. Valid types: ${validTypes.joinToString(", ")}")
-                }
-            }
-        }
+        // Validate argument types and options
+        validateArguments(data["arguments"] as? List<*> ?: emptyList<Any>())
     }
 
     /**
@@ -177,33 +245,33 @@ class CustomCommandRegistry {
     ): LiteralArgumentBuilder<CommandSourceStack> {
         val commandBuilder = Commands.literal(name)
 
-        // Add permission check if specified (looks up dynamically for /reload support)
-        val permission = data["permission"]
-        if (permission != null) {
-            commandBuilder.requires { source ->
-                // Look up permission dynamically from registry (supports /reload)
-                val currentData = getCommand(name)
-                val currentPermission = currentData?.get("permission")
-                ConfigManager.debug("[Commands] Requires check for /$name: permission=$currentPermission, context=${this.context != null}")
-                if (currentPermission != null) {
-                    val currentContext = this.context
-                    if (currentContext != null) {
-                        val result = checkPermission(currentPermission, source, currentContext)
-                        ConfigManager.debug("[Commands] Permission result for /$name: $result")
-                        result
-                    } else {
-                        ConfigManager.debug("[Commands] No context for /$name, allowing")
-                        true // No context available, allow by default
-                    }
+        // Hide the command once its script is unloaded or disabled (Brigadier nodes cannot be
+        // removed), and check its permission; both look up the registry for /reload support
+        commandBuilder.requires { source ->
+            val currentData = getCommand(name)
+            if (currentData == null || currentData["executor"] == null) {
+                return@requires false
+            }
+            val currentPermission = currentData["permission"]
+            ConfigManager.debug("[Commands] Requires check for /$name: permission=$currentPermission, context=${this.context != null}")
+            if (currentPermission != null) {
+                val currentContext = this.context
+                if (currentContext != null) {
+                    val result = checkPermission(currentPermission, source, currentContext)
+                    ConfigManager.debug("[Commands] Permission result for /$name: $result")
+                    result
                 } else {
-                    true // No permission check
+                    ConfigManager.debug("[Commands] No context for /$name, allowing")
+                    true // No context available, allow by default
                 }
+            } else {
+                true // No permission check
             }
         }
 
         // Get arguments list
         @Suppress("UNCHECKED_CAST")
-        val arguments = (data["arguments"] as? List<Map<String, String>>) ?: emptyList()
+        val arguments = (data["arguments"] as? List<Map<String, Any?>>) ?: emptyList()
 
         // Build command tree with arguments
         if (arguments.isEmpty()) {
@@ -235,17 +303,15 @@ class CustomCommandRegistry {
 
     /**
      * Build a chain of arguments for a command.
+     * The last argument completes the command, and so does every argument followed only by
+     * optional ones (the literal itself when all arguments are optional).
      */
     private fun buildArgumentChain(
         baseBuilder: LiteralArgumentBuilder<CommandSourceStack>,
-        arguments: List<Map<String, String>>,
+        arguments: List<Map<String, Any?>>,
         commandName: String
     ) {
-        // Build from the last argument backwards
-        var currentNode: Any = Commands.argument(
-            arguments.last()["name"]!!,
-            mapArgumentType(arguments.last()["type"]!!)
-        ).executes { brigadierContext ->
+        val command = Command<CommandSourceStack> { brigadierContext ->
             // Look up executor dynamically from registry (supports /reload)
             ConfigManager.debug("[Commands] Executing command: /$commandName (${arguments.size} args)")
             val commandData = getCommand(commandName)
@@ -264,37 +330,49 @@ class CustomCommandRegistry {
             executeHandler(executor, brigadierContext, arguments, currentContext)
         }
 
-        // Add remaining arguments in reverse order
-        for (i in arguments.size - 2 downTo 0) {
+        // Build from the last argument backwards
+        var next: RequiredArgumentBuilder<CommandSourceStack, *>? = null
+        for (i in arguments.indices.reversed()) {
             val argDef = arguments[i]
-            val argBuilder = Commands.argument(argDef["name"]!!, mapArgumentType(argDef["type"]!!))
+            val argBuilder = Commands.argument(argDef["name"] as String, mapArgumentType(argDef))
 
-            @Suppress("UNCHECKED_CAST")
-            when (currentNode) {
-                is RequiredArgumentBuilder<*, *> -> {
-                    argBuilder.then(currentNode as RequiredArgumentBuilder<CommandSourceStack, *>)
-                }
+            if (next == null || isOptional(arguments[i + 1])) {
+                argBuilder.executes(command)
             }
-
-            currentNode = argBuilder
+            next?.let { argBuilder.then(it) }
+            next = argBuilder
         }
 
         // Attach to base command
-        @Suppress("UNCHECKED_CAST")
-        baseBuilder.then(currentNode as RequiredArgumentBuilder<CommandSourceStack, *>)
+        if (isOptional(arguments.first())) {
+            baseBuilder.executes(command)
+        }
+        baseBuilder.then(next!!)
     }
 
+    private fun isOptional(argDef: Map<String, Any?>): Boolean = argDef["optional"] == true
+
     /**
-     * Map JavaScript argument type string to Brigadier ArgumentType.
+     * Map a JavaScript argument definition to a Brigadier ArgumentType.
      *
-     * Valid types: string, int, float, player, item, block, entity
+     * Valid types: see ARGUMENT_TYPES. `string` and `json` consume the rest of the input.
      */
-    private fun mapArgumentType(type: String): ArgumentType<*> {
-        return when (type) {
-            "string" -> StringArgumentType.greedyString()
-            "int" -> IntegerArgumentType.integer()
-            "float" -> FloatArgumentType.floatArg()
+    private fun mapArgumentType(argDef: Map<String, Any?>): ArgumentType<*> {
+        val min = argDef["min"] as? Number
+        val max = argDef["max"] as? Number
+
+        return when (val type = argDef["type"] as String) {
+            "string", "json" -> StringArgumentType.greedyString()
+            "word" -> StringArgumentType.word()
+            "quoted" -> StringArgumentType.string()
+            "int" -> IntegerArgumentType.integer(min?.toInt() ?: Int.MIN_VALUE, max?.toInt() ?: Int.MAX_VALUE)
+            "float" -> FloatArgumentType.floatArg(min?.toFloat() ?: -Float.MAX_VALUE, max?.toFloat() ?: Float.MAX_VALUE)
+            "bool" -> BoolArgumentType.bool()
+            "time" -> TimeArgument.time(min?.toInt() ?: 0)
             "player" -> EntityArgument.player()
+            "players" -> EntityArgument.players()
+            "entity" -> EntityArgument.entity()
+            "entities" -> EntityArgument.entities()
             "item" -> {
                 val buildCtx = commandBuildContext
                     ?: throw IllegalStateException("CommandBuildContext not available for item argument type")
@@ -305,7 +383,11 @@ class CustomCommandRegistry {
                     ?: throw IllegalStateException("CommandBuildContext not available for block argument type")
                 BlockStateArgument.block(buildCtx)
             }
-            "entity" -> EntityArgument.entity()
+            "position", "blockPos" -> BlockPosArgument.blockPos()
+            "vec3" -> Vec3Argument.vec3()
+            "dimension" -> DimensionArgument.dimension()
+            "resource" -> ResourceLocationArgument.id()
+            "nbt" -> CompoundTagArgument.compoundTag()
             else -> throw IllegalArgumentException("Unknown argument type: $type")
         }
     }
@@ -318,55 +400,84 @@ class CustomCommandRegistry {
     private fun executeHandler(
         executor: Value,
         brigadierContext: com.mojang.brigadier.context.CommandContext<CommandSourceStack>,
-        arguments: List<Map<String, String>>,
+        arguments: List<Map<String, Any?>>,
         graalContext: Context
     ): Int {
+        val commandName = brigadierContext.input.substringAfter("/").substringBefore(" ")
+
+        // Executors of isolated scripts need their arguments created in their own context
+        val handlerContext = executor.context ?: graalContext
+
         try {
             ConfigManager.debug("[Commands] executeHandler called for: ${brigadierContext.input}")
 
             // Extract arguments
-            val argsObject = extractArguments(brigadierContext, arguments, graalContext)
+            val argsObject = extractArguments(brigadierContext, arguments, handlerContext)
 
             // Create caller object
-            val caller = CallerAdapter.toJS(brigadierContext.source, graalContext)
+            val caller = CallerAdapter.toJS(brigadierContext.source, handlerContext)
             ConfigManager.debug("[Commands] Created caller object: ${if (caller.isNull) "NULL" else "OK"}")
 
             // Create event object
             val event = ProxyObject.fromMap(mapOf(
                 "caller" to caller,
                 "args" to argsObject,
-                "command" to brigadierContext.input.substringAfter("/").substringBefore(" ")
+                "command" to commandName
                 // NOTE: Removed "source" - causes stack overflow
             ))
 
             // Execute handler
             ConfigManager.debug("[Commands] Calling executor.execute() with event object...")
-            val result = executor.execute(graalContext.asValue(event))
+            val result = ScriptLimits.guardCall(executor) {
+                executor.execute(handlerContext.asValue(event))
+            }
             ConfigManager.debug("[Commands] Executor returned, checking result...")
 
-            // Handle async (Promise) results
-            if (result.canExecute() && result.hasMember("then")) {
-                // It's a Promise - we can't wait for it in Brigadier
-                // Just return success and let it complete async
-                ConfigManager.debug("[Commands] Command returned a Promise - executing asynchronously")
-                return 1
-            }
+            // Async (Promise) results can't be awaited in Brigadier - return success
+            // and let it complete async, reporting a rejection if it fails later
+            ScriptErrorLog.watch(result, ScriptErrorLog.scriptNameOf(executor), "command:/$commandName")
 
             ConfigManager.debug("[Commands] ✓ Command executed successfully")
             return 1 // Success
+        } catch (e: CommandSyntaxException) {
+            // Invalid argument input (e.g. malformed JSON): reported by Brigadier like any other
+            throw e
+        } catch (e: ScriptLimitException) {
+            // Already logged by ScriptLimits; tell the caller why the command stopped
+            brigadierContext.source.sendFailure(Component.literal(e.message ?: "Script exceeded a resource limit"))
+            return 0
         } catch (e: Exception) {
-            ConfigManager.debug("[Commands] ✗ Command execution error: ${e.message}")
-            e.printStackTrace()
+            ScriptErrorLog.recordException(e, ScriptErrorLog.scriptNameOf(executor), "command:/$commandName")
+            reportFailure(brigadierContext.source, commandName, e)
             return 0 // Failure
         }
     }
 
+    /**
+     * Tell the caller a command executor threw. Operators get the error and its location;
+     * other players only learn that the command failed.
+     */
+    private fun reportFailure(source: CommandSourceStack, commandName: String, e: Exception) {
+        if (!source.hasPermission(2)) {
+            source.sendFailure(Component.literal("An error occurred while running /$commandName"))
+            return
+        }
+
+        source.sendFailure(Component.literal("[RhettJS] /$commandName failed: ${e.message ?: e.javaClass.simpleName}"))
+        if (e is PolyglotException) {
+            ScriptErrorMessages.sendFrames(source, ScriptStackTrace.framesOf(e))
+        }
+    }
+
     /**
      * Extract arguments from Brigadier context and build args object for JavaScript.
+     * Optional arguments that were left out get their default value, or stay undefined.
+     *
+     * @throws CommandSyntaxException if a json argument is not valid JSON
      */
     private fun extractArguments(
         brigadierContext: com.mojang.brigadier.context.CommandContext<CommandSourceStack>,
-        arguments: List<Map<String, String>>,
+        arguments: List<Map<String, Any?>>,
         graalContext: Context
     ): Value {
         val argsMap = mutableMapOf<String, Any?>()
@@ -376,15 +487,24 @@ class CustomCommandRegistry {
         ConfigManager.debug("[Commands] Brigadier context nodes: ${brigadierContext.nodes.map { it.node.name }}")
 
         arguments.forEach { argDef ->
-            val name = argDef["name"]!!
-            val type = argDef["type"]!!
+            val name = argDef["name"] as String
+            val type = argDef["type"] as String
+
+            // Optional argument left out
+            if (brigadierContext.nodes.none { it.node is ArgumentCommandNode<*, *> && it.node.name == name }) {
+                argDef["default"]?.let { argsMap[name] = it }
+                ConfigManager.debug("[Commands] Argument $name not given, default=${argDef["default"]}")
+                return@forEach
+            }
 
             try {
                 ConfigManager.debug("[Commands] Extracting argument: $name (type=$type)")
                 val value: Any? = when (type) {
-                    "string" -> StringArgumentType.getString(brigadierContext, name)
+                    "string", "word", "quoted" -> StringArgumentType.getString(brigadierContext, name)
                     "int" -> IntegerArgumentType.getInteger(brigadierContext, name)
                     "float" -> FloatArgumentType.getFloat(brigadierContext, name).toDouble()
+                    "bool" -> BoolArgumentType.getBool(brigadierContext, name)
+                    "time" -> IntegerArgumentType.getInteger(brigadierContext, name) // ticks
                     "player" -> {
                         // Extract player and wrap it
                         ConfigManager.debug("[Commands] Extracting player argument: $name")
@@ -411,14 +531,41 @@ class CustomCommandRegistry {
                     "entity" -> {
                         // Extract entity and return basic info
                         val entity = EntityArgument.getEntity(brigadierContext, name)
-                        val entityType = net.minecraft.core.registries.BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString()
-                        val entityInfo = mapOf(
-                            "name" to entity.name.string,
-                            "type" to entityType,
-                            "uuid" to entity.uuid.toString()
-                        )
-                        ConfigManager.debug("[Commands] Extracted entity: $entityType")
-                        graalContext.asValue(entityInfo)
+                        ConfigManager.debug("[Commands] Extracted entity: ${entity.type}")
+                        entityInfo(entity, graalContext)
+                    }
+                    "players" -> ProxyArray.fromList(
+                        EntityArgument.getPlayers(brigadierContext, name).map { PlayerAdapter.toJS(it, graalContext) }
+                    )
+                    "entities" -> ProxyArray.fromList(
+                        EntityArgument.getEntities(brigadierContext, name).map { entityInfo(it, graalContext) }
+                    )
+                    "position", "blockPos" -> {
+                        val pos = BlockPosArgument.getBlockPos(brigadierContext, name)
+                        ProxyObject.fromMap(mapOf(
+                            "x" to pos.x,
+                            "y" to pos.y,
+                            "z" to pos.z,
+                            "dimension" to brigadierContext.source.level.dimension().location().toString()
+                        ))
+                    }
+                    "vec3" -> {
+                        val vec = Vec3Argument.getVec3(brigadierContext, name)
+                        ProxyObject.fromMap(mapOf("x" to vec.x, "y" to vec.y, "z" to vec.z))
+                    }
+                    "dimension" -> DimensionArgument.getDimension(brigadierContext, name).dimension().location().toString()
+                    "resource" -> ResourceLocationArgument.getId(brigadierContext, name).toString()
+                    "nbt" -> {
+                        val tag = CompoundTagArgument.getCompoundTag(brigadierContext, name)
+                        parseJson(gson.toJson(nbtApi.nbtToJs(tag)), graalContext)
+                    }
+                    "json" -> {
+                        val text = StringArgumentType.getString(brigadierContext, name)
+                        try {
+                            parseJson(text, graalContext)
+                        } catch (e: PolyglotException) {
+                            throw SimpleCommandExceptionType(Component.literal("Invalid JSON for $name: ${e.message}")).create()
+                        }
                     }
                     else -> null
                 }
@@ -429,6 +576,8 @@ class CustomCommandRegistry {
                 } else {
                     ConfigManager.debug("[Commands] Argument $name was null, skipping")
                 }
+            } catch (e: CommandSyntaxException) {
+                throw e
             } catch (e: Exception) {
                 ConfigManager.debug("[Commands] ✗ Failed to extract argument '$name': ${e.message}")
                 e.printStackTrace()
@@ -440,6 +589,27 @@ class CustomCommandRegistry {
         return graalContext.asValue(ProxyObject.fromMap(argsMap))
     }
 
+    /**
+     * Basic info about an entity argument (name, type and UUID).
+     */
+    private fun entityInfo(entity: Entity, graalContext: Context): Value {
+        val entityType = net.minecraft.core.registries.BuiltInRegistries.ENTITY_TYPE.getKey(entity.type).toString()
+        return graalContext.asValue(mapOf(
+            "name" to entity.name.string,
+            "type" to entityType,
+            "uuid" to entity.uuid.toString()
+        ))
+    }
+
+    /**
+     * Parse JSON into a JavaScript value of the handler's context.
+     *
+     * @throws PolyglotException with the SyntaxError if the text is not valid JSON
+     */
+    private fun parseJson(text: String, graalContext: Context): Value {
+        return graalContext.getBindings("js").getMember("JSON").invokeMember("parse", text)
+    }
+
     /**
      * Check if caller has permission to execute command.
      */
@@ -469,7 +639,7 @@ class CustomCommandRegistry {
                 if (permission.canExecute()) {
                     // Function permission - call it with caller object
                     try {
-                        val caller = CallerAdapter.toJS(source, context)
+                        val caller = CallerAdapter.toJS(source, permission.context ?: context)
                         val result = permission.execute(caller)
                         result.asBoolean()
                     } catch (e: Exception) {
@@ -497,6 +667,28 @@ class CustomCommandRegistry {
         }
     }
 
+    /**
+     * Remove the commands a script registered (used when it is unloaded, disabled or reloaded).
+     * The Brigadier nodes stay registered but are hidden from players and unusable until the
+     * name is stored again, once the command tree is resent.
+     *
+     * @param script The script that owns the commands
+     * @return The names of the removed commands
+     */
+    fun removeCommands(script: ScriptInfo): List<String> {
+        val removed = getCommandNames(script)
+        removed.forEach { commands.remove(it) }
+        ConfigManager.debug("[Commands] Removed commands of ${script.name}: ${removed.joinToString(", ") { "/$it" }}")
+        return removed
+    }
+
+    /**
+     * Get the names of the commands a script registered (stored under "owner" by Commands.register).
+     */
+    fun getCommandNames(script: ScriptInfo): List<String> {
+        return commands.filterValues { (it["owner"] as? ScriptInfo)?.name == script.name }.keys.toList()
+    }
+
     /**
      * Clear all stored commands.
      */
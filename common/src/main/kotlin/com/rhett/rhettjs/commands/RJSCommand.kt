@@ -1,24 +1,38 @@
 package com.rhett.rhettjs.commands
 
 import com.mojang.brigadier.CommandDispatcher
+import com.mojang.brigadier.arguments.IntegerArgumentType
 import com.mojang.brigadier.arguments.StringArgumentType
 import com.mojang.brigadier.context.CommandContext
 import com.rhett.rhettjs.RhettJSCommon
 import com.rhett.rhettjs.api.CallerAPI
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.async.ScriptProcessTable
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptConsole
+import com.rhett.rhettjs.engine.ScriptDebugger
 import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ModuleCache
+import com.rhett.rhettjs.engine.ScriptErrorLog
 import com.rhett.rhettjs.engine.ScriptRegistry
 import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStackTrace
 import com.rhett.rhettjs.engine.ScriptStatus
 import com.rhett.rhettjs.engine.ScriptSystemInitializer
+import com.rhett.rhettjs.engine.TypeDefinitionGenerator
 // TODO: Re-implement ServerScriptManager for GraalVM
 // import com.rhett.rhettjs.engine.ServerScriptManager
 import net.minecraft.commands.CommandSourceStack
 import net.minecraft.commands.Commands
+import net.minecraft.network.chat.ClickEvent
 import net.minecraft.network.chat.Component
+import java.nio.file.Path
+import java.text.SimpleDateFormat
+import java.util.Date
 import java.util.concurrent.CompletableFuture
 import kotlin.io.path.exists
+import kotlin.io.path.isRegularFile
 
 /**
  * Implementation of the /rjs command.
@@ -26,6 +40,12 @@ import kotlin.io.path.exists
  */
 object RJSCommand {
 
+    // Errors listed by /rjs errors (newest first)
+    private const val MAX_ERRORS_SHOWN = 10
+
+    // Inspector port used by /rjs debug when none is configured
+    private const val DEFAULT_INSPECTOR_PORT = 9229
+
     /**
      * Register the /rjs command with the command dispatcher.
      */
@@ -61,14 +81,124 @@ object RJSCommand {
                 .then(
                     Commands.literal("reload")
                         .executes { reloadCommand(it) }
+                        .then(
+                            Commands.argument("script", StringArgumentType.greedyString())
+                                .suggests { _, builder ->
+                                    ScriptRegistry.getScripts(ScriptCategory.SERVER)
+                                        .filter { it.status != ScriptStatus.DISABLED }
+                                        .forEach { builder.suggest(it.name) }
+                                    builder.buildFuture()
+                                }
+                                .executes { reloadScriptCommand(it, StringArgumentType.getString(it, "script")) }
+                        )
+                )
+                .then(
+                    Commands.literal("disable")
+                        .then(
+                            Commands.argument("script", StringArgumentType.greedyString())
+                                .suggests { _, builder ->
+                                    ScriptRegistry.getAllScripts()
+                                        .filter { it.category != ScriptCategory.MODULES && it.status != ScriptStatus.DISABLED }
+                                        .forEach { builder.suggest(it.name) }
+                                    builder.buildFuture()
+                                }
+                                .executes { disableCommand(it, StringArgumentType.getString(it, "script")) }
+                        )
+                )
+                .then(
+                    Commands.literal("enable")
+                        .then(
+                            Commands.argument("script", StringArgumentType.greedyString())
+                                .suggests { _, builder ->
+                                    ScriptRegistry.getAllScripts()
+                                        .filter { it.status == ScriptStatus.DISABLED }
+                                        .forEach { builder.suggest(it.name) }
+                                    builder.buildFuture()
+                                }
+                                .executes { enableCommand(it, StringArgumentType.getString(it, "script")) }
+                        )
+                )
+                .then(
+                    Commands.literal("debug")
+                        .then(
+                            Commands.argument("script", StringArgumentType.greedyString())
+                                .suggests { _, builder ->
+                                    ScriptRegistry.getAllScripts()
+                                        .filter { it.category == ScriptCategory.SERVER || it.category == ScriptCategory.UTILITY }
+                                        .filter { it.status == ScriptStatus.LOADED }
+                                        .forEach { builder.suggest(it.name) }
+                                    builder.buildFuture()
+                                }
+                                .executes { debugCommand(it, StringArgumentType.getString(it, "script")) }
+                        )
                 )
                 .then(
                     Commands.literal("globals")
                         .executes { globalsCommand(it) }
                 )
+                .then(
+                    Commands.literal("types")
+                        .executes { typesCommand(it) }
+                )
                 .then(
                     Commands.literal("probe")
-                        .executes { probeCommand(it) }
+                        .executes { typesCommand(it) }
+                )
+                .then(
+                    Commands.literal("eval")
+                        .then(
+                            Commands.argument("code", StringArgumentType.greedyString())
+                                .executes { evalCommand(it, StringArgumentType.getString(it, "code")) }
+                        )
+                )
+                .then(
+                    Commands.literal("repl")
+                        .executes { replCommand(it) }
+                )
+                .then(
+                    Commands.literal("ps")
+                        .executes { psCommand(it) }
+                )
+                .then(
+                    Commands.literal("kill")
+                        .then(
+                            Commands.argument("id", IntegerArgumentType.integer(1))
+                                .suggests { _, builder ->
+                                    ScriptProcessTable.list().forEach { builder.suggest(it.id) }
+                                    builder.buildFuture()
+                                }
+                                .executes { killCommand(it, IntegerArgumentType.getInteger(it, "id")) }
+                        )
+                )
+                .then(
+                    Commands.literal("modules")
+                        .executes { modulesCommand(it) }
+                        .then(
+                            Commands.literal("reload")
+                                .then(
+                                    Commands.argument("path", StringArgumentType.greedyString())
+                                        .suggests { _, builder ->
+                                            ModuleCache.loadedModules().keys.forEach { builder.suggest(displayPath(it)) }
+                                            builder.buildFuture()
+                                        }
+                                        .executes { reloadModuleCommand(it, StringArgumentType.getString(it, "path")) }
+                                )
+                        )
+                )
+                .then(
+                    Commands.literal("errors")
+                        .executes { errorsCommand(it) }
+                        .then(
+                            Commands.literal("clear")
+                                .executes { clearErrorsCommand(it) }
+                        )
+                )
+                .then(
+                    Commands.literal("source")
+                        .then(
+                            Commands.argument("location", StringArgumentType.greedyString())
+                                .executes { sourceCommand(it, StringArgumentType.getString(it, "location")) }
+                        )
                 )
         )
 
@@ -104,13 +234,15 @@ object RJSCommand {
             if (scripts.isEmpty()) {
                 source.sendSuccess({ Component.literal("  §7(no scripts)") }, false)
             } else {
-                scripts.forEach { script ->
+                scripts.sortedBy { it.name }.forEach { script ->
                     val status = when (script.status) {
                         ScriptStatus.LOADED -> "§a✓"
                         ScriptStatus.ERROR -> "§c✗"
                         ScriptStatus.DISABLED -> "§7-"
                     }
-                    source.sendSuccess({ Component.literal("  $status §f${script.name}") }, false)
+                    val displayName = script.metadata.name?.let { " §7($it)" } ?: ""
+                    val description = script.metadata.description?.let { " §8- $it" } ?: ""
+                    source.sendSuccess({ Component.literal("  $status §f${script.name}$displayName$description") }, false)
                 }
             }
         }
@@ -137,12 +269,29 @@ object RJSCommand {
             return 0
         }
 
+        if (script.status == ScriptStatus.DISABLED) {
+            source.sendFailure(Component.literal("§c[RhettJS] Script is disabled: $scriptName (use /rjs enable)"))
+            return 0
+        }
+
         if (script.status != ScriptStatus.LOADED) {
             source.sendFailure(Component.literal("§c[RhettJS] Script has errors: $scriptName"))
             source.sendFailure(Component.literal("§7Check server logs for details"))
             return 0
         }
 
+        val permission = script.metadata.permission
+        if (permission != null && !source.hasPermission(permission)) {
+            source.sendFailure(Component.literal("§c[RhettJS] $scriptName requires permission level $permission"))
+            return 0
+        }
+
+        val unmet = ScriptSystemInitializer.unmetRequirements(script)
+        if (unmet.isNotEmpty()) {
+            source.sendFailure(Component.literal("§c[RhettJS] $scriptName requires ${unmet.joinToString(", ")}"))
+            return 0
+        }
+
         // Show script execution message
         val argsDisplay = if (args.isNotEmpty()) " (${args.size} arg${if (args.size == 1) "" else "s"})" else ""
         source.sendSuccess({ Component.literal("§7[RhettJS] Running $scriptName$argsDisplay...") }, true)
@@ -164,7 +313,7 @@ object RJSCommand {
                     "Caller" to callerAPI,
                     "Command" to commandAPI,  // GraalVM auto-wraps
                     "Args" to argsArray
-                ))
+                ), caller = source.textName, echo = consoleEcho(source))
             } catch (e: Exception) {
                 // Log full error for debugging
                 RhettJSCommon.LOGGER.error("[RhettJS] Unexpected error running script", e)
@@ -183,7 +332,7 @@ object RJSCommand {
 
                     is ScriptResult.Error -> {
                         source.sendFailure(Component.literal("§c[RhettJS] Script failed"))
-                        source.sendFailure(Component.literal("§c${result.message}"))
+                        ScriptErrorMessages.sendError(source, result)
                     }
                 }
             }
@@ -192,6 +341,23 @@ object RJSCommand {
         return 1
     }
 
+    /**
+     * Show a script's console output to the player (or console) that ran it.
+     */
+    private fun consoleEcho(source: CommandSourceStack): (ScriptConsole.Level, String) -> Unit {
+        return { level, message ->
+            val color = when (level) {
+                ScriptConsole.Level.DEBUG -> "§8"
+                ScriptConsole.Level.INFO -> "§f"
+                ScriptConsole.Level.WARN -> "§e"
+                ScriptConsole.Level.ERROR -> "§c"
+            }
+            source.server.execute {
+                source.sendSuccess({ Component.literal("$color$message") }, false)
+            }
+        }
+    }
+
     /**
      * Handle /rjs reload command.
      * Clears all event handlers, globals, and reloads all scripts.
@@ -219,6 +385,128 @@ object RJSCommand {
         }
     }
 
+    /**
+     * Handle /rjs reload <script> command.
+     * Reloads a single server script: its handlers, commands and unload hooks are released
+     * first, other scripts are untouched.
+     */
+    private fun reloadScriptCommand(context: CommandContext<CommandSourceStack>, scriptName: String): Int {
+        val source = context.source
+
+        val script = ScriptRegistry.getScript(scriptName, ScriptCategory.SERVER)
+        if (script == null) {
+            source.sendFailure(Component.literal("§c[RhettJS] Server script not found: $scriptName"))
+            return 0
+        }
+        if (script.status == ScriptStatus.DISABLED) {
+            source.sendFailure(Component.literal("§c[RhettJS] Script is disabled: $scriptName (use /rjs enable)"))
+            return 0
+        }
+
+        return when (val result = ScriptSystemInitializer.reloadServerScript(script, caller = source.textName)) {
+            is ScriptResult.Success -> {
+                source.sendSuccess({ Component.literal("§a[RhettJS] Reloaded $scriptName") }, true)
+                1
+            }
+            is ScriptResult.Error -> {
+                source.sendFailure(Component.literal("§c[RhettJS] Reload of $scriptName failed"))
+                ScriptErrorMessages.sendError(source, result)
+                0
+            }
+        }
+    }
+
+    /**
+     * Handle /rjs disable <script> command.
+     * Unloads the script (handlers, commands, running executions) and skips it until enabled.
+     */
+    private fun disableCommand(context: CommandContext<CommandSourceStack>, scriptName: String): Int {
+        val source = context.source
+
+        val script = ScriptRegistry.getScript(scriptName)
+        if (script == null || script.category == ScriptCategory.MODULES) {
+            source.sendFailure(Component.literal("§c[RhettJS] Script not found: $scriptName"))
+            return 0
+        }
+        if (script.status == ScriptStatus.DISABLED) {
+            source.sendFailure(Component.literal("§e[RhettJS] Script is already disabled: $scriptName"))
+            return 0
+        }
+
+        ScriptSystemInitializer.disableScript(script)
+        source.sendSuccess({ Component.literal("§a[RhettJS] Disabled $scriptName") }, true)
+        return 1
+    }
+
+    /**
+     * Handle /rjs enable <script> command.
+     * Server scripts are executed again right away.
+     */
+    private fun enableCommand(context: CommandContext<CommandSourceStack>, scriptName: String): Int {
+        val source = context.source
+
+        val script = ScriptRegistry.getScript(scriptName)
+        if (script == null || script.status != ScriptStatus.DISABLED) {
+            source.sendFailure(Component.literal("§c[RhettJS] No disabled script named: $scriptName"))
+            return 0
+        }
+
+        val result = ScriptSystemInitializer.enableScript(script)
+        if (result is ScriptResult.Error) {
+            source.sendFailure(Component.literal("§c[RhettJS] Enabled $scriptName, but it failed to run"))
+            ScriptErrorMessages.sendError(source, result)
+            return 0
+        }
+
+        source.sendSuccess({ Component.literal("§a[RhettJS] Enabled $scriptName") }, true)
+        return 1
+    }
+
+    /**
+     * Handle /rjs debug <script> command.
+     * Enables the Chrome DevTools inspector and makes the script suspend on its first line
+     * the next time it runs.
+     */
+    private fun debugCommand(context: CommandContext<CommandSourceStack>, scriptName: String): Int {
+        val source = context.source
+        val script = ScriptRegistry.getScript(scriptName)
+            ?.takeIf { it.category == ScriptCategory.SERVER || it.category == ScriptCategory.UTILITY }
+
+        if (script == null) {
+            source.sendFailure(Component.literal("§c[RhettJS] Server or utility script not found: $scriptName"))
+            return 0
+        }
+
+        try {
+            val port = ScriptDebugger.port().takeIf { it > 0 } ?: DEFAULT_INSPECTOR_PORT
+            ScriptSystemInitializer.enableInspector(port)
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to enable the inspector", e)
+            source.sendFailure(Component.literal("§c[RhettJS] Failed to enable the inspector: ${e.message}"))
+            return 0
+        }
+        ScriptDebugger.suspendOnNextRun(script.name)
+
+        val url = ScriptDebugger.devToolsUrl()
+        val trigger = if (script.category == ScriptCategory.SERVER) "/rjs reload ${script.name}" else "/rjs run ${script.name}"
+        source.sendSuccess({ Component.literal("§6[RhettJS] Inspector listening on 127.0.0.1:${ScriptDebugger.port()}") }, false)
+        source.sendSuccess({
+            Component.literal("§7Open in Chrome (click to copy): §b$url").withStyle { style ->
+                style.withClickEvent(ClickEvent(ClickEvent.Action.COPY_TO_CLIPBOARD, url))
+            }
+        }, false)
+        source.sendSuccess({ Component.literal("§7Then run §f$trigger§7; it pauses on its first line. The server waits while paused.") }, false)
+
+        // The dedicated server's watchdog kills the server once a single tick passes max-tick-time
+        val maxTickTime = (source.server as? net.minecraft.server.dedicated.DedicatedServer)?.maxTickLength ?: 0L
+        if (maxTickTime > 0) {
+            source.sendSuccess({
+                Component.literal("§eWarning: the server watchdog stops the server when a paused tick lasts longer than max-tick-time (${maxTickTime / 1000}s). Set §fmax-tick-time=-1§e in server.properties while debugging.")
+            }, false)
+        }
+        return 1
+    }
+
     /**
      * Handle /rjs globals command.
      * Lists all loaded global libraries.
@@ -236,18 +524,233 @@ object RJSCommand {
     }
 
     /**
-     * Handle /rjs probe command.
-     * Introspects available RhettJS APIs and generates TypeScript definitions.
-     * TODO: Implement TypeScript generation for GraalVM
+     * Handle /rjs types command (alias: /rjs probe).
+     * Regenerates __types/rhettjs.d.ts from the engine bindings.
      */
-    private fun probeCommand(context: CommandContext<CommandSourceStack>): Int {
+    private fun typesCommand(context: CommandContext<CommandSourceStack>): Int {
         val source = context.source
+        val scriptsDir = ScriptSystemInitializer.getScriptsDirectory(source.server.serverDirectory)
+
+        return try {
+            val definitions = TypeDefinitionGenerator.writeTo(scriptsDir)
+            source.sendSuccess({ Component.literal("§a[RhettJS] Wrote __types/rhettjs.d.ts") }, false)
+            if (definitions.undocumented.isNotEmpty()) {
+                source.sendSuccess({
+                    Component.literal("§e[RhettJS] Undocumented bindings: ${definitions.undocumented.joinToString(", ")}")
+                }, false)
+            }
+            if (definitions.removed.isNotEmpty()) {
+                source.sendSuccess({
+                    Component.literal("§7Dropped declarations without a binding: ${definitions.removed.joinToString(", ")}")
+                }, false)
+            }
+            1
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to generate type definitions", e)
+            source.sendFailure(Component.literal("§c[RhettJS] Type generation failed: ${e.message}"))
+            0
+        }
+    }
 
-        source.sendSuccess({ Component.literal("§6=== RhettJS API Probe ===") }, false)
-        source.sendSuccess({ Component.literal("§e[RhettJS] TypeScript generation not yet implemented in GraalVM migration") }, false)
-        source.sendSuccess({ Component.literal("§7TypeGenerator has been archived to dev-docs/removed-features/") }, false)
-        source.sendSuccess({ Component.literal("§7Will be reimplemented in a future phase") }, false)
+    /**
+     * Handle /rjs eval <code> command.
+     * Evaluates a snippet in the shared context and prints the formatted result.
+     */
+    private fun evalCommand(context: CommandContext<CommandSourceStack>, code: String): Int {
+        return if (ReplSessionManager.evaluate(context.source, code)) 1 else 0
+    }
+
+    /**
+     * Handle /rjs repl command.
+     * Evaluates the player's subsequent chat lines until they type .exit.
+     */
+    private fun replCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val player = source.player ?: run {
+            source.sendFailure(Component.literal("§c[RhettJS] The REPL can only be used by players. Use /rjs eval from the console."))
+            return 0
+        }
+
+        if (ReplSessionManager.isActive(player)) {
+            source.sendFailure(Component.literal("§c[RhettJS] REPL already open. Type ${ReplSessionManager.EXIT_COMMAND} to leave."))
+            return 0
+        }
+
+        ReplSessionManager.start(player)
+        source.sendSuccess({ Component.literal("§6[RhettJS] REPL open - chat lines are evaluated as JavaScript") }, false)
+        source.sendSuccess({ Component.literal("§7World, Structure, Store, NBT, Server, Commands and Caller are bound. Type ${ReplSessionManager.EXIT_COMMAND} to leave.") }, false)
+        return 1
+    }
+
+    /**
+     * Handle /rjs ps command.
+     * Lists script executions that still have pending waits or promises.
+     */
+    private fun psCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val processes = ScriptProcessTable.list()
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Processes (${processes.size}) ===") }, false)
+
+        if (processes.isEmpty()) {
+            source.sendSuccess({ Component.literal("§7(no running scripts)") }, false)
+            return 1
+        }
+
+        val now = System.currentTimeMillis()
+        processes.forEach { process ->
+            val seconds = (now - process.startTime) / 1000
+            val timers = AsyncScheduler.getActiveTimerCount(process)
+            source.sendSuccess({
+                Component.literal("§e#${process.id} §f${process.scriptName} §7by ${process.caller}, running ${seconds}s, " +
+                    "$timers timer(s), ${process.pendingCount} pending")
+            }, false)
+        }
+
+        return 1
+    }
+
+    /**
+     * Handle /rjs kill <id> command.
+     * Cancels the execution's pending waits and promises.
+     */
+    private fun killCommand(context: CommandContext<CommandSourceStack>, id: Int): Int {
+        val source = context.source
+        val process = ScriptProcessTable.kill(id) ?: run {
+            source.sendFailure(Component.literal("§c[RhettJS] No running script with id #$id (see /rjs ps)"))
+            return 0
+        }
+
+        source.sendSuccess({ Component.literal("§a[RhettJS] Killed #${process.id} ${process.scriptName}") }, true)
+        return 1
+    }
 
+    /**
+     * Handle /rjs modules command.
+     * Lists the modules loaded by scripts, with the scripts and modules importing each.
+     */
+    private fun modulesCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val modules = ModuleCache.loadedModules()
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Modules (${modules.size}) ===") }, false)
+
+        if (modules.isEmpty()) {
+            source.sendSuccess({ Component.literal("§7(no modules loaded)") }, false)
+            return 1
+        }
+
+        modules.forEach { (module, importers) ->
+            val importedBy = if (importers.isEmpty()) "§8(no importers)" else "§7<- ${importers.joinToString(", ") { displayPath(it) }}"
+            source.sendSuccess({ Component.literal("§f${displayPath(module)} $importedBy") }, false)
+        }
+
+        return 1
+    }
+
+    /**
+     * Handle /rjs modules reload <path> command.
+     * Invalidates the module and its dependents, and re-executes the server scripts using them.
+     */
+    private fun reloadModuleCommand(context: CommandContext<CommandSourceStack>, path: String): Int {
+        val source = context.source
+        val scriptsDir = GraalEngine.getScriptsDirectory()?.toAbsolutePath()?.normalize()
+        val module = scriptsDir?.resolve(path)?.normalize()
+
+        if (scriptsDir == null || module == null || !module.startsWith(scriptsDir) || !module.isRegularFile()) {
+            source.sendFailure(Component.literal("§c[RhettJS] Module not found: $path (paths are relative to rjs/)"))
+            return 0
+        }
+
+        val dependents = ModuleCache.dependentsOf(module)
+        val results = ScriptSystemInitializer.reloadModule(module, caller = source.textName)
+
+        source.sendSuccess({
+            Component.literal("§a[RhettJS] Invalidated $path and ${dependents.size} dependent(s), re-ran ${results.size} server script(s)")
+        }, true)
+        results.forEach { (script, result) ->
+            when (result) {
+                is ScriptResult.Success -> source.sendSuccess({ Component.literal("  §a${script.name}") }, false)
+                is ScriptResult.Error -> {
+                    source.sendFailure(Component.literal("§c[RhettJS] Reload of ${script.name} failed"))
+                    ScriptErrorMessages.sendError(source, result)
+                }
+            }
+        }
+
+        return if (results.all { it.second is ScriptResult.Success }) 1 else 0
+    }
+
+    /**
+     * Path of a module relative to rjs/, as typed in /rjs modules reload.
+     */
+    private fun displayPath(path: Path): String {
+        val scriptsDir = GraalEngine.getScriptsDirectory()?.let { ModuleCache.normalize(it) }
+        return if (scriptsDir != null && path.startsWith(scriptsDir)) {
+            scriptsDir.relativize(path).joinToString("/")
+        } else {
+            path.toString()
+        }
+    }
+
+    /**
+     * Handle /rjs errors command.
+     * Shows the most recent errors from event handlers, commands, and rejected promises.
+     */
+    private fun errorsCommand(context: CommandContext<CommandSourceStack>): Int {
+        val source = context.source
+        val errors = ScriptErrorLog.getErrors()
+
+        source.sendSuccess({ Component.literal("§6=== RhettJS Errors (${errors.size}) ===") }, false)
+
+        if (errors.isEmpty()) {
+            source.sendSuccess({ Component.literal("§7(no errors)") }, false)
+            return 1
+        }
+
+        val timeFormat = SimpleDateFormat("HH:mm:ss")
+        errors.take(MAX_ERRORS_SHOWN).forEach { error ->
+            val time = timeFormat.format(Date(error.timestamp))
+            source.sendSuccess({ Component.literal("§7[$time] §f${error.script} §7(${error.origin})") }, false)
+            source.sendSuccess({ Component.literal("  §c${error.message}") }, false)
+            val topFrame = error.frames.firstOrNull()
+            if (topFrame != null) {
+                source.sendSuccess({ ScriptErrorMessages.frameComponent(topFrame) }, false)
+            } else {
+                error.stack?.lines()?.firstOrNull()?.let { frame ->
+                    source.sendSuccess({ Component.literal("  §8${frame.trim()}") }, false)
+                }
+            }
+        }
+
+        if (errors.size > MAX_ERRORS_SHOWN) {
+            source.sendSuccess({ Component.literal("§7... ${errors.size - MAX_ERRORS_SHOWN} older errors (full stacks in server log)") }, false)
+        }
+
+        return 1
+    }
+
+    /**
+     * Handle /rjs errors clear command.
+     */
+    private fun clearErrorsCommand(context: CommandContext<CommandSourceStack>): Int {
+        ScriptErrorLog.clear()
+        context.source.sendSuccess({ Component.literal("§a[RhettJS] Cleared error log") }, true)
+        return 1
+    }
+
+    /**
+     * Handle /rjs source <file:line:column> command.
+     * Prints the source line of a stack frame (the target of clickable error locations).
+     */
+    private fun sourceCommand(context: CommandContext<CommandSourceStack>, location: String): Int {
+        val source = context.source
+        val frame = ScriptStackTrace.resolve(location)
+
+        if (frame == null || !ScriptErrorMessages.sendSourceLine(source, frame)) {
+            source.sendFailure(Component.literal("§c[RhettJS] No script source at $location"))
+            return 0
+        }
         return 1
     }
 
@@ -283,9 +786,10 @@ object RJSCommand {
                     ?: "Module not found"
             }
 
-            // Script execution errors
+            // Script execution errors, with the location they were thrown at
             exception is org.graalvm.polyglot.PolyglotException -> {
-                exception.message?.substringBefore("\n") ?: "Script execution error"
+                val message = exception.message?.substringBefore("\n") ?: "Script execution error"
+                ScriptStackTrace.framesOf(exception).firstOrNull()?.let { "$message\n    $it" } ?: message
             }
 
             // Generic errors with clean messages
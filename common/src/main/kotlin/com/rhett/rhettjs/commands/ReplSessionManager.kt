@@ -0,0 +1,150 @@
+package com.rhett.rhettjs.commands
+
+import com.rhett.rhettjs.api.CallerAPI
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptErrorLog
+import com.rhett.rhettjs.engine.ScriptResult
+import net.minecraft.commands.CommandSourceStack
+import net.minecraft.network.chat.Component
+import net.minecraft.server.level.ServerPlayer
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Evaluates JavaScript snippets for /rjs eval and manages /rjs repl sessions.
+ *
+ * While a player is in a REPL session, their chat lines are evaluated in the shared
+ * GraalEngine context instead of being broadcast, until they type `.exit`.
+ * Platform chat hooks call [handleChat] before firing the chat event.
+ */
+object ReplSessionManager {
+
+    const val EXIT_COMMAND = ".exit"
+
+    // Players currently in a REPL session
+    private val sessions = ConcurrentHashMap.newKeySet<UUID>()
+
+    /**
+     * Evaluate a snippet and report the formatted result to the command source.
+     * Promise results are reported again once they settle.
+     *
+     * @return true if evaluation succeeded
+     */
+    fun evaluate(source: CommandSourceStack, code: String): Boolean {
+        val result = GraalEngine.evaluateSnippet(code, mapOf("Caller" to CallerAPI(source)))
+
+        return when (result) {
+            is ScriptResult.Success -> {
+                val value = result.value as? Value
+                if (value != null && ScriptErrorLog.isPromise(value)) {
+                    source.sendSuccess({ Component.literal("§7Promise { <pending> }") }, false)
+                    reportWhenSettled(source, value)
+                } else {
+                    source.sendSuccess({ Component.literal("§f${format(value)}") }, false)
+                }
+                true
+            }
+            is ScriptResult.Error -> {
+                source.sendFailure(Component.literal("§c${result.message}"))
+                false
+            }
+        }
+    }
+
+    /**
+     * Start a REPL session for a player.
+     */
+    fun start(player: ServerPlayer) {
+        sessions.add(player.uuid)
+        ConfigManager.debug("[REPL] Session started for ${player.name.string}")
+    }
+
+    /**
+     * End a player's REPL session (on `.exit` or disconnect).
+     *
+     * @return true if the player had a session
+     */
+    fun end(player: ServerPlayer): Boolean {
+        val ended = sessions.remove(player.uuid)
+        if (ended) {
+            ConfigManager.debug("[REPL] Session ended for ${player.name.string}")
+        }
+        return ended
+    }
+
+    /**
+     * Check whether a player is in a REPL session.
+     */
+    fun isActive(player: ServerPlayer): Boolean = player.uuid in sessions
+
+    /**
+     * Evaluate a chat line if the player is in a REPL session.
+     * Called from platform chat hooks before the chat event.
+     *
+     * @return true if the line was consumed by the REPL and must not be broadcast
+     */
+    fun handleChat(player: ServerPlayer, message: String): Boolean {
+        if (!isActive(player)) {
+            return false
+        }
+
+        // Permission may have been revoked since /rjs repl
+        if (!player.hasPermissions(2)) {
+            end(player)
+            player.sendSystemMessage(Component.literal("§c[RhettJS] REPL closed: missing permission"))
+            return true
+        }
+
+        val line = message.trim()
+        if (line == EXIT_COMMAND) {
+            end(player)
+            player.sendSystemMessage(Component.literal("§7[RhettJS] REPL closed"))
+            return true
+        }
+
+        player.sendSystemMessage(Component.literal("§8> §7$line"))
+        evaluate(player.createCommandSourceStack(), line)
+        return true
+    }
+
+    /**
+     * Forget all sessions (called on server stop).
+     */
+    fun clear() {
+        sessions.clear()
+    }
+
+    private fun reportWhenSettled(source: CommandSourceStack, promise: Value) {
+        promise.invokeMember(
+            "then",
+            ProxyExecutable { args ->
+                val value = args.getOrNull(0)
+                source.server.execute {
+                    source.sendSuccess({ Component.literal("§f${format(value)}") }, false)
+                }
+                null
+            },
+            ProxyExecutable { args ->
+                val reason = args.getOrNull(0)
+                val message = reason?.takeIf { it.hasMember("message") }?.getMember("message")?.toString()
+                    ?: reason?.toString()
+                    ?: "undefined"
+                source.server.execute {
+                    source.sendFailure(Component.literal("§cPromise rejected: $message"))
+                }
+                null
+            }
+        )
+    }
+
+    private fun format(value: Value?): String {
+        return when {
+            value == null -> "undefined"
+            value.isString -> "\"${value.asString()}\""
+            else -> GraalEngine.formatValue(value)
+        }
+    }
+}
@@ -0,0 +1,77 @@
+package com.rhett.rhettjs.commands
+
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStackTrace
+import net.minecraft.commands.CommandSourceStack
+import net.minecraft.network.chat.ClickEvent
+import net.minecraft.network.chat.Component
+import net.minecraft.network.chat.HoverEvent
+import org.graalvm.polyglot.PolyglotException
+
+/**
+ * Chat output for script errors.
+ *
+ * Each stack frame is shown as its location relative to rjs/; hovering shows the source line
+ * and clicking runs `/rjs source <location>` to print it.
+ */
+object ScriptErrorMessages {
+
+    /**
+     * Send a failed script result: the error message followed by its stack frames.
+     */
+    fun sendError(source: CommandSourceStack, result: ScriptResult.Error) {
+        val exception = result.exception as? PolyglotException
+        val frames = exception?.let { ScriptStackTrace.framesOf(it) } ?: emptyList()
+
+        if (frames.isEmpty()) {
+            source.sendFailure(Component.literal("§c${result.message}"))
+            return
+        }
+
+        source.sendFailure(Component.literal("§c${exception?.message ?: result.message}"))
+        sendFrames(source, frames)
+    }
+
+    /**
+     * Send stack frames as clickable locations, at most [ScriptStackTrace.MAX_FRAMES].
+     */
+    fun sendFrames(source: CommandSourceStack, frames: List<ScriptStackTrace.Frame>) {
+        frames.take(ScriptStackTrace.MAX_FRAMES).forEach { frame ->
+            source.sendSuccess({ frameComponent(frame) }, false)
+        }
+        if (frames.size > ScriptStackTrace.MAX_FRAMES) {
+            source.sendSuccess({ Component.literal("  §8... ${frames.size - ScriptStackTrace.MAX_FRAMES} more") }, false)
+        }
+    }
+
+    /**
+     * Send the source line a frame points at (for /rjs source).
+     *
+     * @return false if the line can't be read
+     */
+    fun sendSourceLine(source: CommandSourceStack, frame: ScriptStackTrace.Frame): Boolean {
+        val line = ScriptStackTrace.sourceLine(frame) ?: return false
+
+        source.sendSuccess({ Component.literal("§6${frame.location}") }, false)
+        source.sendSuccess({ Component.literal("§7${frame.line} | §f$line") }, false)
+        return true
+    }
+
+    /**
+     * A frame as `at fn (file:line:column)`, clickable when the file is known.
+     */
+    fun frameComponent(frame: ScriptStackTrace.Frame): Component {
+        if (frame.path == null) {
+            return Component.literal("  §8$frame")
+        }
+
+        val hover = ScriptStackTrace.sourceLine(frame)?.trim()
+            ?.let { Component.literal("§f$it") }
+            ?: Component.literal("§7Source line unavailable")
+
+        return Component.literal("  §8$frame").withStyle { style ->
+            style.withClickEvent(ClickEvent(ClickEvent.Action.RUN_COMMAND, "/rjs source ${frame.location}"))
+                .withHoverEvent(HoverEvent(HoverEvent.Action.SHOW_TEXT, hover))
+        }
+    }
+}
@@ -118,6 +118,52 @@ object ConfigManager {
      */
     fun isIngameTestingEnabled(): Boolean = config.debug_run_ingame_testing
 
+    /**
+     * Get the script categories (directory names) whose scripts run in isolated contexts.
+     */
+    fun getIsolatedCategories(): List<String> = config.isolated_categories ?: emptyList()
+
+    /**
+     * Check if scripts run in the sandbox.
+     */
+    fun isSandboxEnabled(): Boolean = config.sandbox_enabled
+
+    /**
+     * Get the Java classes (or "package.*" prefixes) scripts may look up in the sandbox.
+     */
+    fun getSandboxAllowedClasses(): List<String> = config.sandbox_allowed_classes ?: emptyList()
+
+    /**
+     * Get the configured resource limits for a script category (directory name).
+     */
+    fun getResourceLimits(category: String): ResourceLimitConfig =
+        config.resource_limits?.get(category) ?: ResourceLimitConfig()
+
+    /**
+     * Check if changed scripts are reloaded automatically.
+     */
+    fun isHotReloadEnabled(): Boolean = config.hot_reload
+
+    /**
+     * Get the configured inspector port (0 = disabled).
+     */
+    fun getInspectorPort(): Int = config.inspector_port
+
+    /**
+     * Get the script that pauses on its first line while DevTools is attached, if any.
+     */
+    fun getInspectorSuspendScript(): String? = config.inspector_suspend_script?.takeIf { it.isNotBlank() }
+
+    /**
+     * Get the configured minimum console level for a script category (directory name), if any.
+     */
+    fun getConsoleLevel(category: String): String? = config.console_levels?.get(category)
+
+    /**
+     * Check if script console output is also written to rjs/logs/.
+     */
+    fun isConsoleLogFilesEnabled(): Boolean = config.console_log_files
+
     /**
      * Log a debug message if debug logging is enabled.
      */
@@ -1,9 +1,11 @@
 package com.rhett.rhettjs.config
 
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.engine.TypeDefinitionGenerator
 import java.nio.file.Files
 import java.nio.file.Path
 import kotlin.io.path.exists
+import kotlin.io.path.readText
 import kotlin.io.path.writeText
 
 /**
@@ -57,7 +59,7 @@ object FilesystemInitializer {
                 RhettJSCommon.LOGGER.info("[RhettJS] Created $createdCount missing directories")
             }
 
-            // Extract type definitions if missing
+            // Extract type definitions if missing or outdated
             extractTypeDefinitions(rjsRootDir)
 
             // Extract README if missing
@@ -70,30 +72,37 @@ object FilesystemInitializer {
 
     /**
      * Extract TypeScript definitions from JAR to __types/ directory.
-     * Only extracts if files are missing.
+     * Extracts if missing, and refreshes generated definitions (see TypeDefinitionGenerator)
+     * that differ from the bundled ones. Files without the generated header are left alone.
      */
     private fun extractTypeDefinitions(rjsRootDir: Path) {
         val typesDir = rjsRootDir.resolve("__types")
         val targetFile = typesDir.resolve("rhettjs.d.ts")
 
-        // Only extract if missing
-        if (!targetFile.exists()) {
-            try {
-                val resourcePath = "/rhettjs-types/rhettjs.d.ts"
-                val content = javaClass.getResourceAsStream(resourcePath)
-                    ?.bufferedReader()
-                    ?.readText()
+        try {
+            val resourcePath = TypeDefinitionGenerator.RESOURCE_PATH
+            val content = javaClass.getResourceAsStream(resourcePath)
+                ?.bufferedReader()
+                ?.readText()
+
+            if (content == null) {
+                RhettJSCommon.LOGGER.warn("[RhettJS] Type definition resource not found: $resourcePath")
+                return
+            }
 
-                if (content != null) {
+            if (!targetFile.exists()) {
+                targetFile.writeText(content)
+                ConfigManager.debug("Extracted type definition: rhettjs.d.ts")
+                RhettJSCommon.LOGGER.info("[RhettJS] Extracted type definitions to __types/")
+            } else {
+                val existing = targetFile.readText()
+                if (existing != content && existing.contains(TypeDefinitionGenerator.GENERATED_MARKER)) {
                     targetFile.writeText(content)
-                    ConfigManager.debug("Extracted type definition: rhettjs.d.ts")
-                    RhettJSCommon.LOGGER.info("[RhettJS] Extracted type definitions to __types/")
-                } else {
-                    RhettJSCommon.LOGGER.warn("[RhettJS] Type definition resource not found: $resourcePath")
+                    RhettJSCommon.LOGGER.info("[RhettJS] Updated type definitions in __types/")
                 }
-            } catch (e: Exception) {
-                RhettJSCommon.LOGGER.error("[RhettJS] Failed to extract rhettjs.d.ts", e)
             }
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Failed to extract rhettjs.d.ts", e)
         }
     }
 
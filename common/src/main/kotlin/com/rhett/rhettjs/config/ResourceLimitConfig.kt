@@ -0,0 +1,22 @@
+package com.rhett.rhettjs.config
+
+/**
+ * Resource limits for the scripts of one category (see RhettJSConfig.resource_limits).
+ * Limits apply per execution: a script body, an event handler call, a command executor,
+ * or a continuation after `await`. 0 means unlimited.
+ */
+data class ResourceLimitConfig(
+    /**
+     * Maximum number of JavaScript statements one execution may run.
+     * Enforced by GraalVM per context: exceeding it stops the whole context.
+     */
+    val max_statements: Long = 0,
+
+    /**
+     * Allocation budget (in megabytes) of one execution: everything the executing thread
+     * allocates while the script runs, garbage and host code (World/Structure calls) included.
+     * This is not the heap the script retains. Exceeding it interrupts the execution; the
+     * context stays usable.
+     */
+    val max_allocated_mb: Long = 0
+)
@@ -23,5 +23,78 @@ data class RhettJSConfig(
      * This allows keeping test scripts separate from production scripts.
      * Default: false (load from rjs/)
      */
-    val debug_run_ingame_testing: Boolean = false
+    val debug_run_ingame_testing: Boolean = false,
+
+    /**
+     * Script categories whose scripts each run in their own isolated GraalVM context
+     * (e.g. ["scripts"] so utility scripts can't leak globals into each other).
+     * Isolated scripts share state only through Store and Server.emit().
+     * Single scripts can opt in with a `// @rjs isolated` header instead.
+     * Default: none (all scripts share one context)
+     */
+    val isolated_categories: List<String>? = null,
+
+    /**
+     * Run scripts in a sandbox: no Java class lookup except [sandbox_allowed_classes],
+     * no file access outside the rjs/ directory, and no thread or process creation.
+     * Disable only for trusted development setups that need unrestricted Java access.
+     * Default: true
+     */
+    val sandbox_enabled: Boolean = true,
+
+    /**
+     * Java classes scripts may look up with Java.type() while the sandbox is enabled.
+     * Entries are fully qualified class names, or package prefixes ending in ".*"
+     * (e.g. "java.util.ArrayList", "net.minecraft.core.*").
+     * Default: none
+     */
+    val sandbox_allowed_classes: List<String>? = null,
+
+    /**
+     * Resource limits per script category, keyed by directory name ("startup", "server", "scripts").
+     * Example: { "server": { "max_statements": 10000000, "max_allocated_mb": 4096 } }
+     * Scripts in the shared context are limited by the most generous statement limit among the
+     * categories sharing it; list a category in [isolated_categories] to enforce its own.
+     * Default: none (unlimited)
+     */
+    val resource_limits: Map<String, ResourceLimitConfig>? = null,
+
+    /**
+     * Watch the rjs/ directory and apply changes without /rjs reload.
+     * A changed server script is unloaded (event handlers, commands) and re-executed on its own;
+     * changed files in modules/ are re-imported by the next script that imports them.
+     * Startup scripts still need a restart.
+     * Default: false
+     */
+    val hot_reload: Boolean = false,
+
+    /**
+     * Port of the Chrome DevTools inspector on localhost (127.0.0.1); 0 disables it.
+     * Open the devtools:// URL printed at startup (or by /rjs debug) in Chrome to set breakpoints.
+     * The server thread is paused while a script is stopped in the debugger.
+     * Default: 0
+     */
+    val inspector_port: Int = 0,
+
+    /**
+     * Script (as listed by /rjs list, e.g. "server/arena") that pauses on its first line
+     * whenever it runs while DevTools is attached. Requires [inspector_port].
+     * Default: none
+     */
+    val inspector_suspend_script: String? = null,
+
+    /**
+     * Minimum console level per script category, keyed by directory name
+     * ("startup", "server", "scripts"); levels are "debug", "info", "warn" and "error".
+     * console.log() is "info". Example: { "server": "warn" }
+     * Default: none ("debug" with [debug_logging], otherwise "info")
+     */
+    val console_levels: Map<String, String>? = null,
+
+    /**
+     * Also write each script's console output to rjs/logs/<script>.log.
+     * Files rotate at 1 MB, keeping three older files.
+     * Default: true
+     */
+    val console_log_files: Boolean = true
 )
@@ -0,0 +1,185 @@
+package com.rhett.rhettjs.engine
+
+import org.graalvm.polyglot.Value
+
+/**
+ * Parameter and option shapes of bindings that take option objects or optional arguments.
+ *
+ * The engine checks arguments and option objects against these descriptors, and
+ * TypeDefinitionGenerator writes the matching declarations into rhettjs.d.ts, so the two
+ * cannot drift apart. Bindings not listed here keep their hand-written declarations.
+ */
+object BindingSignatures {
+
+    /**
+     * How an option value is checked at runtime.
+     */
+    enum class Kind(val matches: (Value) -> Boolean) {
+        STRING({ it.isString }),
+        NUMBER({ it.isNumber }),
+        BOOLEAN({ it.isBoolean }),
+        OBJECT({ it.hasMembers() }),
+        ANY({ true })
+    }
+
+    /**
+     * A function parameter.
+     *
+     * @property type TypeScript type of the parameter
+     */
+    data class Param(val name: String, val type: String, val optional: Boolean = false)
+
+    /**
+     * A function signature.
+     *
+     * @property returns TypeScript return type
+     */
+    data class Signature(val params: List<Param>, val returns: String)
+
+    /**
+     * A field of an option object.
+     *
+     * @property type TypeScript type of the field, used when [values] is empty
+     * @property values The only numbers the field accepts
+     */
+    data class Field(
+        val name: String,
+        val type: String,
+        val kind: Kind,
+        val doc: String? = null,
+        val values: List<Int> = emptyList()
+    )
+
+    /**
+     * An option object, declared as an interface in rhettjs.d.ts.
+     *
+     * @property extends Option object whose fields this one also accepts
+     */
+    data class Options(val fields: List<Field>, val extends: String? = null)
+
+    /**
+     * Signatures keyed by "Namespace.member" or "Interface.method".
+     */
+    val FUNCTIONS: Map<String, Signature> = mapOf(
+        "World.spawnEntity" to Signature(
+            listOf(Param("position", "Position"), Param("entityId", "string"), Param("nbt", "Record<string, any>", optional = true)),
+            "Promise<any>"
+        ),
+        "Structure.capture" to Signature(
+            listOf(Param("pos1", "Position"), Param("pos2", "Position"), Param("name", "string"), Param("options", "CaptureOptions", optional = true)),
+            "Promise<void>"
+        ),
+        "Structure.place" to Signature(
+            listOf(Param("position", "Position"), Param("name", "string"), Param("options", "PlaceOptions", optional = true)),
+            "Promise<void>"
+        ),
+        "Structure.captureLarge" to Signature(
+            listOf(Param("pos1", "Position"), Param("pos2", "Position"), Param("name", "string"), Param("options", "CaptureLargeOptions", optional = true)),
+            "Promise<void>"
+        ),
+        "Structure.placeLarge" to Signature(
+            listOf(Param("position", "Position"), Param("name", "string"), Param("options", "PlaceOptions", optional = true)),
+            "Promise<void>"
+        ),
+        "CommandBuilder.description" to Signature(listOf(Param("description", "string")), "CommandBuilder"),
+        "CommandBuilder.permission" to Signature(listOf(Param("permission", "string | ((caller: Caller) => boolean)")), "CommandBuilder"),
+        "CommandBuilder.argument" to Signature(
+            listOf(Param("name", "string"), Param("type", "CommandArgumentType"), Param("options", "CommandArgumentOptions", optional = true)),
+            "CommandBuilder"
+        ),
+        "CommandBuilder.executes" to Signature(
+            listOf(Param("handler", "(event: { caller: Caller; args: Record<string, any>; command: string }) => void | Promise<void>")),
+            "CommandBuilder"
+        )
+    )
+
+    /**
+     * Option objects keyed by their interface name.
+     */
+    val OPTIONS: Map<String, Options> = mapOf(
+        "CaptureOptions" to Options(listOf(
+            Field("author", "string", Kind.STRING),
+            Field("description", "string", Kind.STRING),
+            Field("dimension", "string", Kind.STRING)
+        )),
+        "PlaceOptions" to Options(listOf(
+            Field("rotation", "number", Kind.NUMBER, values = listOf(0, 90, 180, 270)),
+            Field("centered", "boolean", Kind.BOOLEAN),
+            Field("dimension", "string", Kind.STRING)
+        )),
+        "CaptureLargeOptions" to Options(listOf(
+            Field("pieceSize", "{ x: number; y: number; z: number }", Kind.OBJECT, "Size of each piece (default 48x48x48)")
+        ), extends = "CaptureOptions"),
+        "CommandArgumentOptions" to Options(listOf(
+            Field("min", "number", Kind.NUMBER, "Lower bound (int, float, and time in ticks)"),
+            Field("max", "number", Kind.NUMBER, "Upper bound (int and float)"),
+            Field("optional", "boolean", Kind.BOOLEAN, "The argument can be left out; only trailing arguments can be optional"),
+            Field("default", "any", Kind.ANY, "Value used when the argument is left out (implies optional)")
+        ))
+    )
+
+    /**
+     * Check that a call passes every required parameter.
+     *
+     * @param key Signature key, e.g. "World.spawnEntity"
+     * @return The error message for a short call, or null
+     */
+    fun missingArguments(key: String, args: Array<out Value>): String? {
+        val required = signature(key).params.filterNot { it.optional }.map { it.name }
+        if (args.size >= required.size) {
+            return null
+        }
+        val names = when (required.size) {
+            1 -> required[0]
+            2 -> "${required[0]} and ${required[1]}"
+            else -> required.dropLast(1).joinToString(", ") + ", and " + required.last()
+        }
+        return "${key.substringAfter('.')}() requires $names"
+    }
+
+    /**
+     * Check an option object against its declaration.
+     *
+     * @param name Interface name, e.g. "PlaceOptions"
+     * @param value The options passed by the script, possibly missing
+     * @return The options, or null when none were passed
+     * @throws IllegalArgumentException For unknown fields and values of the wrong type
+     */
+    fun checkOptions(name: String, value: Value?): Value? {
+        if (value == null || value.isNull) {
+            return null
+        }
+        if (!value.hasMembers()) {
+            throw IllegalArgumentException("$name must be an object, got $value")
+        }
+
+        val fields = fieldsOf(name).associateBy { it.name }
+        for (key in value.memberKeys) {
+            val field = fields[key]
+                ?: throw IllegalArgumentException("Unknown $name field '$key' (expected one of: ${fields.keys.joinToString(", ")})")
+            val member = value.getMember(key)
+            if (member.isNull) {
+                continue
+            }
+            if (!field.kind.matches(member)) {
+                throw IllegalArgumentException("$name.$key must be ${field.type}, got $member")
+            }
+            if (field.values.isNotEmpty() && (!member.fitsInInt() || member.asInt() !in field.values)) {
+                throw IllegalArgumentException("$name.$key must be one of ${field.values.joinToString(", ")}, got $member")
+            }
+        }
+        return value
+    }
+
+    /**
+     * All fields an option object accepts, including inherited ones.
+     */
+    fun fieldsOf(name: String): List<Field> {
+        val options = OPTIONS[name] ?: throw IllegalArgumentException("Unknown option object: $name")
+        return options.extends?.let { fieldsOf(it) }.orEmpty() + options.fields
+    }
+
+    private fun signature(key: String): Signature {
+        return FUNCTIONS[key] ?: throw IllegalArgumentException("Unknown binding signature: $key")
+    }
+}
@@ -0,0 +1,92 @@
+package com.rhett.rhettjs.engine
+
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyArray
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Moves values between GraalVM contexts.
+ *
+ * A guest Value belongs to the context that created it and cannot be used from another one.
+ * Isolated scripts run in their own contexts, so anything crossing the sanctioned channels
+ * (Store, Server.emit, event arguments, API results) goes through [adapt]:
+ * - values already owned by the target context are passed through unchanged
+ * - host objects and proxies are unwrapped (they are not bound to any context)
+ * - primitives are converted to Java values
+ * - arrays and objects are copied into ProxyArray/ProxyObject snapshots
+ * - functions are wrapped so calling them runs in their owning context
+ */
+object ContextBridge {
+
+    // Guards against circular structures, which cannot be copied
+    private const val MAX_DEPTH = 64
+
+    /**
+     * Make a value usable from the target context.
+     * Lists and maps (e.g. API results) are adapted element by element.
+     */
+    fun adapt(value: Any?, target: Context): Any? {
+        return when (value) {
+            is Value -> {
+                val owner = value.context
+                if (owner == null || owner == target) value else export(value, 0)
+            }
+            is List<*> -> value.map { adapt(it, target) }
+            is Map<*, *> -> value.mapValues { adapt(it.value, target) }
+            else -> value
+        }
+    }
+
+    /**
+     * Make a value usable from the context whose code is currently running.
+     * Used by proxies shared between contexts (e.g. ServerEvent); returns the value unchanged
+     * when called from host code.
+     */
+    fun adaptToCurrent(value: Any?): Any? {
+        val current = currentContextOrNull() ?: return value
+        return adapt(value, current)
+    }
+
+    /**
+     * Get the context whose code is running on this thread, if any.
+     */
+    fun currentContextOrNull(): Context? {
+        return try {
+            Context.getCurrent()
+        } catch (e: IllegalStateException) {
+            null
+        }
+    }
+
+    private fun export(value: Value, depth: Int): Any? {
+        if (depth > MAX_DEPTH) {
+            throw IllegalArgumentException("Value is too deeply nested (or circular) to pass between script contexts")
+        }
+
+        return when {
+            value.isNull -> null
+            value.isHostObject -> value.asHostObject<Any>()
+            value.isProxyObject -> value.asProxyObject<Any>()
+            value.isBoolean -> value.asBoolean()
+            value.isString -> value.asString()
+            value.isNumber -> when {
+                value.fitsInInt() -> value.asInt()
+                value.fitsInLong() -> value.asLong()
+                else -> value.asDouble()
+            }
+            value.canExecute() -> ProxyExecutable { args ->
+                value.execute(*args.map { export(it, 0) }.toTypedArray())
+                    .let { export(it, 0) }
+            }
+            value.hasArrayElements() -> ProxyArray.fromList(
+                (0 until value.arraySize).map { export(value.getArrayElement(it), depth + 1) }
+            )
+            value.hasMembers() -> ProxyObject.fromMap(
+                value.memberKeys.associateWith { export(value.getMember(it), depth + 1) }.toMutableMap()
+            )
+            else -> value.toString()
+        }
+    }
+}
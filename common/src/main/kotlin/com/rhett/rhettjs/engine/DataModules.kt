@@ -0,0 +1,124 @@
+package com.rhett.rhettjs.engine
+
+import com.google.gson.GsonBuilder
+import com.rhett.rhettjs.api.NBTAPI
+import com.rhett.rhettjs.config.ConfigManager
+import net.minecraft.nbt.NbtAccounter
+import net.minecraft.nbt.NbtIo
+import java.io.DataInputStream
+import java.io.IOException
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Data files imported as modules, next to the code that uses them:
+ *
+ * ```
+ * import config from './config.json' with { type: 'json' };
+ * import house from './house.nbt' with { type: 'nbt' };
+ * import motd from './motd.txt' with { type: 'text' };
+ * ```
+ *
+ * JSON modules are built into GraalJS. GraalJS rejects other `type` attributes, so imports with
+ * `type: 'nbt'` or `type: 'text'` are rewritten before the importing code is parsed: the
+ * `with` clause is blanked and text imports get a [TEXT_MARKER] appended to the specifier.
+ * The rewrite keeps every line and column. RhettJSFileSystem then serves `.nbt` files and
+ * marked files as generated modules whose default export is the decoded data.
+ *
+ * Only static imports are rewritten; `.nbt` files can also be imported dynamically.
+ */
+object DataModules {
+
+    const val TEXT_MARKER = ".__rjs_text__"
+
+    private const val NBT_EXTENSION = ".nbt"
+
+    // import x from './a.nbt' with { type: 'nbt' } (also import './a' with ... and export ... from)
+    private val DATA_IMPORT = Regex(
+        """(\b(?:from|import)\s*)(['"])([^'"\r\n]+)\2\s*with\s*\{\s*type\s*:\s*(['"])(nbt|text)\4\s*,?\s*}"""
+    )
+
+    // NaN and Infinity are valid JS, so NBT floats can be emitted as-is
+    private val gson = GsonBuilder().serializeSpecialFloatingPointValues().disableHtmlEscaping().create()
+
+    private val nbtApi = NBTAPI()
+
+    /**
+     * Rewrite `nbt` and `text` import attributes into something GraalJS accepts.
+     * The result has the same length and line breaks as the input.
+     */
+    fun rewriteImports(source: String): String {
+        if (!source.contains("with")) {
+            return source
+        }
+
+        return DATA_IMPORT.replace(source) { match ->
+            val (keyword, quote, specifier, _, type) = match.destructured
+            val marker = if (type == "text") TEXT_MARKER else ""
+            val head = "$keyword$quote$specifier$marker$quote"
+
+            // Blank the rest, keeping its line breaks
+            val lineBreaks = match.value.count { it == '\n' }
+            head + " ".repeat(match.value.length - head.length - lineBreaks) + "\n".repeat(lineBreaks)
+        }
+    }
+
+    /**
+     * Check whether a path is served as a generated data module (NBT, or a marked text import).
+     */
+    fun isDataModule(path: Path): Boolean {
+        val name = path.fileName?.toString() ?: return false
+        return name.endsWith(TEXT_MARKER) || unmarked(path).fileName.toString().endsWith(NBT_EXTENSION)
+    }
+
+    /**
+     * Check whether a path carries the text import marker.
+     */
+    fun isMarked(path: Path): Boolean = path.fileName?.toString()?.endsWith(TEXT_MARKER) == true
+
+    /**
+     * Strip the text import marker, giving the file on disk.
+     */
+    fun unmarked(path: Path): Path {
+        val name = path.fileName?.toString() ?: return path
+        return if (name.endsWith(TEXT_MARKER)) path.resolveSibling(name.removeSuffix(TEXT_MARKER)) else path
+    }
+
+    /**
+     * Add the text import marker back (used for canonical paths, so text and code imports of
+     * the same file are different modules).
+     */
+    fun marked(path: Path): Path = path.resolveSibling("${path.fileName}$TEXT_MARKER")
+
+    /**
+     * Generate the module code for a data file.
+     *
+     * @param path The marked or NBT path
+     * @param file The file on disk
+     * @throws IOException if the file can't be read or decoded
+     */
+    fun generate(path: Path, file: Path): String {
+        val value = if (isMarked(path)) {
+            Files.readString(file)
+        } else {
+            nbtApi.nbtToJs(readNbt(file))
+        }
+        ConfigManager.debug("[Modules] Generated data module for $file")
+        return "export default ${gson.toJson(value)};\n"
+    }
+
+    /**
+     * Read an NBT file, gzip-compressed (structures) or uncompressed.
+     */
+    private fun readNbt(file: Path): net.minecraft.nbt.Tag {
+        return try {
+            NbtIo.readCompressed(file, NbtAccounter.unlimitedHeap())
+        } catch (e: IOException) {
+            try {
+                DataInputStream(Files.newInputStream(file)).use { NbtIo.read(it, NbtAccounter.unlimitedHeap()) }
+            } catch (uncompressed: IOException) {
+                throw IOException("Failed to read NBT module $file: ${e.message}", e)
+            }
+        }
+    }
+}
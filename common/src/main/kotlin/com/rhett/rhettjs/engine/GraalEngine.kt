@@ -3,10 +3,12 @@ package com.rhett.rhettjs.engine
 import com.rhett.rhettjs.RhettJSCommon
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.async.ScriptProcessTable
 import com.rhett.rhettjs.api.StoreAPI
 import com.rhett.rhettjs.api.NamespacedStore
 import com.rhett.rhettjs.commands.CustomCommandRegistry
 import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.Engine
 import org.graalvm.polyglot.PolyglotException
 import org.graalvm.polyglot.Source
 import org.graalvm.polyglot.Value
@@ -15,6 +17,8 @@ import org.graalvm.polyglot.io.IOAccess
 import org.graalvm.polyglot.proxy.ProxyExecutable
 import org.graalvm.polyglot.proxy.ProxyObject
 import java.util.concurrent.CompletableFuture
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
 
 /**
  * Exception thrown when Runtime.exit() is called.
@@ -36,24 +40,49 @@ object GraalEngine {
     @Volatile
     private var scriptsBaseDir: java.nio.file.Path? = null
 
-    // Shared GraalVM context (created once, reused for all scripts)
+    // Set while discardContext() re-runs server scripts in a fresh shared context
+    @Volatile
+    private var restoringServerScripts = false
+
+    // Engine shared by all contexts so parsed code is cached across them.
+    // Lives for the JVM session, unless reset() recreates it to switch the inspector port.
+    @Volatile
+    private var engine: Engine? = null
+
+    // Inspector port the engine was created with (0 = none)
+    private var engineInspectorPort = 0
+
+    // Shared GraalVM context (created once, reused for all non-isolated scripts)
     @Volatile
     private var sharedContext: Context? = null
 
+    /**
+     * Context of an isolated script, with the statement limit it was created with.
+     */
+    private class IsolatedContext(val context: Context, val statementLimit: Long)
+
+    // Contexts of isolated scripts, keyed by script path
+    private val isolatedContexts = ConcurrentHashMap<String, IsolatedContext>()
+
     // Custom command registry for Commands API
     private val commandRegistry = CustomCommandRegistry()
 
-    // Pre-compiled JavaScript helper functions (cached to avoid classloader issues)
-    @Volatile
-    private var jsNBTSetHelper: Value? = null
-    @Volatile
-    private var jsNBTDeleteHelper: Value? = null
-    @Volatile
-    private var jsNBTMergeShallowHelper: Value? = null
-    @Volatile
-    private var jsNBTMergeDeepHelper: Value? = null
-    @Volatile
-    private var jsUndefinedValue: Value? = null
+    /**
+     * Pre-compiled JavaScript helper functions of one context.
+     */
+    private class JSHelpers(
+        val nbtSet: Value,
+        val nbtDelete: Value,
+        val nbtMergeShallow: Value,
+        val nbtMergeDeep: Value,
+        val undefined: Value
+    )
+
+    // Helpers per context (cached to avoid classloader issues)
+    private val jsHelpers = ConcurrentHashMap<Context, JSHelpers>()
+
+    // Script.onUnload() callbacks per script name, run when the script is unloaded or on reset
+    private val unloadHooks = ConcurrentHashMap<String, CopyOnWriteArrayList<Value>>()
 
     /**
      * Set the scripts base directory (called during initialization).
@@ -64,6 +93,11 @@ object GraalEngine {
         ConfigManager.debug("Set scripts base directory for module resolution: $baseDir")
     }
 
+    /**
+     * Get the scripts base directory, or null before initialization.
+     */
+    fun getScriptsDirectory(): java.nio.file.Path? = scriptsBaseDir
+
     /**
      * Reset the GraalVM engine (called on reload).
      *
@@ -73,16 +107,31 @@ object GraalEngine {
      * them in a different classloader (which doesn't happen here).
      */
     fun reset() {
+        // Let scripts release their state while their contexts are still open
+        unloadHooks.keys.toList().forEach { runUnloadHooks(it) }
+
         // Close and recreate context to pick up any config changes
         sharedContext?.close()
         sharedContext = null
 
+        // Isolated contexts are recreated on their script's next execution
+        isolatedContexts.values.forEach { it.context.close() }
+        isolatedContexts.clear()
+
+        // The inspector is an engine option: recreate the engine if its port changed
+        if (engine != null && engineInspectorPort != ScriptDebugger.port()) {
+            engine?.close()
+            engine = null
+        }
+
+        // Forget Runtime.setResourceLimits() overrides
+        ScriptLimits.clear()
+
+        // Fresh contexts have empty module caches
+        ModuleCache.clear()
+
         // Clear cached helpers (will be re-initialized on next script execution)
-        jsNBTSetHelper = null
-        jsNBTDeleteHelper = null
-        jsNBTMergeShallowHelper = null
-        jsNBTMergeDeepHelper = null
-        jsUndefinedValue = null
+        jsHelpers.clear()
 
         // Clear command registry and context reference
         commandRegistry.clear()
@@ -118,25 +167,76 @@ object GraalEngine {
         ConfigManager.debug("Stored command dispatcher, GraalVM context, and build context")
     }
 
+    /**
+     * Get or create the engine shared by all contexts, with the inspector if it is enabled.
+     */
+    private fun getOrCreateEngine(): Engine {
+        return engine ?: synchronized(this) {
+            engine ?: buildEngine().also {
+                engine = it
+                engineInspectorPort = ScriptDebugger.port()
+            }
+        }
+    }
+
+    /**
+     * Build an engine with the current inspector options.
+     *
+     * @throws org.graalvm.polyglot.PolyglotException if the inspector can't listen on its port
+     */
+    private fun buildEngine(): Engine {
+        return Engine.newBuilder("js")
+            .option("engine.WarnInterpreterOnly", "false")  // Suppress JVMCI warning
+            .options(ScriptDebugger.engineOptions())
+            .build()
+            .also {
+                if (ScriptDebugger.isEnabled()) {
+                    RhettJSCommon.LOGGER.info("[RhettJS] Inspector listening, open in Chrome: ${ScriptDebugger.devToolsUrl()}")
+                }
+            }
+    }
+
+    /**
+     * Replace the engine with one built for the current inspector options, then reset every
+     * context onto it. The new engine is built first, so if that fails (e.g. the inspector port
+     * is in use) the current engine and contexts keep running untouched.
+     */
+    internal fun restartEngine() {
+        val replacement = buildEngine()
+        synchronized(this) {
+            reset()
+            engine?.close()
+            engine = replacement
+            engineInspectorPort = ScriptDebugger.port()
+        }
+    }
+
     /**
      * Create a new GraalVM context with ES2022 support and custom module resolution.
      * Uses RhettJSFileSystem to enable bare specifier imports for built-in APIs.
+     * All contexts share one Engine, so isolated contexts reuse the shared context's code cache.
+     * Host access follows the configured SandboxPolicy.
      *
+     * @param statementLimit Statements one execution may run (0 = unlimited), see ScriptLimits
      * @return A configured GraalVM Context
      */
-    private fun createContext(): Context {
+    private fun createContext(statementLimit: Long): Context {
         val builder = Context.newBuilder("js")
-            // Allow all access for development (TODO: lock down for production)
-            .allowAllAccess(true)
+            .engine(getOrCreateEngine())
             .allowExperimentalOptions(true)
             .option("js.esm-eval-returns-exports", "true")
             .option("js.ecmascript-version", "2022")  // ES2022 for modern features
             .option("js.top-level-await", "true")  // Enable top-level await
-            .option("engine.WarnInterpreterOnly", "false")  // Suppress JVMCI warning
-
-            // Enable multi-threading for World API (server thread callbacks)
-            .allowCreateThread(true)
+            .option("js.unhandled-rejections", "handler")  // Report via Graal.setUnhandledPromiseRejectionHandler
             .option("js.shared-array-buffer", "true")
+            .option("js.import-attributes", "true")  // import ... with { type: 'json' }, see DataModules
+            .option("js.json-modules", "true")
+
+        // Restrict Java, thread and process access unless the sandbox is disabled
+        SandboxPolicy.apply(builder)
+
+        // Stop runaway scripts (infinite loops) instead of freezing the server thread
+        ScriptLimits.createResourceLimits(statementLimit)?.let { builder.resourceLimits(it) }
 
         // Set up custom FileSystem for module resolution
         // This enables bare specifier imports like: import World from 'World'
@@ -144,8 +244,14 @@ object GraalEngine {
             val modulesDir = scriptsBaseDir!!.resolve("modules").toAbsolutePath()
 
             // Get default FileSystem and wrap it with our custom implementation
+            // In the sandbox, file access is confined to the rjs/ directory
             val defaultFS = FileSystem.newDefaultFileSystem()
-            val customFS = RhettJSFileSystem(defaultFS)
+            val confineIO = ConfigManager.isSandboxEnabled()
+            val customFS = RhettJSFileSystem(
+                defaultFS,
+                sandboxRoot = { if (confineIO) scriptsBaseDir else null },
+                scriptsRoot = { scriptsBaseDir }
+            )
 
             // Create IOAccess with custom FileSystem
             val ioAccess = IOAccess.newBuilder()
@@ -167,31 +273,13 @@ object GraalEngine {
      * Creates the context on first use, then reuses it for all subsequent scripts.
      * Re-initializes helpers if they were cleared by reset().
      *
-     * Internal visibility for testing: APITypeValidationTest introspects bindings to validate types.
+     * Internal visibility: TypeDefinitionGenerator and APITypeValidationTest introspect its bindings.
      */
     internal fun getOrCreateContext(): Context {
         val ctx = sharedContext ?: synchronized(this) {
-            sharedContext ?: createContext().also { newCtx ->
+            sharedContext ?: createContext(ScriptLimits.sharedStatementLimit()).also { newCtx ->
                 sharedContext = newCtx
-                initializeJSHelpers(newCtx)
-
-                // Inject core APIs that should always be available
-                val bindings = newCtx.getBindings("js")
-
-                // Console API
-                val console = createConsoleAPI()
-                bindings.putMember("console", console)
-
-                // Runtime API
-                val runtime = createRuntimeAPI(newCtx)
-                bindings.putMember("Runtime", runtime)
-
-                // wait() function
-                val waitFn = createWaitFunction(newCtx)
-                bindings.putMember("wait", waitFn)
-
-                // Inject built-in API modules (World, Structure, Store, NBT, Server, Commands)
-                injectBuiltinModules(bindings)
+                initializeContext(newCtx)
 
                 // Set context reference in managers
                 com.rhett.rhettjs.events.ServerEventManager.setContext(newCtx)
@@ -202,7 +290,7 @@ object GraalEngine {
         }
 
         // Re-initialize helpers if they were cleared by reset()
-        if (jsNBTSetHelper == null || jsNBTDeleteHelper == null) {
+        if (!jsHelpers.containsKey(ctx)) {
             initializeJSHelpers(ctx)
             ConfigManager.debug("Re-initialized helpers after reset")
         }
@@ -210,13 +298,193 @@ object GraalEngine {
         return ctx
     }
 
+    /**
+     * Check whether a script runs in its own context instead of the shared one.
+     * Scripts opt in with a `// @rjs isolated` header, or by category via `isolated_categories` in the config.
+     */
+    fun isIsolated(script: ScriptInfo): Boolean {
+        return script.isolated || script.category.dirName in ConfigManager.getIsolatedCategories()
+    }
+
+    /**
+     * Get the context a script runs in: its own context if it is isolated, the shared one otherwise.
+     * An isolated script keeps its context (and globals) across executions until reset().
+     */
+    private fun getContextFor(script: ScriptInfo): Context {
+        // The shared context also backs the managers (events, world, structures), so it always exists
+        val shared = getOrCreateContext()
+        if (!isIsolated(script)) {
+            return shared
+        }
+
+        val key = script.path.toAbsolutePath().toString()
+        val statementLimit = ScriptLimits.limitsFor(script.name, script.category).max_statements
+
+        val existing = isolatedContexts[key]
+        if (existing != null) {
+            if (existing.statementLimit == statementLimit) {
+                return existing.context
+            }
+            // The statement limit was overridden via Runtime.setResourceLimits(): start over with the new limit
+            discardContext(existing.context)
+        }
+
+        val newCtx = createContext(statementLimit)
+        initializeContext(newCtx)
+        isolatedContexts[key] = IsolatedContext(newCtx, statementLimit)
+        ConfigManager.debug("Created isolated GraalVM context for ${script.name}")
+        return newCtx
+    }
+
+    /**
+     * Undo what a script registered so it can be disabled or executed again:
+     * runs its Script.onUnload() callbacks, kills its running executions, unregisters its
+     * event handlers and commands, and drops its isolated context.
+     *
+     * @param script The script to unload
+     */
+    fun unloadScript(script: ScriptInfo) {
+        runUnloadHooks(script.name)
+        val killed = ScriptProcessTable.killAll(script.name)
+        val handlers = com.rhett.rhettjs.events.ServerEventManager.removeHandlers(script)
+        val commands = commandRegistry.removeCommands(script)
+        isolatedContexts[script.path.toAbsolutePath().toString()]?.let { discardContext(it.context) }
+        ConfigManager.debug("Unloaded ${script.name} ($handlers handlers, ${commands.size} commands, $killed executions)")
+    }
+
+    /**
+     * Get the script a registration (event handler, command, unload hook) belongs to:
+     * the script whose execution is running (including its async continuations), or else the
+     * script that defines the function (e.g. a handler registering another handler).
+     *
+     * @param function The function being registered, if any
+     * @return The owning script, or null for ad-hoc code (/rjs eval)
+     */
+    internal fun ownerOf(function: Value?): ScriptInfo? {
+        ScriptProcessTable.current()?.script?.let { return it }
+        val name = function?.let { ScriptErrorLog.scriptNameOf(it) } ?: return null
+        return ScriptRegistry.getScript(name)
+    }
+
+    /**
+     * Run and forget the Script.onUnload() callbacks of a script.
+     */
+    private fun runUnloadHooks(scriptName: String) {
+        val hooks = unloadHooks.remove(scriptName) ?: return
+        hooks.forEach { hook ->
+            try {
+                ScriptLimits.guardCall(hook) { hook.executeVoid() }
+            } catch (e: ScriptLimitException) {
+                // Already reported by ScriptLimits
+            } catch (e: Exception) {
+                ScriptErrorLog.recordException(e, scriptName, "unload")
+            }
+        }
+        ConfigManager.debug("Ran ${hooks.size} unload hooks of $scriptName")
+    }
+
+    /**
+     * Get the shared context if it has been created.
+     */
+    internal fun getSharedContextOrNull(): Context? = sharedContext
+
+    /**
+     * Drop a context that can no longer run code (GraalVM stopped it after a statement limit tripped).
+     *
+     * Discarding the shared context resets the engine and runs the server scripts again, so their
+     * event handlers and commands come back; an isolated context only takes its own script's
+     * event handlers with it.
+     *
+     * @param context The context to drop
+     * @param deferred If true, wait for the next tick (the context may still be on the call stack)
+     */
+    internal fun discardContext(context: Context, deferred: Boolean = false) {
+        if (deferred) {
+            AsyncScheduler.scheduleCallback { discardContext(context) }
+            return
+        }
+
+        if (context == sharedContext) {
+            reset()
+            if (restoringServerScripts) {
+                // A server script stopped the context again while being restored: don't loop
+                RhettJSCommon.LOGGER.error("[RhettJS] Shared script context was stopped while restoring server scripts; run /rjs reload after fixing the script")
+                return
+            }
+
+            RhettJSCommon.LOGGER.warn("[RhettJS] Shared script context was stopped; re-running server scripts")
+            restoringServerScripts = true
+            try {
+                ScriptSystemInitializer.restoreServerScripts()
+            } finally {
+                restoringServerScripts = false
+            }
+            return
+        }
+
+        isolatedContexts.entries.removeIf { it.value.context == context }
+        jsHelpers.remove(context)
+        com.rhett.rhettjs.events.ServerEventManager.removeHandlers(context)
+        try {
+            context.close(true)
+        } catch (e: Exception) {
+            ConfigManager.debug("Error closing discarded context: ${e.message}")
+        }
+    }
+
+    /**
+     * Inject the core APIs every context needs (console, Runtime, wait, built-in modules)
+     * and install its helpers and rejection handler.
+     */
+    private fun initializeContext(context: Context) {
+        initializeJSHelpers(context)
+
+        // Inject core APIs that should always be available
+        val bindings = context.getBindings("js")
+
+        // Console API
+        val console = createConsoleAPI()
+        bindings.putMember("console", console)
+
+        // Runtime API
+        val runtime = createRuntimeAPI(context)
+        bindings.putMember("Runtime", runtime)
+
+        // wait() function
+        val waitFn = createWaitFunction(context)
+        bindings.putMember("wait", waitFn)
+
+        // Inject built-in API modules (World, Structure, Store, NBT, Server, Commands)
+        injectBuiltinModules(context)
+
+        // Report rejected promises nobody handled (e.g. a failing top-level await)
+        installUnhandledRejectionHandler(context)
+    }
+
+    /**
+     * Route unhandled promise rejections to ScriptErrorLog.
+     * Requires the js.unhandled-rejections=handler option set in createContext().
+     */
+    private fun installUnhandledRejectionHandler(context: Context) {
+        val graal = context.getBindings("js").getMember("Graal")
+        if (graal == null || !graal.hasMember("setUnhandledPromiseRejectionHandler")) {
+            ConfigManager.debug("Graal.setUnhandledPromiseRejectionHandler not available, unhandled rejections will not be reported")
+            return
+        }
+
+        graal.invokeMember("setUnhandledPromiseRejectionHandler", ProxyExecutable { args ->
+            ScriptErrorLog.recordRejection(args.getOrNull(0), null, "promise")
+            null
+        })
+    }
+
     /**
      * Initialize pre-compiled JavaScript helper functions.
      * This avoids classloader issues when calling context.eval() from within running scripts.
      */
     private fun initializeJSHelpers(context: Context) {
         // NBT.set() helper
-        jsNBTSetHelper = context.eval("js", """
+        val nbtSet = context.eval("js", """
             (function(obj, path, value) {
                 const keys = path.split('.').flatMap(k => {
                     const match = k.match(/^(.+?)\[(\d+)\]$/);
@@ -249,7 +517,7 @@ object GraalEngine {
         """.trimIndent())
 
         // NBT.delete() helper
-        jsNBTDeleteHelper = context.eval("js", """
+        val nbtDelete = context.eval("js", """
             (function(obj, path) {
                 const keys = path.split('.').flatMap(k => {
                     const match = k.match(/^(.+?)\[(\d+)\]$/);
@@ -285,14 +553,14 @@ object GraalEngine {
         """.trimIndent())
 
         // NBT.merge() shallow helper
-        jsNBTMergeShallowHelper = context.eval("js", """
+        val nbtMergeShallow = context.eval("js", """
             (function(base, updates) {
                 return {...base, ...updates};
             })
         """.trimIndent())
 
         // NBT.merge() deep helper
-        jsNBTMergeDeepHelper = context.eval("js", """
+        val nbtMergeDeep = context.eval("js", """
             (function(base, updates) {
                 function deepMerge(target, source) {
                     const result = Array.isArray(target) ? [...target] : {...target};
@@ -317,7 +585,9 @@ object GraalEngine {
         """.trimIndent())
 
         // JavaScript undefined value
-        jsUndefinedValue = context.eval("js", "undefined")
+        val undefined = context.eval("js", "undefined")
+
+        jsHelpers[context] = JSHelpers(nbtSet, nbtDelete, nbtMergeShallow, nbtMergeDeep, undefined)
 
         ConfigManager.debug("Initialized ${4} JavaScript helper functions")
     }
@@ -327,15 +597,23 @@ object GraalEngine {
      *
      * @param script The script metadata
      * @param additionalBindings Additional bindings to inject (platform-specific)
+     * @param caller Who started the execution, shown by /rjs ps
+     * @param echo Receives the execution's console output, including from its async work (see ScriptConsole)
      * @return Result of execution (Success or Error)
      */
     fun executeScript(
         script: ScriptInfo,
-        additionalBindings: Map<String, Any> = emptyMap()
+        additionalBindings: Map<String, Any> = emptyMap(),
+        caller: String = "Server",
+        echo: ((ScriptConsole.Level, String) -> Unit)? = null
     ): ScriptResult {
         ConfigManager.debug("Executing script: ${script.name} (category: ${script.category})")
 
-        val context = getOrCreateContext()
+        val context = getContextFor(script)
+
+        // Track the execution until its async work (waits, API promises) completes
+        val process = ScriptProcessTable.start(script.name, caller, script, echo)
+
         return try {
             // Inject bindings based on script category
             injectBindings(context, script.category, additionalBindings)
@@ -344,18 +622,33 @@ object GraalEngine {
             // TODO: Virtual URI doesn't affect import resolution in GraalVM
             //       GraalVM resolves imports relative to actual file location
             //       Need to implement custom module loader or transform imports
+            // TypeScript is type-stripped and nbt/text imports are rewritten in place (see
+            // DataModules), so error locations match the file.
+            // Scripts chosen with /rjs debug start with `debugger;` on their first line.
+            val original = script.path.toFile().readText()
+            ModuleCache.recordImports(script.path, original, scriptsBaseDir)
+            val code = DataModules.rewriteImports(
+                if (TypeScriptTranspiler.isTypeScript(script.path)) TypeScriptTranspiler.transpileFile(script.path) else original
+            )
+            val sourceText = when {
+                ScriptDebugger.shouldSuspend(script.name) -> ScriptDebugger.instrument(code)
+                code != original -> code
+                else -> null
+            }
             val source = if (scriptsBaseDir != null) {
                 val virtualUri = scriptsBaseDir!!.resolve("modules/${script.name}.js").toUri()
                 Source.newBuilder("js", script.path.toFile())
                     .name(script.name)
                     .uri(virtualUri)  // Virtual path (doesn't work for imports yet)
                     .mimeType("application/javascript+module")  // Enable ES6 module parsing
+                    .apply { sourceText?.let { content(it) } }
                     .cached(false)  // Disable caching so scripts can be reloaded
                     .build()
             } else {
                 Source.newBuilder("js", script.path.toFile())
                     .name(script.name)
                     .mimeType("application/javascript+module")  // Enable ES6 module parsing
+                    .apply { sourceText?.let { content(it) } }
                     .cached(false)  // Disable caching so scripts can be reloaded
                     .build()
             }
@@ -363,7 +656,9 @@ object GraalEngine {
             ConfigManager.debug("Evaluating script: ${script.name}")
 
             // Execute script (blocks on top-level await)
-            val result = context.eval(source)
+            val result = ScriptProcessTable.runAs(process) {
+                ScriptLimits.guard(context, script.name, script.category) { context.eval(source) }
+            }
 
             ConfigManager.debug("Script executed successfully: ${script.name}")
             ScriptResult.Success(result)
@@ -376,7 +671,7 @@ object GraalEngine {
             }
 
             val message = cleanErrorMessage(e)
-            RhettJSCommon.LOGGER.error("[RhettJS] Script error in ${script.name}: $message")
+            ScriptErrorLog.recordException(e, script.name, "script")
             ScriptResult.Error(message, e)
 
         } catch (e: ScriptExitException) {
@@ -384,10 +679,58 @@ object GraalEngine {
             ConfigManager.debug("Script terminated via Runtime.exit(): ${script.name}")
             ScriptResult.Success(null)
 
+        } catch (e: ScriptLimitException) {
+            // Already logged and reported to operators by ScriptLimits
+            ScriptResult.Error(e.message ?: "Resource limit exceeded", e)
+
+        } catch (e: TypeScriptSyntaxException) {
+            ScriptErrorLog.record(script.name, "script", e.message ?: e.reason, null)
+            ScriptResult.Error(e.message ?: e.reason, e)
+
         } catch (e: Exception) {
             val message = e.message ?: "Unknown error"
             RhettJSCommon.LOGGER.error("[RhettJS] Unexpected error in ${script.name}: $message", e)
             ScriptResult.Error(message, e)
+
+        } finally {
+            ScriptProcessTable.finishIfIdle(process)
+        }
+    }
+
+    /**
+     * Evaluate a one-off snippet in the shared context (for /rjs eval and /rjs repl).
+     *
+     * Snippets are plain scripts, not modules, so `import` is unavailable; the built-in
+     * modules are bound by name instead. The snippet runs in a block, so `var` and function
+     * declarations persist between evaluations while `let`/`const` are scoped to the snippet.
+     *
+     * @param code The JavaScript source
+     * @param additionalBindings Extra names visible to the snippet (e.g. Caller)
+     * @return Success with the completion value of the last statement, or Error
+     */
+    fun evaluateSnippet(code: String, additionalBindings: Map<String, Any> = emptyMap()): ScriptResult {
+        val context = getOrCreateContext()
+        val bindings = context.getBindings("js")
+
+        return try {
+            additionalBindings.forEach { (name, value) -> bindings.putMember("__eval_$name", value) }
+
+            val locals = BUILTIN_MODULE_NAMES.map { "const $it = __builtin_$it;" } +
+                additionalBindings.keys.map { "const $it = __eval_$it;" }
+            val source = Source.newBuilder("js", "{ ${locals.joinToString(" ")}\n$code\n}", "<eval>")
+                .cached(false)
+                .buildLiteral()
+
+            ScriptResult.Success(ScriptLimits.guard(context, "<eval>", ScriptCategory.UTILITY) { context.eval(source) })
+
+        } catch (e: PolyglotException) {
+            ScriptResult.Error(cleanErrorMessage(e), e)
+
+        } catch (e: Exception) {
+            ScriptResult.Error(e.message ?: "Unknown error", e)
+
+        } finally {
+            additionalBindings.keys.forEach { bindings.removeMember("__eval_$it") }
         }
     }
 
@@ -402,11 +745,13 @@ object GraalEngine {
         val bindings = context.getBindings("js")
 
         // Console, Runtime, wait(), and built-in modules are already injected
-        // during context initialization in getOrCreateContext()
+        // during context initialization in initializeContext()
 
-        // Inject Script.* for utility scripts (or remove if not utility)
+        // Inject Script.* for utility scripts, Script.onUnload() for server scripts (or remove otherwise)
         if (category == ScriptCategory.UTILITY) {
-            injectScriptContext(bindings, additionalBindings)
+            injectScriptContext(context, bindings, additionalBindings)
+        } else if (category == ScriptCategory.SERVER) {
+            bindings.putMember("Script", ProxyObject.fromMap(mapOf("onUnload" to createOnUnloadFunction())))
         } else {
             // Remove Script binding if it exists from previous executions
             if (bindings.hasMember("Script")) {
@@ -426,41 +771,27 @@ object GraalEngine {
         }
 
         val baseBindings = 9 // console, Runtime, wait, World, Structure, Store, NBT, Server, Commands
-        val scriptBindings = if (category == ScriptCategory.UTILITY) 1 else 0  // Script.*
+        val scriptBindings = if (category == ScriptCategory.UTILITY || category == ScriptCategory.SERVER) 1 else 0  // Script.*
         ConfigManager.debug("Injected ${baseBindings + scriptBindings + additionalBindings.size} bindings for category: $category")
     }
 
     /**
      * Create the Console API for JavaScript scripts.
-     * Provides console.log, console.warn, console.error, console.info, console.debug
+     * Provides console.log, console.warn, console.error, console.info, console.debug;
+     * ScriptConsole routes the output (server log, caller, per-script log file).
      */
     private fun createConsoleAPI(): ProxyObject {
+        fun write(level: ScriptConsole.Level) = ProxyExecutable { args ->
+            ScriptConsole.write(level, args.joinToString(" ") { formatValue(it) })
+            null
+        }
+
         return ProxyObject.fromMap(mapOf(
-            "log" to ProxyExecutable { args ->
-                val message = args.joinToString(" ") { formatValue(it) }
-                RhettJSCommon.LOGGER.info("[RhettJS-Script] $message")
-                null
-            },
-            "warn" to ProxyExecutable { args ->
-                val message = args.joinToString(" ") { formatValue(it) }
-                RhettJSCommon.LOGGER.warn("[RhettJS-Script] $message")
-                null
-            },
-            "error" to ProxyExecutable { args ->
-                val message = args.joinToString(" ") { formatValue(it) }
-                RhettJSCommon.LOGGER.error("[RhettJS-Script] $message")
-                null
-            },
-            "info" to ProxyExecutable { args ->
-                val message = args.joinToString(" ") { formatValue(it) }
-                RhettJSCommon.LOGGER.info("[RhettJS-Script] $message")
-                null
-            },
-            "debug" to ProxyExecutable { args ->
-                val message = args.joinToString(" ") { formatValue(it) }
-                ConfigManager.debug("[Script] $message")
-                null
-            }
+            "log" to write(ScriptConsole.Level.INFO),
+            "warn" to write(ScriptConsole.Level.WARN),
+            "error" to write(ScriptConsole.Level.ERROR),
+            "info" to write(ScriptConsole.Level.INFO),
+            "debug" to write(ScriptConsole.Level.DEBUG)
         ))
     }
 
@@ -468,7 +799,7 @@ object GraalEngine {
      * Format a GraalVM Value for console output.
      * Handles primitives, objects, arrays, etc.
      */
-    private fun formatValue(value: Value): String {
+    internal fun formatValue(value: Value): String {
         return when {
             value.isNull -> "null"
             value.isString -> value.asString()
@@ -523,6 +854,25 @@ object GraalEngine {
                 scriptTimeoutMs = timeoutMs
                 RhettJSCommon.LOGGER.info("[RhettJS] Script timeout set to ${timeoutMs}ms")
                 null
+            },
+            "setResourceLimits" to ProxyExecutable { args ->
+                if (args.isEmpty() || !args[0].hasMembers()) {
+                    throw IllegalArgumentException("setResourceLimits() requires an object: { maxStatements?, maxAllocatedMb? }")
+                }
+
+                val limits = args[0]
+                fun readLimit(key: String): Long? {
+                    if (!limits.hasMember(key)) return null
+                    val value = limits.getMember(key)
+                    if (value.isNull) return null
+                    if (!value.isNumber || !value.fitsInLong() || value.asLong() < 0) {
+                        throw IllegalArgumentException("setResourceLimits() $key must be a non-negative integer (0 = unlimited)")
+                    }
+                    return value.asLong()
+                }
+
+                ScriptLimits.setOverride(readLimit("maxStatements"), readLimit("maxAllocatedMb"))
+                null
             }
         ))
     }
@@ -549,8 +899,10 @@ object GraalEngine {
                 throw IllegalArgumentException("wait() ticks must be positive, got: $ticks")
             }
 
-            // Schedule the delay and get a CompletableFuture
-            val future = AsyncScheduler.scheduleWait(ticks)
+            // Schedule the delay, attributed to the running script (for /rjs ps and /rjs kill)
+            val owner = ScriptProcessTable.current()
+            val future = AsyncScheduler.scheduleWait(ticks, owner)
+            ScriptProcessTable.track(owner)
 
             // Create a JavaScript Promise that resolves when the CompletableFuture completes
             // We need to evaluate JavaScript code to create a proper Promise object
@@ -577,10 +929,16 @@ object GraalEngine {
                 // Schedule the callback to run on the next server tick
                 // This ensures we're not executing JS during timer iteration
                 AsyncScheduler.scheduleCallback {
-                    if (throwable != null) {
-                        reject.execute(throwable.message)
-                    } else {
-                        resolve.execute()
+                    // Skipped if the owning script was killed
+                    ScriptProcessTable.resume(owner) {
+                        // The awaiting code runs inside resolve/reject, so it gets a fresh limit budget
+                        ScriptLimits.guard(context, owner?.scriptName ?: "unknown") {
+                            if (throwable != null) {
+                                reject.execute(throwable.message)
+                            } else {
+                                resolve.execute()
+                            }
+                        }
                     }
                 }
             }
@@ -592,7 +950,7 @@ object GraalEngine {
     /**
      * Create a GraalVM proxy for StoreAPI.
      */
-    private fun createStoreAPIProxy(): ProxyObject {
+    private fun createStoreAPIProxy(context: Context): ProxyObject {
         return ProxyObject.fromMap(mapOf(
             "namespace" to ProxyExecutable { args ->
                 if (args.isEmpty()) {
@@ -600,7 +958,7 @@ object GraalEngine {
                 }
                 val namespace = args[0].asString()
                 val store = StoreAPI.namespace(namespace)
-                createNamespacedStoreProxy(store)
+                createNamespacedStoreProxy(store, context)
             },
             "namespaces" to ProxyExecutable { _ ->
                 StoreAPI.namespaces()
@@ -617,8 +975,9 @@ object GraalEngine {
 
     /**
      * Create a GraalVM proxy for a NamespacedStore instance.
+     * Values stored by scripts in other (isolated) contexts are copied into this one on read.
      */
-    private fun createNamespacedStoreProxy(store: NamespacedStore): ProxyObject {
+    private fun createNamespacedStoreProxy(store: NamespacedStore, context: Context): ProxyObject {
         return ProxyObject.fromMap(mapOf(
             "set" to ProxyExecutable { args ->
                 if (args.size < 2) {
@@ -634,7 +993,7 @@ object GraalEngine {
                     throw IllegalArgumentException("get() requires a key argument")
                 }
                 val key = args[0].asString()
-                store.get(key)
+                ContextBridge.adapt(store.get(key), context)
             },
             "has" to ProxyExecutable { args ->
                 if (args.isEmpty()) {
@@ -661,7 +1020,7 @@ object GraalEngine {
                 store.size()
             },
             "entries" to ProxyExecutable { _ ->
-                store.entries()
+                ContextBridge.adapt(store.entries(), context)
             }
         ))
     }
@@ -756,8 +1115,7 @@ object GraalEngine {
      */
     private fun setNBTValueJS(nbtValue: Value, path: String, newValue: Value): Any {
         // Use pre-compiled helper to avoid classloader issues
-        val helper = jsNBTSetHelper ?: throw IllegalStateException("NBT helper not initialized")
-        return helper.execute(nbtValue, path, newValue)
+        return currentHelpers().nbtSet.execute(nbtValue, path, newValue)
     }
 
     /**
@@ -766,8 +1124,7 @@ object GraalEngine {
      */
     private fun deleteNBTValueJS(nbtValue: Value, path: String): Any {
         // Use pre-compiled helper to avoid classloader issues
-        val helper = jsNBTDeleteHelper ?: throw IllegalStateException("NBT helper not initialized")
-        return helper.execute(nbtValue, path)
+        return currentHelpers().nbtDelete.execute(nbtValue, path)
     }
 
     /**
@@ -780,14 +1137,19 @@ object GraalEngine {
      */
     private fun mergeNBTValueJS(baseValue: Value, updatesValue: Value, deep: Boolean): Any {
         // Use pre-compiled helper to avoid classloader issues
-        val helper = if (deep) {
-            jsNBTMergeDeepHelper ?: throw IllegalStateException("NBT helper not initialized")
-        } else {
-            jsNBTMergeShallowHelper ?: throw IllegalStateException("NBT helper not initialized")
-        }
+        val helpers = currentHelpers()
+        val helper = if (deep) helpers.nbtMergeDeep else helpers.nbtMergeShallow
         return helper.execute(baseValue, updatesValue)
     }
 
+    /**
+     * Get the helpers of the context whose code is calling into the NBT API.
+     */
+    private fun currentHelpers(): JSHelpers {
+        val context = ContextBridge.currentContextOrNull()
+        return context?.let { jsHelpers[it] } ?: throw IllegalStateException("NBT helper not initialized")
+    }
+
     /**
      * Get value from NBT structure using path notation (e.g., "tag.Damage" or "tag.Enchantments[0].id")
      */
@@ -999,9 +1361,7 @@ object GraalEngine {
      * All methods return Promises (async file I/O and world operations).
      * Delegates to StructureManager for actual implementation.
      */
-    private fun createStructureAPIProxy(): ProxyObject {
-        val context = getOrCreateContext()
-
+    private fun createStructureAPIProxy(context: Context): ProxyObject {
         return ProxyObject.fromMap(mapOf(
             // File operations (async) - delegate to StructureManager
             "exists" to ProxyExecutable { args ->
@@ -1025,43 +1385,59 @@ object GraalEngine {
 
             // Structure operations (async) - delegate to StructureManager
             "capture" to ProxyExecutable { args ->
-                if (args.size < 3) {
-                    return@ProxyExecutable createRejectedPromise(context, "capture() requires pos1, pos2, and name")
+                BindingSignatures.missingArguments("Structure.capture", args)?.let {
+                    return@ProxyExecutable createRejectedPromise(context, it)
                 }
                 val pos1 = args[0]
                 val pos2 = args[1]
                 val name = args[2].asString()
-                val options = if (args.size > 3) args[3] else null
+                val options = try {
+                    BindingSignatures.checkOptions("CaptureOptions", args.getOrNull(3))
+                } catch (e: IllegalArgumentException) {
+                    return@ProxyExecutable createRejectedPromise(context, e.message ?: "Invalid options")
+                }
                 convertFutureToPromise<Void>(context, com.rhett.rhettjs.structure.StructureManager.capture(pos1, pos2, name, options))
             },
             "place" to ProxyExecutable { args ->
-                if (args.size < 2) {
-                    return@ProxyExecutable createRejectedPromise(context, "place() requires position and name")
+                BindingSignatures.missingArguments("Structure.place", args)?.let {
+                    return@ProxyExecutable createRejectedPromise(context, it)
                 }
                 val position = args[0]
                 val name = args[1].asString()
-                val options = if (args.size > 2) args[2] else null
+                val options = try {
+                    BindingSignatures.checkOptions("PlaceOptions", args.getOrNull(2))
+                } catch (e: IllegalArgumentException) {
+                    return@ProxyExecutable createRejectedPromise(context, e.message ?: "Invalid options")
+                }
                 convertFutureToPromise<Void>(context, com.rhett.rhettjs.structure.StructureManager.place(position, name, options))
             },
 
             // Large structure operations (async)
             "captureLarge" to ProxyExecutable { args ->
-                if (args.size < 3) {
-                    return@ProxyExecutable createRejectedPromise(context, "captureLarge() requires pos1, pos2, and name")
+                BindingSignatures.missingArguments("Structure.captureLarge", args)?.let {
+                    return@ProxyExecutable createRejectedPromise(context, it)
                 }
                 val pos1 = args[0]
                 val pos2 = args[1]
                 val name = args[2].asString()
-                val options = if (args.size > 3) args[3] else null
+                val options = try {
+                    BindingSignatures.checkOptions("CaptureLargeOptions", args.getOrNull(3))
+                } catch (e: IllegalArgumentException) {
+                    return@ProxyExecutable createRejectedPromise(context, e.message ?: "Invalid options")
+                }
                 convertFutureToPromise<Void>(context, com.rhett.rhettjs.structure.StructureManager.captureLarge(pos1, pos2, name, options))
             },
             "placeLarge" to ProxyExecutable { args ->
-                if (args.size < 2) {
-                    return@ProxyExecutable createRejectedPromise(context, "placeLarge() requires position and name")
+                BindingSignatures.missingArguments("Structure.placeLarge", args)?.let {
+                    return@ProxyExecutable createRejectedPromise(context, it)
                 }
                 val position = args[0]
                 val name = args[1].asString()
-                val options = if (args.size > 2) args[2] else null
+                val options = try {
+                    BindingSignatures.checkOptions("PlaceOptions", args.getOrNull(2))
+                } catch (e: IllegalArgumentException) {
+                    return@ProxyExecutable createRejectedPromise(context, e.message ?: "Invalid options")
+                }
                 convertFutureToPromise<Void>(context, com.rhett.rhettjs.structure.StructureManager.placeLarge(position, name, options))
             },
             "getSize" to ProxyExecutable { args ->
@@ -1090,9 +1466,7 @@ object GraalEngine {
      * All methods return Promises except for the dimensions property.
      * Delegates to WorldManager for actual implementation.
      */
-    private fun createWorldAPIProxy(): ProxyObject {
-        val context = getOrCreateContext()
-
+    private fun createWorldAPIProxy(context: Context): ProxyObject {
         // Create methods map
         val methods = mapOf(
             // Block operations (async) - delegate to WorldManager
@@ -1138,8 +1512,8 @@ object GraalEngine {
                 convertFutureToPromise<List<Value>>(context, com.rhett.rhettjs.world.WorldManager.getEntities(position, radius))
             },
             "spawnEntity" to ProxyExecutable { args ->
-                if (args.size < 2) {
-                    return@ProxyExecutable createRejectedPromise(context, "spawnEntity() requires position and entityId")
+                BindingSignatures.missingArguments("World.spawnEntity", args)?.let {
+                    return@ProxyExecutable createRejectedPromise(context, it)
                 }
                 val position = args[0]
                 val entityId = args[1].asString()
@@ -1233,6 +1607,10 @@ object GraalEngine {
         val resolve = context.getBindings("js").getMember("${promiseId}_resolve")
         val reject = context.getBindings("js").getMember("${promiseId}_reject")
 
+        // Attribute the promise to the running script (for /rjs ps and /rjs kill)
+        val owner = ScriptProcessTable.current()
+        ScriptProcessTable.track(owner)
+
         // When future completes, schedule the promise resolution on the next tick
         // This ensures we're not trying to access the GraalVM context from the wrong thread
         future.whenComplete { result, throwable ->
@@ -1241,20 +1619,29 @@ object GraalEngine {
                 // Enter context for multi-threaded access
                 context.enter()
                 try {
-                    if (throwable != null) {
-                        val errorMsg = throwable.cause?.message ?: throwable.message ?: "Unknown error"
-                        ConfigManager.debug("[Promise] Rejecting with error: $errorMsg")
-                        reject.execute(errorMsg)
-                    } else {
-                        ConfigManager.debug("[Promise] Resolving with result: $result")
-                        resolve.execute(result)
-                    }
-                } catch (e: Exception) {
-                    ConfigManager.debug("[Promise] Error during promise resolution: ${e.message}")
-                    try {
-                        reject.execute("Promise resolution error: ${e.message}")
-                    } catch (e2: Exception) {
-                        RhettJSCommon.LOGGER.error("[Promise] Failed to reject promise", e2)
+                    // Skipped if the owning script was killed
+                    ScriptProcessTable.resume(owner) {
+                        try {
+                            ScriptLimits.guard(context, owner?.scriptName ?: "unknown") {
+                                if (throwable != null) {
+                                    val errorMsg = throwable.cause?.message ?: throwable.message ?: "Unknown error"
+                                    ConfigManager.debug("[Promise] Rejecting with error: $errorMsg")
+                                    reject.execute(errorMsg)
+                                } else {
+                                    ConfigManager.debug("[Promise] Resolving with result: $result")
+                                    resolve.execute(ContextBridge.adapt(result, context))
+                                }
+                            }
+                        } catch (e: ScriptLimitException) {
+                            // Already reported by ScriptLimits; the context may be gone, so don't touch the promise
+                        } catch (e: Exception) {
+                            ConfigManager.debug("[Promise] Error during promise resolution: ${e.message}")
+                            try {
+                                reject.execute("Promise resolution error: ${e.message}")
+                            } catch (e2: Exception) {
+                                RhettJSCommon.LOGGER.error("[Promise] Failed to reject promise", e2)
+                            }
+                        }
                     }
                 } finally {
                     // Clean up globals after promise settles
@@ -1277,15 +1664,16 @@ object GraalEngine {
      * Create a rejected Promise with error message.
      */
     private fun createRejectedPromise(context: Context, message: String): Value {
-        return context.eval("js", "Promise.reject(new Error('$message'))")
+        // Passed as an argument so quotes in the message can't break the source
+        return context.eval("js", "(message) => Promise.reject(new Error(message))").execute(message)
     }
 
     /**
      * Create Server API proxy for JavaScript.
-     * Provides event system (on/off/once), server properties, and broadcast methods.
+     * Provides event system (on/off/once/emit), server properties, and broadcast methods.
      * Delegates to ServerEventManager for actual implementation.
      */
-    private fun createServerAPIProxy(): ProxyObject {
+    private fun createServerAPIProxy(context: Context): ProxyObject {
         return ProxyObject.fromMap(mapOf(
             // Event registration - delegate to ServerEventManager
             "on" to ProxyExecutable { args ->
@@ -1294,8 +1682,11 @@ object GraalEngine {
                 }
                 val event = args[0].asString()
                 val handler = args[1]
+                val options = parseHandlerOptions(args.getOrNull(2))
 
-                com.rhett.rhettjs.events.ServerEventManager.on(event, handler)
+                com.rhett.rhettjs.events.ServerEventManager.on(
+                    event, handler, options.priority, options.ignoreCancelled, options.every, ownerOf(handler)
+                )
                 null
             },
 
@@ -1316,14 +1707,27 @@ object GraalEngine {
                 }
                 val event = args[0].asString()
                 val handler = args[1]
+                val options = parseHandlerOptions(args.getOrNull(2))
 
-                com.rhett.rhettjs.events.ServerEventManager.once(event, handler)
+                com.rhett.rhettjs.events.ServerEventManager.once(
+                    event, handler, options.priority, options.ignoreCancelled, options.every, ownerOf(handler)
+                )
                 null
             },
 
+            "emit" to ProxyExecutable { args ->
+                if (args.isEmpty()) {
+                    throw IllegalArgumentException("emit() requires an event name")
+                }
+                val event = args[0].asString()
+                val payload = args.getOrNull(1)
+
+                com.rhett.rhettjs.events.ServerEventManager.emit(event, payload)
+            },
+
             // Server properties - delegate to ServerEventManager for real values
             "tps" to com.rhett.rhettjs.events.ServerEventManager.getServerTPS(),
-            "players" to com.rhett.rhettjs.events.ServerEventManager.getOnlinePlayers(),
+            "players" to ContextBridge.adapt(com.rhett.rhettjs.events.ServerEventManager.getOnlinePlayers(), context),
             "maxPlayers" to com.rhett.rhettjs.events.ServerEventManager.getMaxPlayers(),
             "motd" to com.rhett.rhettjs.events.ServerEventManager.getMOTD(),
 
@@ -1348,6 +1752,48 @@ object GraalEngine {
         ))
     }
 
+    /**
+     * Options accepted by Server.on()/once().
+     */
+    private data class HandlerOptions(
+        val priority: com.rhett.rhettjs.events.EventPriority = com.rhett.rhettjs.events.EventPriority.NORMAL,
+        val ignoreCancelled: Boolean = false,
+        val every: Int = 1
+    )
+
+    /**
+     * Parse the optional options object of Server.on()/once().
+     * Supports { priority: 'highest'|'high'|'normal'|'low'|'monitor', ignoreCancelled: boolean, every: number }.
+     */
+    private fun parseHandlerOptions(options: Value?): HandlerOptions {
+        if (options == null || options.isNull) {
+            return HandlerOptions()
+        }
+        if (!options.hasMembers()) {
+            throw IllegalArgumentException("Handler options must be an object, e.g. { priority: 'high' }")
+        }
+
+        val priority = options.getMember("priority")
+            ?.takeIf { !it.isNull }
+            ?.let { com.rhett.rhettjs.events.EventPriority.fromJS(it.asString()) }
+            ?: com.rhett.rhettjs.events.EventPriority.NORMAL
+        val ignoreCancelled = options.getMember("ignoreCancelled")
+            ?.takeIf { !it.isNull }
+            ?.asBoolean()
+            ?: false
+        val every = options.getMember("every")
+            ?.takeIf { !it.isNull }
+            ?.let {
+                if (!it.fitsInInt() || it.asInt() < 1) {
+                    throw IllegalArgumentException("every must be a positive integer, got $it")
+                }
+                it.asInt()
+            }
+            ?: 1
+
+        return HandlerOptions(priority, ignoreCancelled, every)
+    }
+
     /**
      * Create Commands API proxy for JavaScript.
      * Provides fluent builder API for command registration with Brigadier integration.
@@ -1362,7 +1808,7 @@ object GraalEngine {
                 "name" to name,
                 "description" to null,
                 "permission" to null,
-                "arguments" to mutableListOf<Map<String, String>>(),
+                "arguments" to mutableListOf<Map<String, Any?>>(),
                 "executor" to null
             )
 
@@ -1371,9 +1817,7 @@ object GraalEngine {
 
             return ProxyObject.fromMap(mapOf(
                 "description" to ProxyExecutable { args ->
-                    if (args.isEmpty()) {
-                        throw IllegalArgumentException("description() requires a description string")
-                    }
+                    BindingSignatures.missingArguments("CommandBuilder.description", args)?.let { throw IllegalArgumentException(it) }
                     commandData["description"] = args[0].asString()
                     commandRegistry.storeCommand(name, commandData)  // Persist changes
                     // Return self for chaining
@@ -1381,9 +1825,7 @@ object GraalEngine {
                 },
 
                 "permission" to ProxyExecutable { args ->
-                    if (args.isEmpty()) {
-                        throw IllegalArgumentException("permission() requires a permission string or function")
-                    }
+                    BindingSignatures.missingArguments("CommandBuilder.permission", args)?.let { throw IllegalArgumentException(it) }
                     // Store the permission (string or function)
                     commandData["permission"] = args[0]
                     commandRegistry.storeCommand(name, commandData)  // Persist changes
@@ -1392,21 +1834,31 @@ object GraalEngine {
                 },
 
                 "argument" to ProxyExecutable { args ->
-                    if (args.size < 2) {
-                        throw IllegalArgumentException("argument() requires name and type")
-                    }
+                    BindingSignatures.missingArguments("CommandBuilder.argument", args)?.let { throw IllegalArgumentException(it) }
                     val argName = args[0].asString()
                     val argType = args[1].asString()
+                    val argument = mutableMapOf<String, Any?>("name" to argName, "type" to argType)
 
-                    // Validate argument type
-                    val validTypes = listOf("string", "int", "float", "player", "item", "block", "entity")
-                    if (argType !in validTypes) {
-                        throw IllegalArgumentException("Invalid argument type: $argType. Valid types: ${validTypes.joinToString(", ")}")
+                    // Options: { min, max, optional, default } (a default makes the argument optional)
+                    val options = BindingSignatures.checkOptions("CommandArgumentOptions", args.getOrNull(2))
+                    if (options != null) {
+                        listOf("min", "max").forEach { key ->
+                            options.getMember(key)?.takeIf { !it.isNull }?.let { argument[key] = it.asDouble() }
+                        }
+                        options.getMember("default")?.takeIf { !it.isNull }?.let {
+                            argument["default"] = it
+                            argument["optional"] = true
+                        }
+                        options.getMember("optional")?.takeIf { it.isBoolean }?.let { argument["optional"] = it.asBoolean() }
                     }
 
                     @Suppress("UNCHECKED_CAST")
-                    val arguments = commandData["arguments"] as MutableList<Map<String, String>>
-                    arguments.add(mapOf("name" to argName, "type" to argType))
+                    val arguments = commandData["arguments"] as MutableList<Map<String, Any?>>
+
+                    // Validate the type and options against the arguments added so far
+                    com.rhett.rhettjs.commands.CustomCommandRegistry.validateArguments(arguments + argument)
+
+                    arguments.add(argument)
                     commandRegistry.storeCommand(name, commandData)  // Persist changes
 
                     // Return self for chaining
@@ -1414,9 +1866,7 @@ object GraalEngine {
                 },
 
                 "executes" to ProxyExecutable { args ->
-                    if (args.isEmpty()) {
-                        throw IllegalArgumentException("executes() requires a handler function")
-                    }
+                    BindingSignatures.missingArguments("CommandBuilder.executes", args)?.let { throw IllegalArgumentException(it) }
                     val handler = args[0]
 
                     if (!handler.canExecute()) {
@@ -1424,6 +1874,7 @@ object GraalEngine {
                     }
 
                     commandData["executor"] = handler
+                    commandData["owner"] = ownerOf(handler)  // Unregistered when this script unloads
                     commandRegistry.storeCommand(name, commandData)  // Persist changes - THIS IS CRITICAL!
 
                     // Update registry's context reference to current context
@@ -1470,18 +1921,23 @@ object GraalEngine {
         ))
     }
 
+    // Built-in modules injected as __builtin_<Name> globals (see injectBuiltinModules)
+    internal val BUILTIN_MODULE_NAMES = listOf("World", "Structure", "Store", "NBT", "Server", "Commands")
+
     /**
      * Inject built-in API modules that can be imported.
      * These modules are available via: import World from 'World'
      * Each API is stored directly on globalThis as __builtin_<Name> for virtual module access.
      */
-    private fun injectBuiltinModules(bindings: Value) {
+    private fun injectBuiltinModules(context: Context) {
+        val bindings = context.getBindings("js")
+
         // Create all API bindings
-        val worldAPI = createWorldAPIProxy()
-        val structureAPI = createStructureAPIProxy()
+        val worldAPI = createWorldAPIProxy(context)
+        val structureAPI = createStructureAPIProxy(context)
         val nbtAPI = createNBTAPIProxy()
-        val storeAPI = createStoreAPIProxy()
-        val serverAPI = createServerAPIProxy()
+        val storeAPI = createStoreAPIProxy(context)
+        val serverAPI = createServerAPIProxy(context)
         val commandsAPI = createCommandsAPIProxy()
 
         // Put each API directly on globalThis for virtual module access
@@ -1499,19 +1955,19 @@ object GraalEngine {
      * Inject Script.* context for utility scripts (rjs/scripts/).
      * Provides Script.caller, Script.args, and Script.argv for command-invoked scripts.
      */
-    private fun injectScriptContext(bindings: Value, additionalBindings: Map<String, Any>) {
+    private fun injectScriptContext(context: Context, bindings: Value, additionalBindings: Map<String, Any>) {
         // Extract Caller and Args from additionalBindings if provided
         val caller = additionalBindings["Caller"]
         val args = additionalBindings["Args"]
 
         if (caller != null || args != null) {
-            val scriptContext = mutableMapOf<String, Any?>()
+            val scriptContext = mutableMapOf<String, Any?>("onUnload" to createOnUnloadFunction())
             if (caller != null) scriptContext["caller"] = caller
             if (args != null) scriptContext["args"] = args
 
             // Parse args into Script.argv if Args is provided
             if (args != null) {
-                scriptContext["argv"] = createArgvProxy(args)
+                scriptContext["argv"] = createArgvProxy(args, context)
             }
 
             val scriptProxy = ProxyObject.fromMap(scriptContext)
@@ -1520,6 +1976,25 @@ object GraalEngine {
         }
     }
 
+    /**
+     * Create Script.onUnload(fn): registers a callback that runs when the calling script is
+     * unloaded (disabled, reloaded on its own, or on a full reload), e.g. to stop timers.
+     */
+    private fun createOnUnloadFunction(): ProxyExecutable {
+        return ProxyExecutable { args ->
+            val callback = args.getOrNull(0)
+            if (callback == null || !callback.canExecute()) {
+                throw IllegalArgumentException("onUnload() requires a function")
+            }
+
+            val owner = ownerOf(callback)
+                ?: throw IllegalStateException("onUnload() can only be called from a script")
+            unloadHooks.computeIfAbsent(owner.name) { CopyOnWriteArrayList() }.add(callback)
+            ConfigManager.debug("Registered unload hook for ${owner.name}")
+            null
+        }
+    }
+
     /**
      * Create Script.argv proxy with argument parsing.
      * Parses command-line arguments into positional args and flags with values.
@@ -1530,9 +2005,10 @@ object GraalEngine {
      * - Flags with values: -a=1 -b=2, --name=value, --name="quoted value"
      *
      * @param args The raw arguments (can be List or Array)
+     * @param context The context the script runs in
      * @return ProxyObject with get(index), get(name), hasFlag(), getAll(), and raw property
      */
-    private fun createArgvProxy(args: Any): ProxyObject {
+    private fun createArgvProxy(args: Any, context: Context): ProxyObject {
         // Convert args to list of strings
         @Suppress("UNCHECKED_CAST")
         val argsList = when (args) {
@@ -1581,7 +2057,7 @@ object GraalEngine {
         ConfigManager.debug("Parsed argv: ${positionalArgs.size} positional args, ${namedFlags.size} named flags")
 
         // Use pre-compiled undefined value to avoid classloader issues
-        val undefined = jsUndefinedValue ?: throw IllegalStateException("JavaScript helpers not initialized")
+        val undefined = jsHelpers[context]?.undefined ?: throw IllegalStateException("JavaScript helpers not initialized")
 
         return ProxyObject.fromMap(mapOf(
             // get(indexOrName) - Get positional argument by index OR named flag by name
@@ -1652,11 +2128,17 @@ object GraalEngine {
 
     /**
      * Clean up GraalVM error messages for better user experience.
+     * Appends the script frames of the JS stack, relative to rjs/ (see ScriptStackTrace).
      */
     private fun cleanErrorMessage(e: PolyglotException): String {
         val message = e.message ?: "Script error"
 
-        // Include source location if available
+        val frames = ScriptStackTrace.framesOf(e)
+        if (frames.isNotEmpty()) {
+            return "$message\n${ScriptStackTrace.format(frames)}"
+        }
+
+        // No script frames (e.g. /rjs eval snippets): fall back to the raw source location
         val location = if (e.sourceLocation != null) {
             val loc = e.sourceLocation
             "\n  at ${loc.source.name}:${loc.startLine}:${loc.startColumn}"
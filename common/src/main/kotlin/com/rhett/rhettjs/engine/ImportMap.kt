@@ -0,0 +1,133 @@
+package com.rhett.rhettjs.engine
+
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.isRegularFile
+import kotlin.io.path.readText
+
+/**
+ * Thrown when an import specifier can't be resolved to a file.
+ * The message lists every path that was tried, relative to rjs/.
+ */
+class ModuleResolutionException(
+    val specifier: String,
+    val tried: List<String>,
+    reason: String
+) : IllegalArgumentException(
+    if (tried.isEmpty()) "Cannot resolve '$specifier': $reason"
+    else "Cannot resolve '$specifier': $reason. Tried: ${tried.joinToString(", ")}"
+)
+
+/**
+ * Module aliases from `rjs/import-map.json`, in the format of browser import maps:
+ *
+ * ```json
+ * {
+ *   "imports": {
+ *     "@shared/": "./modules/shared/",
+ *     "@tools/": "./modules/tools/",
+ *     "config": "./modules/config.js",
+ *     "lodash": "lodash-es"
+ *   }
+ * }
+ * ```
+ *
+ * A key ending in `/` maps every specifier starting with it; other keys map one specifier.
+ * The longest matching key wins. Targets starting with `./` are relative to rjs/ and must stay
+ * inside it; other targets are package names (see PackageResolver). As with extensionless
+ * relative imports, `.js`, `.ts` and `/index.js` are tried when the target is not a file.
+ *
+ * The file is read again whenever it changes.
+ */
+object ImportMap {
+
+    const val FILE_NAME = "import-map.json"
+
+    private class Loaded(val file: Path, val lastModified: Long, val imports: Map<String, String>)
+
+    @Volatile
+    private var loaded: Loaded? = null
+
+    // Tried in order when a mapped path is not a file
+    private val SUFFIXES = listOf("", ".js", ".ts", "/index.js", "/index.ts")
+
+    /**
+     * Resolve a specifier through the import map.
+     *
+     * @param specifier The import specifier, e.g. "@shared/math.js"
+     * @param rjsRoot The rjs/ directory holding import-map.json
+     * @return The module file, or null if no key matches
+     * @throws ModuleResolutionException if a key matches but its target doesn't exist
+     */
+    fun resolve(specifier: String, rjsRoot: Path): Path? {
+        val imports = importsOf(rjsRoot)
+        if (imports.isEmpty()) {
+            return null
+        }
+
+        val key = if (specifier in imports) {
+            specifier
+        } else {
+            imports.keys
+                .filter { it.endsWith("/") && specifier.startsWith(it) }
+                .maxByOrNull { it.length }
+                ?: return null
+        }
+        val target = imports.getValue(key) + specifier.removePrefix(key)
+
+        // Aliases of packages go through node_modules
+        if (!target.startsWith("./") && !target.startsWith("../")) {
+            return PackageResolver.resolve(target, rjsRoot)
+                ?: throw ModuleResolutionException(specifier, listOf("${PackageResolver.NODE_MODULES}/$target"), "mapped to package '$target', which is not installed")
+        }
+
+        val root = rjsRoot.toAbsolutePath().normalize()
+        val base = root.resolve(target).normalize()
+        if (!base.startsWith(root)) {
+            throw ModuleResolutionException(specifier, emptyList(), "$FILE_NAME maps '$key' outside the rjs directory")
+        }
+
+        val candidates = SUFFIXES.map { suffix -> Path.of("$base$suffix") }
+        val resolved = candidates.firstOrNull { it.isRegularFile() }
+            ?: throw ModuleResolutionException(specifier, candidates.map { root.relativize(it).joinToString("/") }, "no file for alias '$key'")
+
+        ConfigManager.debug("[Modules] Import map resolved '$specifier' to $resolved")
+        return resolved
+    }
+
+    /**
+     * Forget the loaded map (it is read again on the next import).
+     */
+    fun clear() {
+        loaded = null
+    }
+
+    private fun importsOf(rjsRoot: Path): Map<String, String> {
+        val file = rjsRoot.resolve(FILE_NAME).toAbsolutePath().normalize()
+        if (!file.isRegularFile()) {
+            return emptyMap()
+        }
+
+        val lastModified = Files.getLastModifiedTime(file).toMillis()
+        loaded?.let { if (it.file == file && it.lastModified == lastModified) return it.imports }
+
+        val imports = try {
+            JsonParser.parseString(file.readText()).asJsonObject
+                .getAsJsonObject("imports")
+                ?.entrySet()
+                ?.filter { (_, value) -> value.isJsonPrimitive }
+                ?.associate { (key, value) -> key to value.asString }
+                ?: emptyMap()
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Invalid $FILE_NAME, aliases are disabled: ${e.message}")
+            emptyMap()
+        }
+
+        ConfigManager.debug("[Modules] Loaded ${imports.size} import map entries from $file")
+        loaded = Loaded(file, lastModified, imports)
+        return imports
+    }
+}
@@ -0,0 +1,195 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Invalidation of imported ES modules without recreating contexts.
+ *
+ * GraalJS caches every imported module per context, keyed by its canonical path, and has no
+ * API to evict one. RhettJSFileSystem reports the canonical path of an invalidated module with
+ * a generation marker in its file name (`math.js` -> `math.__rjs_v2__.js`), so the next import
+ * misses the cache and loads the file again. All other file operations strip the marker, and
+ * the directory is unchanged, so relative imports inside the module still resolve.
+ *
+ * Scripts that already imported the old version keep it until they are re-executed.
+ *
+ * The import graph is recorded as files are read: RhettJSFileSystem records each module it
+ * loads and GraalEngine each script it executes, with the files their static and literal
+ * dynamic imports resolve to. A module's dependents are every file that imports it, directly
+ * or through other modules; invalidateTree invalidates them along with the module, since a
+ * cached importer would keep its binding to the old version.
+ */
+object ModuleCache {
+
+    private val VERSION_MARKER = Regex("""\.__rjs_v\d+__(?=\.[^.]*$|$)""")
+
+    // `from '...'`, `import '...'` and `import('...')` with a literal specifier
+    private val IMPORT_SPECIFIER = Regex("""\b(?:from|import)\s*\(?\s*(['"])([^'"\r\n]+)\1""")
+
+    // Canonical module path -> number of times it was invalidated
+    private val generations = ConcurrentHashMap<Path, Int>()
+
+    // Canonical path of a module or script -> canonical paths of the files it imports
+    private val imports = ConcurrentHashMap<Path, Set<Path>>()
+
+    // Canonical paths of the files loaded as modules
+    private val loaded = ConcurrentHashMap.newKeySet<Path>()
+
+    /**
+     * Make the next import of a module load it from disk again.
+     *
+     * @param path The module file (any form; it is normalized)
+     */
+    fun invalidate(path: Path) {
+        val key = normalize(path)
+        val generation = generations.merge(key, 1, Int::plus)
+        ConfigManager.debug("[Modules] Invalidated $key (generation $generation)")
+    }
+
+    /**
+     * Invalidate a module and every module that depends on it.
+     *
+     * @param path The module file (any form; it is normalized)
+     * @return The canonical paths of all dependents, including scripts, which must be
+     *         re-executed to use the new version
+     */
+    fun invalidateTree(path: Path): Set<Path> {
+        val dependents = dependentsOf(path)
+        invalidate(path)
+        dependents.filter { it in loaded }.forEach { invalidate(it) }
+        return dependents
+    }
+
+    /**
+     * Get the files that import a module directly.
+     *
+     * @param path The module file
+     * @return Canonical paths of the importing modules and scripts, sorted
+     */
+    fun importersOf(path: Path): List<Path> {
+        val key = normalize(path)
+        return imports.filterValues { key in it }.keys.sorted()
+    }
+
+    /**
+     * Get every file that imports a module directly or through other modules.
+     *
+     * @param path The module file
+     * @return Canonical paths of the dependents (not including the module itself)
+     */
+    fun dependentsOf(path: Path): Set<Path> {
+        val module = normalize(path)
+        val dependents = linkedSetOf<Path>()
+        val queue = ArrayDeque(listOf(module))
+
+        while (queue.isNotEmpty()) {
+            importersOf(queue.removeFirst())
+                .filter { it != module && dependents.add(it) }
+                .forEach { queue.addLast(it) }
+        }
+        return dependents
+    }
+
+    /**
+     * Get the loaded modules, each with the files that import it.
+     *
+     * @return Canonical module path -> canonical paths of its importers, sorted by module path
+     */
+    fun loadedModules(): Map<Path, List<Path>> {
+        return loaded.sorted().associateWith { importersOf(it) }
+    }
+
+    /**
+     * Record a file GraalJS loaded as a module (called by RhettJSFileSystem).
+     *
+     * @param path The module file
+     * @param source The module's source, or null for data modules (which import nothing)
+     * @param rjsRoot The rjs/ directory aliases and packages are resolved from
+     */
+    internal fun recordModule(path: Path, source: String?, rjsRoot: Path?) {
+        val key = normalize(path)
+        loaded.add(key)
+        recordImports(key, source ?: "", rjsRoot)
+    }
+
+    /**
+     * Record the files a module or script imports, replacing what was recorded before.
+     * Specifiers that don't resolve to a file (built-in modules, typos) are skipped.
+     *
+     * @param importer The importing file
+     * @param source Its source code
+     * @param rjsRoot The rjs/ directory aliases and packages are resolved from
+     */
+    internal fun recordImports(importer: Path, source: String, rjsRoot: Path?) {
+        val key = normalize(importer)
+        imports[key] = IMPORT_SPECIFIER.findAll(source)
+            .mapNotNull { resolveImport(key, it.groupValues[2], rjsRoot) }
+            .toSet()
+    }
+
+    private fun resolveImport(importer: Path, specifier: String, rjsRoot: Path?): Path? {
+        val file = try {
+            when {
+                specifier.startsWith("./") || specifier.startsWith("../") -> importer.resolveSibling(specifier)
+                PackageResolver.isBareSpecifier(specifier) && rjsRoot != null ->
+                    ImportMap.resolve(specifier, rjsRoot) ?: PackageResolver.resolve(specifier, rjsRoot)
+                else -> null
+            }
+        } catch (e: IllegalArgumentException) {
+            // Unresolvable specifiers and invalid paths fail the import itself
+            null
+        }
+        return file?.takeIf { Files.isRegularFile(it) }?.let { normalize(it) }
+    }
+
+    /**
+     * Add the generation marker to the canonical path of an invalidated module.
+     * Called by RhettJSFileSystem.toRealPath, which GraalJS uses as the module cache key.
+     */
+    internal fun versioned(realPath: Path): Path {
+        val generation = generations[normalize(realPath)] ?: return realPath
+        val fileName = realPath.fileName?.toString() ?: return realPath
+        val dot = fileName.lastIndexOf('.')
+        val versionedName = if (dot > 0) {
+            "${fileName.substring(0, dot)}.__rjs_v${generation}__${fileName.substring(dot)}"
+        } else {
+            "$fileName.__rjs_v${generation}__"
+        }
+        return realPath.resolveSibling(versionedName)
+    }
+
+    /**
+     * Strip the generation marker, giving the path of the file on disk.
+     */
+    internal fun unversioned(path: Path): Path {
+        val fileName = path.fileName?.toString() ?: return path
+        if (!VERSION_MARKER.containsMatchIn(fileName)) {
+            return path
+        }
+        return path.resolveSibling(VERSION_MARKER.replace(fileName, ""))
+    }
+
+    /**
+     * Forget all invalidations and the import graph (fresh contexts have empty module caches).
+     */
+    fun clear() {
+        generations.clear()
+        imports.clear()
+        loaded.clear()
+    }
+
+    /**
+     * Canonical form of a module path: absolute, without generation marker, symlinks resolved.
+     */
+    internal fun normalize(path: Path): Path {
+        val absolute = unversioned(path).toAbsolutePath().normalize()
+        return try {
+            absolute.toRealPath()
+        } catch (e: Exception) {
+            absolute
+        }
+    }
+}
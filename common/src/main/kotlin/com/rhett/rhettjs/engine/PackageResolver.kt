@@ -0,0 +1,178 @@
+package com.rhett.rhettjs.engine
+
+import com.google.gson.JsonElement
+import com.google.gson.JsonObject
+import com.google.gson.JsonParser
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.isDirectory
+import kotlin.io.path.isRegularFile
+import kotlin.io.path.readText
+
+/**
+ * Resolution of npm-style bare specifiers (`import debounce from 'lodash-es/debounce.js'`)
+ * against the `rjs/node_modules` tree, used by RhettJSFileSystem.
+ *
+ * Follows the Node.js ESM rules for package.json as far as they apply to pure-ESM packages:
+ * - `exports` (string, subpath map, `*` patterns and nested conditions) is authoritative
+ *   when present; subpaths it doesn't list can't be imported
+ * - otherwise `module`, then `main`, then `index.js` is the entry point, and subpaths
+ *   are files in the package directory (`.js` and `/index.js` are tried)
+ *
+ * Only one node_modules directory is searched, so packages must be installed flat
+ * (npm's default). CommonJS packages are not supported.
+ */
+object PackageResolver {
+
+    const val NODE_MODULES = "node_modules"
+
+    // Conditions matched in `exports`, in the order each object lists them
+    private val CONDITIONS = setOf("rhettjs", "import", "module", "default")
+
+    /**
+     * Check whether a specifier is bare: not relative, absolute or a URL.
+     */
+    fun isBareSpecifier(specifier: String): Boolean {
+        return specifier.isNotEmpty() &&
+            !specifier.startsWith(".") &&
+            !specifier.startsWith("/") &&
+            !specifier.startsWith("\\") &&
+            !specifier.contains(':')
+    }
+
+    /**
+     * Package name of a bare specifier: its first segment, or first two for a scoped package.
+     *
+     * @return The name, e.g. "lodash-es" or "@team/utils", or null if the specifier has none
+     */
+    fun packageNameOf(specifier: String): String? {
+        val segments = specifier.split('/')
+        val nameLength = if (specifier.startsWith("@")) 2 else 1
+        if (segments.size < nameLength || segments.take(nameLength).any { it.isEmpty() }) {
+            return null
+        }
+        return segments.take(nameLength).joinToString("/")
+    }
+
+    /**
+     * Resolve a bare specifier to a file.
+     *
+     * @param specifier The import specifier, e.g. "lodash-es" or "@team/utils/strings.js"
+     * @param rjsRoot The rjs/ directory containing node_modules
+     * @return The module file, or null if no installed package has the specifier's name
+     * @throws ModuleResolutionException if the package exists but doesn't provide the subpath
+     */
+    fun resolve(specifier: String, rjsRoot: Path): Path? {
+        if (!isBareSpecifier(specifier)) {
+            return null
+        }
+
+        val packageName = packageNameOf(specifier) ?: return null
+        val rest = specifier.removePrefix(packageName).removePrefix("/")
+        val subpath = if (rest.isEmpty()) "." else "./$rest"
+
+        val packageDir = rjsRoot.resolve(NODE_MODULES).resolve(packageName).toAbsolutePath().normalize()
+        if (!packageDir.isDirectory()) {
+            return null
+        }
+
+        val manifest = readManifest(packageDir)
+        val exports = manifest?.get("exports")
+        val target = if (exports != null && !exports.isJsonNull) {
+            resolveExports(exports, subpath)
+                ?: throw ModuleResolutionException(specifier, emptyList(), "package '$packageName' does not export '$subpath' (see its package.json \"exports\")")
+        } else {
+            resolveLegacy(manifest, subpath)
+        }
+
+        val file = packageDir.resolve(target).normalize()
+        if (!file.startsWith(packageDir)) {
+            throw ModuleResolutionException(specifier, emptyList(), "package '$packageName' maps '$subpath' outside its directory")
+        }
+        val candidates = candidatesOf(file)
+        val resolved = candidates.firstOrNull { Files.isRegularFile(it) }
+            ?: throw ModuleResolutionException(specifier, candidates.map { relativeTo(rjsRoot, it) }, "no such file in package '$packageName'")
+
+        ConfigManager.debug("[Modules] Resolved package specifier '$specifier' to $resolved")
+        return resolved
+    }
+
+    private fun readManifest(packageDir: Path): JsonObject? {
+        val file = packageDir.resolve("package.json")
+        if (!file.isRegularFile()) {
+            return null
+        }
+        return try {
+            JsonParser.parseString(file.readText()).takeIf { it.isJsonObject }?.asJsonObject
+        } catch (e: Exception) {
+            throw ModuleResolutionException(packageDir.fileName.toString(), emptyList(), "invalid package.json: ${e.message}")
+        }
+    }
+
+    /**
+     * Look a subpath up in an `exports` field; null if it isn't exported.
+     */
+    private fun resolveExports(exports: JsonElement, subpath: String): String? {
+        // A string, array, or an object of conditions is the export of "." alone
+        val subpaths = exports.takeIf { it.isJsonObject }?.asJsonObject
+            ?.takeIf { obj -> obj.keySet().all { it.startsWith(".") } }
+            ?: return if (subpath == ".") resolveTarget(exports, null) else null
+
+        subpaths.get(subpath)?.let { return resolveTarget(it, null) }
+
+        // Patterns ("./features/*": "./src/features/*.js"), the longest prefix wins
+        return subpaths.entrySet()
+            .filter { (key, _) -> key.count { it == '*' } == 1 }
+            .mapNotNull { (key, value) ->
+                val prefix = key.substringBefore('*')
+                val suffix = key.substringAfter('*')
+                if (subpath.startsWith(prefix) && subpath.endsWith(suffix) && subpath.length >= prefix.length + suffix.length) {
+                    Triple(prefix.length, value, subpath.substring(prefix.length, subpath.length - suffix.length))
+                } else {
+                    null
+                }
+            }
+            .sortedByDescending { it.first }
+            .firstNotNullOfOrNull { (_, value, match) -> resolveTarget(value, match) }
+    }
+
+    /**
+     * Resolve an export target: a path, the first matching condition, or the first usable
+     * entry of an array. `*` in the path is replaced by [match].
+     */
+    private fun resolveTarget(target: JsonElement, match: String?): String? {
+        return when {
+            target.isJsonNull -> null
+            target.isJsonPrimitive -> {
+                val path = target.asString
+                if (!path.startsWith("./")) null else if (match != null) path.replace("*", match) else path
+            }
+            target.isJsonArray -> target.asJsonArray.firstNotNullOfOrNull { resolveTarget(it, match) }
+            target.isJsonObject -> target.asJsonObject.entrySet()
+                .filter { it.key in CONDITIONS }
+                .firstNotNullOfOrNull { resolveTarget(it.value, match) }
+            else -> null
+        }
+    }
+
+    private fun resolveLegacy(manifest: JsonObject?, subpath: String): String {
+        if (subpath != ".") {
+            return subpath
+        }
+        return listOf("module", "main")
+            .firstNotNullOfOrNull { field -> manifest?.get(field)?.takeIf { it.isJsonPrimitive }?.asString }
+            ?: "index.js"
+    }
+
+    /**
+     * The file itself, or with `.js` or `/index.js` added.
+     */
+    private fun candidatesOf(file: Path): List<Path> {
+        return listOf(file, file.resolveSibling("${file.fileName}.js"), file.resolve("index.js"))
+    }
+
+    private fun relativeTo(rjsRoot: Path, file: Path): String {
+        return rjsRoot.toAbsolutePath().normalize().relativize(file).joinToString("/")
+    }
+}
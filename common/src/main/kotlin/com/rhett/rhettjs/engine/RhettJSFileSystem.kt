@@ -10,10 +10,12 @@ import java.nio.channels.SeekableByteChannel
 import java.nio.file.AccessMode
 import java.nio.file.CopyOption
 import java.nio.file.DirectoryStream
+import java.nio.file.Files
 import java.nio.file.LinkOption
 import java.nio.file.OpenOption
 import java.nio.file.Path
 import java.nio.file.Paths
+import java.nio.file.StandardOpenOption
 import java.nio.file.attribute.FileAttribute
 import java.nio.file.attribute.FileTime
 import java.util.*
@@ -24,14 +26,37 @@ import java.util.*
  * Intercepts module resolution to support:
  * - `import World from 'World'` - Built-in modules (bare specifiers)
  * - `import { add } from '../modules/math.js'` - User modules (relative paths)
+ * - `import debounce from 'lodash-es/debounce.js'` - Packages in rjs/node_modules (see PackageResolver)
+ * - `import { add } from '@shared/math.js'` - Aliases from rjs/import-map.json (see ImportMap)
  *
  * When a bare specifier for a built-in module is detected, this FileSystem:
  * 1. Returns a virtual path (/__builtins__/ModuleName)
  * 2. Generates ES6 module code that exports the global binding
  * 3. Provides the content via an in-memory byte channel
+ *
+ * Canonical paths of modules invalidated through ModuleCache carry a generation marker so
+ * GraalJS loads them again; the marker is stripped before touching the disk.
+ *
+ * TypeScript modules (.ts) are read through TypeScriptTranspiler, so scripts can import them
+ * like any other module.
+ *
+ * NBT and text imports are served as generated modules (see DataModules). Like JSON modules,
+ * they can only be read from inside the rjs/ directory, with or without the sandbox.
+ *
+ * When a sandbox root is given (see SandboxPolicy), every file operation outside that
+ * directory fails with a SecurityException. Symlinks are resolved first, so a link inside
+ * the root can't be used to reach files outside it.
+ *
+ * @param delegate The file system real files are read from
+ * @param sandboxRoot Supplies the directory scripts are confined to (the current rjs/ directory),
+ *                    or null for no restriction
+ * @param scriptsRoot Supplies the rjs/ directory packages are resolved from, or null to
+ *                    disable package imports
  */
 class RhettJSFileSystem(
-    private val delegate: FileSystem
+    private val delegate: FileSystem,
+    private val sandboxRoot: () -> Path? = { null },
+    private val scriptsRoot: () -> Path? = { null }
 ) : FileSystem {
 
     companion object {
@@ -67,10 +92,26 @@ class RhettJSFileSystem(
             return virtualPath
         }
 
+        // Bare specifiers are import map aliases or installed packages in rjs/node_modules.
+        // Failures throw ModuleResolutionException, which GraalJS reports as the import error.
+        val root = scriptsRoot()
+        if (root != null && PackageResolver.isBareSpecifier(path)) {
+            ImportMap.resolve(path, root)?.let { return it }
+            PackageResolver.resolve(path, root)?.let { return it }
+
+            val tried = listOfNotNull(
+                ImportMap.FILE_NAME,
+                PackageResolver.packageNameOf(path)?.let { "${PackageResolver.NODE_MODULES}/$it" }
+            )
+            throw ModuleResolutionException(path, tried, "not a built-in module, import map alias or installed package")
+        }
+
         return delegate.parsePath(path)
     }
 
-    override fun checkAccess(path: Path, modes: MutableSet<out AccessMode>?, vararg linkOptions: LinkOption?) {
+    override fun checkAccess(rawPath: Path, modes: MutableSet<out AccessMode>?, vararg linkOptions: LinkOption?) {
+        val path = DataModules.unmarked(ModuleCache.unversioned(rawPath))
+
         // Virtual built-in modules are always accessible for reading
         if (path.toString().startsWith(VIRTUAL_PREFIX)) {
             if (modes == null || modes.isEmpty() || modes.contains(AccessMode.READ)) {
@@ -79,14 +120,17 @@ class RhettJSFileSystem(
             throw IOException("Write access not supported for built-in modules")
         }
 
+        checkSandbox(path)
         delegate.checkAccess(path, modes, *linkOptions)
     }
 
     override fun newByteChannel(
-        path: Path,
+        rawPath: Path,
         options: MutableSet<out OpenOption>?,
         vararg attrs: FileAttribute<*>?
     ): SeekableByteChannel {
+        val path = ModuleCache.unversioned(rawPath)
+
         // Check if this is a virtual built-in module
         val pathString = path.toString()
         if (pathString.startsWith(VIRTUAL_PREFIX)) {
@@ -96,10 +140,114 @@ class RhettJSFileSystem(
             return ByteArraySeekableByteChannel(moduleContent.toByteArray(Charsets.UTF_8))
         }
 
+        // Data modules are generated from the file they import
+        if (DataModules.isDataModule(path) && isReadOnly(options)) {
+            val content = readDataModule(path)
+            ModuleCache.recordModule(delegate.toAbsolutePath(DataModules.unmarked(path)), null, scriptsRoot())
+            return ByteArraySeekableByteChannel(content)
+        }
+
         // Delegate to default for real files
+        checkSandbox(path)
+        if (path.fileName?.toString()?.endsWith(".json") == true && isReadOnly(options)) {
+            checkDataFile(path)
+            ModuleCache.recordModule(delegate.toAbsolutePath(path), null, scriptsRoot())
+        }
+
+        // Imported TypeScript modules are type-stripped on read; nbt and text imports in
+        // modules are rewritten (without changing the size GraalJS was told).
+        // Both are recorded in the import graph (see ModuleCache).
+        if (TypeScriptTranspiler.isTypeScript(path) && isReadOnly(options)) {
+            val content = readTypeScript(path)
+            val file = delegate.toAbsolutePath(path)
+            ModuleCache.recordModule(file, String(Files.readAllBytes(file), Charsets.UTF_8), scriptsRoot())
+            return ByteArraySeekableByteChannel(content)
+        }
+        if (path.fileName?.toString()?.endsWith(".js") == true && isReadOnly(options)) {
+            val file = delegate.toAbsolutePath(path)
+            val code = String(Files.readAllBytes(file), Charsets.UTF_8)
+            ModuleCache.recordModule(file, code, scriptsRoot())
+            return ByteArraySeekableByteChannel(DataModules.rewriteImports(code).toByteArray(Charsets.UTF_8))
+        }
         return delegate.newByteChannel(path, options, *attrs)
     }
 
+    /**
+     * Generated module code for an NBT or text import.
+     *
+     * @throws IOException if the file can't be read or decoded (reported as the import failure)
+     */
+    private fun readDataModule(path: Path): ByteArray {
+        val file = DataModules.unmarked(path)
+        checkSandbox(file)
+        checkDataFile(file)
+        return DataModules.generate(path, delegate.toAbsolutePath(file)).toByteArray(Charsets.UTF_8)
+    }
+
+    /**
+     * Reject data imports from outside the rjs/ directory, even with the sandbox disabled.
+     *
+     * @throws SecurityException if the file resolves outside the rjs/ directory
+     */
+    private fun checkDataFile(file: Path) {
+        val root = scriptsRoot()?.let { realPathOf(it.toAbsolutePath().normalize()) } ?: return
+        val resolved = realPathOf(delegate.toAbsolutePath(file).normalize())
+
+        if (!resolved.startsWith(root)) {
+            throw SecurityException("Data imports must be inside the rjs directory: $file")
+        }
+    }
+
+    private fun isReadOnly(options: Set<OpenOption>?): Boolean {
+        return options == null || options.none {
+            it == StandardOpenOption.WRITE || it == StandardOpenOption.APPEND ||
+                it == StandardOpenOption.CREATE || it == StandardOpenOption.CREATE_NEW
+        }
+    }
+
+    /**
+     * Transpiled content of a .ts file, with its nbt and text imports rewritten.
+     *
+     * @throws IOException with the TypeScript error (GraalJS reports it as the import failure)
+     */
+    private fun readTypeScript(path: Path): ByteArray {
+        return try {
+            val code = TypeScriptTranspiler.transpileFile(delegate.toAbsolutePath(path))
+            DataModules.rewriteImports(code).toByteArray(Charsets.UTF_8)
+        } catch (e: TypeScriptSyntaxException) {
+            throw IOException(e.message, e)
+        }
+    }
+
+    /**
+     * Reject access to a path outside the sandbox root (no-op without a sandbox).
+     *
+     * @throws SecurityException if the path resolves outside the rjs/ directory
+     */
+    private fun checkSandbox(path: Path) {
+        val root = sandboxRoot()?.let { realPathOf(it.toAbsolutePath().normalize()) } ?: return
+        val resolved = realPathOf(delegate.toAbsolutePath(path).normalize())
+
+        if (!resolved.startsWith(root)) {
+            ConfigManager.debug("Sandbox blocked file access: $resolved (root: $root)")
+            throw SecurityException(SandboxPolicy.fileAccessDenied(path.toString()))
+        }
+    }
+
+    /**
+     * Resolve symlinks in the longest existing prefix of a path (the rest may not exist yet).
+     */
+    private fun realPathOf(path: Path): Path {
+        var existing: Path? = path
+        while (existing != null && !Files.exists(existing)) {
+            existing = existing.parent
+        }
+        if (existing == null) {
+            return path
+        }
+        return existing.toRealPath().resolve(existing.relativize(path))
+    }
+
     /**
      * Check if a specifier is a bare built-in module reference.
      * Examples: "World", "file:///World", "World" (from URI)
@@ -170,14 +318,21 @@ class RhettJSFileSystem(
         if (path.toString().startsWith(VIRTUAL_PREFIX)) {
             return path // Virtual paths don't have real paths
         }
-        return delegate.toRealPath(path, *linkOptions)
+        // GraalJS caches modules by real path, so invalidated modules get a new one
+        val unversioned = ModuleCache.unversioned(path)
+        if (DataModules.isMarked(unversioned)) {
+            val realPath = delegate.toRealPath(DataModules.unmarked(unversioned), *linkOptions)
+            return ModuleCache.versioned(DataModules.marked(realPath))
+        }
+        return ModuleCache.versioned(delegate.toRealPath(unversioned, *linkOptions))
     }
 
     override fun readAttributes(
-        path: Path,
+        rawPath: Path,
         attributes: String?,
         vararg options: LinkOption?
     ): MutableMap<String, Any> {
+        val path = ModuleCache.unversioned(rawPath)
         if (path.toString().startsWith(VIRTUAL_PREFIX)) {
             // Return minimal attributes for virtual files
             return mutableMapOf(
@@ -187,31 +342,75 @@ class RhettJSFileSystem(
                 "lastModifiedTime" to FileTime.fromMillis(System.currentTimeMillis())
             )
         }
-        return delegate.readAttributes(path, attributes, *options)
+        if (DataModules.isDataModule(path)) {
+            checkSandbox(DataModules.unmarked(path))
+            val result = delegate.readAttributes(DataModules.unmarked(path), attributes, *options)
+            if ("size" in result) {
+                try {
+                    result["size"] = readDataModule(path).size.toLong()
+                } catch (e: Exception) {
+                    // Surfaced when the module is read
+                }
+            }
+            return result
+        }
+        checkSandbox(path)
+        val result = delegate.readAttributes(path, attributes, *options)
+
+        // Report the size of the type-stripped content GraalJS will read
+        if (TypeScriptTranspiler.isTypeScript(path) && "size" in result && result["isRegularFile"] != false) {
+            try {
+                result["size"] = readTypeScript(path).size.toLong()
+            } catch (e: IOException) {
+                // Surfaced when the module is read
+            }
+        }
+        return result
     }
 
-    override fun newDirectoryStream(dir: Path, filter: DirectoryStream.Filter<in Path>?): DirectoryStream<Path> =
-        delegate.newDirectoryStream(dir, filter)
+    override fun newDirectoryStream(dir: Path, filter: DirectoryStream.Filter<in Path>?): DirectoryStream<Path> {
+        checkSandbox(dir)
+        return delegate.newDirectoryStream(dir, filter)
+    }
 
-    override fun createDirectory(dir: Path, vararg attrs: FileAttribute<*>?) =
+    override fun createDirectory(dir: Path, vararg attrs: FileAttribute<*>?) {
+        checkSandbox(dir)
         delegate.createDirectory(dir, *attrs)
+    }
 
-    override fun delete(path: Path) = delegate.delete(path)
+    override fun delete(path: Path) {
+        checkSandbox(path)
+        delegate.delete(path)
+    }
 
-    override fun copy(source: Path, target: Path, vararg options: CopyOption?) =
+    override fun copy(source: Path, target: Path, vararg options: CopyOption?) {
+        checkSandbox(source)
+        checkSandbox(target)
         delegate.copy(source, target, *options)
+    }
 
-    override fun move(source: Path, target: Path, vararg options: CopyOption?) =
+    override fun move(source: Path, target: Path, vararg options: CopyOption?) {
+        checkSandbox(source)
+        checkSandbox(target)
         delegate.move(source, target, *options)
+    }
 
-    override fun createLink(link: Path, existing: Path) =
+    override fun createLink(link: Path, existing: Path) {
+        checkSandbox(link)
+        checkSandbox(existing)
         delegate.createLink(link, existing)
+    }
 
-    override fun createSymbolicLink(link: Path, target: Path, vararg attrs: FileAttribute<*>?) =
+    override fun createSymbolicLink(link: Path, target: Path, vararg attrs: FileAttribute<*>?) {
+        checkSandbox(link)
+        checkSandbox(link.resolveSibling(target))
         delegate.createSymbolicLink(link, target, *attrs)
+    }
 
-    override fun readSymbolicLink(link: Path): Path =
-        delegate.readSymbolicLink(link)
+    override fun readSymbolicLink(link: Path): Path {
+        checkSandbox(link)
+        return delegate.readSymbolicLink(link)
+    }
 
     override fun setCurrentWorkingDirectory(currentWorkingDirectory: Path) =
         delegate.setCurrentWorkingDirectory(currentWorkingDirectory)
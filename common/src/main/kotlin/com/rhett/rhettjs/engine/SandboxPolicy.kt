@@ -0,0 +1,94 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.HostAccess
+
+/**
+ * Host access policy for script contexts, driven by RhettJSConfig.
+ *
+ * With the sandbox enabled (the default), scripts:
+ * - can only look up Java classes listed in `sandbox_allowed_classes` (Java.type)
+ * - can't use reflection, class loaders, threads, processes or System through host objects
+ * - can only access files under the rjs/ directory (enforced by RhettJSFileSystem)
+ * - can't create threads or processes, or load native code
+ *
+ * With the sandbox disabled, scripts get full host access (development only).
+ */
+object SandboxPolicy {
+
+    // Members of these classes are never reachable from scripts, even through objects we hand out
+    private val DENIED_CLASSES = listOf(
+        Class::class.java,
+        ClassLoader::class.java,
+        Thread::class.java,
+        Runtime::class.java,
+        ProcessBuilder::class.java,
+        System::class.java
+    )
+
+    private val SANDBOXED_HOST_ACCESS: HostAccess by lazy {
+        val builder = HostAccess.newBuilder(HostAccess.ALL)
+        DENIED_CLASSES.forEach { builder.denyAccess(it) }
+        builder.build()
+    }
+
+    /**
+     * Apply the configured policy to a context builder.
+     */
+    fun apply(builder: Context.Builder) {
+        if (!ConfigManager.isSandboxEnabled()) {
+            RhettJSCommon.LOGGER.warn("[RhettJS] Sandbox disabled: scripts have full Java and filesystem access")
+            builder.allowAllAccess(true)
+                // Enable multi-threading for World API (server thread callbacks)
+                .allowCreateThread(true)
+            return
+        }
+
+        builder.allowHostAccess(SANDBOXED_HOST_ACCESS)
+            .allowHostClassLookup { className -> checkClassLookup(className) }
+            .allowCreateThread(false)
+            .allowCreateProcess(false)
+            .allowNativeAccess(false)
+
+        ConfigManager.debug("Applied sandbox policy (${ConfigManager.getSandboxAllowedClasses().size} allowed classes)")
+    }
+
+    /**
+     * Check whether a Java class name matches the allow-list.
+     * Entries are exact class names or package prefixes ending in ".*".
+     */
+    fun isClassAllowed(className: String): Boolean {
+        return ConfigManager.getSandboxAllowedClasses().any { entry ->
+            if (entry.endsWith(".*")) {
+                className.startsWith(entry.removeSuffix("*"))
+            } else {
+                className == entry
+            }
+        }
+    }
+
+    /**
+     * Host class lookup predicate: allowed classes pass, anything else is logged so server
+     * owners can see what a script tried to reach and how to allow it.
+     */
+    private fun checkClassLookup(className: String): Boolean {
+        if (isClassAllowed(className)) {
+            return true
+        }
+
+        RhettJSCommon.LOGGER.warn(
+            "[RhettJS] Sandbox blocked access to Java class '$className'. " +
+                "Add it to sandbox_allowed_classes in rhettjs.json to allow it."
+        )
+        return false
+    }
+
+    /**
+     * Build the error message for a file access outside the rjs/ directory.
+     */
+    internal fun fileAccessDenied(path: String): String {
+        return "Sandbox: scripts can only access files inside the rjs directory (blocked: $path)"
+    }
+}
@@ -0,0 +1,199 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.async.ScriptProcessTable
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardCopyOption
+import java.nio.file.StandardOpenOption
+import java.time.LocalDateTime
+import java.time.format.DateTimeFormatter
+import java.util.concurrent.ConcurrentLinkedQueue
+import java.util.concurrent.Executors
+import java.util.concurrent.ScheduledExecutorService
+import java.util.concurrent.TimeUnit
+import kotlin.io.path.deleteIfExists
+import kotlin.io.path.exists
+import kotlin.io.path.fileSize
+import kotlin.io.path.isDirectory
+
+/**
+ * Routing of script console output (console.log/info/warn/error/debug).
+ *
+ * Each message is attributed to the script whose code is running (its execution, or the script
+ * owning the event handler or command), and, unless below the minimum level of that script's
+ * category (`console_levels` in rhettjs.json), goes to:
+ * - the server log
+ * - the caller of the execution, when it was started with an echo (e.g. by /rjs run)
+ * - the script's log file, `rjs/logs/<script>.log`, rotated at [MAX_LOG_BYTES]
+ *
+ * Log file lines are queued and written by a background thread every [FLUSH_INTERVAL_MS],
+ * so scripts logging on the server thread never wait for file I/O. [flush] writes them
+ * immediately (called when the server stops).
+ */
+object ScriptConsole {
+
+    /**
+     * Console levels, lowest first.
+     */
+    enum class Level(val jsName: String) {
+        DEBUG("debug"),
+        INFO("info"),
+        WARN("warn"),
+        ERROR("error");
+
+        companion object {
+            /**
+             * Parse a level from its config name (case-insensitive).
+             *
+             * @throws IllegalArgumentException if the name is not a known level
+             */
+            fun fromName(name: String): Level {
+                return entries.firstOrNull { it.jsName.equals(name, ignoreCase = true) }
+                    ?: throw IllegalArgumentException(
+                        "Invalid console level: $name. Valid levels: ${entries.joinToString(", ") { it.jsName }}"
+                    )
+            }
+        }
+    }
+
+    // Log files rotate at this size, keeping MAX_LOG_BACKUPS older files (<script>.log.1 is the newest)
+    private const val MAX_LOG_BYTES = 1024L * 1024L
+    private const val MAX_LOG_BACKUPS = 3
+
+    private const val FLUSH_INTERVAL_MS = 500L
+
+    private val TIMESTAMP = DateTimeFormatter.ofPattern("yyyy-MM-dd HH:mm:ss")
+
+    /**
+     * A line waiting to be written to a script's log file.
+     *
+     * @property root The rjs/ directory the file is in; lines are dropped if it was removed meanwhile
+     */
+    private data class LogLine(val root: Path, val file: Path, val text: String)
+
+    private val pending = ConcurrentLinkedQueue<LogLine>()
+
+    @Volatile
+    private var writer: ScheduledExecutorService? = null
+
+    /**
+     * Write a console message from the script running on this thread.
+     */
+    fun write(level: Level, message: String) {
+        val process = ScriptProcessTable.current()
+        val script = process?.script ?: ScriptLimits.currentScriptName()?.let { ScriptRegistry.getScript(it) }
+
+        if (level < minimumLevel(script?.category)) {
+            return
+        }
+
+        when (level) {
+            Level.DEBUG -> RhettJSCommon.LOGGER.info("[RhettJS-Script] [debug] $message")
+            Level.INFO -> RhettJSCommon.LOGGER.info("[RhettJS-Script] $message")
+            Level.WARN -> RhettJSCommon.LOGGER.warn("[RhettJS-Script] $message")
+            Level.ERROR -> RhettJSCommon.LOGGER.error("[RhettJS-Script] $message")
+        }
+
+        process?.echo?.let { echo ->
+            try {
+                echo(level, message)
+            } catch (e: Exception) {
+                ConfigManager.debug("[Console] Failed to echo to ${process.caller}: ${e.message}")
+            }
+        }
+
+        if (script != null && ConfigManager.isConsoleLogFilesEnabled()) {
+            appendToLog(script.name, level, message)
+        }
+    }
+
+    /**
+     * Minimum level written for scripts of a category: its `console_levels` entry, otherwise
+     * DEBUG with debug logging enabled and INFO without.
+     */
+    fun minimumLevel(category: ScriptCategory?): Level {
+        val configured = category?.let { ConfigManager.getConsoleLevel(it.dirName) }
+        if (configured != null) {
+            try {
+                return Level.fromName(configured)
+            } catch (e: IllegalArgumentException) {
+                ConfigManager.debug("[Console] ${e.message}")
+            }
+        }
+        return if (ConfigManager.isDebugEnabled()) Level.DEBUG else Level.INFO
+    }
+
+    /**
+     * Get the log file of a script, or null before the scripts directory is known.
+     */
+    fun logFileOf(scriptName: String): Path? {
+        return GraalEngine.getScriptsDirectory()?.resolve("logs")?.resolve("$scriptName.log")
+    }
+
+    /**
+     * Write all queued log file lines now.
+     */
+    @Synchronized
+    fun flush() {
+        val lines = generateSequence { pending.poll() }.toList()
+
+        lines.filter { it.root.isDirectory() }.groupBy({ it.file }, { it.text }).forEach { (file, texts) ->
+            try {
+                Files.createDirectories(file.parent)
+                var chunk = StringBuilder()
+                for (text in texts) {
+                    if (file.exists() && file.fileSize() + chunk.length + text.length > MAX_LOG_BYTES) {
+                        append(file, chunk)
+                        chunk = StringBuilder()
+                        rotate(file)
+                    }
+                    chunk.append(text)
+                }
+                append(file, chunk)
+            } catch (e: Exception) {
+                ConfigManager.debug("[Console] Failed to write $file: ${e.message}")
+            }
+        }
+    }
+
+    private fun appendToLog(scriptName: String, level: Level, message: String) {
+        val root = GraalEngine.getScriptsDirectory() ?: return
+        val file = logFileOf(scriptName) ?: return
+        pending.add(LogLine(root, file, "[${LocalDateTime.now().format(TIMESTAMP)}] [${level.name}] $message\n"))
+
+        if (writer == null) {
+            synchronized(this) {
+                if (writer == null) {
+                    writer = Executors.newSingleThreadScheduledExecutor { runnable ->
+                        Thread(runnable, "RhettJS-Console").apply { isDaemon = true }
+                    }.also {
+                        it.scheduleWithFixedDelay(::flush, FLUSH_INTERVAL_MS, FLUSH_INTERVAL_MS, TimeUnit.MILLISECONDS)
+                    }
+                }
+            }
+        }
+    }
+
+    private fun append(file: Path, chunk: CharSequence) {
+        if (chunk.isNotEmpty()) {
+            Files.writeString(file, chunk, StandardOpenOption.CREATE, StandardOpenOption.APPEND)
+        }
+    }
+
+    /**
+     * Shift `x.log` to `x.log.1`, `x.log.1` to `x.log.2`, ..., dropping the oldest.
+     */
+    private fun rotate(file: Path) {
+        file.resolveSibling("${file.fileName}.$MAX_LOG_BACKUPS").deleteIfExists()
+        for (index in MAX_LOG_BACKUPS - 1 downTo 1) {
+            val older = file.resolveSibling("${file.fileName}.$index")
+            if (older.exists()) {
+                Files.move(older, file.resolveSibling("${file.fileName}.${index + 1}"), StandardCopyOption.REPLACE_EXISTING)
+            }
+        }
+        Files.move(file, file.resolveSibling("${file.fileName}.1"), StandardCopyOption.REPLACE_EXISTING)
+        ConfigManager.debug("[Console] Rotated $file")
+    }
+}
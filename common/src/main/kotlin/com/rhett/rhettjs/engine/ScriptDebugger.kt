@@ -0,0 +1,116 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.config.ConfigManager
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Chrome DevTools debugging through the GraalVM inspector.
+ *
+ * The inspector is an engine option, so it covers the shared context and isolated contexts
+ * alike, and switching it on recreates every context (see ScriptSystemInitializer.enableInspector).
+ * It only listens on 127.0.0.1.
+ *
+ * A script suspends on its first line by starting with a `debugger;` statement, added on the
+ * same line so line numbers are unchanged. The statement does nothing while no debugger is attached.
+ */
+object ScriptDebugger {
+
+    // Fixed path so the DevTools URL stays the same across restarts
+    private const val INSPECTOR_PATH = "rhettjs"
+
+    // Port chosen with /rjs debug; overrides the config until the server stops
+    @Volatile
+    private var portOverride: Int? = null
+
+    // Scripts that suspend on their next execution (armed by /rjs debug <script>)
+    private val suspendOnce = ConcurrentHashMap.newKeySet<String>()
+
+    /**
+     * Port the inspector listens on, or 0 if it is disabled.
+     */
+    fun port(): Int = portOverride ?: ConfigManager.getInspectorPort()
+
+    /**
+     * Check if the inspector is enabled.
+     */
+    fun isEnabled(): Boolean = port() > 0
+
+    /**
+     * URL to open in Chrome to attach DevTools.
+     */
+    fun devToolsUrl(): String = "devtools://devtools/bundled/js_app.html?ws=127.0.0.1:${port()}/$INSPECTOR_PATH"
+
+    /**
+     * Use the inspector on the given port.
+     *
+     * @param apply Called after the port changed to recreate the engine with it; if it throws,
+     *              the previous port is restored and the exception rethrown
+     * @return true if the port changed
+     */
+    fun enable(port: Int, apply: () -> Unit = {}): Boolean {
+        require(port in 1..65535) { "Invalid inspector port: $port" }
+        if (port == port()) {
+            return false
+        }
+
+        val previous = portOverride
+        portOverride = port
+        try {
+            apply()
+        } catch (e: Exception) {
+            portOverride = previous
+            throw e
+        }
+        return true
+    }
+
+    /**
+     * Suspend a script on its first line the next time it runs.
+     *
+     * @param scriptName Registry name of the script (e.g. "server/arena")
+     */
+    fun suspendOnNextRun(scriptName: String) {
+        suspendOnce.add(scriptName)
+        ConfigManager.debug("[Debugger] $scriptName will suspend on its next execution")
+    }
+
+    /**
+     * Engine options for the inspector; empty when it is disabled.
+     */
+    internal fun engineOptions(): Map<String, String> {
+        if (!isEnabled()) {
+            return emptyMap()
+        }
+        return mapOf(
+            "inspect" to "127.0.0.1:${port()}",
+            "inspect.Path" to INSPECTOR_PATH,
+            "inspect.Suspend" to "false",  // Scripts choose where to suspend (see instrument)
+            "inspect.WaitAttached" to "false",  // Never block server startup
+            "inspect.Secure" to "false"
+        )
+    }
+
+    /**
+     * Check whether a script should suspend on its first line in this execution.
+     * Consumes a pending /rjs debug request.
+     */
+    internal fun shouldSuspend(scriptName: String): Boolean {
+        if (!isEnabled()) {
+            return false
+        }
+        return suspendOnce.remove(scriptName) || ConfigManager.getInspectorSuspendScript() == scriptName
+    }
+
+    /**
+     * Make a script's source suspend on its first line.
+     */
+    internal fun instrument(source: String): String = "debugger;$source"
+
+    /**
+     * Forget pending suspend requests and the port override (for tests).
+     */
+    internal fun clear() {
+        suspendOnce.clear()
+        portOverride = null
+    }
+}
@@ -0,0 +1,169 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import java.util.concurrent.ConcurrentLinkedDeque
+
+/**
+ * Collects errors thrown by scripts outside of a direct executeScript() call:
+ * event handlers, command executors, and rejected promises (including top-level awaits).
+ *
+ * Errors are logged immediately with the script name and a trimmed JS stack (script frames
+ * relative to rjs/, see ScriptStackTrace), and the most recent ones are kept in memory for
+ * `/rjs errors`. The full stack, host frames included, goes to the debug log.
+ */
+object ScriptErrorLog {
+
+    /**
+     * A recorded script error.
+     *
+     * @property timestamp When the error was recorded (epoch millis)
+     * @property script Name of the script that owns the failing code, or "unknown"
+     * @property origin What was running, e.g. "event:playerJoin", "command:/heal", "promise"
+     * @property message The error message
+     * @property stack JS stack trace, if available
+     * @property frames Script frames of the stack, innermost first
+     */
+    data class ScriptError(
+        val timestamp: Long,
+        val script: String,
+        val origin: String,
+        val message: String,
+        val stack: String?,
+        val frames: List<ScriptStackTrace.Frame> = emptyList()
+    )
+
+    private const val MAX_ERRORS = 100
+
+    // Newest first
+    private val errors = ConcurrentLinkedDeque<ScriptError>()
+
+    // Matches the source name in a JS stack frame, e.g. "at handler (my-script.js:12:5)"
+    private val STACK_SOURCE = Regex("""at .*?\(?([^\s()]+?):\d+(?::\d+)?\)?\s*$""", RegexOption.MULTILINE)
+
+    /**
+     * Record an error and log it.
+     *
+     * @param frames Script frames; when given, the logged and stored stack is built from them
+     * @param fullStack Untrimmed stack, written to the debug log only
+     */
+    fun record(
+        script: String?,
+        origin: String,
+        message: String,
+        stack: String?,
+        frames: List<ScriptStackTrace.Frame> = emptyList(),
+        fullStack: String? = null
+    ) {
+        val trimmed = if (frames.isNotEmpty()) ScriptStackTrace.format(frames) else stack
+        val error = ScriptError(System.currentTimeMillis(), script ?: "unknown", origin, message, trimmed, frames)
+
+        errors.addFirst(error)
+        while (errors.size > MAX_ERRORS) {
+            errors.pollLast()
+        }
+
+        val stackSuffix = trimmed?.let { "\n$it" } ?: ""
+        RhettJSCommon.LOGGER.error("[RhettJS] Error in ${error.script} ($origin): $message$stackSuffix")
+        fullStack?.let { ConfigManager.debug("[RhettJS] Full stack of the error in ${error.script} ($origin):\n$it") }
+    }
+
+    /**
+     * Record an exception thrown synchronously by script code.
+     */
+    fun recordException(e: Throwable, script: String?, origin: String) {
+        if (e is PolyglotException) {
+            val stack = e.polyglotStackTrace
+                .filter { it.isGuestFrame }
+                .joinToString("\n") { "    at $it" }
+                .ifEmpty { null }
+            record(script, origin, e.message ?: "Unknown error", stack, ScriptStackTrace.framesOf(e), ScriptStackTrace.fullStack(e))
+        } else {
+            record(script, origin, e.message ?: e.javaClass.simpleName, null)
+        }
+    }
+
+    /**
+     * Record a promise rejection reason (usually a JS Error).
+     * When the script is unknown, it is taken from the top frame of the JS stack.
+     */
+    fun recordRejection(reason: Value?, script: String?, origin: String) {
+        if (reason == null || reason.isNull) {
+            record(script, origin, "Promise rejected with ${reason ?: "undefined"}", null)
+            return
+        }
+
+        val message = reason.getMemberOrNull("message")?.takeIf { it.isString }?.asString() ?: reason.toString()
+        // Error.stack repeats the message on its first line
+        val stack = reason.getMemberOrNull("stack")
+            ?.takeIf { it.isString }
+            ?.asString()
+            ?.lines()
+            ?.filter { it.trimStart().startsWith("at ") }
+            ?.joinToString("\n")
+            ?.ifEmpty { null }
+
+        val frames = stack?.let { ScriptStackTrace.framesOf(it) } ?: emptyList()
+        record(script ?: stack?.let { scriptFromStack(it) }, origin, message, stack, frames, stack)
+    }
+
+    /**
+     * If a value returned by script code is a promise, record its rejection instead of dropping it.
+     *
+     * @param result The value returned by a handler or executor (may be null or undefined)
+     * @param script The script that owns the code
+     * @param origin What was running, for the log entry
+     */
+    fun watch(result: Value?, script: String?, origin: String) {
+        if (result == null || !isPromise(result)) {
+            return
+        }
+
+        result.invokeMember("then", null, ProxyExecutable { args ->
+            recordRejection(args.getOrNull(0), script, origin)
+            null
+        })
+    }
+
+    /**
+     * Get the script a JS function was defined in, from its source location.
+     */
+    fun scriptNameOf(function: Value): String? {
+        return try {
+            function.sourceLocation?.source?.name
+        } catch (e: Exception) {
+            null
+        }
+    }
+
+    /**
+     * Get recorded errors, newest first.
+     */
+    fun getErrors(): List<ScriptError> = errors.toList()
+
+    /**
+     * Forget all recorded errors.
+     */
+    fun clear() {
+        errors.clear()
+    }
+
+    /**
+     * Check whether a value is a JS promise (or thenable).
+     */
+    internal fun isPromise(value: Value): Boolean {
+        return value.metaObject?.metaSimpleName == "Promise" ||
+            (value.hasMembers() && value.getMemberOrNull("then")?.canExecute() == true)
+    }
+
+    private fun scriptFromStack(stack: String): String? {
+        return STACK_SOURCE.find(stack)?.groupValues?.get(1)
+    }
+
+    private fun Value.getMemberOrNull(key: String): Value? {
+        return if (hasMember(key)) getMember(key) else null
+    }
+}
@@ -4,11 +4,16 @@ import java.nio.file.Path
 
 /**
  * Metadata about a discovered script.
+ *
+ * @property isolated Whether the script asked for its own GraalVM context (`// @rjs isolated` header)
+ * @property metadata What the script declared in its `// @rjs` header
  */
 data class ScriptInfo(
     val name: String,
     val path: Path,
     val category: ScriptCategory,
     val lastModified: Long,
-    val status: ScriptStatus
+    val status: ScriptStatus,
+    val isolated: Boolean = false,
+    val metadata: ScriptMetadata = ScriptMetadata()
 )
@@ -0,0 +1,297 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.config.ResourceLimitConfig
+import org.graalvm.polyglot.Context
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.ResourceLimits
+import org.graalvm.polyglot.Value
+import java.lang.management.ManagementFactory
+import java.time.Duration
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.Executors
+import java.util.concurrent.ScheduledExecutorService
+import java.util.concurrent.TimeUnit
+
+/**
+ * Thrown when a script execution exceeds one of its resource limits.
+ * The message names the script and the limit, and is shown in-game.
+ */
+class ScriptLimitException(message: String, cause: Throwable? = null) : RuntimeException(message, cause)
+
+/**
+ * Per-execution resource limits for scripts (see ResourceLimitConfig).
+ *
+ * - Statement limits use GraalVM ResourceLimits on each context. The counter is reset at the
+ *   start of every execution, so the limit is a per-execution budget. GraalVM stops the whole
+ *   context when it trips, so GraalEngine discards it (see GraalEngine.discardContext).
+ * - Allocation budgets are enforced by a watchdog thread that measures the bytes allocated by
+ *   the executing thread and interrupts the context when the budget is exceeded. This counts
+ *   every allocation on the thread while the script runs, including garbage and host code the
+ *   script calls (World and Structure operations), so it bounds allocation churn rather than
+ *   the heap the script retains.
+ *
+ * Executions are wrapped with [guard]; limits can be overridden per script via
+ * Runtime.setResourceLimits().
+ */
+object ScriptLimits {
+
+    private const val WATCHDOG_INTERVAL_MS = 20L
+    private const val BYTES_PER_MB = 1024L * 1024L
+
+    /**
+     * A running execution watched for its allocation budget.
+     */
+    private class Execution(
+        val context: Context,
+        val scriptName: String,
+        val thread: Thread,
+        val startAllocated: Long,
+        @Volatile var maxAllocatedBytes: Long
+    ) {
+        @Volatile
+        var allocationExceeded = false
+    }
+
+    /**
+     * Limits set by a script through Runtime.setResourceLimits() (null = use the config).
+     */
+    private data class Override(val maxStatements: Long?, val maxAllocatedMb: Long?)
+
+    private val overrides = ConcurrentHashMap<String, Override>()
+    private val executions = ConcurrentHashMap.newKeySet<Execution>()
+    private val currentExecution = ThreadLocal<Execution?>()
+
+    // Contexts whose statement limit tripped and that have not been reported yet
+    private val exhaustedContexts = ConcurrentHashMap<Context, Long>()
+
+    private val threadMXBean = ManagementFactory.getThreadMXBean() as? com.sun.management.ThreadMXBean
+
+    @Volatile
+    private var watchdog: ScheduledExecutorService? = null
+
+    /**
+     * Name of the script whose code runs on this thread (script body, event handler or command), if any.
+     */
+    fun currentScriptName(): String? = currentExecution.get()?.scriptName
+
+    /**
+     * Get the effective limits of a script: its Runtime overrides on top of its category's config.
+     */
+    fun limitsFor(scriptName: String, category: ScriptCategory): ResourceLimitConfig {
+        val configured = ConfigManager.getResourceLimits(category.dirName)
+        val override = overrides[scriptName] ?: return configured
+        return ResourceLimitConfig(
+            max_statements = override.maxStatements ?: configured.max_statements,
+            max_allocated_mb = override.maxAllocatedMb ?: configured.max_allocated_mb
+        )
+    }
+
+    /**
+     * Statement limit of the shared context: the most generous limit among the categories
+     * that run in it (unlimited if any of them is).
+     */
+    fun sharedStatementLimit(): Long {
+        val isolated = ConfigManager.getIsolatedCategories()
+        val limits = ScriptCategory.values()
+            .filter { it != ScriptCategory.MODULES && it.dirName !in isolated }
+            .map { ConfigManager.getResourceLimits(it.dirName).max_statements }
+
+        return if (limits.isEmpty() || limits.any { it <= 0 }) 0 else limits.max()
+    }
+
+    /**
+     * Build GraalVM resource limits for a new context, or null for no statement limit.
+     */
+    fun createResourceLimits(statementLimit: Long): ResourceLimits? {
+        if (statementLimit <= 0) {
+            return null
+        }
+
+        return ResourceLimits.newBuilder()
+            .statementLimit(statementLimit, null)
+            .onLimit { event -> exhaustedContexts[event.context] = statementLimit }
+            .build()
+    }
+
+    /**
+     * Run an execution of a script under its limits.
+     * Resets the context's statement counter (unless already inside an execution of the same
+     * context) and watches the allocation budget. A tripped limit is reported in-game and rethrown
+     * as ScriptLimitException.
+     *
+     * @param context The context the execution runs in
+     * @param scriptName The script that owns the code
+     * @param category The script's category (selects the configured limits)
+     */
+    fun <T> guard(context: Context, scriptName: String, category: ScriptCategory, block: () -> T): T {
+        val outer = currentExecution.get()
+        if (outer == null || outer.context != context) {
+            context.resetLimits()
+        }
+
+        val maxAllocatedMb = limitsFor(scriptName, category).max_allocated_mb
+        val execution = Execution(context, scriptName, Thread.currentThread(), allocatedBytes(), maxAllocatedMb * BYTES_PER_MB)
+        if (execution.maxAllocatedBytes > 0) {
+            watch(execution)
+        }
+
+        currentExecution.set(execution)
+        try {
+            return block()
+        } catch (e: PolyglotException) {
+            val message = describeLimit(e, execution) ?: throw e
+            report(scriptName, message, context, nested = outer != null)
+            throw ScriptLimitException(message, e)
+        } finally {
+            currentExecution.set(outer)
+            executions.remove(execution)
+        }
+    }
+
+    /**
+     * Run an execution of a script whose category is looked up in ScriptRegistry
+     * (async continuations, where only the script name is known).
+     */
+    fun <T> guard(context: Context, scriptName: String, block: () -> T): T {
+        return guard(context, scriptName, categoryOf(scriptName), block)
+    }
+
+    /**
+     * Run a call into a JS function (event handler, command executor) under its script's limits.
+     */
+    fun <T> guardCall(function: Value, block: () -> T): T {
+        val context = function.context ?: return block()
+        return guard(context, ScriptErrorLog.scriptNameOf(function) ?: "unknown", block)
+    }
+
+    /**
+     * Override the limits of the script currently executing (Runtime.setResourceLimits).
+     * The allocation budget applies immediately; a statement limit applies from the script's next
+     * execution and needs an isolated script, since statement limits are set per context.
+     *
+     * @param maxStatements New statement limit, or null to keep the current one
+     * @param maxAllocatedMb New allocation budget in MB, or null to keep the current one
+     */
+    fun setOverride(maxStatements: Long?, maxAllocatedMb: Long?) {
+        val execution = currentExecution.get()
+            ?: throw IllegalStateException("setResourceLimits() can only be called while a script is running")
+
+        if (maxStatements != null && execution.context == GraalEngine.getSharedContextOrNull()) {
+            throw IllegalStateException(
+                "maxStatements can only be overridden by isolated scripts (add '// @rjs isolated'); " +
+                    "scripts in the shared context use its statement limit"
+            )
+        }
+
+        val previous = overrides[execution.scriptName]
+        overrides[execution.scriptName] = Override(
+            maxStatements ?: previous?.maxStatements,
+            maxAllocatedMb ?: previous?.maxAllocatedMb
+        )
+
+        if (maxAllocatedMb != null) {
+            execution.maxAllocatedBytes = maxAllocatedMb * BYTES_PER_MB
+            if (execution.maxAllocatedBytes > 0) watch(execution) else executions.remove(execution)
+        }
+
+        ConfigManager.debug("[Limits] ${execution.scriptName} overrides limits: statements=$maxStatements, allocatedMb=$maxAllocatedMb")
+    }
+
+    /**
+     * Forget Runtime overrides (called on reload).
+     */
+    fun clear() {
+        overrides.clear()
+        exhaustedContexts.clear()
+    }
+
+    /**
+     * Turn a polyglot exception caused by a tripped limit into a user-facing message.
+     */
+    private fun describeLimit(e: PolyglotException, execution: Execution): String? {
+        exhaustedContexts.remove(execution.context)?.let { limit ->
+            return "Script '${execution.scriptName}' exceeded its statement limit ($limit statements)"
+        }
+        if (execution.allocationExceeded && (e.isInterrupted || e.isCancelled)) {
+            return "Script '${execution.scriptName}' exceeded its allocation limit (${execution.maxAllocatedBytes / BYTES_PER_MB} MB allocated)"
+        }
+        return null
+    }
+
+    /**
+     * Log a tripped limit, tell online operators, and drop the context if GraalVM stopped it.
+     */
+    private fun report(scriptName: String, message: String, context: Context, nested: Boolean) {
+        ScriptErrorLog.record(scriptName, "limit", message, null)
+        com.rhett.rhettjs.events.ServerEventManager.notifyOperators("[RhettJS] $message")
+
+        if (isStopped(context)) {
+            GraalEngine.discardContext(context, deferred = nested)
+        }
+    }
+
+    private fun isStopped(context: Context): Boolean {
+        return try {
+            context.eval("js", "0")
+            false
+        } catch (e: Exception) {
+            true
+        }
+    }
+
+    private fun categoryOf(scriptName: String): ScriptCategory {
+        return ScriptRegistry.getAllScripts().firstOrNull { it.name == scriptName }?.category
+            ?: ScriptCategory.SERVER
+    }
+
+    private fun watch(execution: Execution) {
+        if (threadMXBean == null || !threadMXBean.isThreadAllocatedMemorySupported) {
+            ConfigManager.debug("[Limits] Allocation limits unavailable: JVM can't measure thread allocations")
+            return
+        }
+
+        executions.add(execution)
+
+        if (watchdog == null) {
+            synchronized(this) {
+                if (watchdog == null) {
+                    watchdog = Executors.newSingleThreadScheduledExecutor { runnable ->
+                        Thread(runnable, "RhettJS-Limits").apply { isDaemon = true }
+                    }.also {
+                        it.scheduleAtFixedRate(::checkAllocations, WATCHDOG_INTERVAL_MS, WATCHDOG_INTERVAL_MS, TimeUnit.MILLISECONDS)
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Watchdog tick: interrupt executions that allocated more than their budget.
+     */
+    private fun checkAllocations() {
+        executions.forEach { execution ->
+            if (execution.allocationExceeded || execution.maxAllocatedBytes <= 0) return@forEach
+
+            val allocated = allocatedBytes(execution.thread) - execution.startAllocated
+            if (allocated > execution.maxAllocatedBytes && executions.contains(execution)) {
+                execution.allocationExceeded = true
+                try {
+                    execution.context.interrupt(Duration.ofSeconds(1))
+                } catch (e: Exception) {
+                    RhettJSCommon.LOGGER.warn("[RhettJS] Could not interrupt ${execution.scriptName} after it exceeded its allocation limit: ${e.message}")
+                }
+            }
+        }
+    }
+
+    private fun allocatedBytes(thread: Thread = Thread.currentThread()): Long {
+        val bean = threadMXBean ?: return 0
+        return try {
+            bean.getThreadAllocatedBytes(thread.threadId())
+        } catch (e: UnsupportedOperationException) {
+            0
+        }
+    }
+}
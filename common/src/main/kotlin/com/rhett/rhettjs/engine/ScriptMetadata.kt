@@ -0,0 +1,83 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+
+/**
+ * Metadata declared in a script's leading `// @rjs` comment lines, one key per line:
+ *
+ * ```
+ * // @rjs name Arena
+ * // @rjs description Minigame arenas with queues
+ * // @rjs requires server/economy, server/teams
+ * // @rjs after server/setup
+ * // @rjs enabled false
+ * // @rjs permission 3
+ * // @rjs isolated
+ * ```
+ *
+ * Scripts in `requires` and `after` are referred to by registry name ("server/economy"), by
+ * name within the same category ("economy"), or by their declared `name`.
+ *
+ * @property name Display name, shown by /rjs list
+ * @property description One-line description, shown by /rjs list
+ * @property requires Scripts that must run first; the script is skipped if one is missing or fails
+ * @property after Scripts that run first when they exist, without depending on them
+ * @property enabled Whether the script runs; `enabled false` keeps it disabled until /rjs enable
+ * @property permission Permission level needed to run the script with /rjs run
+ * @property isolated Whether the script asked for its own GraalVM context
+ */
+data class ScriptMetadata(
+    val name: String? = null,
+    val description: String? = null,
+    val requires: List<String> = emptyList(),
+    val after: List<String> = emptyList(),
+    val enabled: Boolean = true,
+    val permission: Int? = null,
+    val isolated: Boolean = false
+) {
+    companion object {
+        /**
+         * Build metadata from header directives (key and value of each `// @rjs` line).
+         * Invalid values are logged and ignored.
+         *
+         * @param directives Directives in file order; flags like `isolated` have an empty value
+         * @param fileName File the header was read from, for warnings
+         */
+        fun fromDirectives(directives: List<Pair<String, String>>, fileName: String): ScriptMetadata {
+            var metadata = ScriptMetadata()
+
+            directives.forEach { (key, value) ->
+                metadata = when (key) {
+                    "name" -> metadata.copy(name = value.ifEmpty { null })
+                    "description" -> metadata.copy(description = value.ifEmpty { null })
+                    "requires" -> metadata.copy(requires = metadata.requires + splitList(value))
+                    "after" -> metadata.copy(after = metadata.after + splitList(value))
+                    "isolated" -> metadata.copy(isolated = true)
+                    "enabled" -> when (value.lowercase()) {
+                        "", "true" -> metadata.copy(enabled = true)
+                        "false" -> metadata.copy(enabled = false)
+                        else -> invalid(fileName, key, value, metadata)
+                    }
+                    "permission" -> value.toIntOrNull()?.takeIf { it in 0..4 }
+                        ?.let { metadata.copy(permission = it) }
+                        ?: invalid(fileName, key, value, metadata)
+                    else -> {
+                        RhettJSCommon.LOGGER.warn("[RhettJS] Unknown @rjs directive in $fileName: $key")
+                        metadata
+                    }
+                }
+            }
+
+            return metadata
+        }
+
+        private fun splitList(value: String): List<String> {
+            return value.split(',', ' ').map { it.trim() }.filter { it.isNotEmpty() }
+        }
+
+        private fun invalid(fileName: String, key: String, value: String, metadata: ScriptMetadata): ScriptMetadata {
+            RhettJSCommon.LOGGER.warn("[RhettJS] Invalid @rjs $key in $fileName: $value")
+            return metadata
+        }
+    }
+}
@@ -18,6 +18,15 @@ object ScriptRegistry {
     private val scripts = ConcurrentHashMap<String, ScriptInfo>()
     private var scanned = false
 
+    // Scripts disabled with /rjs disable (kept across rescans until enabled again or restart)
+    private val disabledNames = ConcurrentHashMap.newKeySet<String>()
+
+    // Scripts with an `enabled false` header turned on with /rjs enable (same lifetime)
+    private val enabledNames = ConcurrentHashMap.newKeySet<String>()
+
+    // Header comment marker for per-script directives, e.g. "// @rjs isolated"
+    private const val DIRECTIVE_PREFIX = "@rjs"
+
     /**
      * Scan the base directory for scripts and validate them.
      *
@@ -56,49 +65,98 @@ object ScriptRegistry {
     }
 
     /**
-     * Recursively scan a directory for .js files.
+     * Recursively scan a directory for .js and .ts files.
      */
     private fun scanDirectory(dir: Path, category: ScriptCategory, baseDir: Path) {
         ConfigManager.debug("Walking directory tree: $dir")
 
         Files.walk(dir)
-            .filter { it.extension == "js" }
-            .forEach { file ->
-                val relativePath = baseDir.relativize(file)
-                val fullName = relativePath.toString().removeSuffix(".js")
-
-                // For utility scripts (scripts/), strip the category prefix
-                // Since /rjs run ONLY runs utility scripts, showing "scripts/abc" is redundant
-                val name = if (category == ScriptCategory.UTILITY) {
-                    fullName.removePrefix("${category.dirName}/")
-                } else {
-                    fullName
-                }
+            .filter { isScriptFile(it) }
+            .forEach { file -> registerFile(file, category, baseDir) }
+    }
 
-                ConfigManager.debug("Found script file: $name at $file")
-
-                val status = validateScript(file, category)
-
-                scripts[name] = ScriptInfo(
-                    name = name,
-                    path = file,
-                    category = category,
-                    lastModified = Files.getLastModifiedTime(file).toMillis(),
-                    status = status
-                )
-
-                when (status) {
-                    ScriptStatus.LOADED -> {
-                        RhettJSCommon.LOGGER.info("[RhettJS]   ✓ $name")
-                        ConfigManager.debug("Script validated successfully: $name")
-                    }
-                    ScriptStatus.ERROR -> {
-                        RhettJSCommon.LOGGER.warn("[RhettJS]   ✗ $name (syntax error)")
-                        ConfigManager.debug("Script validation failed: $name")
-                    }
-                    else -> {}
-                }
+    /**
+     * Validate a script file and add (or replace) its registry entry.
+     */
+    private fun registerFile(file: Path, category: ScriptCategory, baseDir: Path): ScriptInfo {
+        val name = nameOf(file, category, baseDir)
+
+        ConfigManager.debug("Found script file: $name at $file")
+
+        val metadata = ScriptMetadata.fromDirectives(readHeaderDirectives(file), file.fileName.toString())
+        val disabled = name in disabledNames || (!metadata.enabled && name !in enabledNames)
+        val status = if (disabled) ScriptStatus.DISABLED else validateScript(file, category)
+
+        val info = ScriptInfo(
+            name = name,
+            path = file,
+            category = category,
+            lastModified = Files.getLastModifiedTime(file).toMillis(),
+            status = status,
+            isolated = metadata.isolated,
+            metadata = metadata
+        )
+        scripts[name] = info
+
+        when (status) {
+            ScriptStatus.LOADED -> {
+                RhettJSCommon.LOGGER.info("[RhettJS]   ✓ $name")
+                ConfigManager.debug("Script validated successfully: $name")
+            }
+            ScriptStatus.ERROR -> {
+                RhettJSCommon.LOGGER.warn("[RhettJS]   ✗ $name (syntax error)")
+                ConfigManager.debug("Script validation failed: $name")
             }
+            else -> {}
+        }
+
+        return info
+    }
+
+    /**
+     * Get the registry name of a script file, e.g. "server/events" or "tools/fill" (utility).
+     */
+    private fun nameOf(file: Path, category: ScriptCategory, baseDir: Path): String {
+        val fullName = baseDir.relativize(file).toString().removeSuffix(".${file.extension}")
+
+        // For utility scripts (scripts/), strip the category prefix
+        // Since /rjs run ONLY runs utility scripts, showing "scripts/abc" is redundant
+        return if (category == ScriptCategory.UTILITY) {
+            fullName.removePrefix("${category.dirName}/")
+        } else {
+            fullName
+        }
+    }
+
+    /**
+     * Update the registry entry of a single file after it changed on disk (used by ScriptWatcher).
+     * Re-validates the file and re-reads its header; a deleted file is removed.
+     *
+     * @param baseDir The scripts base directory (e.g., <minecraft>/rjs/)
+     * @param file The changed file
+     * @return The updated entry, or null if the file was deleted or isn't a script
+     */
+    fun refresh(baseDir: Path, file: Path): ScriptInfo? {
+        val base = baseDir.toAbsolutePath().normalize()
+        val path = file.toAbsolutePath().normalize()
+        val category = ScriptCategory.values().firstOrNull { it.dirName == base.relativize(path).firstOrNull()?.toString() }
+        if (category == null || !isScriptFile(path)) {
+            return null
+        }
+
+        if (!path.exists()) {
+            scripts.remove(nameOf(path, category, base))
+            return null
+        }
+
+        return registerFile(path, category, base)
+    }
+
+    /**
+     * Check if a file is a script: JavaScript (.js) or TypeScript (.ts, but not .d.ts).
+     */
+    fun isScriptFile(file: Path): Boolean {
+        return file.extension == "js" || TypeScriptTranspiler.isTypeScript(file)
     }
 
     /**
@@ -123,9 +181,11 @@ object ScriptRegistry {
             // Create source and let GraalVM parse it
             // This will throw PolyglotException with isSyntaxError=true for syntax errors
             // Use ES6 module MIME type to support import/export syntax
+            // TypeScript is type-stripped first, keeping line numbers
             val source = org.graalvm.polyglot.Source.newBuilder("js", file.toFile())
                 .name(file.fileName.toString())
                 .mimeType("application/javascript+module")
+                .apply { if (TypeScriptTranspiler.isTypeScript(file)) content(TypeScriptTranspiler.transpileFile(file)) }
                 .build()
 
             // Just building the source is not enough - we need to parse it
@@ -133,6 +193,8 @@ object ScriptRegistry {
             org.graalvm.polyglot.Context.newBuilder("js")
                 .allowExperimentalOptions(true)
                 .option("engine.WarnInterpreterOnly", "false")
+                .option("js.import-attributes", "true")
+                .option("js.json-modules", "true")
                 .build().use { context ->
                     // Parse validates syntax without executing
                     context.parse(source)
@@ -140,6 +202,9 @@ object ScriptRegistry {
 
             ConfigManager.debug("Syntax validation passed for: ${file.fileName}")
             ScriptStatus.LOADED
+        } catch (e: TypeScriptSyntaxException) {
+            RhettJSCommon.LOGGER.warn("[RhettJS] ${e.message}")
+            ScriptStatus.ERROR
         } catch (e: org.graalvm.polyglot.PolyglotException) {
             if (e.isSyntaxError) {
                 ConfigManager.debug("Syntax error in ${file.fileName}: ${e.message}")
@@ -155,6 +220,89 @@ object ScriptRegistry {
         }
     }
 
+    /**
+     * Read the `// @rjs` directives from a script's leading comment lines (see ScriptMetadata).
+     * For example, a script starting with `// @rjs requires server/economy` returns
+     * [("requires", "server/economy")].
+     *
+     * @param file The script file
+     * @return Key and value of each directive found before the first line of code, in order
+     */
+    internal fun readHeaderDirectives(file: Path): List<Pair<String, String>> {
+        return try {
+            file.readText()
+                .lineSequence()
+                .map { it.trim() }
+                .takeWhile { it.isEmpty() || it.startsWith("//") }
+                .map { it.removePrefix("//").trim() }
+                .filter { it == DIRECTIVE_PREFIX || it.startsWith("$DIRECTIVE_PREFIX ") }
+                .map { it.removePrefix(DIRECTIVE_PREFIX).trim() }
+                .filter { it.isNotEmpty() }
+                .map { it.substringBefore(' ') to it.substringAfter(' ', "").trim() }
+                .toList()
+        } catch (e: Exception) {
+            ConfigManager.debug("Could not read header of ${file.fileName}: ${e.message}")
+            emptyList()
+        }
+    }
+
+    /**
+     * Find the script a `requires` or `after` entry refers to: a registry name, a name within
+     * the referring script's category, or a declared `// @rjs name`.
+     *
+     * @param reference The entry from the header
+     * @param from The script whose header it is
+     * @return The script, or null if none matches
+     */
+    fun resolveReference(reference: String, from: ScriptInfo): ScriptInfo? {
+        scripts[reference]?.let { return it }
+        if (from.category != ScriptCategory.UTILITY) {
+            scripts["${from.category.dirName}/$reference"]?.let { return it }
+        }
+        return scripts.values.firstOrNull { it.metadata.name == reference }
+    }
+
+    /**
+     * Get the scripts of a category in execution order: every script comes after the scripts it
+     * `requires` or runs `after` (within the category), otherwise scripts are ordered by name.
+     *
+     * Scripts in a dependency cycle, or depending on one, can't be ordered: they are logged,
+     * marked as failed and left out.
+     *
+     * @param category The category to order
+     * @return The scripts of the category, dependencies first
+     */
+    fun getExecutionOrder(category: ScriptCategory): List<ScriptInfo> {
+        val pending = getScripts(category).associateBy { it.name }.toMutableMap()
+
+        // Names of the scripts each script must wait for
+        val waitsFor = pending.values.associate { script ->
+            script.name to (script.metadata.requires + script.metadata.after)
+                .mapNotNull { resolveReference(it, script)?.name }
+                .filter { it in pending && it != script.name }
+                .toSet()
+        }
+
+        val order = mutableListOf<ScriptInfo>()
+        while (pending.isNotEmpty()) {
+            val ready = pending.values
+                .filter { script -> waitsFor.getValue(script.name).none { it in pending } }
+                .minByOrNull { it.name }
+                ?: break
+            order.add(ready)
+            pending.remove(ready.name)
+        }
+
+        if (pending.isNotEmpty()) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Dependency cycle between scripts: ${pending.keys.sorted().joinToString(", ")}")
+            pending.values
+                .filter { it.status != ScriptStatus.DISABLED }
+                .forEach { markFailed(it.name, IllegalStateException("Dependency cycle")) }
+        }
+
+        return order
+    }
+
     /**
      * Get a script by name, optionally filtered by category.
      *
@@ -201,6 +349,32 @@ object ScriptRegistry {
         }
     }
 
+    /**
+     * Disable or re-enable a script. Disabled scripts are skipped when server scripts run and
+     * can't be run with /rjs run; re-enabling validates the script again.
+     *
+     * @param name The script name
+     * @param disabled Whether the script should be disabled
+     * @return The updated script, or null if not found
+     */
+    fun setDisabled(name: String, disabled: Boolean): ScriptInfo? {
+        val script = scripts[name] ?: return null
+
+        val status = if (disabled) {
+            disabledNames.add(name)
+            enabledNames.remove(name)
+            ScriptStatus.DISABLED
+        } else {
+            disabledNames.remove(name)
+            if (!script.metadata.enabled) {
+                enabledNames.add(name)
+            }
+            validateScript(script.path, script.category)
+        }
+
+        return script.copy(status = status).also { scripts[name] = it }
+    }
+
     /**
      * Get all scripts that failed to load.
      *
@@ -0,0 +1,159 @@
+package com.rhett.rhettjs.engine
+
+import org.graalvm.polyglot.PolyglotException
+import org.graalvm.polyglot.Source
+import org.graalvm.polyglot.SourceSection
+import java.nio.file.Path
+import java.nio.file.Paths
+import kotlin.io.path.exists
+import kotlin.io.path.readLines
+
+/**
+ * JS stack traces in terms of files under rjs/.
+ *
+ * Frames point at the file on disk relative to the scripts directory (`server/arena.js:12:5`),
+ * whatever name the source was loaded under (script name, versioned module path). TypeScript
+ * is stripped in place, so frames of .ts files point at the .ts source. Frames of engine
+ * internals (helpers, `<eval>`) and host code are trimmed.
+ */
+object ScriptStackTrace {
+
+    /**
+     * One JS stack frame.
+     *
+     * @property function Name of the function, or null for top-level code
+     * @property file Path relative to the scripts directory (or the source name if outside it)
+     * @property path The file on disk, if the source was loaded from one
+     */
+    data class Frame(
+        val function: String?,
+        val file: String,
+        val line: Int,
+        val column: Int,
+        val path: Path?
+    ) {
+        /** `file:line:column`, e.g. `server/arena.js:12:5`. */
+        val location: String get() = "$file:$line:$column"
+
+        override fun toString(): String = if (function.isNullOrEmpty()) "at $location" else "at $function ($location)"
+    }
+
+    // Frames shown with error messages; the full stack goes to the debug log
+    const val MAX_FRAMES = 5
+
+    // Name GraalVM gives sources evaluated without one (the engine's helper code)
+    private const val UNNAMED_SOURCE = "Unnamed"
+
+    // A frame of Error.stack: "at fn (file:line:col)" or "at file:line:col"
+    private val STACK_LINE = Regex("""^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$""")
+
+    /**
+     * Get the script frames of an exception, innermost first.
+     */
+    fun framesOf(e: PolyglotException): List<Frame> {
+        val frames = e.polyglotStackTrace
+            .filter { it.isGuestFrame }
+            .mapNotNull { frame -> frameOf(frame.sourceLocation, frame.rootName) }
+
+        // Syntax errors have no stack, only the location of the error
+        if (frames.isEmpty()) {
+            return listOfNotNull(frameOf(e.sourceLocation, null))
+        }
+        return frames
+    }
+
+    /**
+     * Format every frame of an exception, host frames included, for the debug log.
+     */
+    fun fullStack(e: PolyglotException): String {
+        return e.polyglotStackTrace.joinToString("\n") { "    at $it" }
+    }
+
+    /**
+     * Parse the frames of a JS `Error.stack` string, innermost first.
+     */
+    fun framesOf(stack: String): List<Frame> {
+        return stack.lines().mapNotNull { line ->
+            val match = STACK_LINE.matchEntire(line) ?: return@mapNotNull null
+            val (function, name, lineNumber, column) = match.destructured
+            val (file, path) = locate(name) ?: return@mapNotNull null
+            Frame(function.takeIf { it.isNotEmpty() && it != ":program" }, file, lineNumber.toInt(), column.toInt(), path)
+        }
+    }
+
+    /**
+     * Format frames as an indented stack, at most [limit] frames.
+     */
+    fun format(frames: List<Frame>, limit: Int = MAX_FRAMES): String {
+        val shown = frames.take(limit).joinToString("\n") { "    $it" }
+        val hidden = frames.size - limit
+        return if (hidden > 0) "$shown\n    ... $hidden more" else shown
+    }
+
+    /**
+     * Get the source line a frame points at, or null if the file can't be read.
+     */
+    fun sourceLine(frame: Frame): String? {
+        val path = frame.path ?: return null
+        return try {
+            path.readLines().getOrNull(frame.line - 1)
+        } catch (e: Exception) {
+            null
+        }
+    }
+
+    /**
+     * Resolve a location (`file:line:column` relative to the scripts directory) to a frame,
+     * or null if it is malformed or outside the scripts directory.
+     */
+    fun resolve(location: String): Frame? {
+        val parts = location.trim().split(":")
+        if (parts.size < 3) return null
+        val line = parts[parts.size - 2].toIntOrNull() ?: return null
+        val column = parts.last().toIntOrNull() ?: return null
+        val file = parts.dropLast(2).joinToString(":")
+
+        val baseDir = GraalEngine.getScriptsDirectory()?.toAbsolutePath()?.normalize() ?: return null
+        val path = baseDir.resolve(file).normalize()
+        if (!path.startsWith(baseDir) || !path.exists()) return null
+        return Frame(null, file, line, column, path)
+    }
+
+    private fun frameOf(section: SourceSection?, function: String?): Frame? {
+        if (section == null || !section.isAvailable) return null
+        val (file, path) = locate(section.source) ?: return null
+        return Frame(function?.takeIf { it.isNotEmpty() && it != ":program" }, file, section.startLine, section.startColumn, path)
+    }
+
+    private fun locate(source: Source): Pair<String, Path?>? {
+        val path = source.path ?: return locate(source.name)
+        return relativize(Paths.get(path))
+    }
+
+    /**
+     * Resolve a source name: a file path, or the name of a registered script.
+     */
+    private fun locate(name: String): Pair<String, Path?>? {
+        if (name.startsWith("<") || name == UNNAMED_SOURCE) {
+            return null  // Engine internals, e.g. <eval> or helper sources
+        }
+        ScriptRegistry.getScript(name)?.let { return relativize(it.path) }
+        return try {
+            val path = Paths.get(name)
+            if (path.isAbsolute) relativize(path) else name to null
+        } catch (e: Exception) {
+            name to null
+        }
+    }
+
+    private fun relativize(path: Path): Pair<String, Path?> {
+        val file = ModuleCache.unversioned(path.toAbsolutePath().normalize())
+        val baseDir = GraalEngine.getScriptsDirectory()?.toAbsolutePath()?.normalize()
+        val relative = if (baseDir != null && file.startsWith(baseDir)) {
+            baseDir.relativize(file).joinToString("/")
+        } else {
+            file.toString()
+        }
+        return relative to file
+    }
+}
@@ -88,6 +88,9 @@ object ScriptSystemInitializer {
         // Initialize World API (needs server instance)
         initializeWorldAPI(server)
 
+        // Watch for script changes (only if hot_reload is enabled)
+        ScriptWatcher.start(getScriptsDirectory(serverDirectory))
+
         RhettJSCommon.LOGGER.info("[RhettJS] Ready! Use /rjs list to see available scripts")
         ConfigManager.debug("Server resources initialization complete")
     }
@@ -121,6 +124,9 @@ object ScriptSystemInitializer {
         RhettJSCommon.LOGGER.info("[RhettJS] Rescanning scripts...")
         ScriptRegistry.scan(scriptsDir)
 
+        // Restart the watcher (the directory or hot_reload setting may have changed)
+        ScriptWatcher.start(scriptsDir)
+
         // Reload globals
         RhettJSCommon.LOGGER.info("[RhettJS] Reloading globals...")
         // TODO: Implement globals loading for GraalVM
@@ -235,14 +241,7 @@ object ScriptSystemInitializer {
         val startupScripts = ScriptRegistry.getScripts(ScriptCategory.STARTUP)
         if (startupScripts.isNotEmpty()) {
             RhettJSCommon.LOGGER.info("[RhettJS] Executing ${startupScripts.size} startup scripts...")
-            startupScripts.forEach { script ->
-                try {
-                    GraalEngine.executeScript(script)
-                    ConfigManager.debug("Executed startup script: ${script.name}")
-                } catch (e: Exception) {
-                    RhettJSCommon.LOGGER.error("[RhettJS] Failed to execute startup script: ${script.name}", e)
-                }
-            }
+            runInOrder(ScriptCategory.STARTUP)
         }
 
         ConfigManager.debug("Startup scripts complete")
@@ -295,18 +294,154 @@ object ScriptSystemInitializer {
             // This will be done when scripts execute and commands are registered
         }
 
-        serverScripts.forEach { script ->
+        runInOrder(ScriptCategory.SERVER)
+        ConfigManager.debug("Server scripts complete")
+    }
+
+    /**
+     * Run the server scripts again after the shared context was discarded (a statement limit
+     * stopped it), so their event handlers and commands are registered again.
+     */
+    fun restoreServerScripts() {
+        runInOrder(ScriptCategory.SERVER)
+        refreshCommands()
+        com.rhett.rhettjs.events.ServerEventManager.notifyOperators("[RhettJS] Server scripts were restarted after a script exceeded its statement limit")
+    }
+
+    /**
+     * Execute the scripts of a category in dependency order (see ScriptRegistry.getExecutionOrder).
+     * Disabled scripts are skipped, and so are scripts whose `requires` are missing, disabled
+     * or failed.
+     */
+    private fun runInOrder(category: ScriptCategory) {
+        val failed = mutableSetOf<String>()
+
+        ScriptRegistry.getExecutionOrder(category).forEach { script ->
+            if (script.status == ScriptStatus.DISABLED) {
+                ConfigManager.debug("Skipping disabled ${category.dirName} script: ${script.name}")
+                return@forEach
+            }
+
+            val unmet = unmetRequirements(script, failed)
+            if (unmet.isNotEmpty()) {
+                RhettJSCommon.LOGGER.warn("[RhettJS] Skipping ${script.name}: requires ${unmet.joinToString(", ")}")
+                failed.add(script.name)
+                return@forEach
+            }
+
             try {
-                GraalEngine.executeScript(script)
-                ConfigManager.debug("Executed server script: ${script.name}")
+                if (GraalEngine.executeScript(script) is ScriptResult.Error) {
+                    failed.add(script.name)
+                }
+                ConfigManager.debug("Executed ${category.dirName} script: ${script.name}")
             } catch (e: Exception) {
-                RhettJSCommon.LOGGER.error("[RhettJS] Failed to execute server script: ${script.name}", e)
+                failed.add(script.name)
+                RhettJSCommon.LOGGER.error("[RhettJS] Failed to execute ${category.dirName} script: ${script.name}", e)
             }
         }
+    }
 
-        ConfigManager.debug("Server scripts complete")
+    /**
+     * Get the `requires` entries of a script that can't be met: missing, not loaded, or failed
+     * earlier in this run.
+     */
+    internal fun unmetRequirements(script: ScriptInfo, failed: Set<String> = emptySet()): List<String> {
+        return script.metadata.requires.filter { reference ->
+            val required = ScriptRegistry.resolveReference(reference, script)
+            required == null || required.status != ScriptStatus.LOADED || required.name in failed
+        }
     }
 
+    /**
+     * Switch the Chrome DevTools inspector on (used by /rjs debug).
+     * The inspector is an engine option, so if it wasn't already listening on this port, every
+     * context is recreated and server scripts run again.
+     *
+     * @param port Localhost port for the inspector
+     * @throws Exception if the inspector can't listen on the port (e.g. it is in use); the
+     *         previous engine, port and scripts are then left running
+     */
+    fun enableInspector(port: Int) {
+        val changed = ScriptDebugger.enable(port) {
+            RhettJSCommon.LOGGER.info("[RhettJS] Enabling inspector on port $port, restarting scripts...")
+            GraalEngine.restartEngine()
+        }
+        if (!changed) {
+            return
+        }
+
+        runInOrder(ScriptCategory.SERVER)
+        refreshCommands()
+    }
+
+    /**
+     * Unload a single server script and execute it again (used by /rjs reload <script> and
+     * hot reload). Other scripts keep their handlers and commands.
+     *
+     * @param script The server script
+     * @param caller Who requested the reload, shown by /rjs ps
+     * @return Result of the new execution
+     */
+    fun reloadServerScript(script: ScriptInfo, caller: String = "Server"): ScriptResult {
+        GraalEngine.unloadScript(script)
+        val result = GraalEngine.executeScript(script, caller = caller)
+        refreshCommands()
+        return result
+    }
+
+    /**
+     * Invalidate a module and every module importing it, then re-execute the server scripts
+     * that import any of them (in execution order). Other scripts and modules keep running
+     * untouched; a full /rjs reload is not needed.
+     *
+     * @param module The module file
+     * @param caller Who requested the reload, shown by /rjs ps
+     * @return The re-executed scripts with their results
+     */
+    fun reloadModule(module: Path, caller: String = "Server"): List<Pair<ScriptInfo, ScriptResult>> {
+        val dependents = ModuleCache.invalidateTree(module)
+        RhettJSCommon.LOGGER.info("[RhettJS] Invalidated module $module and ${dependents.size} dependent(s)")
+
+        return ScriptRegistry.getExecutionOrder(ScriptCategory.SERVER)
+            .filter { it.status == ScriptStatus.LOADED && ModuleCache.normalize(it.path) in dependents }
+            .map { it to reloadServerScript(it, caller) }
+    }
+
+    /**
+     * Disable a script: unload what it registered and skip it until it is enabled again.
+     *
+     * @param script The script to disable
+     */
+    fun disableScript(script: ScriptInfo) {
+        GraalEngine.unloadScript(script)
+        ScriptRegistry.setDisabled(script.name, true)
+        refreshCommands()
+        RhettJSCommon.LOGGER.info("[RhettJS] Disabled script: ${script.name}")
+    }
+
+    /**
+     * Enable a disabled script; server scripts are executed right away.
+     *
+     * @param script The script to enable
+     * @return Result of executing it, or null if it wasn't executed (not a server script, or invalid)
+     */
+    fun enableScript(script: ScriptInfo): ScriptResult? {
+        val enabled = ScriptRegistry.setDisabled(script.name, false) ?: return null
+        RhettJSCommon.LOGGER.info("[RhettJS] Enabled script: ${script.name}")
+
+        if (enabled.category != ScriptCategory.SERVER || enabled.status != ScriptStatus.LOADED) {
+            return null
+        }
+        return reloadServerScript(enabled)
+    }
+
+    /**
+     * Register commands added at runtime with Brigadier and send players the updated command tree.
+     */
+    private fun refreshCommands() {
+        GraalEngine.getCommandRegistry().registerAll()
+        com.rhett.rhettjs.events.ServerEventManager.resendCommands()
+    }
 
     /**
      * Create script category directories.
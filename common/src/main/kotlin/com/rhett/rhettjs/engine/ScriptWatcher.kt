@@ -0,0 +1,221 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import java.io.IOException
+import java.nio.file.ClosedWatchServiceException
+import java.nio.file.Files
+import java.nio.file.Path
+import java.nio.file.StandardWatchEventKinds
+import java.nio.file.WatchKey
+import java.nio.file.WatchService
+import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.TimeUnit
+import kotlin.io.path.exists
+
+/**
+ * Watches the rjs/ directory and applies script changes without /rjs reload
+ * (opt-in via `hot_reload` in rhettjs.json).
+ *
+ * - server/: the changed script is unloaded (its event handlers and commands are unregistered)
+ *   and executed again on its own; other server scripts keep running untouched
+ * - modules/: the module and the modules importing it are invalidated in ModuleCache, so the
+ *   next import loads the new code
+ * - scripts/: the registry entry is refreshed (utility scripts only run on demand)
+ * - startup/: the registry entry is refreshed, but a restart is still needed
+ *
+ * File events are debounced (editors often save in several steps) and applied on the server
+ * thread through AsyncScheduler.
+ */
+object ScriptWatcher {
+
+    private const val DEBOUNCE_MS = 300L
+    private const val POLL_INTERVAL_MS = 100L
+
+    @Volatile
+    private var watchService: WatchService? = null
+
+    @Volatile
+    private var watchThread: Thread? = null
+
+    /**
+     * Start watching a scripts directory (stops any previous watcher).
+     * Does nothing unless hot reload is enabled in the config.
+     *
+     * @param scriptsDir The scripts base directory (e.g., <minecraft>/rjs/)
+     */
+    fun start(scriptsDir: Path) {
+        stop()
+
+        if (!ConfigManager.isHotReloadEnabled()) {
+            ConfigManager.debug("[Watcher] Hot reload disabled")
+            return
+        }
+
+        val service = try {
+            scriptsDir.fileSystem.newWatchService()
+        } catch (e: IOException) {
+            RhettJSCommon.LOGGER.error("[RhettJS] Could not start the script watcher: ${e.message}")
+            return
+        }
+
+        val keys = ConcurrentHashMap<WatchKey, Path>()
+        ScriptCategory.values().forEach { category ->
+            val dir = scriptsDir.resolve(category.dirName)
+            if (dir.exists()) registerTree(service, dir, keys)
+        }
+
+        watchService = service
+        watchThread = Thread({ watchLoop(service, scriptsDir, keys) }, "RhettJS-Watcher").apply {
+            isDaemon = true
+            start()
+        }
+
+        RhettJSCommon.LOGGER.info("[RhettJS] Hot reload enabled, watching ${keys.size} directories in $scriptsDir")
+    }
+
+    /**
+     * Stop watching (called on reload and server shutdown).
+     */
+    fun stop() {
+        watchThread?.interrupt()
+        watchThread = null
+
+        try {
+            watchService?.close()
+        } catch (e: IOException) {
+            ConfigManager.debug("[Watcher] Error closing watch service: ${e.message}")
+        }
+        watchService = null
+    }
+
+    /**
+     * Apply a change to one file. Must run on the server thread.
+     *
+     * @param scriptsDir The scripts base directory
+     * @param file The created, modified or deleted file
+     */
+    internal fun handleChange(scriptsDir: Path, file: Path) {
+        if (!ScriptRegistry.isScriptFile(file)) {
+            return
+        }
+
+        val relative = scriptsDir.toAbsolutePath().normalize().relativize(file.toAbsolutePath().normalize())
+        val category = ScriptCategory.values().firstOrNull { it.dirName == relative.firstOrNull()?.toString() } ?: return
+
+        when (category) {
+            ScriptCategory.MODULES -> {
+                ModuleCache.invalidateTree(file)
+                RhettJSCommon.LOGGER.info("[RhettJS] Module changed: $relative (used by the next script that imports it)")
+            }
+            ScriptCategory.SERVER -> reloadServerScript(scriptsDir, file)
+            ScriptCategory.STARTUP -> {
+                ScriptRegistry.refresh(scriptsDir, file)
+                RhettJSCommon.LOGGER.warn("[RhettJS] Startup script changed: $relative (restart the server to apply it)")
+            }
+            ScriptCategory.UTILITY -> {
+                ScriptRegistry.refresh(scriptsDir, file)
+                ConfigManager.debug("[Watcher] Utility script changed: $relative")
+            }
+        }
+    }
+
+    /**
+     * Unload a server script and execute its new version.
+     */
+    private fun reloadServerScript(scriptsDir: Path, file: Path) {
+        val absolute = file.toAbsolutePath().normalize()
+        val previous = ScriptRegistry.getScripts(ScriptCategory.SERVER)
+            .firstOrNull { it.path.toAbsolutePath().normalize() == absolute }
+        previous?.let { GraalEngine.unloadScript(it) }
+
+        val script = ScriptRegistry.refresh(scriptsDir, file)
+        if (script == null) {
+            RhettJSCommon.LOGGER.info("[RhettJS] Server script removed: ${previous?.name ?: file.fileName}")
+            ServerEventManager.resendCommands()
+            return
+        }
+
+        when (script.status) {
+            ScriptStatus.DISABLED -> {
+                ConfigManager.debug("[Watcher] ${script.name} is disabled, not reloading")
+                return
+            }
+            ScriptStatus.ERROR -> {
+                ServerEventManager.notifyOperators("[RhettJS] Hot reload of ${script.name} skipped: syntax error")
+                return
+            }
+            ScriptStatus.LOADED -> {}
+        }
+
+        when (val result = ScriptSystemInitializer.reloadServerScript(script, caller = "Hot reload")) {
+            is ScriptResult.Success -> RhettJSCommon.LOGGER.info("[RhettJS] Hot reloaded ${script.name}")
+            is ScriptResult.Error -> ServerEventManager.notifyOperators("[RhettJS] Hot reload of ${script.name} failed: ${result.message}")
+        }
+    }
+
+    private fun registerTree(service: WatchService, dir: Path, keys: MutableMap<WatchKey, Path>) {
+        Files.walk(dir).use { paths ->
+            paths.filter { Files.isDirectory(it) }.forEach { subDir ->
+                val key = subDir.register(
+                    service,
+                    StandardWatchEventKinds.ENTRY_CREATE,
+                    StandardWatchEventKinds.ENTRY_MODIFY,
+                    StandardWatchEventKinds.ENTRY_DELETE
+                )
+                keys[key] = subDir
+            }
+        }
+    }
+
+    /**
+     * Collect file events and hand each file to the server thread once it stopped changing.
+     */
+    private fun watchLoop(service: WatchService, scriptsDir: Path, keys: MutableMap<WatchKey, Path>) {
+        // Changed file -> time of its last event
+        val pending = LinkedHashMap<Path, Long>()
+
+        try {
+            while (!Thread.currentThread().isInterrupted) {
+                val key = service.poll(POLL_INTERVAL_MS, TimeUnit.MILLISECONDS)
+                val dir = key?.let { keys[it] }
+
+                if (key != null && dir != null) {
+                    key.pollEvents().forEach { event ->
+                        if (event.kind() == StandardWatchEventKinds.OVERFLOW) return@forEach
+
+                        val changed = dir.resolve(event.context() as Path)
+                        if (event.kind() == StandardWatchEventKinds.ENTRY_CREATE && Files.isDirectory(changed)) {
+                            registerTree(service, changed, keys)
+                        } else {
+                            pending[changed] = System.currentTimeMillis()
+                        }
+                    }
+                    if (!key.reset()) keys.remove(key)
+                }
+
+                val now = System.currentTimeMillis()
+                val ready = pending.filterValues { now - it >= DEBOUNCE_MS }.keys.toList()
+                if (ready.isNotEmpty()) {
+                    ready.forEach { pending.remove(it) }
+                    ConfigManager.debug("[Watcher] Changed: ${ready.joinToString { it.fileName.toString() }}")
+                    AsyncScheduler.scheduleCallback {
+                        ready.forEach { file ->
+                            try {
+                                handleChange(scriptsDir, file)
+                            } catch (e: Exception) {
+                                RhettJSCommon.LOGGER.error("[RhettJS] Hot reload of $file failed", e)
+                            }
+                        }
+                    }
+                }
+            }
+        } catch (e: InterruptedException) {
+            // Stopped
+        } catch (e: ClosedWatchServiceException) {
+            // Stopped
+        }
+    }
+}
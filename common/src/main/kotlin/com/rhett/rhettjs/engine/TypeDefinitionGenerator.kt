@@ -0,0 +1,314 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.commands.CustomCommandRegistry
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.EventPriority
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Generates rhettjs.d.ts from the engine bindings.
+ *
+ * The bundled rhettjs.d.ts is the documentation source, and only parts of it are generated:
+ * - The member list of each `declare namespace` that mirrors a binding (Runtime, console and
+ *   the built-in modules) is reconciled with the binding: members the engine no longer provides
+ *   are dropped and members without documentation get a stub. Other declarations are kept as written.
+ * - Signatures and option interfaces listed in [BindingSignatures] are written from the
+ *   descriptors the engine checks calls against.
+ * - Type aliases that mirror engine constants (command argument types, event priorities) are
+ *   written from the constants.
+ * Everything else, including doc comments and the per-script Script namespace, is hand-written
+ * and copied unchanged.
+ *
+ * The bundled file is itself generator output; TypeDefinitionGeneratorTest fails when the
+ * bindings drift from it.
+ */
+object TypeDefinitionGenerator {
+
+    const val RESOURCE_PATH = "/rhettjs-types/rhettjs.d.ts"
+
+    /** Header line of generated files. Files carrying it are refreshed when the mod updates. */
+    const val GENERATED_MARKER = "// Generated from the engine bindings (/rjs types)"
+
+    private val NAMESPACE_START = Regex("""^declare namespace (\w+) \{$""")
+    private val TYPE_ALIAS = Regex("""^type (\w+) = .*;$""")
+    private val INTERFACE_START = Regex("""^interface (\w+)(?: extends \w+)? \{$""")
+    private val SIGNATURE_START = Regex("""^ {4}(function )?(\w+)\(""")
+    private val MEMBER_START = Regex("""^ {4}(?:function|const|let|var|namespace) (\w+)""")
+
+    /**
+     * A member of a binding as seen from JavaScript.
+     *
+     * @property valueType TypeScript type of a property's current value
+     */
+    data class BindingMember(val name: String, val isFunction: Boolean, val valueType: String = "any")
+
+    /**
+     * Generated definitions.
+     *
+     * @property undocumented Members given a stub, as "Namespace.member"
+     * @property removed Documented members the engine no longer provides
+     */
+    data class TypeDefinitions(val content: String, val undocumented: List<String>, val removed: List<String>)
+
+    /**
+     * Generate definitions for the current engine bindings.
+     */
+    fun generate(): TypeDefinitions {
+        return render(readBundled(), describeBindings(), constantAliases(), BindingSignatures.FUNCTIONS, BindingSignatures.OPTIONS)
+    }
+
+    /**
+     * Generate definitions and write them to `__types/rhettjs.d.ts`.
+     *
+     * @param rjsRootDir The root RhettJS directory
+     * @return The generated definitions
+     */
+    fun writeTo(rjsRootDir: Path): TypeDefinitions {
+        val definitions = generate()
+        val target = rjsRootDir.resolve("__types/rhettjs.d.ts")
+        Files.createDirectories(target.parent)
+        target.writeText(definitions.content)
+        ConfigManager.debug("[Types] Wrote $target (${definitions.undocumented.size} undocumented, ${definitions.removed.size} removed)")
+        return definitions
+    }
+
+    internal fun readBundled(): String {
+        return javaClass.getResourceAsStream(RESOURCE_PATH)
+            ?.bufferedReader()
+            ?.readText()
+            ?: throw IllegalStateException("Type definition resource not found: $RESOURCE_PATH")
+    }
+
+    /**
+     * Introspect the namespaces scripts see, keyed by their name in rhettjs.d.ts.
+     * Members starting with `_` are internal and skipped.
+     */
+    internal fun describeBindings(): Map<String, List<BindingMember>> {
+        val bindings = GraalEngine.getOrCreateContext().getBindings("js")
+        val globals = listOf("Runtime" to "Runtime", "console" to "console") +
+            GraalEngine.BUILTIN_MODULE_NAMES.map { it to "__builtin_$it" }
+
+        return globals.mapNotNull { (name, global) ->
+            val api = bindings.getMember(global)?.takeIf { it.hasMembers() } ?: return@mapNotNull null
+            name to api.memberKeys.filterNot { it.startsWith("_") }.map { key ->
+                // Properties like World.dimensions need a running server
+                val member = runCatching { api.getMember(key) }.getOrNull()
+                when {
+                    member == null -> BindingMember(key, isFunction = false)
+                    member.canExecute() -> BindingMember(key, isFunction = true)
+                    else -> BindingMember(key, isFunction = false, valueType = typeOf(member))
+                }
+            }
+        }.toMap()
+    }
+
+    /**
+     * Type aliases whose members are defined by the engine.
+     */
+    internal fun constantAliases(): Map<String, List<String>> = mapOf(
+        "CommandArgumentType" to CustomCommandRegistry.ARGUMENT_TYPES,
+        "EventPriority" to EventPriority.entries.map { it.jsName }
+    )
+
+    /**
+     * Rebuild a definitions template for the given bindings.
+     *
+     * @param template Definitions to take declarations and documentation from
+     * @param bindings Namespace name -> members provided by the engine
+     * @param aliases Type alias name -> string literals it allows
+     * @param signatures "Namespace.member" or "Interface.method" -> signature to declare
+     * @param options Interface name -> option object to declare
+     */
+    internal fun render(
+        template: String,
+        bindings: Map<String, List<BindingMember>>,
+        aliases: Map<String, List<String>>,
+        signatures: Map<String, BindingSignatures.Signature> = emptyMap(),
+        options: Map<String, BindingSignatures.Options> = emptyMap()
+    ): TypeDefinitions {
+        val lines = template.lines()
+        val output = mutableListOf<String>()
+        val undocumented = mutableListOf<String>()
+        val removed = mutableListOf<String>()
+        val declared = lines.mapNotNull { NAMESPACE_START.matchEntire(it)?.groupValues?.get(1) }.toSet()
+        val missing = bindings.keys - declared
+
+        var i = 0
+        while (i < lines.size) {
+            val line = lines[i]
+            val namespace = NAMESPACE_START.matchEntire(line)?.groupValues?.get(1)
+            val alias = TYPE_ALIAS.matchEntire(line)?.groupValues?.get(1)
+            val interfaceName = INTERFACE_START.matchEntire(line)?.groupValues?.get(1)
+
+            when {
+                namespace != null -> {
+                    val end = (i + 1 until lines.size).firstOrNull { lines[it] == "}" }
+                        ?: throw IllegalArgumentException("Unterminated namespace $namespace in type definitions")
+                    val body = renderSignatures(namespace, lines.subList(i + 1, end), signatures)
+                    val members = bindings[namespace]
+
+                    output += line
+                    output += if (members == null) body else renderNamespace(namespace, body, members, undocumented, removed)
+                    output += "}"
+                    i = end
+                }
+                interfaceName != null -> {
+                    val end = (i + 1 until lines.size).firstOrNull { lines[it] == "}" }
+                        ?: throw IllegalArgumentException("Unterminated interface $interfaceName in type definitions")
+                    val shape = options[interfaceName]
+                    if (shape != null) {
+                        output += renderOptions(interfaceName, shape)
+                    } else {
+                        output += line
+                        output += renderSignatures(interfaceName, lines.subList(i + 1, end), signatures)
+                        output += "}"
+                    }
+                    i = end
+                }
+                alias != null && alias in aliases -> {
+                    output += "type $alias = ${aliases.getValue(alias).joinToString(" | ") { "\"$it\"" }};"
+                }
+                line.startsWith("export default ") && missing.isNotEmpty() -> {
+                    for (name in missing) {
+                        output += "declare namespace $name {"
+                        output += renderNamespace(name, emptyList(), bindings.getValue(name), undocumented, removed)
+                        output += "}"
+                        output += ""
+                    }
+                    output += line
+                }
+                line.startsWith("export { ") && missing.isNotEmpty() -> {
+                    output += line.removeSuffix(" };") + ", ${missing.joinToString(", ")} };"
+                }
+                else -> output += line
+            }
+            i++
+        }
+
+        if (undocumented.isNotEmpty()) {
+            ConfigManager.debug("[Types] Undocumented bindings: ${undocumented.joinToString(", ")}")
+        }
+        if (removed.isNotEmpty()) {
+            ConfigManager.debug("[Types] Dropped declarations without a binding: ${removed.joinToString(", ")}")
+        }
+
+        return TypeDefinitions(output.joinToString("\n"), undocumented, removed)
+    }
+
+    /**
+     * Rewrite the declarations of described functions in a namespace or interface body.
+     */
+    private fun renderSignatures(
+        owner: String,
+        body: List<String>,
+        signatures: Map<String, BindingSignatures.Signature>
+    ): List<String> {
+        return body.map { line ->
+            val match = SIGNATURE_START.find(line) ?: return@map line
+            val (prefix, name) = match.destructured
+            val signature = signatures["$owner.$name"] ?: return@map line
+            val params = signature.params.joinToString(", ") { param ->
+                "${param.name}${if (param.optional) "?" else ""}: ${param.type}"
+            }
+            "    $prefix$name($params): ${signature.returns};"
+        }
+    }
+
+    /**
+     * Declare an option object as an interface.
+     */
+    private fun renderOptions(name: String, options: BindingSignatures.Options): List<String> {
+        val header = options.extends?.let { "interface $name extends $it {" } ?: "interface $name {"
+        return listOf(header) + options.fields.flatMap { field ->
+            val type = field.values.takeIf { it.isNotEmpty() }?.joinToString(" | ") ?: field.type
+            listOfNotNull(field.doc?.let { "    /** $it */" }, "    ${field.name}?: $type;")
+        } + "}"
+    }
+
+    /**
+     * Rebuild the body of one namespace: keep documented members that exist, then add stubs.
+     */
+    private fun renderNamespace(
+        namespace: String,
+        body: List<String>,
+        members: List<BindingMember>,
+        undocumented: MutableList<String>,
+        removed: MutableList<String>
+    ): List<String> {
+        val chunks = splitMembers(body)
+        val provided = members.map { it.name }.toSet()
+        val documented = chunks.mapNotNull { it.first }.toSet()
+
+        val kept = mutableListOf<String>()
+        for ((name, chunkLines) in chunks) {
+            if (name == null || name in provided) {
+                kept += chunkLines
+            } else {
+                removed += "$namespace.$name"
+            }
+        }
+
+        // Trailing blank lines stay at the end, after any stubs
+        val trailing = kept.takeLastWhile { it.isBlank() }
+        val result = kept.dropLast(trailing.size).dropWhile { it.isBlank() }.toMutableList()
+
+        for (member in members.filter { it.name !in documented }) {
+            if (result.isNotEmpty()) {
+                result += ""
+            }
+            result += "    /** Undocumented engine binding */"
+            result += if (member.isFunction) {
+                "    function ${member.name}(...args: any[]): any;"
+            } else {
+                "    const ${member.name}: ${member.valueType};"
+            }
+            undocumented += "$namespace.${member.name}"
+        }
+
+        return result + trailing
+    }
+
+    /**
+     * Split a namespace body into members, each with its leading blank lines and doc comment.
+     * Lines after the last member are returned with a null name.
+     */
+    private fun splitMembers(body: List<String>): List<Pair<String?, List<String>>> {
+        val chunks = mutableListOf<Pair<String?, List<String>>>()
+        var pending = mutableListOf<String>()
+        var name: String? = null
+        var depth = 0
+
+        for (line in body) {
+            pending += line
+            val trimmed = line.trim()
+            if (name == null) {
+                name = MEMBER_START.find(line)?.groupValues?.get(1) ?: continue
+            }
+            if (trimmed.startsWith("*") || trimmed.startsWith("/*") || trimmed.startsWith("//")) {
+                continue
+            }
+            depth += line.count { it == '{' } - line.count { it == '}' }
+            if (depth == 0 && (trimmed.endsWith(";") || trimmed.endsWith("}"))) {
+                chunks += name to pending
+                pending = mutableListOf()
+                name = null
+            }
+        }
+
+        if (pending.isNotEmpty()) {
+            chunks += name to pending
+        }
+        return chunks
+    }
+
+    private fun typeOf(value: Value): String = when {
+        value.isBoolean -> "boolean"
+        value.isNumber -> "number"
+        value.isString -> "string"
+        value.hasArrayElements() -> "any[]"
+        else -> "any"
+    }
+}
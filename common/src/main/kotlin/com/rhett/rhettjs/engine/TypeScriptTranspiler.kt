@@ -0,0 +1,1135 @@
+package com.rhett.rhettjs.engine
+
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import java.util.concurrent.ConcurrentHashMap
+
+/**
+ * Thrown when a TypeScript file can't be turned into JavaScript by type stripping.
+ * Line and column (1-based) point into the original .ts file.
+ */
+class TypeScriptSyntaxException(
+    val fileName: String,
+    val line: Int,
+    val column: Int,
+    val reason: String
+) : RuntimeException("TypeScript error in $fileName:$line:$column: $reason")
+
+/**
+ * On-the-fly TypeScript support for scripts and modules (.ts files).
+ *
+ * TypeScript is turned into JavaScript by type stripping: type annotations, interfaces, type
+ * aliases, generics, `as`/`satisfies`, non-null assertions, `declare` statements, type-only
+ * imports/exports and TS-only class modifiers are replaced with whitespace. Nothing else is
+ * rewritten, so every line and column of the output matches the .ts file, and errors and
+ * stack traces point at the original source without a source map.
+ *
+ * Like Node's type stripping, constructs that would need generated code are rejected with a
+ * TypeScriptSyntaxException: enums, namespaces and constructor parameter properties. Imports of
+ * types must be marked with `import type` or `import { type X }`, since other imports are kept.
+ * No type checking is done; use `tsc --noEmit` in an editor or CI for that.
+ */
+object TypeScriptTranspiler {
+
+    private class CachedOutput(val lastModified: Long, val size: Long, val code: String)
+
+    // Absolute path -> last transpiled output (keyed by file time and size)
+    private val cache = ConcurrentHashMap<Path, CachedOutput>()
+
+    /**
+     * Check if a file is a TypeScript script or module (.ts, but not a .d.ts declaration file).
+     */
+    fun isTypeScript(path: Path): Boolean {
+        val name = path.fileName?.toString() ?: return false
+        return name.endsWith(".ts") && !name.endsWith(".d.ts")
+    }
+
+    /**
+     * Strip the types from TypeScript source code.
+     *
+     * @param source The TypeScript code
+     * @param fileName File name used in error messages
+     * @return JavaScript code with the same line and column layout
+     * @throws TypeScriptSyntaxException if the code uses unsupported TypeScript features
+     */
+    fun transpile(source: String, fileName: String = "<typescript>"): String {
+        return TypeStripper(source, fileName).strip()
+    }
+
+    /**
+     * Read and transpile a .ts file, reusing the previous output while the file is unchanged.
+     *
+     * @throws TypeScriptSyntaxException if the file uses unsupported TypeScript features
+     */
+    fun transpileFile(path: Path): String {
+        val key = path.toAbsolutePath().normalize()
+        val lastModified = Files.getLastModifiedTime(path).toMillis()
+        val size = Files.size(path)
+
+        cache[key]?.let { cached ->
+            if (cached.lastModified == lastModified && cached.size == size) {
+                return cached.code
+            }
+        }
+
+        ConfigManager.debug("[TypeScript] Transpiling ${path.fileName}")
+        val code = transpile(Files.readString(path), path.fileName.toString())
+        cache[key] = CachedOutput(lastModified, size, code)
+        return code
+    }
+}
+
+private enum class TokenKind { IDENT, NUMBER, STRING, TEMPLATE, REGEX, PUNCT }
+
+/**
+ * A lexical token. Template literals with substitutions are split into a head (`` `...${ ``),
+ * middles (`}...${`) and a tail (`` }...` ``), with the substitution's tokens in between.
+ */
+private class Token(
+    val kind: TokenKind,
+    val text: String,
+    val start: Int,
+    val end: Int,
+    val newlineBefore: Boolean
+)
+
+/**
+ * Single-use type eraser for one source file.
+ *
+ * Works on a token stream with precomputed bracket matches instead of a full AST: it only
+ * recognizes the places where TypeScript syntax can appear (after a binding, a parameter list,
+ * a class member name, `as`, ...) and skips over the type that follows.
+ */
+private class TypeStripper(private val source: String, private val fileName: String) {
+
+    companion object {
+        private val PUNCTUATORS = listOf(
+            "...", "===", "!==", "**=", "&&=", "||=", "??=",
+            "=>", "==", "!=", "**", "&&", "||", "??", "?.", "++", "--",
+            "+=", "-=", "*=", "/=", "%=", "&=", "|=", "^="
+        )
+
+        // Keywords after which a `/` starts a regular expression
+        private val REGEX_KEYWORDS = setOf(
+            "return", "typeof", "instanceof", "in", "of", "new", "delete", "void",
+            "throw", "case", "do", "else", "yield", "await"
+        )
+
+        // Identifiers that can't end an expression
+        private val NON_EXPRESSION_KEYWORDS = REGEX_KEYWORDS + setOf(
+            "import", "export", "const", "let", "var", "function", "class", "if", "for",
+            "while", "switch", "with", "catch", "try", "finally", "extends", "implements",
+            "default", "as", "satisfies", "break", "continue", "debugger"
+        )
+
+        private val PARAMETER_MODIFIERS = setOf("public", "private", "protected", "readonly", "override")
+        private val CLASS_MODIFIERS = PARAMETER_MODIFIERS + setOf("declare", "abstract", "static", "async", "get", "set", "accessor")
+        private val TS_CLASS_MODIFIERS = PARAMETER_MODIFIERS + setOf("declare", "abstract")
+        private val DECLARABLE = setOf(
+            "const", "let", "var", "function", "class", "enum", "namespace", "module",
+            "global", "abstract", "interface", "type", "async"
+        )
+        private val BLOCK_DECLARATIONS = setOf("class", "enum", "namespace", "module", "global", "abstract", "interface")
+        private val STATEMENT_PREFIXES = setOf("export", "default", "declare", "async")
+        private val TYPE_OPERATORS = setOf("keyof", "unique", "readonly", "infer")
+    }
+
+    private val out = source.toCharArray()
+    private val tokens = ArrayList<Token>()
+
+    // Index of the matching closer for ( [ { and template heads, -1 for other tokens
+    private lateinit var match: IntArray
+
+    fun strip(): String {
+        tokenize()
+        matchBrackets()
+        processCode(0, tokens.size)
+        return String(out)
+    }
+
+    // ---- Lexer ----
+
+    private fun tokenize() {
+        // true for `${` of a template literal, false for a plain `{`
+        val braces = ArrayList<Boolean>()
+        var newline = false
+        var i = 0
+
+        fun add(kind: TokenKind, start: Int, end: Int) {
+            tokens.add(Token(kind, source.substring(start, end), start, end, newline))
+            newline = false
+        }
+
+        while (i < source.length) {
+            val c = source[i]
+            val next = source.getOrNull(i + 1)
+            when {
+                c == '\n' || c == '\r' || c == '\u2028' || c == '\u2029' -> { newline = true; i++ }
+                c.isWhitespace() || c == '\uFEFF' -> i++
+                c == '/' && next == '/' -> i = lineEnd(i)
+                c == '#' && next == '!' && i == 0 -> i = lineEnd(i)
+                c == '/' && next == '*' -> {
+                    val close = source.indexOf("*/", i + 2)
+                    if (close < 0) fail(i, "Unterminated comment")
+                    if (source.substring(i, close).any { it == '\n' || it == '\r' }) newline = true
+                    i = close + 2
+                }
+                c == '\'' || c == '"' -> {
+                    val end = stringEnd(i, c)
+                    add(TokenKind.STRING, i, end)
+                    i = end
+                }
+                c == '`' || (c == '}' && braces.lastOrNull() == true) -> {
+                    if (c == '}') braces.removeAt(braces.size - 1)
+                    val end = templateEnd(i)
+                    if (source[end - 1] == '{') braces.add(true)
+                    add(TokenKind.TEMPLATE, i, end)
+                    i = end
+                }
+                c.isDigit() || (c == '.' && next?.isDigit() == true) -> {
+                    var end = i + 1
+                    while (end < source.length) {
+                        val d = source[end]
+                        val exponentSign = (d == '+' || d == '-') && source[end - 1].let { it == 'e' || it == 'E' } &&
+                            !source.startsWith("0x", i) && !source.startsWith("0X", i)
+                        if (d.isLetterOrDigit() || d == '_' || d == '.' || exponentSign) end++ else break
+                    }
+                    add(TokenKind.NUMBER, i, end)
+                    i = end
+                }
+                isIdentifierStart(c) || c == '#' || c == '\\' -> {
+                    var end = i + 1
+                    while (end < source.length) {
+                        val d = source[end]
+                        end += when {
+                            d == '\\' -> 2
+                            isIdentifierPart(d) -> 1
+                            else -> break
+                        }
+                    }
+                    add(TokenKind.IDENT, i, minOf(end, source.length))
+                    i = minOf(end, source.length)
+                }
+                c == '/' && regexAllowed() -> {
+                    val end = regexEnd(i)
+                    add(TokenKind.REGEX, i, end)
+                    i = end
+                }
+                else -> {
+                    val punct = PUNCTUATORS.firstOrNull { source.startsWith(it, i) }
+                        ?.takeUnless { it == "?." && source.getOrNull(i + 2)?.isDigit() == true }
+                        ?: c.toString()
+                    when (punct) {
+                        "{" -> braces.add(false)
+                        "}" -> if (braces.isNotEmpty()) braces.removeAt(braces.size - 1)
+                    }
+                    add(TokenKind.PUNCT, i, i + punct.length)
+                    i += punct.length
+                }
+            }
+        }
+    }
+
+    private fun lineEnd(from: Int): Int {
+        var i = from
+        while (i < source.length && source[i] != '\n' && source[i] != '\r') i++
+        return i
+    }
+
+    private fun stringEnd(from: Int, quote: Char): Int {
+        var i = from + 1
+        while (i < source.length) {
+            when (source[i]) {
+                '\\' -> i += 2
+                quote -> return i + 1
+                '\n', '\r' -> fail(from, "Unterminated string literal")
+                else -> i++
+            }
+        }
+        fail(from, "Unterminated string literal")
+    }
+
+    /**
+     * End of a template literal part, just after the closing backtick or `${`.
+     */
+    private fun templateEnd(from: Int): Int {
+        var i = from + 1
+        while (i < source.length) {
+            when {
+                source[i] == '\\' -> i += 2
+                source[i] == '`' -> return i + 1
+                source[i] == '$' && source.getOrNull(i + 1) == '{' -> return i + 2
+                else -> i++
+            }
+        }
+        fail(from, "Unterminated template literal")
+    }
+
+    private fun regexEnd(from: Int): Int {
+        var i = from + 1
+        var inClass = false
+        while (i < source.length) {
+            when (source[i]) {
+                '\\' -> i++
+                '[' -> inClass = true
+                ']' -> inClass = false
+                '/' -> if (!inClass) break
+                '\n', '\r' -> fail(from, "Unterminated regular expression")
+            }
+            i++
+        }
+        if (i >= source.length) fail(from, "Unterminated regular expression")
+        i++
+        while (i < source.length && isIdentifierPart(source[i])) i++
+        return i
+    }
+
+    /**
+     * A `/` starts a regular expression unless it follows something that ends an expression.
+     */
+    private fun regexAllowed(): Boolean {
+        val previous = tokens.lastOrNull() ?: return true
+        return when (previous.kind) {
+            TokenKind.PUNCT -> previous.text != ")" && previous.text != "]"
+            TokenKind.IDENT -> previous.text in REGEX_KEYWORDS
+            else -> false
+        }
+    }
+
+    private fun isIdentifierStart(c: Char): Boolean =
+        c == '$' || c == '_' || Character.isUnicodeIdentifierStart(c)
+
+    private fun isIdentifierPart(c: Char): Boolean =
+        c == '$' || c == '\u200C' || c == '\u200D' || Character.isUnicodeIdentifierPart(c) && !Character.isIdentifierIgnorable(c)
+
+    private fun matchBrackets() {
+        match = IntArray(tokens.size) { -1 }
+        val open = ArrayList<Int>()
+        val templates = ArrayList<Int>()
+
+        tokens.forEachIndexed { index, token ->
+            if (token.kind == TokenKind.TEMPLATE) {
+                val head = token.text.startsWith("`")
+                val tail = token.text.endsWith("`") && token.text.length > 1
+                when {
+                    head && !tail -> templates.add(index)
+                    !head && tail -> match[templates.removeAt(templates.size - 1)] = index
+                }
+                return@forEachIndexed
+            }
+            if (token.kind != TokenKind.PUNCT) return@forEachIndexed
+
+            when (token.text) {
+                "(", "[", "{" -> open.add(index)
+                ")", "]", "}" -> {
+                    val opener = open.removeLastOrNull() ?: fail(token.start, "Unexpected '${token.text}'")
+                    val expected = when (token.text) { ")" -> "("; "]" -> "["; else -> "{" }
+                    if (tokens[opener].text != expected) fail(token.start, "Unexpected '${token.text}'")
+                    match[opener] = index
+                }
+            }
+        }
+
+        open.lastOrNull()?.let { fail(tokens[it].start, "Unclosed '${tokens[it].text}'") }
+    }
+
+    // ---- Token helpers ----
+
+    private fun tok(i: Int): Token? = tokens.getOrNull(i)
+
+    private fun isPunct(i: Int, text: String): Boolean =
+        tok(i)?.let { it.kind == TokenKind.PUNCT && it.text == text } == true
+
+    private fun isIdent(i: Int, text: String): Boolean =
+        tok(i)?.let { it.kind == TokenKind.IDENT && it.text == text } == true
+
+    private fun isName(i: Int): Boolean = tok(i)?.kind == TokenKind.IDENT
+
+    private fun isOpener(i: Int): Boolean = i in tokens.indices && match[i] >= 0
+
+    /**
+     * Index after the token at i, or after its whole group if it opens one.
+     */
+    private fun skip(i: Int): Int = if (isOpener(i)) match[i] + 1 else i + 1
+
+    /**
+     * Whether the token at i can be the last token of an expression.
+     */
+    private fun isExpressionEnd(i: Int): Boolean {
+        val token = tok(i) ?: return false
+        return when (token.kind) {
+            TokenKind.NUMBER, TokenKind.STRING, TokenKind.REGEX -> true
+            TokenKind.TEMPLATE -> token.text.endsWith("`") && token.text.length > 1
+            TokenKind.IDENT -> token.text !in NON_EXPRESSION_KEYWORDS
+            TokenKind.PUNCT -> token.text == ")" || token.text == "]" || token.text == "}"
+        }
+    }
+
+    /**
+     * Whether a newline before the token at i ends the statement (automatic semicolon insertion).
+     */
+    private fun isStatementBoundary(i: Int): Boolean {
+        val token = tok(i) ?: return true
+        if (!token.newlineBefore || !isExpressionEnd(i - 1)) return false
+        return when (token.kind) {
+            TokenKind.IDENT -> token.text !in setOf("as", "satisfies", "instanceof", "in", "of")
+            TokenKind.NUMBER, TokenKind.STRING, TokenKind.REGEX -> true
+            TokenKind.TEMPLATE -> false
+            TokenKind.PUNCT -> token.text in setOf("{", "!", "~", "++", "--")
+        }
+    }
+
+    private fun isStatementStart(i: Int): Boolean {
+        val previous = tok(i - 1) ?: return true
+        if (previous.kind == TokenKind.PUNCT && previous.text in setOf(";", "{", "}")) return true
+        if (previous.kind == TokenKind.IDENT && previous.text in setOf("export", "default", "declare")) return true
+        return tokens[i].newlineBefore && isExpressionEnd(i - 1)
+    }
+
+    /**
+     * Index where an expression starting at [from] ends (exclusive), within [to].
+     */
+    private fun expressionEnd(from: Int, to: Int): Int {
+        var j = from
+        while (j < to) {
+            if (isPunct(j, ",") || isPunct(j, ";")) return j
+            if (j > from && isStatementBoundary(j)) return j
+            j = skip(j)
+        }
+        return to
+    }
+
+    // ---- Erasing ----
+
+    /**
+     * Replace tokens [from, to) and everything between them with spaces, keeping line breaks.
+     */
+    private fun blank(from: Int, to: Int) {
+        if (from >= to) return
+        for (p in tokens[from].start until tokens[to - 1].end) {
+            val c = out[p]
+            if (c != '\n' && c != '\r' && c != '\u2028' && c != '\u2029') out[p] = ' '
+        }
+    }
+
+    /**
+     * Erase a whole statement ending before [end], including `export`/`declare`/... prefixes.
+     */
+    private fun eraseStatement(keyword: Int, end: Int): Int {
+        var start = keyword
+        while (tok(start - 1)?.let { it.kind == TokenKind.IDENT && it.text in STATEMENT_PREFIXES } == true) start--
+        blank(start, end)
+        return end
+    }
+
+    private fun fail(offset: Int, reason: String): Nothing {
+        var line = 1
+        var lineStart = 0
+        for (p in 0 until minOf(offset, source.length)) {
+            if (source[p] == '\n') {
+                line++
+                lineStart = p + 1
+            }
+        }
+        throw TypeScriptSyntaxException(fileName, line, offset - lineStart + 1, reason)
+    }
+
+    private fun failAt(i: Int, reason: String): Nothing = fail(tok(i)?.start ?: source.length, reason)
+
+    // ---- Code ----
+
+    /**
+     * Strip types from statements and expressions in tokens [from, to).
+     */
+    private fun processCode(from: Int, to: Int) {
+        var i = from
+        while (i < to) {
+            i = processToken(i, to)
+        }
+    }
+
+    private fun processToken(i: Int, to: Int): Int {
+        val token = tokens[i]
+
+        if (token.kind == TokenKind.PUNCT) {
+            return when (token.text) {
+                "(" -> processParen(i)
+                "[", "{" -> { processCode(i + 1, match[i]); match[i] + 1 }
+                "<" -> processAngle(i)
+                "!" -> {
+                    if (isNonNullAssertion(i)) blank(i, i + 1)
+                    i + 1
+                }
+                else -> i + 1
+            }
+        }
+        if (token.kind != TokenKind.IDENT || isPunct(i - 1, ".") || isPunct(i - 1, "?.")) {
+            return i + 1
+        }
+
+        val atStatementStart = isStatementStart(i)
+        return when (token.text) {
+            "import" -> if (atStatementStart) processImport(i) else i + 1
+            "export" -> if (atStatementStart) processExport(i) else i + 1
+            "interface" -> if (atStatementStart && isName(i + 1)) eraseInterface(i) else i + 1
+            "type" -> if (atStatementStart && isTypeAlias(i)) eraseTypeAlias(i) else i + 1
+            "declare" -> if (atStatementStart && isDeclaration(i)) eraseDeclare(i) else i + 1
+            "enum" -> {
+                if (atStatementStart && isName(i + 1)) {
+                    failAt(i, "Enums are not supported (types are stripped, not compiled); use a frozen object instead")
+                }
+                i + 1
+            }
+            "namespace", "module" -> {
+                if (atStatementStart && isName(i + 1) && !tokens[i + 1].newlineBefore && (isPunct(i + 2, "{") || isPunct(i + 2, "."))) {
+                    failAt(i, "Namespaces are not supported (types are stripped, not compiled); use modules instead")
+                }
+                i + 1
+            }
+            "abstract" -> {
+                if (isIdent(i + 1, "class")) blank(i, i + 1)
+                i + 1
+            }
+            "let", "const", "var" -> when {
+                isIdent(i + 1, "enum") -> failAt(i + 1, "Enums are not supported (types are stripped, not compiled); use a frozen object instead")
+                isName(i + 1) || isPunct(i + 1, "{") || isPunct(i + 1, "[") -> processDeclaration(i, to)
+                else -> i + 1
+            }
+            "function" -> processFunction(i)
+            "class" -> processClass(i)
+            "catch" -> if (isPunct(i + 1, "(")) processParameters(i + 1) else i + 1
+            "as", "satisfies" -> {
+                if (!token.newlineBefore && isExpressionEnd(i - 1)) {
+                    val end = requireType(i + 1)
+                    blank(i, end)
+                    end
+                } else {
+                    i + 1
+                }
+            }
+            else -> i + 1
+        }
+    }
+
+    /**
+     * `x!` directly after an expression is a non-null assertion.
+     */
+    private fun isNonNullAssertion(i: Int): Boolean {
+        val previous = tok(i - 1) ?: return false
+        if (previous.end != tokens[i].start) return false
+        return previous.kind == TokenKind.IDENT && previous.text !in NON_EXPRESSION_KEYWORDS ||
+            previous.kind == TokenKind.PUNCT && (previous.text == ")" || previous.text == "]")
+    }
+
+    /**
+     * A parenthesized group: either a parameter list (arrow function or method shorthand)
+     * or an ordinary expression / call arguments.
+     */
+    private fun processParen(i: Int): Int {
+        val close = match[i]
+        val isParameters = when {
+            isPunct(close + 1, "=>") -> true
+            isPunct(close + 1, ":") -> {
+                val typeEnd = scanType(close + 2)
+                typeEnd > 0 && (isPunct(typeEnd, "=>") || isPunct(typeEnd, "{") && isMethodName(i - 1))
+            }
+            isPunct(close + 1, "{") -> isMethodName(i - 1)
+            else -> false
+        }
+
+        if (!isParameters) {
+            processCode(i + 1, close)
+            return close + 1
+        }
+        return processParameters(i)
+    }
+
+    /**
+     * Whether a `(` after the token at i starts a method definition (`name(...) {`).
+     */
+    private fun isMethodName(i: Int): Boolean {
+        val token = tok(i) ?: return false
+        return when (token.kind) {
+            TokenKind.IDENT -> token.text !in NON_EXPRESSION_KEYWORDS && token.text != "await"
+            TokenKind.STRING, TokenKind.NUMBER -> true
+            TokenKind.PUNCT -> token.text == "]" || token.text == ">"
+            else -> false
+        }
+    }
+
+    /**
+     * `<` in an expression: type arguments of a call (`f<T>(x)`), type parameters of a
+     * generic arrow function (`<T>(x: T) => x`), or a comparison.
+     */
+    private fun processAngle(i: Int): Int {
+        if (isExpressionEnd(i - 1) && isName(i - 1) || isPunct(i - 1, ")") || isPunct(i - 1, "]")) {
+            if (tokens[i].newlineBefore) return i + 1
+            val end = scanTypeArguments(i)
+            if (end > 0 && (isPunct(end, "(") || tok(end)?.kind == TokenKind.TEMPLATE)) {
+                blank(i, end)
+                return end
+            }
+            return i + 1
+        }
+
+        if (!isExpressionEnd(i - 1)) {
+            val end = scanTypeParameters(i)
+            if (end > 0 && isPunct(end, "(") && isArrowParameters(end)) {
+                blank(i, end)
+                return end
+            }
+        }
+        return i + 1
+    }
+
+    private fun isArrowParameters(open: Int): Boolean {
+        val close = match[open]
+        if (isPunct(close + 1, "=>")) return true
+        if (!isPunct(close + 1, ":")) return false
+        val typeEnd = scanType(close + 2)
+        return typeEnd > 0 && isPunct(typeEnd, "=>")
+    }
+
+    /**
+     * A parameter list starting at [open], followed by an optional return type.
+     *
+     * @return Index after the parameter list (and return type)
+     */
+    private fun processParameters(open: Int): Int {
+        val close = match[open]
+        var start = open + 1
+        while (start < close) {
+            var end = start
+            while (end < close && !isPunct(end, ",")) end = skip(end)
+            processParameter(start, end, hasComma = end < close)
+            start = end + 1
+        }
+
+        var k = close + 1
+        if (isPunct(k, ":")) {
+            val end = requireType(k + 1)
+            blank(k, end)
+            k = end
+        }
+        return k
+    }
+
+    private fun processParameter(start: Int, end: Int, hasComma: Boolean) {
+        if (start >= end) return
+        var k = start
+
+        val first = tokens[k]
+        if (first.kind == TokenKind.IDENT && first.text in PARAMETER_MODIFIERS && k + 1 < end &&
+            (isName(k + 1) || isPunct(k + 1, "{") || isPunct(k + 1, "["))
+        ) {
+            failAt(k, "Parameter properties ('${first.text}' in a constructor parameter) are not supported; declare the field and assign it in the constructor")
+        }
+
+        // `this: Type` only declares the type of `this`
+        if (isIdent(k, "this") && isPunct(k + 1, ":")) {
+            blank(start, if (hasComma) end + 1 else end)
+            return
+        }
+
+        if (isPunct(k, "...")) k++
+        when {
+            isPunct(k, "{") || isPunct(k, "[") -> {
+                processCode(k + 1, match[k])
+                k = match[k] + 1
+            }
+            isName(k) -> k++
+            else -> {
+                processCode(k, end)
+                return
+            }
+        }
+
+        if (isPunct(k, "?")) {
+            blank(k, k + 1)
+            k++
+        }
+        if (isPunct(k, ":")) {
+            val typeEnd = requireType(k + 1)
+            blank(k, typeEnd)
+            k = typeEnd
+        }
+        if (isPunct(k, "=")) {
+            processCode(k + 1, end)
+        }
+    }
+
+    /**
+     * `let`/`const`/`var` declarations: `let x!: T = value, { a }: U = other`.
+     */
+    private fun processDeclaration(keyword: Int, to: Int): Int {
+        var k = keyword + 1
+        while (true) {
+            when {
+                isPunct(k, "{") || isPunct(k, "[") -> {
+                    processCode(k + 1, match[k])
+                    k = match[k] + 1
+                }
+                isName(k) -> k++
+                else -> return k
+            }
+
+            if (isPunct(k, "!") && isPunct(k + 1, ":")) {
+                blank(k, k + 1)
+                k++
+            }
+            if (isPunct(k, ":")) {
+                val end = requireType(k + 1)
+                blank(k, end)
+                k = end
+            }
+            if (isPunct(k, "=")) {
+                val end = expressionEnd(k + 1, to)
+                processCode(k + 1, end)
+                k = end
+            }
+
+            if (k < to && isPunct(k, ",")) k++ else return k
+        }
+    }
+
+    /**
+     * Function declarations and expressions; bodiless ones (overload signatures) are erased.
+     */
+    private fun processFunction(keyword: Int): Int {
+        var k = keyword + 1
+        if (isPunct(k, "*")) k++
+        if (isName(k)) k++
+        if (isPunct(k, "<")) {
+            val end = requireTypeParameters(k)
+            blank(k, end)
+            k = end
+        }
+        if (!isPunct(k, "(")) return k
+
+        k = processParameters(k)
+        if (isPunct(k, "{")) {
+            processCode(k + 1, match[k])
+            return match[k] + 1
+        }
+
+        return eraseStatement(keyword, if (isPunct(k, ";")) k + 1 else k)
+    }
+
+    private fun processClass(keyword: Int): Int {
+        var k = keyword + 1
+        if (isName(k) && !isIdent(k, "extends") && !isIdent(k, "implements")) k++
+        if (isPunct(k, "<")) {
+            val end = requireTypeParameters(k)
+            blank(k, end)
+            k = end
+        }
+
+        if (isIdent(k, "extends")) {
+            k++
+            while (k < tokens.size && !isPunct(k, "{") && !isIdent(k, "implements")) {
+                if (isPunct(k, "<")) {
+                    val end = scanTypeArguments(k)
+                    if (end > 0) {
+                        blank(k, end)
+                        k = end
+                        continue
+                    }
+                }
+                if (isPunct(k, "(") || isPunct(k, "[")) {
+                    processCode(k + 1, match[k])
+                }
+                k = skip(k)
+            }
+        }
+
+        if (isIdent(k, "implements")) {
+            var end = requireType(k + 1)
+            while (isPunct(end, ",")) end = requireType(end + 1)
+            blank(k, end)
+            k = end
+        }
+
+        if (!isPunct(k, "{")) return k
+        processClassBody(k + 1, match[k])
+        return match[k] + 1
+    }
+
+    private fun processClassBody(from: Int, to: Int) {
+        var j = from
+        while (j < to) {
+            if (isPunct(j, ";")) {
+                j++
+                continue
+            }
+
+            val memberStart = j
+            var erase = false
+
+            while (j < to && tok(j)?.let { it.kind == TokenKind.IDENT && it.text in CLASS_MODIFIERS } == true && isModifier(j)) {
+                val modifier = tokens[j].text
+                if (modifier in TS_CLASS_MODIFIERS) blank(j, j + 1)
+                if (modifier == "abstract" || modifier == "declare") erase = true
+                j++
+            }
+            if (isPunct(j, "*")) j++
+
+            // Static initialization block
+            if (isPunct(j, "{")) {
+                processCode(j + 1, match[j])
+                j = match[j] + 1
+                continue
+            }
+
+            when {
+                isPunct(j, "[") -> {
+                    // Index signature `[key: string]: T` or computed name `[expr]`
+                    if (isName(j + 1) && isPunct(j + 2, ":")) erase = true else processCode(j + 1, match[j])
+                    j = match[j] + 1
+                }
+                tok(j)?.kind.let { it == TokenKind.IDENT || it == TokenKind.STRING || it == TokenKind.NUMBER } -> j++
+                else -> {
+                    // Not a member; leave it for the JavaScript parser to report
+                    j++
+                    continue
+                }
+            }
+
+            if (isPunct(j, "?") || isPunct(j, "!")) {
+                blank(j, j + 1)
+                j++
+            }
+            if (isPunct(j, "<")) {
+                val end = requireTypeParameters(j)
+                blank(j, end)
+                j = end
+            }
+
+            val memberEnd: Int
+            if (isPunct(j, "(")) {
+                j = processParameters(j)
+                if (isPunct(j, "{")) {
+                    processCode(j + 1, match[j])
+                    memberEnd = match[j] + 1
+                } else {
+                    // Overload signature or abstract method
+                    memberEnd = if (isPunct(j, ";")) j + 1 else j
+                    erase = true
+                }
+            } else {
+                if (isPunct(j, ":")) {
+                    val end = requireType(j + 1)
+                    blank(j, end)
+                    j = end
+                }
+                if (isPunct(j, "=")) {
+                    val end = expressionEnd(j + 1, to)
+                    processCode(j + 1, end)
+                    j = end
+                }
+                memberEnd = if (isPunct(j, ";")) j + 1 else j
+            }
+
+            if (erase) blank(memberStart, memberEnd)
+            j = maxOf(memberEnd, memberStart + 1)
+        }
+    }
+
+    /**
+     * A class modifier is followed by the member name, not by `(`, `=`, `:` etc.
+     */
+    private fun isModifier(i: Int): Boolean {
+        val next = tok(i + 1) ?: return false
+        return when (next.kind) {
+            TokenKind.IDENT, TokenKind.STRING, TokenKind.NUMBER -> true
+            TokenKind.PUNCT -> next.text == "[" || next.text == "*" || next.text == "{" && tokens[i].text == "static"
+            else -> false
+        }
+    }
+
+    // ---- Declarations that are erased entirely ----
+
+    private fun isTypeAlias(i: Int): Boolean =
+        isName(i + 1) && !tokens[i + 1].newlineBefore && (isPunct(i + 2, "=") || isPunct(i + 2, "<"))
+
+    private fun eraseTypeAlias(keyword: Int): Int {
+        var k = keyword + 2
+        if (isPunct(k, "<")) k = requireTypeParameters(k)
+        if (!isPunct(k, "=")) failAt(k, "Expected '=' in type alias")
+        var end = requireType(k + 1)
+        if (isPunct(end, ";")) end++
+        return eraseStatement(keyword, end)
+    }
+
+    private fun eraseInterface(keyword: Int): Int {
+        var k = keyword + 2
+        if (isPunct(k, "<")) k = requireTypeParameters(k)
+        if (isIdent(k, "extends")) {
+            k = requireType(k + 1)
+            while (isPunct(k, ",")) k = requireType(k + 1)
+        }
+        if (!isPunct(k, "{")) failAt(k, "Expected '{' in interface declaration")
+        return eraseStatement(keyword, match[k] + 1)
+    }
+
+    private fun isDeclaration(i: Int): Boolean =
+        tok(i + 1)?.let { it.kind == TokenKind.IDENT && it.text in DECLARABLE && !it.newlineBefore } == true
+
+    /**
+     * `declare ...` statements only describe things that exist elsewhere.
+     */
+    private fun eraseDeclare(keyword: Int): Int {
+        val hasBlock = tokens[keyword + 1].text in BLOCK_DECLARATIONS
+        var j = keyword + 1
+        while (j < tokens.size) {
+            if (hasBlock && isPunct(j, "{")) return eraseStatement(keyword, match[j] + 1)
+            if (isPunct(j, ";")) return eraseStatement(keyword, j + 1)
+            if (j > keyword + 2 && isStatementBoundary(j)) break
+            if (isPunct(j, "}") || isPunct(j, ")") || isPunct(j, "]")) break
+            j = skip(j)
+        }
+        return eraseStatement(keyword, j)
+    }
+
+    // ---- Imports and exports ----
+
+    private fun processImport(keyword: Int): Int {
+        // Dynamic import() and import.meta are expressions
+        if (isPunct(keyword + 1, "(") || isPunct(keyword + 1, ".")) return keyword + 1
+
+        val typeOnly = isIdent(keyword + 1, "type") && (
+            isPunct(keyword + 2, "{") || isPunct(keyword + 2, "*") ||
+                isName(keyword + 2) && !(isIdent(keyword + 2, "from") && tok(keyword + 3)?.kind == TokenKind.STRING)
+            )
+        if (typeOnly) {
+            return eraseStatement(keyword, moduleStatementEnd(keyword))
+        }
+        if (isName(keyword + 1) && isPunct(keyword + 2, "=")) {
+            failAt(keyword, "'import x = require()' is not supported; use an ES import")
+        }
+
+        val end = moduleStatementEnd(keyword)
+        var k = keyword + 1
+        while (k < end) {
+            if (isPunct(k, "{")) stripTypeSpecifiers(k)
+            k = skip(k)
+        }
+        return end
+    }
+
+    private fun processExport(keyword: Int): Int {
+        return when {
+            isIdent(keyword + 1, "type") && (isPunct(keyword + 2, "{") || isPunct(keyword + 2, "*")) ->
+                eraseStatement(keyword, moduleStatementEnd(keyword))
+            isPunct(keyword + 1, "{") -> {
+                stripTypeSpecifiers(keyword + 1)
+                moduleStatementEnd(keyword)
+            }
+            isPunct(keyword + 1, "*") -> moduleStatementEnd(keyword)
+            isPunct(keyword + 1, "=") -> failAt(keyword, "'export =' is not supported; use export default")
+            else -> keyword + 1
+        }
+    }
+
+    /**
+     * End of an import or re-export statement: after the module specifier, its `with { ... }`
+     * attributes and the semicolon. Export lists without `from` end after the `}`.
+     */
+    private fun moduleStatementEnd(keyword: Int): Int {
+        var j = keyword + 1
+        while (j < tokens.size) {
+            val token = tokens[j]
+            if (token.kind == TokenKind.STRING && (j == keyword + 1 || isIdent(j - 1, "from"))) {
+                j++
+                break
+            }
+            if (isPunct(j, ";") || j > keyword + 1 && isStatementBoundary(j) && !isIdent(j, "from")) break
+            j = skip(j)
+        }
+        if ((isIdent(j, "with") || isIdent(j, "assert")) && isPunct(j + 1, "{")) j = match[j + 1] + 1
+        if (isPunct(j, ";")) j++
+        return j
+    }
+
+    /**
+     * Erase `type X` entries (and their comma) from an import or export list.
+     */
+    private fun stripTypeSpecifiers(open: Int) {
+        val close = match[open]
+        var start = open + 1
+        while (start < close) {
+            var end = start
+            while (end < close && !isPunct(end, ",")) end++
+
+            val length = end - start
+            val isTypeOnly = isIdent(start, "type") && length >= 2 && !(length == 3 && isIdent(start + 1, "as"))
+            if (isTypeOnly) {
+                when {
+                    end < close -> blank(start, end + 1)
+                    isPunct(start - 1, ",") -> blank(start - 1, end)
+                    else -> blank(start, end)
+                }
+            }
+            start = end + 1
+        }
+    }
+
+    // ---- Types ----
+
+    private fun requireType(i: Int): Int {
+        val end = scanType(i)
+        if (end < 0) failAt(i, "Could not parse type")
+        return end
+    }
+
+    private fun requireTypeParameters(i: Int): Int {
+        val end = scanTypeParameters(i)
+        if (end < 0) failAt(i, "Could not parse type parameters")
+        return end
+    }
+
+    /**
+     * Find the end of the type starting at i.
+     *
+     * @return Index after the type, or -1 if no type starts at i
+     */
+    private fun scanType(i: Int): Int {
+        val end = scanUnionType(i)
+        if (end < 0) return -1
+
+        // Conditional type: A extends B ? C : D
+        if (isIdent(end, "extends") && !tokens[end].newlineBefore) {
+            val extendsEnd = scanUnionType(end + 1)
+            if (extendsEnd > 0 && isPunct(extendsEnd, "?")) {
+                val trueEnd = scanType(extendsEnd + 1)
+                if (trueEnd > 0 && isPunct(trueEnd, ":")) return scanType(trueEnd + 1)
+            }
+        }
+        return end
+    }
+
+    private fun scanUnionType(i: Int): Int {
+        var k = i
+        if (isPunct(k, "|") || isPunct(k, "&")) k++
+        k = scanTypeOperand(k)
+        while (k > 0 && (isPunct(k, "|") || isPunct(k, "&"))) {
+            k = scanTypeOperand(k + 1)
+        }
+        return k
+    }
+
+    private fun scanTypeOperand(i: Int): Int {
+        var k = i
+        while (tok(k)?.let { it.kind == TokenKind.IDENT && it.text in TYPE_OPERATORS } == true && tok(k + 1)?.let { it.kind != TokenKind.PUNCT || it.text in setOf("(", "[", "{", "<", "-") } == true) {
+            k++
+        }
+
+        // Assertion signatures: asserts x [is T]
+        if (isIdent(k, "asserts") && isName(k + 1)) {
+            return if (isIdent(k + 2, "is")) scanType(k + 3) else k + 2
+        }
+
+        val token = tok(k) ?: return -1
+        var end = when {
+            isPunct(k, "(") -> {
+                val close = match[k]
+                if (isPunct(close + 1, "=>")) return scanType(close + 2)
+                close + 1
+            }
+            isPunct(k, "<") -> {
+                val parameters = scanTypeParameters(k)
+                if (parameters < 0 || !isPunct(parameters, "(") || !isPunct(match[parameters] + 1, "=>")) return -1
+                return scanType(match[parameters] + 2)
+            }
+            isIdent(k, "new") || isIdent(k, "abstract") && isIdent(k + 1, "new") -> {
+                var p = if (isIdent(k, "abstract")) k + 2 else k + 1
+                if (isPunct(p, "<")) p = scanTypeParameters(p)
+                if (p < 0 || !isPunct(p, "(") || !isPunct(match[p] + 1, "=>")) return -1
+                return scanType(match[p] + 2)
+            }
+            isPunct(k, "{") || isPunct(k, "[") -> match[k] + 1
+            token.kind == TokenKind.STRING || token.kind == TokenKind.NUMBER -> k + 1
+            token.kind == TokenKind.TEMPLATE -> skip(k)
+            isPunct(k, "-") && tok(k + 1)?.kind == TokenKind.NUMBER -> k + 2
+            isIdent(k, "typeof") || isIdent(k, "import") && isPunct(k + 1, "(") -> {
+                var p = if (isIdent(k, "typeof")) k + 1 else k
+                p = when {
+                    isIdent(p, "import") && isPunct(p + 1, "(") -> match[p + 1] + 1
+                    isName(p) -> p + 1
+                    else -> return -1
+                }
+                while (isPunct(p, ".") && isName(p + 1)) p += 2
+                p
+            }
+            token.kind == TokenKind.IDENT -> {
+                var p = k + 1
+                while (isPunct(p, ".") && isName(p + 1)) p += 2
+                p
+            }
+            else -> return -1
+        }
+
+        if (isPunct(end, "<") && !tokens[end].newlineBefore) {
+            end = scanTypeArguments(end)
+            if (end < 0) return -1
+        }
+
+        // Type predicates: x is T
+        if (token.kind == TokenKind.IDENT && isIdent(end, "is") && end == k + 1) {
+            return scanType(end + 1)
+        }
+
+        // Array types and indexed access: T[], T["key"]
+        while (isPunct(end, "[") && !tokens[end].newlineBefore) end = match[end] + 1
+
+        return end
+    }
+
+    /**
+     * `<A, B<C>>` type arguments starting at i.
+     *
+     * @return Index after the closing `>`, or -1
+     */
+    private fun scanTypeArguments(i: Int): Int {
+        var p = i + 1
+        if (isPunct(p, ">")) return -1
+        while (true) {
+            p = scanType(p)
+            if (p < 0) return -1
+            if (isPunct(p, ",")) {
+                p++
+                if (isPunct(p, ">")) return p + 1
+                continue
+            }
+            return if (isPunct(p, ">")) p + 1 else -1
+        }
+    }
+
+    /**
+     * `<T extends U = V, const W>` type parameters starting at i.
+     *
+     * @return Index after the closing `>`, or -1
+     */
+    private fun scanTypeParameters(i: Int): Int {
+        var p = i + 1
+        while (true) {
+            while (tok(p)?.let { it.kind == TokenKind.IDENT && it.text in setOf("const", "in", "out") } == true && isName(p + 1)) p++
+            if (!isName(p)) return -1
+            p++
+            if (isIdent(p, "extends")) {
+                p = scanType(p + 1)
+                if (p < 0) return -1
+            }
+            if (isPunct(p, "=")) {
+                p = scanType(p + 1)
+                if (p < 0) return -1
+            }
+            if (isPunct(p, ",")) {
+                p++
+                if (isPunct(p, ">")) return p + 1
+                continue
+            }
+            return if (isPunct(p, ">")) p + 1 else -1
+        }
+    }
+}
@@ -148,22 +148,22 @@ object BlockEventAdapter {
 
     /**
      * Create a Placed event from Minecraft event data.
+     * The state is passed explicitly because it may not be in the level yet.
      */
     fun createPlacedEvent(
         pos: BlockPos,
         level: Level,
         player: Player,
-        placedAgainst: BlockPos,
+        state: BlockState,
+        placedAgainst: BlockPos?,
         face: Direction?,
         item: ItemStack?
     ): BlockEventData.Placed {
-        val state = level.getBlockState(pos)
-
         return BlockEventData.Placed(
             position = toBlockPosition(pos, level),
             block = toBlockData(state),
             player = toPlayerData(player),
-            placedAgainst = toBlockPosition(placedAgainst, level),
+            placedAgainst = placedAgainst?.let { toBlockPosition(it, level) },
             face = toBlockFace(face),
             item = item?.let { toItemData(it) }
         )
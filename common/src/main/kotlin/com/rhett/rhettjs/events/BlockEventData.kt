@@ -70,12 +70,13 @@ sealed class BlockEventData {
 
     /**
      * Event data for block placement events.
+     * placedAgainst is null when the platform does not report the clicked block.
      */
     data class Placed(
         override val position: BlockPosition,
         override val block: BlockData,
         override val player: PlayerData,
-        val placedAgainst: BlockPosition,
+        val placedAgainst: BlockPosition?,
         val face: BlockFace?,
         val item: ItemData?
     ) : BlockEventData()
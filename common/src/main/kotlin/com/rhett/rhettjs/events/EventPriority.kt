@@ -0,0 +1,32 @@
+package com.rhett.rhettjs.events
+
+/**
+ * Priority of a Server.on() handler.
+ *
+ * Handlers run in declaration order: HIGHEST first, MONITOR last.
+ * Within a priority, handlers run in registration order.
+ *
+ * MONITOR handlers observe the final outcome and cannot cancel the event,
+ * so protection scripts should use HIGHEST/HIGH and logging scripts MONITOR.
+ */
+enum class EventPriority(val jsName: String) {
+    HIGHEST("highest"),
+    HIGH("high"),
+    NORMAL("normal"),
+    LOW("low"),
+    MONITOR("monitor");
+
+    companion object {
+        /**
+         * Parse a priority from its JavaScript name (case-insensitive).
+         *
+         * @throws IllegalArgumentException if the name is not a known priority
+         */
+        fun fromJS(name: String): EventPriority {
+            return entries.firstOrNull { it.jsName.equals(name, ignoreCase = true) }
+                ?: throw IllegalArgumentException(
+                    "Invalid event priority: $name. Valid priorities: ${entries.joinToString(", ") { it.jsName }}"
+                )
+        }
+    }
+}
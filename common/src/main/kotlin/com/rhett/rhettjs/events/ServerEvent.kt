@@ -0,0 +1,101 @@
+package com.rhett.rhettjs.events
+
+import com.rhett.rhettjs.engine.ContextBridge
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyExecutable
+import org.graalvm.polyglot.proxy.ProxyObject
+
+/**
+ * Mutable event object shared by every handler of a single event dispatch.
+ *
+ * JavaScript sees the event fields plus:
+ * - `type` - the event name
+ * - `cancellable` - whether cancel() has any effect
+ * - `isCancelled` - live cancellation flag (reflects earlier handlers' decisions)
+ * - `cancel()` / `setCancelled(bool)` - veto the action
+ *
+ * Fields listed in [writable] can be reassigned by handlers (e.g. a chat message rewrite);
+ * platform code reads them back with [get] after dispatch. All other fields are read-only.
+ */
+class ServerEvent(
+    val type: String,
+    fields: Map<String, Any?>,
+    val cancellable: Boolean = false,
+    private val writable: Set<String> = emptySet()
+) : ProxyObject {
+
+    private val fields = fields.toMutableMap()
+
+    @Volatile
+    var isCancelled = false
+        private set
+
+    /**
+     * Priority of the handler currently running.
+     * Set by ServerEventManager during dispatch so MONITOR handlers can't change the outcome.
+     */
+    @Volatile
+    internal var currentPriority: EventPriority = EventPriority.NORMAL
+
+    private val cancelFn = ProxyExecutable { _ ->
+        setCancelled(true)
+        null
+    }
+
+    private val setCancelledFn = ProxyExecutable { args ->
+        setCancelled(args.isEmpty() || args[0].asBoolean())
+        null
+    }
+
+    /**
+     * Set the cancellation flag.
+     *
+     * @throws IllegalStateException if the event is not cancellable or a MONITOR handler is running
+     */
+    fun setCancelled(cancelled: Boolean) {
+        if (!cancellable) {
+            throw IllegalStateException("Event '$type' cannot be cancelled")
+        }
+        if (currentPriority == EventPriority.MONITOR) {
+            throw IllegalStateException("Monitor handlers cannot change cancellation of '$type'")
+        }
+        isCancelled = cancelled
+    }
+
+    /**
+     * Read a field (possibly rewritten by a handler).
+     */
+    fun get(key: String): Any? = fields[key]
+
+    override fun getMember(key: String?): Any? {
+        return when (key) {
+            "type" -> type
+            "cancellable" -> cancellable
+            "isCancelled" -> isCancelled
+            "cancel" -> cancelFn
+            "setCancelled" -> setCancelledFn
+            // Handlers may run in isolated contexts; copy values owned by another context
+            else -> ContextBridge.adaptToCurrent(fields[key])
+        }
+    }
+
+    override fun getMemberKeys(): Any = (fields.keys + BUILTIN_KEYS).toTypedArray()
+
+    override fun hasMember(key: String?): Boolean {
+        return key in BUILTIN_KEYS || fields.containsKey(key)
+    }
+
+    override fun putMember(key: String?, value: Value?) {
+        if (key == null || key !in writable) {
+            throw UnsupportedOperationException("Event property '$key' is read-only")
+        }
+        if (currentPriority == EventPriority.MONITOR) {
+            throw IllegalStateException("Monitor handlers cannot modify '$key' of '$type'")
+        }
+        fields[key] = value
+    }
+
+    companion object {
+        private val BUILTIN_KEYS = listOf("type", "cancellable", "isCancelled", "cancel", "setCancelled")
+    }
+}
@@ -1,15 +1,32 @@
 package com.rhett.rhettjs.events
 
+import com.google.gson.JsonArray
+import com.google.gson.JsonElement
+import com.google.gson.JsonNull
+import com.google.gson.JsonObject
+import com.google.gson.JsonPrimitive
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.EntityAdapter
 import com.rhett.rhettjs.adapter.PlayerAdapter
 import com.rhett.rhettjs.config.ConfigManager
-import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ContextBridge
+import com.rhett.rhettjs.engine.ScriptErrorLog
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptLimitException
+import com.rhett.rhettjs.engine.ScriptLimits
+import net.minecraft.ChatFormatting
 import net.minecraft.network.chat.Component
 import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionHand
+import net.minecraft.world.damagesource.DamageSource
+import net.minecraft.world.entity.Entity
+import net.minecraft.world.entity.LivingEntity
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyObject
 import java.util.concurrent.ConcurrentHashMap
+import java.util.concurrent.CopyOnWriteArrayList
 
 /**
  * Manager for Server API event system.
@@ -23,12 +40,54 @@ import java.util.concurrent.ConcurrentHashMap
  * - All objects wrapped using adapters (PlayerAdapter, etc.)
  * - Thread-safe handler storage
  * - Async handler support
+ *
+ * Dispatch order:
+ * - Handlers run by priority (highest, high, normal, low, monitor), then registration order
+ * - Cancellable events share one ServerEvent object, so later handlers see earlier decisions
+ * - Handlers registered with ignoreCancelled are skipped once the event is cancelled
+ * - A failing handler is logged and the remaining handlers still run
+ * - Handlers registered with `every: N` only run on every Nth trigger (used to throttle tick)
+ *
+ * Custom events:
+ * - Scripts dispatch their own events with Server.emit(), using names under the reserved
+ *   "custom:" prefix so they can never collide with current or future built-in events
  */
 object ServerEventManager {
 
-    // Event handler storage
-    private val eventHandlers = ConcurrentHashMap<String, MutableList<Value>>()
-    private val oneTimeHandlers = ConcurrentHashMap<String, MutableList<Value>>()
+    /**
+     * Prefix reserved for script-defined events (e.g. "custom:arenaStarted").
+     */
+    const val CUSTOM_EVENT_PREFIX = "custom:"
+
+    /**
+     * Events fired by RhettJS itself. These cannot be emitted from scripts.
+     */
+    val BUILT_IN_EVENTS = setOf(
+        "playerJoin", "playerLeave", "chat",
+        "blockLeftClick", "blockRightClick", "blockPlace", "blockBreak",
+        "entityHurt", "entityDeath", "entitySpawn", "playerInteractEntity",
+        "tick", "serverStarted", "serverStopping", "worldSaved"
+    )
+
+    /**
+     * A handler registered via Server.on() or Server.once().
+     *
+     * @property owner The script that registered the handler (null for handlers registered from host code)
+     */
+    private class RegisteredHandler(
+        val handler: Value,
+        val priority: EventPriority,
+        val ignoreCancelled: Boolean,
+        val once: Boolean,
+        val every: Int,
+        val owner: ScriptInfo?
+    ) {
+        // Triggers left before this handler runs again (only meaningful when every > 1)
+        var countdown: Int = every
+    }
+
+    // Event handler storage (per event, kept sorted by priority then registration order)
+    private val eventHandlers = ConcurrentHashMap<String, CopyOnWriteArrayList<RegisteredHandler>>()
 
     // Reference to MinecraftServer for accessing properties
     @Volatile
@@ -61,14 +120,21 @@ object ServerEventManager {
      *
      * @param event The event name (e.g., "playerJoin")
      * @param handler The JavaScript function to call
+     * @param priority When the handler runs relative to other handlers
+     * @param ignoreCancelled Skip this handler if the event is already cancelled
+     * @param every Only run on every Nth trigger of the event (e.g. every 20 ticks)
+     * @param owner The script registering the handler (see removeHandlers)
      */
-    fun on(event: String, handler: Value) {
-        if (!handler.canExecute()) {
-            throw IllegalArgumentException("Handler must be a function")
-        }
-
-        eventHandlers.getOrPut(event) { mutableListOf() }.add(handler)
-        ConfigManager.debug("[ServerEventManager] Registered handler for event: $event")
+    fun on(
+        event: String,
+        handler: Value,
+        priority: EventPriority = EventPriority.NORMAL,
+        ignoreCancelled: Boolean = false,
+        every: Int = 1,
+        owner: ScriptInfo? = null
+    ) {
+        register(event, RegisteredHandler(handler, priority, ignoreCancelled, once = false, every = every, owner = owner))
+        ConfigManager.debug("[ServerEventManager] Registered handler for event: $event (priority=${priority.jsName}, every=$every)")
     }
 
     /**
@@ -77,14 +143,44 @@ object ServerEventManager {
      *
      * @param event The event name
      * @param handler The JavaScript function to call
+     * @param priority When the handler runs relative to other handlers
+     * @param ignoreCancelled Skip this handler if the event is already cancelled
+     * @param every Run on the Nth trigger instead of the next one
+     * @param owner The script registering the handler (see removeHandlers)
      */
-    fun once(event: String, handler: Value) {
-        if (!handler.canExecute()) {
+    fun once(
+        event: String,
+        handler: Value,
+        priority: EventPriority = EventPriority.NORMAL,
+        ignoreCancelled: Boolean = false,
+        every: Int = 1,
+        owner: ScriptInfo? = null
+    ) {
+        register(event, RegisteredHandler(handler, priority, ignoreCancelled, once = true, every = every, owner = owner))
+        ConfigManager.debug("[ServerEventManager] Registered one-time handler for event: $event (priority=${priority.jsName})")
+    }
+
+    /**
+     * Insert a handler after all handlers of the same or higher priority.
+     */
+    private fun register(event: String, registered: RegisteredHandler) {
+        if (!registered.handler.canExecute()) {
             throw IllegalArgumentException("Handler must be a function")
         }
+        if (registered.every < 1) {
+            throw IllegalArgumentException("every must be a positive number of triggers, got ${registered.every}")
+        }
 
-        oneTimeHandlers.getOrPut(event) { mutableListOf() }.add(handler)
-        ConfigManager.debug("[ServerEventManager] Registered one-time handler for event: $event")
+        if (event !in BUILT_IN_EVENTS && !event.startsWith(CUSTOM_EVENT_PREFIX)) {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Handler registered for unknown event '$event'. " +
+                "Custom events should use the '$CUSTOM_EVENT_PREFIX' prefix (e.g. '${CUSTOM_EVENT_PREFIX}$event')")
+        }
+
+        val handlers = eventHandlers.computeIfAbsent(event) { CopyOnWriteArrayList() }
+        synchronized(handlers) {
+            val index = handlers.indexOfFirst { it.priority > registered.priority }
+            if (index == -1) handlers.add(registered) else handlers.add(index, registered)
+        }
     }
 
     /**
@@ -94,11 +190,53 @@ object ServerEventManager {
      * @param handler The JavaScript function to remove
      */
     fun off(event: String, handler: Value) {
-        eventHandlers[event]?.remove(handler)
-        oneTimeHandlers[event]?.remove(handler)
+        eventHandlers[event]?.removeIf { it.handler == handler }
         ConfigManager.debug("[ServerEventManager] Unregistered handler for event: $event")
     }
 
+    /**
+     * Unregister every handler whose function belongs to a context.
+     * Called when a context is discarded (e.g. an isolated script hit its statement limit).
+     *
+     * @param context The discarded context
+     */
+    fun removeHandlers(context: Context) {
+        eventHandlers.values.forEach { handlers -> handlers.removeIf { it.handler.context == context } }
+        ConfigManager.debug("[ServerEventManager] Removed handlers of a discarded context")
+    }
+
+    /**
+     * Unregister every handler a script registered (used when it is unloaded, disabled or reloaded).
+     *
+     * @param script The script that owns the handlers
+     * @return The number of handlers removed
+     */
+    fun removeHandlers(script: ScriptInfo): Int {
+        var removed = 0
+        eventHandlers.values.forEach { handlers ->
+            handlers.filter { it.owner?.name == script.name }.forEach {
+                if (handlers.remove(it)) removed++
+            }
+        }
+        ConfigManager.debug("[ServerEventManager] Removed $removed handlers of ${script.name}")
+        return removed
+    }
+
+    /**
+     * Count the handlers a script has registered.
+     */
+    fun countHandlers(script: ScriptInfo): Int {
+        return eventHandlers.values.sumOf { handlers -> handlers.count { it.owner?.name == script.name } }
+    }
+
+    /**
+     * Send the command tree to every online player again (after commands changed at runtime).
+     */
+    fun resendCommands() {
+        val server = minecraftServer ?: return
+        server.playerList.players.forEach { server.commands.sendCommands(it) }
+    }
+
     /**
      * Trigger a player join event.
      * Called from platform code when a player joins the server.
@@ -137,43 +275,471 @@ object ServerEventManager {
         triggerEvent("playerLeave", wrappedPlayer)
     }
 
+    /**
+     * Emit a custom event from JavaScript (Server.emit).
+     * Handlers registered with Server.on() for the same name run synchronously, in priority order,
+     * each isolated from errors thrown by the others.
+     *
+     * Handlers receive { type, payload } and may call `event.cancel()` to signal the emitter.
+     *
+     * @param event The custom event name (must start with "custom:")
+     * @param payload Any JS value, passed to handlers as-is
+     * @return true if a handler cancelled the event
+     */
+    fun emit(event: String, payload: Any?): Boolean {
+        if (event in BUILT_IN_EVENTS) {
+            throw IllegalArgumentException("Cannot emit built-in event '$event'. Use a custom name like '${CUSTOM_EVENT_PREFIX}$event'")
+        }
+        if (!event.startsWith(CUSTOM_EVENT_PREFIX) || event.length == CUSTOM_EVENT_PREFIX.length) {
+            throw IllegalArgumentException("Custom event names must start with '$CUSTOM_EVENT_PREFIX', e.g. '${CUSTOM_EVENT_PREFIX}arenaStarted' (got '$event')")
+        }
+
+        ConfigManager.debug("[ServerEventManager] Emitting custom event: $event")
+        return trigger(ServerEvent(event, mapOf("payload" to payload), cancellable = true)).isCancelled
+    }
+
+    /**
+     * Trigger a tick event.
+     * Called once per server tick (end of tick) via TickScheduler.
+     *
+     * Handlers receive { tick } where tick is the server's tick counter.
+     * Use Server.on('tick', handler, { every: N }) to run a handler every N ticks.
+     */
+    fun triggerTick() {
+        if (!hasHandlers("tick")) {
+            return
+        }
+
+        val tick = minecraftServer?.tickCount ?: 0
+        trigger(ServerEvent("tick", mapOf("tick" to tick)))
+    }
+
+    /**
+     * Trigger the serverStarted event.
+     * Called from platform code once worlds are loaded and the server accepts players.
+     */
+    fun triggerServerStarted() {
+        trigger(ServerEvent("serverStarted", emptyMap()))
+    }
+
+    /**
+     * Trigger the serverStopping event.
+     * Called from platform code before worlds are saved for shutdown.
+     *
+     * Handlers run synchronously; async work (wait(), promises) will not complete
+     * because the scheduler stops ticking, so flush state directly in the handler.
+     */
+    fun triggerServerStopping() {
+        trigger(ServerEvent("serverStopping", emptyMap()))
+    }
+
+    /**
+     * Trigger a worldSaved event.
+     * Called from platform code after a dimension has been saved (autosave, /save-all, shutdown).
+     * Fires once per saved dimension.
+     *
+     * @param dimension The saved dimension id (e.g. "minecraft:overworld")
+     */
+    fun triggerWorldSaved(dimension: String) {
+        if (!hasHandlers("worldSaved")) {
+            return
+        }
+
+        trigger(ServerEvent("worldSaved", mapOf("dimension" to dimension)))
+    }
+
+    /**
+     * True while /msg, /say, /me or /teammsg decorates a player's message.
+     * Vanilla runs the chat decorator for these commands too, so the Fabric decorator checks
+     * this to fire the chat event for chat messages only, as on NeoForge. Server thread only.
+     */
+    @JvmStatic
+    var decoratingCommandMessage = false
+
+    /**
+     * Trigger a chat event.
+     * Called from platform code while a player's chat message is decorated, before it is broadcast.
+     * Messages sent through commands (/msg, /say, /me, /teammsg) do not fire it.
+     *
+     * Handlers receive { player, message, formatted }. `formatted` is the message content as a
+     * text component (a plain string when unstyled) and may be reassigned to a string (§ codes
+     * allowed) or a JSON text component object. The chat type still adds the sender's name,
+     * and the rewritten content is sent as the message's unsigned content, so the original
+     * stays signed and reportable.
+     *
+     * @param player The ServerPlayer who sent the message
+     * @param message The raw message text
+     * @param content The message content decorated so far
+     * @return The content to send (unchanged if no handler rewrote it), or null if cancelled
+     */
+    fun triggerChat(player: ServerPlayer, message: String, content: Component): Component? {
+        if (!hasHandlers("chat")) {
+            return content
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger chat: GraalVM context not available")
+            return content
+        }
+
+        val serverEvent = trigger(ServerEvent(
+            "chat",
+            mapOf(
+                "player" to PlayerAdapter.toJS(player, context),
+                "message" to message,
+                "formatted" to context.eval("js", "JSON.parse")
+                    .execute(Component.Serializer.toJson(content, player.server.registryAccess()))
+            ),
+            cancellable = true,
+            writable = setOf("formatted")
+        ))
+
+        if (serverEvent.isCancelled) {
+            return null
+        }
+
+        val formatted = serverEvent.get("formatted") as? Value ?: return content
+        val component = try {
+            toComponent(formatted, player.server)
+        } catch (e: Exception) {
+            RhettJSCommon.LOGGER.error("[ServerEventManager] Invalid chat formatted value, sending original: ${e.message}")
+            return content
+        }
+
+        if (component != content) {
+            ConfigManager.debug("[ServerEventManager] Chat message from ${player.name.string} rewritten by handler")
+        }
+        return component
+    }
+
+    /**
+     * Convert a JS value to a chat Component.
+     * Strings become literals (§ formatting codes allowed); objects are parsed as JSON text components.
+     */
+    private fun toComponent(value: Value, server: MinecraftServer): Component {
+        return when {
+            value.isString -> Component.literal(value.asString())
+            value.hasMembers() || value.hasArrayElements() ->
+                Component.Serializer.fromJson(toJson(value), server.registryAccess())
+                    ?: throw IllegalArgumentException("Text component JSON is empty")
+            else -> throw IllegalArgumentException("formatted must be a string or a text component object")
+        }
+    }
+
+    /**
+     * Convert a JS value to a Gson JsonElement (for text component parsing).
+     */
+    private fun toJson(value: Value): JsonElement {
+        return when {
+            value.isNull -> JsonNull.INSTANCE
+            value.isBoolean -> JsonPrimitive(value.asBoolean())
+            value.isNumber -> JsonPrimitive(value.asDouble())
+            value.isString -> JsonPrimitive(value.asString())
+            value.hasArrayElements() -> JsonArray().also { array ->
+                (0 until value.arraySize).forEach { array.add(toJson(value.getArrayElement(it))) }
+            }
+            value.hasMembers() -> JsonObject().also { obj ->
+                value.memberKeys.forEach { key -> obj.add(key, toJson(value.getMember(key))) }
+            }
+            else -> JsonPrimitive(value.toString())
+        }
+    }
+
+    /**
+     * Trigger an entityHurt event.
+     * Called from platform code before damage is applied to a living entity (players included).
+     *
+     * Handlers receive { entity, source, attacker, amount }. `amount` may be reassigned to change
+     * the damage dealt, and cancel() prevents the damage entirely.
+     *
+     * @param entity The entity being damaged
+     * @param source The damage source
+     * @param amount The incoming damage amount
+     * @return The damage to apply (unchanged if no handler rewrote it), or null if cancelled
+     */
+    fun triggerEntityHurt(entity: LivingEntity, source: DamageSource, amount: Float): Float? {
+        if (!hasHandlers("entityHurt")) {
+            return amount
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger entityHurt: GraalVM context not available")
+            return amount
+        }
+
+        val serverEvent = trigger(ServerEvent(
+            "entityHurt",
+            damageEventFields(entity, source, context) + ("amount" to amount.toDouble()),
+            cancellable = true,
+            writable = setOf("amount")
+        ))
+
+        if (serverEvent.isCancelled) {
+            return null
+        }
+
+        // Untouched amounts are still Kotlin numbers; handler assignments arrive as Values
+        val rewritten = serverEvent.get("amount") as? Value ?: return amount
+        if (!rewritten.isNumber || !rewritten.asDouble().isFinite() || rewritten.asDouble() < 0) {
+            RhettJSCommon.LOGGER.error("[ServerEventManager] Invalid entityHurt amount $rewritten, must be a non-negative number; using original")
+            return amount
+        }
+        return rewritten.asDouble().toFloat()
+    }
+
+    /**
+     * Trigger an entityDeath event.
+     * Called from platform code after a living entity (players included) has died.
+     *
+     * Handlers receive { entity, source, attacker }.
+     *
+     * @param entity The entity that died
+     * @param source The damage source that killed it
+     */
+    fun triggerEntityDeath(entity: LivingEntity, source: DamageSource) {
+        if (!hasHandlers("entityDeath")) {
+            return
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger entityDeath: GraalVM context not available")
+            return
+        }
+
+        trigger(ServerEvent("entityDeath", damageEventFields(entity, source, context)))
+    }
+
+    /**
+     * Trigger an entitySpawn event.
+     * Called from platform code before a newly created entity is added to a level
+     * (natural spawns, spawn eggs, summons, dropped items, projectiles). Entities loaded
+     * from disk with their chunk and joining players do not fire this event.
+     *
+     * Handlers receive { entity } and may call `event.cancel()` to prevent the spawn.
+     *
+     * @param entity The entity about to be added
+     * @return true if a handler cancelled the spawn
+     */
+    fun triggerEntitySpawn(entity: Entity): Boolean {
+        if (!hasHandlers("entitySpawn")) {
+            return false
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger entitySpawn: GraalVM context not available")
+            return false
+        }
+
+        return trigger(ServerEvent(
+            "entitySpawn",
+            mapOf("entity" to EntityAdapter.toJS(entity, context)),
+            cancellable = true
+        )).isCancelled
+    }
+
+    /**
+     * Trigger a playerInteractEntity event.
+     * Called from platform code when a player right-clicks an entity, once per hand.
+     *
+     * Handlers receive { player, entity, hand, item } and may call `event.cancel()` to block the interaction.
+     *
+     * @param player The ServerPlayer interacting
+     * @param entity The entity being interacted with
+     * @param hand The hand used
+     * @return true if a handler cancelled the interaction
+     */
+    fun triggerPlayerInteractEntity(player: ServerPlayer, entity: Entity, hand: InteractionHand): Boolean {
+        if (!hasHandlers("playerInteractEntity")) {
+            return false
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger playerInteractEntity: GraalVM context not available")
+            return false
+        }
+
+        return trigger(ServerEvent(
+            "playerInteractEntity",
+            mapOf(
+                "player" to PlayerAdapter.toJS(player, context),
+                "entity" to EntityAdapter.toJS(entity, context),
+                "hand" to if (hand == InteractionHand.MAIN_HAND) "main_hand" else "off_hand",
+                "item" to BlockEventAdapter.toItemData(player.getItemInHand(hand))?.let { itemToJS(it) }
+            ),
+            cancellable = true
+        )).isCancelled
+    }
+
+    /**
+     * Fields shared by entityHurt and entityDeath.
+     * `attacker` is the entity responsible (e.g. the shooter of an arrow), or null for environmental damage.
+     */
+    private fun damageEventFields(entity: LivingEntity, source: DamageSource, context: Context): Map<String, Any?> {
+        return mapOf(
+            "entity" to EntityAdapter.toJS(entity, context),
+            "source" to EntityAdapter.damageSourceId(source),
+            "attacker" to source.entity?.let { EntityAdapter.toJS(it, context) }
+        )
+    }
+
+    /**
+     * Trigger a block event (blockLeftClick, blockRightClick, blockPlace, blockBreak).
+     * Called from platform code before the action is applied.
+     *
+     * Handlers receive a single event object and may call `event.cancel()` to veto the action.
+     *
+     * @param event The event name
+     * @param data The block event data built by BlockEventAdapter
+     * @param player The ServerPlayer performing the action
+     * @return true if a handler cancelled the event
+     */
+    fun triggerBlockEvent(event: String, data: BlockEventData, player: ServerPlayer): Boolean {
+        if (!hasHandlers(event)) {
+            return false
+        }
+
+        val context = graalContext ?: run {
+            RhettJSCommon.LOGGER.warn("[ServerEventManager] Cannot trigger $event: GraalVM context not available")
+            return false
+        }
+
+        return trigger(ServerEvent(event, blockEventFields(data, player, context), cancellable = true)).isCancelled
+    }
+
+    /**
+     * Dispatch a shared ServerEvent to its handlers.
+     * Platform code inspects the returned event for cancellation and rewritten fields.
+     *
+     * @param serverEvent The event object (its type is the event name)
+     * @return The same event, after all handlers ran
+     */
+    fun trigger(serverEvent: ServerEvent): ServerEvent {
+        triggerEvent(serverEvent.type, serverEvent)
+        return serverEvent
+    }
+
+    /**
+     * Check whether any handlers are registered for an event.
+     * Lets platform code skip building event objects nobody listens to.
+     */
+    fun hasHandlers(event: String): Boolean {
+        return !eventHandlers[event].isNullOrEmpty()
+    }
+
+    /**
+     * Convert block event data into plain JS-friendly fields.
+     * The player is wrapped with PlayerAdapter so handlers get the same shape as playerJoin.
+     */
+    private fun blockEventFields(data: BlockEventData, player: ServerPlayer, context: Context): Map<String, Any?> {
+        val fields = mutableMapOf<String, Any?>(
+            "position" to positionToJS(data.position),
+            "block" to ProxyObject.fromMap(mapOf(
+                "id" to data.block.id,
+                "properties" to ProxyObject.fromMap(data.block.properties)
+            )),
+            "player" to PlayerAdapter.toJS(player, context)
+        )
+
+        when (data) {
+            is BlockEventData.Click -> {
+                fields["item"] = data.item?.let { itemToJS(it) }
+                fields["face"] = data.face?.name?.lowercase()
+                fields["isRightClick"] = data.isRightClick
+            }
+            is BlockEventData.Placed -> {
+                fields["item"] = data.item?.let { itemToJS(it) }
+                fields["face"] = data.face?.name?.lowercase()
+                fields["placedAgainst"] = data.placedAgainst?.let { positionToJS(it) }
+            }
+            is BlockEventData.Broken -> {
+                fields["drops"] = data.drops.map { itemToJS(it) }
+                fields["experience"] = data.experience
+            }
+        }
+
+        return fields
+    }
+
+    private fun positionToJS(position: BlockPosition): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "x" to position.x,
+            "y" to position.y,
+            "z" to position.z,
+            "dimension" to position.dimension
+        ))
+    }
+
+    private fun itemToJS(item: ItemData): ProxyObject {
+        return ProxyObject.fromMap(mapOf(
+            "id" to item.id,
+            "count" to item.count,
+            "displayName" to item.displayName,
+            "nbt" to item.nbt?.let { ProxyObject.fromMap(it) }
+        ))
+    }
+
     /**
      * Generic event triggering mechanism.
-     * Calls all registered handlers with the provided arguments.
+     * Calls all registered handlers in priority order with the provided arguments.
+     *
+     * If the first argument is a ServerEvent, it is shared across handlers: its cancellation
+     * state decides whether ignoreCancelled handlers run, and MONITOR handlers see it read-only.
      *
      * @param event The event name
      * @param args The arguments to pass to handlers
      */
     private fun triggerEvent(event: String, vararg args: Any?) {
-        val regularHandlers = eventHandlers[event] ?: mutableListOf()
-        val onceHandlers = oneTimeHandlers[event] ?: mutableListOf()
-
-        val allHandlers = regularHandlers + onceHandlers
+        val handlers = eventHandlers[event]?.toList() ?: emptyList()
 
-        if (allHandlers.isEmpty()) {
+        if (handlers.isEmpty()) {
             ConfigManager.debug("[ServerEventManager] No handlers for event: $event")
             return
         }
 
-        ConfigManager.debug("[ServerEventManager] Triggering ${allHandlers.size} handlers for event: $event")
+        ConfigManager.debug("[ServerEventManager] Triggering ${handlers.size} handlers for event: $event")
+
+        val serverEvent = args.firstOrNull() as? ServerEvent
+
+        handlers.forEach { registered ->
+            if (registered.every > 1) {
+                if (--registered.countdown > 0) return@forEach
+                registered.countdown = registered.every
+            }
+
+            // Skipped once handlers stay registered for the next uncancelled event
+            if (serverEvent != null && registered.ignoreCancelled && serverEvent.isCancelled) {
+                ConfigManager.debug("[ServerEventManager] Skipping handler for cancelled event: $event")
+                return@forEach
+            }
+
+            if (registered.once) {
+                // Remove before running so a re-entrant trigger can't call it twice
+                if (eventHandlers[event]?.remove(registered) != true) return@forEach
+            }
+
+            serverEvent?.currentPriority = registered.priority
 
-        allHandlers.forEach { handler ->
             try {
-                // Execute handler with arguments
-                handler.execute(*args)
+                // Execute handler with arguments (adapted to its context if the script is isolated);
+                // async handlers report rejections later
+                val handlerArgs = args.map { ContextBridge.adapt(it, registered.handler.context) }
+                val result = ScriptLimits.guardCall(registered.handler) {
+                    registered.handler.execute(*handlerArgs.toTypedArray())
+                }
+                ScriptErrorLog.watch(result, ScriptErrorLog.scriptNameOf(registered.handler), "event:$event")
 
                 ConfigManager.debug("[ServerEventManager] Handler executed successfully for event: $event")
 
+            } catch (e: ScriptLimitException) {
+                // Already reported by ScriptLimits
             } catch (e: Exception) {
-                RhettJSCommon.LOGGER.error("[ServerEventManager] Error in event handler for $event", e)
+                ScriptErrorLog.recordException(e, ScriptErrorLog.scriptNameOf(registered.handler), "event:$event")
                 // Continue with other handlers even if one fails
             }
         }
 
-        // Remove one-time handlers after execution
-        if (onceHandlers.isNotEmpty()) {
-            oneTimeHandlers[event]?.removeAll(onceHandlers.toSet())
-            ConfigManager.debug("[ServerEventManager] Removed ${onceHandlers.size} one-time handlers for event: $event")
+        if (serverEvent?.isCancelled == true) {
+            ConfigManager.debug("[ServerEventManager] Event $event cancelled by handler")
         }
     }
 
@@ -228,6 +794,23 @@ object ServerEventManager {
         ConfigManager.debug("[ServerEventManager] Broadcast: $message")
     }
 
+    /**
+     * Send a warning to online operators (permission level 2+) and the server log.
+     *
+     * @param message The message to send
+     */
+    fun notifyOperators(message: String) {
+        RhettJSCommon.LOGGER.warn(message)
+        val server = minecraftServer ?: return
+
+        val component = Component.literal(message).withStyle(ChatFormatting.RED)
+        server.execute {
+            server.playerList.players
+                .filter { it.hasPermissions(2) }
+                .forEach { it.sendSystemMessage(component) }
+        }
+    }
+
     /**
      * Execute a command on the server.
      *
@@ -259,7 +842,6 @@ object ServerEventManager {
      */
     fun clear() {
         eventHandlers.clear()
-        oneTimeHandlers.clear()
         ConfigManager.debug("[ServerEventManager] Cleared all event handlers")
     }
 
@@ -1,6 +1,7 @@
 package com.rhett.rhettjs.threading
 
 import com.rhett.rhettjs.async.AsyncScheduler
+import com.rhett.rhettjs.events.ServerEventManager
 
 /**
  * Singleton manager for tick processing with GraalVM AsyncScheduler.
@@ -8,7 +9,8 @@ import com.rhett.rhettjs.async.AsyncScheduler
  * This object:
  * 1. Exposes tick() method for game loop integration
  * 2. Ticks the AsyncScheduler to process wait timers
- * 3. Allows platform-specific code to call tick() each game tick
+ * 3. Dispatches the Server.on('tick') event
+ * 4. Allows platform-specific code to call tick() each game tick
  */
 object TickScheduler {
 
@@ -22,6 +24,7 @@ object TickScheduler {
      */
     fun tick() {
         AsyncScheduler.tick()
+        ServerEventManager.triggerTick()
     }
 
     /**
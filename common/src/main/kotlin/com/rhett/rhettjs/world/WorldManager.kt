@@ -1,6 +1,7 @@
 package com.rhett.rhettjs.world
 
 import com.rhett.rhettjs.RhettJSCommon
+import com.rhett.rhettjs.adapter.EntityAdapter
 import com.rhett.rhettjs.adapter.PlayerAdapter
 import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.world.adapter.WorldAdapter
@@ -11,7 +12,10 @@ import net.minecraft.core.BlockPos
 import net.minecraft.resources.ResourceLocation
 import net.minecraft.server.MinecraftServer
 import net.minecraft.server.level.ServerLevel
+import net.minecraft.world.entity.Entity
 import net.minecraft.world.level.Level
+import net.minecraft.world.phys.AABB
+import net.minecraft.world.phys.Vec3
 import org.graalvm.polyglot.Context
 import org.graalvm.polyglot.Value
 import org.graalvm.polyglot.proxy.ProxyObject
@@ -499,13 +503,66 @@ object WorldManager {
 
     /**
      * Get entities in radius (async).
-     * Returns Promise<Entity[]>.
-     * TODO: Implement entity wrapping with EntityAdapter.
+     * Returns Promise<Entity[]> (players included), nearest first.
      */
     fun getEntities(position: Value, radius: Double): CompletableFuture<List<Value>> {
         val future = CompletableFuture<List<Value>>()
-        // TODO: Implement entity queries
-        future.completeExceptionally(UnsupportedOperationException("World.getEntities() not yet implemented"))
+        val srv = server ?: run {
+            future.completeExceptionally(IllegalStateException("Server not available"))
+            return future
+        }
+        val context = graalContext ?: run {
+            future.completeExceptionally(IllegalStateException("GraalVM context not available"))
+            return future
+        }
+        val adapter = worldAdapter ?: run {
+            future.completeExceptionally(IllegalStateException("WorldAdapter not initialized"))
+            return future
+        }
+
+        try {
+            // Extract position from JS
+            val x = position.getMember("x").asDouble()
+            val y = position.getMember("y").asDouble()
+            val z = position.getMember("z").asDouble()
+            val dimension = if (position.hasMember("dimension")) {
+                position.getMember("dimension").asString()
+            } else {
+                "minecraft:overworld"
+            }
+
+            if (radius <= 0) {
+                future.completeExceptionally(IllegalArgumentException("Radius must be positive, got $radius"))
+                return future
+            }
+
+            // Execute on main thread
+            srv.execute {
+                try {
+                    val level = adapter.getLevel(dimension)
+                    if (level == null) {
+                        future.completeExceptionally(IllegalArgumentException("Unknown dimension: $dimension"))
+                        return@execute
+                    }
+
+                    val center = Vec3(x, y, z)
+                    val entities = level.getEntities(null as Entity?, AABB.ofSize(center, radius * 2, radius * 2, radius * 2)) {
+                        it.position().distanceToSqr(center) <= radius * radius
+                    }
+
+                    future.complete(
+                        entities
+                            .sortedBy { it.position().distanceToSqr(center) }
+                            .map { EntityAdapter.toJS(it, context) }
+                    )
+                } catch (e: Exception) {
+                    future.completeExceptionally(e)
+                }
+            }
+        } catch (e: Exception) {
+            future.completeExceptionally(e)
+        }
+
         return future
     }
 
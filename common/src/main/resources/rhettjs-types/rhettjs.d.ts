@@ -1,6 +1,6 @@
 // RhettJS Core API Type Definitions (GraalVM)
 // Version: 0.3.0
-// Last updated: 2026-01-03
+// Generated from the engine bindings (/rjs types)
 // Documentation: https://github.com/rhettjs/rhettjs
 
 // ============================================================================
@@ -40,6 +40,32 @@ interface Player {
     giveItem(itemId: string, count?: number): void;
 }
 
+/** Non-player entity (players are returned as Player objects) */
+interface Entity {
+    /** Entity type, e.g. "minecraft:zombie" */
+    id: string;
+    uuid: string;
+    name: string;
+    isPlayer: false;
+    isLiving: boolean;
+    isAlive: boolean;
+    /** null for non-living entities (items, minecarts, ...) */
+    health: number | null;
+    maxHealth: number | null;
+    position: Position;
+    tags: string[];
+
+    teleport(position: Position): void;
+    /** Throws for non-living entities */
+    setHealth(amount: number): void;
+    kill(): void;
+    /** Remove without dropping loot or playing death effects */
+    remove(): void;
+}
+
+/** Any entity: Player objects for players, Entity objects otherwise (check isPlayer) */
+type AnyEntity = Entity | Player;
+
 /** Command caller (player or console) */
 interface Caller {
     name: string; // Player name or "Server"
@@ -81,6 +107,16 @@ declare namespace Runtime {
      * @example Runtime.setScriptTimeout(120000); // 2 minutes
      */
     function setScriptTimeout(timeoutMs: number): void;
+
+    /**
+     * Override this script's resource limits (configured per category in rhettjs.json).
+     * Limits apply per execution; 0 means unlimited. maxStatements requires an isolated script.
+     * maxAllocatedMb counts every byte allocated while the script runs (including garbage and
+     * the World/Structure calls it makes), not the memory it keeps.
+     * @param limits - New limits; omitted fields keep their current value
+     * @example Runtime.setResourceLimits({ maxAllocatedMb: 2048 });
+     */
+    function setResourceLimits(limits: { maxStatements?: number; maxAllocatedMb?: number }): void;
 }
 
 // ============================================================================
@@ -219,26 +255,50 @@ declare namespace NBT {
 // Commands API
 // ============================================================================
 
+/**
+ * Argument types accepted by CommandBuilder.argument(), and the values handlers receive:
+ * - string (rest of the input), word, quoted ("with spaces"): string
+ * - int, float: number; bool: boolean; time ("5s", "2d", "100"): number of ticks
+ * - player: Player; players: Player[]; entity: { name, type, uuid }; entities: an array of them
+ * - item, block, dimension, resource: a resource location string
+ * - position / blockPos (~ ~1 ~): Position of a block; vec3: { x, y, z }
+ * - nbt ({Count:1b}): object; json (rest of the input): the parsed value
+ */
+type CommandArgumentType = "string" | "word" | "quoted" | "int" | "float" | "bool" | "time" | "player" | "players" | "entity" | "entities" | "item" | "block" | "position" | "blockPos" | "vec3" | "dimension" | "resource" | "nbt" | "json";
+
+/** Options for CommandBuilder.argument() */
+interface CommandArgumentOptions {
+    /** Lower bound (int, float, and time in ticks) */
+    min?: number;
+    /** Upper bound (int and float) */
+    max?: number;
+    /** The argument can be left out; only trailing arguments can be optional */
+    optional?: boolean;
+    /** Value used when the argument is left out (implies optional) */
+    default?: any;
+}
+
 /** Command builder for registration */
 interface CommandBuilder {
     /**
      * Set command description
-     * @param desc - Description text
+     * @param description - Description text
      */
-    description(desc: string): CommandBuilder;
+    description(description: string): CommandBuilder;
 
     /**
      * Set permission requirement
-     * @param perm - Permission string or function
+     * @param permission - Permission string or function
      */
-    permission(perm: string | ((caller: Caller) => boolean)): CommandBuilder;
+    permission(permission: string | ((caller: Caller) => boolean)): CommandBuilder;
 
     /**
      * Add command argument
      * @param name - Argument name
      * @param type - Argument type
+     * @param options - Bounds, optional and default value
      */
-    argument(name: string, type: "string" | "int" | "float" | "player" | "item" | "block" | "entity"): CommandBuilder;
+    argument(name: string, type: CommandArgumentType, options?: CommandArgumentOptions): CommandBuilder;
 
     /**
      * Set command executor
@@ -280,6 +340,145 @@ declare namespace Commands {
 /** Server event handler */
 type ServerEventHandler = (event: any) => void | Promise<void>;
 
+/** Item stack information in events */
+interface EventItem {
+    id: string; // e.g., "minecraft:diamond_pickaxe"
+    count: number;
+    displayName: string | null;
+    nbt: Record<string, string> | null; // Data components, stringified
+}
+
+/** Handler priority: highest runs first, monitor last (monitor cannot cancel or modify) */
+type EventPriority = "highest" | "high" | "normal" | "low" | "monitor";
+
+/** Options for Server.on() / Server.once() */
+interface EventHandlerOptions {
+    /** When this handler runs relative to others (default: "normal") */
+    priority?: EventPriority;
+    /** Skip this handler if an earlier handler cancelled the event (default: false) */
+    ignoreCancelled?: boolean;
+    /** Only run on every Nth occurrence, e.g. { every: 20 } on "tick" runs once per second (default: 1) */
+    every?: number;
+}
+
+/** Event object shared by all handlers of one event */
+interface ServerEvent {
+    /** Event name */
+    readonly type: string;
+    /** Whether cancel() has any effect */
+    readonly cancellable: boolean;
+    /** True once a handler has cancelled the event */
+    readonly isCancelled: boolean;
+    /** Cancel the action */
+    cancel(): void;
+    /** Cancel or un-cancel the action */
+    setCancelled(cancelled?: boolean): void;
+}
+
+/** Common fields of all block events (cancel() stops the click, placement or break) */
+interface BlockEvent extends ServerEvent {
+    type: "blockLeftClick" | "blockRightClick" | "blockPlace" | "blockBreak";
+    position: Position;
+    block: Block;
+    player: Player;
+}
+
+/** JSON text component (see Minecraft's raw JSON text format) */
+type TextComponent = { text?: string; translate?: string; color?: string; bold?: boolean; italic?: boolean; extra?: TextComponent[]; [key: string]: any };
+
+/** chat event (cancel() suppresses the message; not fired for /msg, /say, /me or /teammsg) */
+interface ChatEvent extends ServerEvent {
+    type: "chat";
+    player: Player;
+    /** Raw message text as typed */
+    readonly message: string;
+    /**
+     * Message content as a text component (a plain string unless styled).
+     * Assign a string (§ codes allowed) or a text component to rewrite it; the sender's
+     * name is still added by the chat type, and the original stays signed.
+     */
+    formatted: string | TextComponent;
+}
+
+/** tick event (fired at the end of every server tick) */
+interface TickEvent extends ServerEvent {
+    type: "tick";
+    /** Server tick counter */
+    readonly tick: number;
+}
+
+/** worldSaved event (fired once per saved dimension) */
+interface WorldSavedEvent extends ServerEvent {
+    type: "worldSaved";
+    /** Saved dimension id, e.g. "minecraft:overworld" */
+    readonly dimension: string;
+}
+
+/** entityHurt event (cancel() prevents the damage) */
+interface EntityHurtEvent extends ServerEvent {
+    type: "entityHurt";
+    entity: AnyEntity;
+    /** Damage type id, e.g. "minecraft:player_attack", "minecraft:fall" */
+    readonly source: string;
+    /** Entity responsible for the damage (e.g. an arrow's shooter), null for environmental damage */
+    readonly attacker: AnyEntity | null;
+    /** Damage to apply; assign to change it */
+    amount: number;
+}
+
+/** entityDeath event */
+interface EntityDeathEvent extends ServerEvent {
+    type: "entityDeath";
+    entity: AnyEntity;
+    /** Damage type id of the killing blow */
+    readonly source: string;
+    readonly attacker: AnyEntity | null;
+}
+
+/** entitySpawn event (newly created entities only, not chunk loads or joining players) */
+interface EntitySpawnEvent extends ServerEvent {
+    type: "entitySpawn";
+    entity: Entity;
+}
+
+/** playerInteractEntity event (fired once per hand; cancel() blocks the interaction) */
+interface PlayerInteractEntityEvent extends ServerEvent {
+    type: "playerInteractEntity";
+    player: Player;
+    entity: AnyEntity;
+    hand: "main_hand" | "off_hand";
+    /** Item in the interacting hand, null if empty */
+    item: EventItem | null;
+}
+
+/** Custom event dispatched with Server.emit() */
+interface CustomEvent<T = any> extends ServerEvent {
+    type: `custom:${string}`;
+    /** Value passed to Server.emit() */
+    readonly payload: T;
+}
+
+/** blockLeftClick / blockRightClick event */
+interface BlockClickEvent extends BlockEvent {
+    item: EventItem | null;
+    face: "down" | "up" | "north" | "south" | "west" | "east" | null;
+    isRightClick: boolean;
+}
+
+/** blockPlace event */
+interface BlockPlaceEvent extends BlockEvent {
+    item: EventItem | null;
+    face: "down" | "up" | "north" | "south" | "west" | "east" | null;
+    /** Block clicked to place against (null when the loader does not report it) */
+    placedAgainst: Position | null;
+}
+
+/** blockBreak event */
+interface BlockBreakEvent extends BlockEvent {
+    drops: EventItem[];
+    experience: number;
+}
+
 /**
  * Server events and properties
  * @example
@@ -291,8 +490,8 @@ declare namespace Server {
     /** Current TPS (ticks per second) */
     const tps: number;
 
-    /** Online players count */
-    const players: number;
+    /** Online players */
+    const players: Player[];
 
     /** Maximum players allowed */
     const maxPlayers: number;
@@ -304,15 +503,40 @@ declare namespace Server {
      * Register event handler
      * @param event - Event name
      * @param handler - Event handler
-     */
-    function on(event: "playerJoin" | "playerLeave" | string, handler: ServerEventHandler): void;
+     * @param options - Priority and cancellation options
+     * @example
+     * Server.on('blockBreak', (event) => {
+     *   if (event.block.id === 'minecraft:bedrock') event.cancel();
+     * }, { priority: 'highest' });
+     *
+     * Server.on('blockBreak', (event) => {
+     *   console.log(`${event.player.name} broke ${event.block.id}`);
+     * }, { priority: 'monitor', ignoreCancelled: true });
+     *
+     * Server.on('tick', () => Server.runCommand('save-all'), { every: 6000 }); // every 5 minutes
+     */
+    function on(event: "blockLeftClick" | "blockRightClick", handler: (event: BlockClickEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "blockPlace", handler: (event: BlockPlaceEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "blockBreak", handler: (event: BlockBreakEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "chat", handler: (event: ChatEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "entityHurt", handler: (event: EntityHurtEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "entityDeath", handler: (event: EntityDeathEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "entitySpawn", handler: (event: EntitySpawnEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "playerInteractEntity", handler: (event: PlayerInteractEntityEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on<T = any>(event: `custom:${string}`, handler: (event: CustomEvent<T>) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "tick", handler: (event: TickEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "worldSaved", handler: (event: WorldSavedEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    /** serverStopping handlers run synchronously during shutdown; pending waits/promises will not complete */
+    function on(event: "serverStarted" | "serverStopping", handler: (event: ServerEvent) => void | Promise<void>, options?: EventHandlerOptions): void;
+    function on(event: "playerJoin" | "playerLeave" | string, handler: ServerEventHandler, options?: EventHandlerOptions): void;
 
     /**
      * Register one-time event handler
      * @param event - Event name
      * @param handler - Event handler
+     * @param options - Priority and cancellation options
      */
-    function once(event: "playerJoin" | "playerLeave" | string, handler: ServerEventHandler): void;
+    function once(event: "playerJoin" | "playerLeave" | string, handler: ServerEventHandler, options?: EventHandlerOptions): void;
 
     /**
      * Remove event handler
@@ -321,6 +545,22 @@ declare namespace Server {
      */
     function off(event: string, handler: ServerEventHandler): void;
 
+    /**
+     * Dispatch a custom event to handlers registered with Server.on().
+     * Handlers run synchronously in priority order; an error in one handler
+     * is logged and does not stop the others.
+     * @param event - Event name, must start with "custom:"
+     * @param payload - Value passed to handlers as event.payload
+     * @returns true if a handler called event.cancel()
+     * @example
+     * // server/arena.js
+     * Server.on('custom:arenaStart', (event) => startArena(event.payload.name));
+     *
+     * // scripts/start-arena.js (via /rjs run start-arena)
+     * Server.emit('custom:arenaStart', { name: Script.argv.get(0) });
+     */
+    function emit(event: `custom:${string}`, payload?: any): boolean;
+
     /**
      * Broadcast message to all players
      * @param message - Message text
@@ -386,17 +626,18 @@ declare namespace World {
      * Get entities within radius of position
      * @param position - Center position
      * @param radius - Search radius
-     * @returns Array of entity objects
+     * @returns Entities within the radius, nearest first (players included)
      */
-    function getEntities(position: Position, radius: number): Promise<any[]>;
+    function getEntities(position: Position, radius: number): Promise<AnyEntity[]>;
 
     /**
      * Spawn entity at position
      * @param position - Spawn position
      * @param entityId - Entity type ID (e.g., "minecraft:zombie")
+     * @param nbt - Optional NBT data for the entity
      * @returns Spawned entity object
      */
-    function spawnEntity(position: Position, entityId: string): Promise<any>;
+    function spawnEntity(position: Position, entityId: string, nbt?: Record<string, any>): Promise<any>;
 
     /**
      * Get all online players
@@ -460,7 +701,8 @@ interface PlaceOptions {
 
 /** Options for large structure capture */
 interface CaptureLargeOptions extends CaptureOptions {
-    pieceSize?: { x: number; y: number; z: number }; // Default: 48x48x48
+    /** Size of each piece (default 48x48x48) */
+    pieceSize?: { x: number; y: number; z: number };
 }
 
 /**
@@ -567,7 +809,7 @@ declare namespace Structure {
 }
 
 // ============================================================================
-// Script.argv (Utility Scripts)
+// Script (argv for utility scripts, onUnload for server and utility scripts)
 // ============================================================================
 
 /**
@@ -604,6 +846,16 @@ declare namespace Script {
         /** Raw arguments array */
         const raw: string[];
     }
+
+    /**
+     * Run a callback when this script is unloaded (/rjs disable, /rjs reload, hot reload).
+     * Its event handlers and commands are removed automatically; use this to release
+     * anything else, like Store entries or state shared with other scripts.
+     * Available in server and utility scripts.
+     * @param callback - Function to call before the script is unloaded
+     * @example Script.onUnload(() => Store.namespace('arena').clear());
+     */
+    function onUnload(callback: () => void): void;
 }
 
 // ============================================================================
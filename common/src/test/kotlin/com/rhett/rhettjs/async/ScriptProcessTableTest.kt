@@ -0,0 +1,103 @@
+package com.rhett.rhettjs.async
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.engine.GraalEngine
+import com.rhett.rhettjs.engine.ScriptCategory
+import com.rhett.rhettjs.engine.ScriptInfo
+import com.rhett.rhettjs.engine.ScriptResult
+import com.rhett.rhettjs.engine.ScriptStatus
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for ScriptProcessTable (/rjs ps and /rjs kill).
+ * Tests that async work is attributed to the script that scheduled it and can be cancelled.
+ */
+class ScriptProcessTableTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        AsyncScheduler.clear()
+    }
+
+    @Test
+    fun `test synchronous scripts leave the table when done`() {
+        val result = GraalEngine.executeScript(script("test-sync.js", "const x = 1 + 1;"), caller = "Steve")
+
+        assertTrue(result is ScriptResult.Success)
+        assertTrue(ScriptProcessTable.list().isEmpty(), "Finished script should not be listed")
+    }
+
+    @Test
+    fun `test waiting script is listed and can be killed`() {
+        val result = GraalEngine.executeScript(script("test-loop.js", """
+            globalThis.iterations = 0;
+            (async () => {
+                while (true) {
+                    await wait(1);
+                    globalThis.iterations++;
+                }
+            })();
+        """), caller = "Steve")
+        assertTrue(result is ScriptResult.Success)
+
+        val process = ScriptProcessTable.list().single()
+        assertEquals("test-loop.js", process.scriptName)
+        assertEquals("Steve", process.caller)
+
+        repeat(3) { AsyncScheduler.tick() }
+        assertEquals(3, iterations(), "Loop should keep running while alive")
+        assertEquals(1, AsyncScheduler.getActiveTimerCount(process), "Loop's next wait should be owned by the script")
+
+        assertNotNull(ScriptProcessTable.kill(process.id))
+        repeat(3) { AsyncScheduler.tick() }
+
+        assertEquals(3, iterations(), "Killed loop should not resume")
+        assertEquals(0, AsyncScheduler.getActiveTimerCount(process))
+        assertTrue(ScriptProcessTable.list().isEmpty())
+    }
+
+    @Test
+    fun `test script finishes after its last wait`() {
+        GraalEngine.executeScript(script("test-short.js", """
+            (async () => {
+                await wait(2);
+            })();
+        """))
+
+        assertEquals(1, ScriptProcessTable.list().size)
+        repeat(2) { AsyncScheduler.tick() }
+        assertTrue(ScriptProcessTable.list().isEmpty(), "Script should finish once nothing is pending")
+    }
+
+    @Test
+    fun `test killing unknown id returns null`() {
+        assertNull(ScriptProcessTable.kill(9999))
+    }
+
+    private fun iterations(): Int {
+        return GraalEngine.getOrCreateContext().getBindings("js").getMember("iterations").asInt()
+    }
+
+    private fun script(name: String, content: String): ScriptInfo {
+        val path = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(path, content)
+        return ScriptInfo(
+            name = name,
+            path = path,
+            category = ScriptCategory.UTILITY,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
@@ -167,6 +167,36 @@ class CommandsPlatformIntegrationTest {
         }
     }
 
+    @Test
+    fun `CustomCommandRegistry should validate argument options`() {
+        fun arguments(vararg args: Map<String, Any?>) = mapOf(
+            "name" to "options",
+            "arguments" to args.toList(),
+            "executor" to "dummy"
+        )
+        val registry = CustomCommandRegistry()
+
+        assertDoesNotThrow {
+            registry.validateCommand(arguments(
+                mapOf("name" to "count", "type" to "int", "min" to 1.0, "max" to 64.0),
+                mapOf("name" to "delay", "type" to "time", "min" to 20.0, "optional" to true),
+                mapOf("name" to "data", "type" to "nbt", "optional" to true)
+            ))
+        }
+        assertThrows(IllegalArgumentException::class.java) {
+            registry.validateCommand(arguments(mapOf("name" to "target", "type" to "players", "max" to 2.0)))
+        }
+        assertThrows(IllegalArgumentException::class.java) {
+            registry.validateCommand(arguments(mapOf("name" to "delay", "type" to "time", "max" to 100.0)))
+        }
+        assertThrows(IllegalArgumentException::class.java) {
+            registry.validateCommand(arguments(
+                mapOf("name" to "first", "type" to "word", "optional" to true),
+                mapOf("name" to "second", "type" to "word")
+            ))
+        }
+    }
+
     // ========================================
     // Commands API Integration Tests
     // ========================================
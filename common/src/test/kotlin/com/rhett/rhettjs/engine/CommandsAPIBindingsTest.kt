@@ -325,6 +325,78 @@ class CommandsAPIBindingsTest {
         assertTrue(result is ScriptResult.Success, "Permission as function should work")
     }
 
+    @Test
+    fun `test typed arguments with bounds and defaults`() {
+        val script = ScriptInfo(
+            name = "test-typed-args.js",
+            path = createTempScript("""
+                import Commands from 'Commands';
+
+                Commands.register('arena')
+                    .argument('mode', 'word')
+                    .argument('center', 'blockPos')
+                    .argument('size', 'int', { min: 8, max: 64 })
+                    .argument('duration', 'time', { default: 1200 })
+                    .argument('settings', 'json', { optional: true })
+                    .executes(({ args }) => {
+                        console.log('Arena', args.mode, args.center, args.size, args.duration, args.settings);
+                    });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Typed arguments should register: ${(result as? ScriptResult.Error)?.message}")
+
+        val arguments = GraalEngine.getCommandRegistry().getCommand("arena")!!["arguments"] as List<*>
+        val size = arguments[2] as Map<*, *>
+        val duration = arguments[3] as Map<*, *>
+        assertEquals(listOf("word", "blockPos", "int", "time", "json"), arguments.map { (it as Map<*, *>)["type"] })
+        assertEquals(8.0, size["min"])
+        assertEquals(64.0, size["max"])
+        assertEquals(true, duration["optional"], "A default makes the argument optional")
+        assertEquals(1200, (duration["default"] as org.graalvm.polyglot.Value).asInt())
+        assertEquals(true, (arguments[4] as Map<*, *>)["optional"])
+    }
+
+    @Test
+    fun `test invalid argument options are rejected`() {
+        val script = ScriptInfo(
+            name = "test-invalid-arg-options.js",
+            path = createTempScript("""
+                import Commands from 'Commands';
+
+                const attempts = {
+                    boundsOnWord: () => Commands.register('a').argument('name', 'word', { min: 1 }),
+                    minAboveMax: () => Commands.register('b').argument('n', 'int', { min: 10, max: 1 }),
+                    boundNotNumber: () => Commands.register('d').argument('n', 'int', { min: '1' }),
+                    unknownOption: () => Commands.register('e').argument('n', 'int', { minimum: 1 }),
+                    requiredAfterOptional: () => Commands.register('c')
+                        .argument('first', 'int', { optional: true })
+                        .argument('second', 'int'),
+                };
+
+                for (const [name, attempt] of Object.entries(attempts)) {
+                    let rejected = false;
+                    try {
+                        attempt();
+                    } catch (e) {
+                        rejected = true;
+                    }
+                    if (!rejected) throw new Error(name + ' should be rejected');
+                }
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Invalid options should throw: ${(result as? ScriptResult.Error)?.message}")
+    }
+
     private fun createTempScript(content: String): Path {
         val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
         Files.writeString(tempFile, content)
@@ -0,0 +1,138 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import net.minecraft.nbt.CompoundTag
+import net.minecraft.nbt.ListTag
+import net.minecraft.nbt.NbtIo
+import net.minecraft.nbt.StringTag
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for JSON, NBT and text imports.
+ * Tests that data files import as default exports (from JavaScript and TypeScript modules),
+ * that the import rewrite keeps positions, and that data outside rjs/ can't be imported.
+ */
+class DataModulesTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test rewrite keeps length and lines`() {
+        val source = """
+            import house from './house.nbt' with { type: 'nbt' };
+            import motd from "./motd.txt" with {
+                type: "text"
+            };
+            import cfg from './config.json' with { type: 'json' };
+        """.trimIndent()
+
+        val rewritten = DataModules.rewriteImports(source)
+
+        assertEquals(source.length, rewritten.length)
+        assertEquals(source.lines().size, rewritten.lines().size)
+        assertEquals("import house from './house.nbt';", rewritten.lines()[0].replace(Regex(" +;$"), ";"))
+        assertTrue(rewritten.contains("\"./motd.txt${DataModules.TEXT_MARKER}\""), rewritten)
+        assertEquals(source.lines().last(), rewritten.lines().last(), "JSON imports are left to GraalJS")
+    }
+
+    @Test
+    fun `test json, nbt and text imports`() {
+        scriptsDir.resolve("modules/config.json").writeText("""{ "arena": { "size": 32 } }""")
+        scriptsDir.resolve("modules/motd.txt").writeText("Welcome!\nHave fun")
+        NbtIo.writeCompressed(CompoundTag().apply {
+            putInt("DataVersion", 3955)
+            put("palette", ListTag().apply { add(StringTag.valueOf("minecraft:stone")) })
+        }, scriptsDir.resolve("modules/house.nbt"))
+        scriptsDir.resolve("modules/data.js").writeText("""
+            import motd from './motd.txt' with { type: 'text' };
+            export const greeting = motd.split('\n')[0];
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(script("""
+            import cfg from '../modules/config.json' with { type: 'json' };
+            import house from '../modules/house.nbt' with { type: 'nbt' };
+            import { greeting } from '../modules/data.js';
+
+            if (cfg.arena.size !== 32) throw new Error('json: ' + JSON.stringify(cfg));
+            if (house.DataVersion !== 3955 || house.palette[0] !== 'minecraft:stone') throw new Error('nbt: ' + JSON.stringify(house));
+            if (greeting !== 'Welcome!') throw new Error('text: ' + greeting);
+        """))
+
+        assertTrue(result is ScriptResult.Success, "Data imports failed: ${(result as? ScriptResult.Error)?.message}")
+    }
+
+    @Test
+    fun `test nbt and text imports in typescript modules`() {
+        scriptsDir.resolve("modules/motd.txt").writeText("Welcome!\nHave fun")
+        NbtIo.writeCompressed(CompoundTag().apply { putInt("DataVersion", 3955) }, scriptsDir.resolve("modules/house.nbt"))
+        scriptsDir.resolve("modules/data.ts").writeText("""
+            import house from './house.nbt' with { type: 'nbt' };
+            import motd from './motd.txt' with { type: 'text' };
+            export const version: number = house.DataVersion;
+            export const greeting: string = motd.split('\n')[0];
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(script("""
+            import { version, greeting } from '../modules/data.ts';
+
+            if (version !== 3955) throw new Error('nbt: ' + version);
+            if (greeting !== 'Welcome!') throw new Error('text: ' + greeting);
+        """))
+
+        assertTrue(result is ScriptResult.Success, "Data imports in a .ts module failed: ${(result as? ScriptResult.Error)?.message}")
+    }
+
+    @Test
+    fun `test data outside rjs cannot be imported`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "sandbox_enabled": false
+            }
+        """)
+        tempDir.resolve("secret.txt").writeText("password")
+
+        val result = GraalEngine.executeScript(script("""
+            import secret from '../../secret.txt' with { type: 'text' };
+        """))
+
+        assertTrue(result is ScriptResult.Error, "Text imports outside rjs/ should fail even without the sandbox")
+    }
+
+    private fun writeConfig(json: String) {
+        tempDir.resolve("rhettjs.json").writeText(json.trimIndent())
+        ConfigManager.load()
+        GraalEngine.reset()
+    }
+
+    private fun script(content: String): ScriptInfo {
+        val file = scriptsDir.resolve("server/data-user.js")
+        file.writeText(content.trimIndent())
+        return ScriptInfo(
+            name = "server/data-user",
+            path = file,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
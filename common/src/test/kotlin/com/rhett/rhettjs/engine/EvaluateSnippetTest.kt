@@ -0,0 +1,70 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Value
+import org.graalvm.polyglot.proxy.ProxyObject
+import java.nio.file.Path
+
+/**
+ * Unit tests for GraalEngine.evaluateSnippet (used by /rjs eval and /rjs repl).
+ */
+class EvaluateSnippetTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test snippet returns completion value`() {
+        val result = GraalEngine.evaluateSnippet("const a = 20; a + 1")
+
+        assertTrue(result is ScriptResult.Success)
+        assertEquals(21, ((result as ScriptResult.Success).value as Value).asInt())
+    }
+
+    @Test
+    fun `test built-in modules are bound without import`() {
+        val result = GraalEngine.evaluateSnippet("[typeof World, typeof Store, typeof Server.on].join(',')")
+
+        assertTrue(result is ScriptResult.Success)
+        assertEquals("object,object,function", ((result as ScriptResult.Success).value as Value).asString())
+    }
+
+    @Test
+    fun `test var declarations persist between snippets`() {
+        assertTrue(GraalEngine.evaluateSnippet("var counter = 1; let scoped = 2;") is ScriptResult.Success)
+
+        val result = GraalEngine.evaluateSnippet("counter + ',' + typeof scoped")
+
+        assertTrue(result is ScriptResult.Success)
+        assertEquals("1,undefined", ((result as ScriptResult.Success).value as Value).asString())
+    }
+
+    @Test
+    fun `test additional bindings are visible only to the snippet`() {
+        val caller = ProxyObject.fromMap(mapOf<String, Any>("name" to "Steve"))
+        val result = GraalEngine.evaluateSnippet("Caller.name", mapOf("Caller" to caller))
+        assertEquals("Steve", ((result as ScriptResult.Success).value as Value).asString())
+
+        val leaked = GraalEngine.evaluateSnippet("typeof __eval_Caller")
+        assertEquals("undefined", ((leaked as ScriptResult.Success).value as Value).asString())
+    }
+
+    @Test
+    fun `test snippet errors are returned`() {
+        val result = GraalEngine.evaluateSnippet("undefinedFunction()")
+
+        assertTrue(result is ScriptResult.Error)
+        assertTrue((result as ScriptResult.Error).message.contains("undefinedFunction"))
+    }
+}
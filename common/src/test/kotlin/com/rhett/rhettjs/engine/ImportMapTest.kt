@@ -0,0 +1,108 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.assertThrows
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.io.FileSystem
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.createDirectories
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for rjs/import-map.json aliases.
+ * Tests prefix and exact aliases, the paths listed in resolution errors (including for
+ * specifiers that match nothing), and imports through aliases.
+ */
+class ImportMapTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        ImportMap.clear()
+
+        scriptsDir.resolve(ImportMap.FILE_NAME).writeText("""
+            {
+              "imports": {
+                "@shared/": "./modules/shared/",
+                "@shared/legacy/": "./modules/old/",
+                "config": "./modules/config.js",
+                "@escape/": "../"
+              }
+            }
+        """.trimIndent())
+        scriptsDir.resolve("modules/shared").createDirectories()
+        scriptsDir.resolve("modules/old").createDirectories()
+        scriptsDir.resolve("modules/shared/math-utils.js").writeText("export const square = (n) => n * n;")
+        scriptsDir.resolve("modules/old/math-utils.js").writeText("export const square = () => -1;")
+        scriptsDir.resolve("modules/config.js").writeText("export default { size: 4 };")
+    }
+
+    @Test
+    fun `test aliases resolve with the longest matching key`() {
+        val modules = scriptsDir.resolve("modules").toAbsolutePath().normalize()
+
+        assertEquals(modules.resolve("shared/math-utils.js"), ImportMap.resolve("@shared/math-utils.js", scriptsDir))
+        assertEquals(modules.resolve("shared/math-utils.js"), ImportMap.resolve("@shared/math-utils", scriptsDir), "Extensions are tried")
+        assertEquals(modules.resolve("old/math-utils.js"), ImportMap.resolve("@shared/legacy/math-utils.js", scriptsDir))
+        assertEquals(modules.resolve("config.js"), ImportMap.resolve("config", scriptsDir))
+        assertNull(ImportMap.resolve("@other/x.js", scriptsDir))
+    }
+
+    @Test
+    fun `test resolution errors list what was tried`() {
+        val error = assertThrows<ModuleResolutionException> { ImportMap.resolve("@shared/missing", scriptsDir) }
+
+        assertEquals(listOf("modules/shared/missing", "modules/shared/missing.js"), error.tried.take(2))
+        assertTrue(error.message!!.contains("modules/shared/missing/index.js"), error.message)
+        assertThrows<ModuleResolutionException> { ImportMap.resolve("@escape/secret.js", scriptsDir) }
+    }
+
+    @Test
+    fun `test unresolved bare specifiers list the import map and package`() {
+        val fileSystem = RhettJSFileSystem(FileSystem.newDefaultFileSystem(), scriptsRoot = { scriptsDir })
+
+        val error = assertThrows<ModuleResolutionException> { fileSystem.parsePath("@team/missing/strings.js") }
+        assertEquals(listOf(ImportMap.FILE_NAME, "node_modules/@team/missing"), error.tried)
+        assertEquals(listOf(ImportMap.FILE_NAME, "node_modules/missing"), assertThrows<ModuleResolutionException> { fileSystem.parsePath("missing") }.tried)
+        assertEquals(scriptsDir.resolve("modules/config.js").toAbsolutePath().normalize(), fileSystem.parsePath("config"))
+    }
+
+    @Test
+    fun `test nested modules import through aliases`() {
+        scriptsDir.resolve("modules/deep/nested").createDirectories()
+        scriptsDir.resolve("modules/deep/nested/area.js").writeText("""
+            import { square } from '@shared/math-utils.js';
+            export const area = (side) => square(side);
+        """.trimIndent())
+        val script = scriptsDir.resolve("server/aliases.js")
+        script.writeText("""
+            import { area } from '../modules/deep/nested/area.js';
+            import config from 'config';
+            if (area(config.size) !== 16) throw new Error('wrong area');
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(ScriptInfo(
+            name = "server/aliases",
+            path = script,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        ))
+
+        assertTrue(result is ScriptResult.Success, "Alias import failed: ${(result as? ScriptResult.Error)?.message}")
+    }
+}
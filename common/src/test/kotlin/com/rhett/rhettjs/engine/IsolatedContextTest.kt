@@ -0,0 +1,118 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for isolated script contexts.
+ * Tests that isolated scripts don't share globals, and that Store and Server.emit still connect them.
+ */
+class IsolatedContextTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+    }
+
+    @Test
+    fun `test isolated script globals do not leak`() {
+        val isolated = script("test-isolated-global.js", """
+            globalThis.leaked = 'from isolated';
+        """, isolated = true)
+        val shared = script("test-shared-reader.js", """
+            import Store from 'Store';
+            Store.namespace('isolation').set('seen', typeof globalThis.leaked);
+        """)
+
+        assertTrue(GraalEngine.executeScript(isolated) is ScriptResult.Success)
+        assertTrue(GraalEngine.executeScript(shared) is ScriptResult.Success)
+
+        assertEquals("undefined", storedString("seen"))
+    }
+
+    @Test
+    fun `test store values cross contexts`() {
+        val writer = script("test-isolated-writer.js", """
+            import Store from 'Store';
+            Store.namespace('isolation').set('config', { name: 'arena', spawns: [1, 2, 3] });
+        """, isolated = true)
+        val reader = script("test-shared-store-reader.js", """
+            import Store from 'Store';
+            const config = Store.namespace('isolation').get('config');
+            Store.namespace('isolation').set('summary', config.name + ':' + config.spawns.length);
+        """)
+
+        assertTrue(GraalEngine.executeScript(writer) is ScriptResult.Success)
+        assertTrue(GraalEngine.executeScript(reader) is ScriptResult.Success, "Reading another context's value should work")
+
+        assertEquals("arena:3", storedString("summary"))
+    }
+
+    @Test
+    fun `test emit reaches handlers in isolated contexts`() {
+        val listener = script("test-isolated-listener.js", """
+            import Server from 'Server';
+            import Store from 'Store';
+            Server.on('custom:ping', (event) => {
+                Store.namespace('isolation').set('received', event.payload.from + ':' + event.payload.count);
+            });
+        """, isolated = true)
+        val emitter = script("test-shared-emitter.js", """
+            import Server from 'Server';
+            Server.emit('custom:ping', { from: 'shared', count: 2 });
+        """)
+
+        assertTrue(GraalEngine.executeScript(listener) is ScriptResult.Success)
+        assertTrue(GraalEngine.executeScript(emitter) is ScriptResult.Success)
+
+        assertEquals("shared:2", storedString("received"))
+    }
+
+    @Test
+    fun `test isolated script keeps its own globals between runs`() {
+        val counter = script("test-isolated-counter.js", """
+            import Store from 'Store';
+            globalThis.runs = (globalThis.runs ?? 0) + 1;
+            Store.namespace('isolation').set('runs', String(runs));
+        """, isolated = true)
+
+        GraalEngine.executeScript(counter)
+        GraalEngine.executeScript(counter)
+
+        assertEquals("2", storedString("runs"))
+    }
+
+    private fun storedString(key: String): String? {
+        return (StoreAPI.namespace("isolation").get(key) as? Value)?.asString()
+    }
+
+    private fun script(name: String, content: String, isolated: Boolean = false): ScriptInfo {
+        return ScriptInfo(
+            name = name,
+            path = createTempScript(content),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED,
+            isolated = isolated
+        )
+    }
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
@@ -0,0 +1,91 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for the module import graph (ModuleCache).
+ * Tests that imports are recorded as modules load, and that reloading a module re-imports
+ * its dependents and re-executes only the scripts using it.
+ */
+class ModuleCacheTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+
+        scriptsDir.resolve("modules/settings.json").writeText("""{ "prefix": "v" }""")
+        scriptsDir.resolve("modules/base.js").writeText("export const version = 1;")
+        scriptsDir.resolve("modules/label.js").writeText("""
+            import { version } from './base.js';
+            import settings from './settings.json' with { type: 'json' };
+            export const label = settings.prefix + version;
+        """.trimIndent())
+        scriptsDir.resolve("server/reader.js").writeText("""
+            import Store from 'Store';
+            import { label } from '../modules/label.js';
+            Store.namespace('modules').set('label', label);
+            Store.namespace('modules').set('runs', (Store.namespace('modules').get('runs') ?? 0) + 1);
+        """.trimIndent())
+        scriptsDir.resolve("server/unrelated.js").writeText("""
+            import Store from 'Store';
+            Store.namespace('modules').set('unrelated', (Store.namespace('modules').get('unrelated') ?? 0) + 1);
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+        ScriptRegistry.getScripts(ScriptCategory.SERVER).forEach {
+            assertTrue(GraalEngine.executeScript(it) is ScriptResult.Success, "${it.name} failed")
+        }
+    }
+
+    @Test
+    fun `test imports are recorded as modules load`() {
+        val base = real("modules/base.js")
+        val label = real("modules/label.js")
+        val reader = real("server/reader.js")
+
+        assertEquals(setOf(base, label, real("modules/settings.json")), ModuleCache.loadedModules().keys)
+        assertEquals(listOf(label), ModuleCache.importersOf(base))
+        assertEquals(listOf(reader), ModuleCache.importersOf(label))
+        assertEquals(setOf(label, reader), ModuleCache.dependentsOf(base))
+        assertTrue(ModuleCache.dependentsOf(reader).isEmpty())
+    }
+
+    @Test
+    fun `test reloading a module re-imports its dependents`() {
+        assertEquals("v1", stored("label"))
+
+        scriptsDir.resolve("modules/base.js").writeText("export const version = 2;")
+        val results = ScriptSystemInitializer.reloadModule(scriptsDir.resolve("modules/base.js"))
+
+        assertEquals(listOf("server/reader"), results.map { it.first.name }, "Only scripts importing the module run again")
+        assertTrue(results.single().second is ScriptResult.Success)
+        assertEquals("v2", stored("label"), "The importing module should be loaded again with the new version")
+        assertEquals(2.0, stored("runs")?.toDouble())
+        assertEquals(1.0, stored("unrelated")?.toDouble())
+    }
+
+    private fun real(path: String): Path = scriptsDir.resolve(path).toRealPath()
+
+    private fun stored(key: String): String? {
+        return (StoreAPI.namespace("modules").get(key) as? Value)?.toString()
+    }
+}
@@ -0,0 +1,117 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.assertThrows
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.createDirectories
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for npm-style package imports.
+ * Tests package.json entry points, exports maps and conditions, and importing packages from scripts.
+ */
+class PackageResolverTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test module field is preferred over main`() {
+        pkg("legacy", """{ "main": "./cjs/index.js", "module": "./esm/index.js" }""", "esm/index.js", "cjs/index.js")
+        pkg("plain", null, "index.js", "lib/extra.js")
+
+        assertEquals(file("legacy/esm/index.js"), PackageResolver.resolve("legacy", scriptsDir))
+        assertEquals(file("plain/index.js"), PackageResolver.resolve("plain", scriptsDir))
+        assertEquals(file("plain/lib/extra.js"), PackageResolver.resolve("plain/lib/extra", scriptsDir), "Subpaths try .js")
+    }
+
+    @Test
+    fun `test exports map with conditions and patterns`() {
+        pkg("@team/utils", """
+            {
+              "exports": {
+                ".": { "require": "./index.cjs", "import": "./index.mjs" },
+                "./strings": "./src/strings.js",
+                "./features/*": { "default": "./src/features/*.js" },
+                "./internal/*": null
+              }
+            }
+        """, "index.mjs", "index.cjs", "src/strings.js", "src/features/chat.js", "src/internal/secret.js")
+
+        assertEquals(file("@team/utils/index.mjs"), PackageResolver.resolve("@team/utils", scriptsDir))
+        assertEquals(file("@team/utils/src/strings.js"), PackageResolver.resolve("@team/utils/strings", scriptsDir))
+        assertEquals(file("@team/utils/src/features/chat.js"), PackageResolver.resolve("@team/utils/features/chat", scriptsDir))
+        assertThrows<ModuleResolutionException> { PackageResolver.resolve("@team/utils/internal/secret", scriptsDir) }
+        assertThrows<ModuleResolutionException> { PackageResolver.resolve("@team/utils/src/strings.js", scriptsDir) }
+    }
+
+    @Test
+    fun `test specifiers that are not installed packages are left alone`() {
+        assertNull(PackageResolver.resolve("missing-package", scriptsDir))
+        assertNull(PackageResolver.resolve("./local.js", scriptsDir))
+        assertFalse(PackageResolver.isBareSpecifier("../modules/math.js"))
+        assertFalse(PackageResolver.isBareSpecifier("file:///tmp/x.js"))
+        assertTrue(PackageResolver.isBareSpecifier("lodash-es"))
+    }
+
+    @Test
+    fun `test scripts and modules import packages`() {
+        pkg("tiny-math", """{ "type": "module", "exports": "./main.js" }""", "main.js")
+        scriptsDir.resolve("$NODE_MODULES/tiny-math/main.js").writeText("""
+            import { double } from './lib.js';
+            export const quadruple = (n) => double(double(n));
+        """.trimIndent())
+        scriptsDir.resolve("$NODE_MODULES/tiny-math/lib.js").writeText("export const double = (n) => n * 2;")
+        scriptsDir.resolve("modules/uses-package.js").writeText("""
+            import { quadruple } from 'tiny-math';
+            export const sixteen = quadruple(4);
+        """.trimIndent())
+        val script = scriptsDir.resolve("server/packages.js")
+        script.writeText("""
+            import { quadruple } from 'tiny-math';
+            import { sixteen } from '../modules/uses-package.js';
+            if (quadruple(2) !== 8 || sixteen !== 16) throw new Error('wrong result');
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(ScriptInfo(
+            name = "server/packages",
+            path = script,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        ))
+
+        assertTrue(result is ScriptResult.Success, "Package import failed: ${(result as? ScriptResult.Error)?.message}")
+    }
+
+    private val NODE_MODULES = PackageResolver.NODE_MODULES
+
+    private fun file(path: String): Path = scriptsDir.resolve(NODE_MODULES).resolve(path).toAbsolutePath().normalize()
+
+    private fun pkg(name: String, manifest: String?, vararg files: String) {
+        val dir = scriptsDir.resolve(NODE_MODULES).resolve(name).createDirectories()
+        manifest?.let { dir.resolve("package.json").writeText(it.trimIndent()) }
+        files.forEach { path ->
+            val target = dir.resolve(path)
+            target.parent.createDirectories()
+            target.writeText("export default '$name/$path';")
+        }
+    }
+}
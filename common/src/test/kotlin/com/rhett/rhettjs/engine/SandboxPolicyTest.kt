@@ -0,0 +1,133 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for SandboxPolicy.
+ * Tests that the default sandbox blocks Java class lookup and file access outside rjs/,
+ * and that the allow-list opens specific classes.
+ */
+class SandboxPolicyTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        Files.createDirectories(scriptsDir.resolve("modules"))
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test sandbox is enabled by default`() {
+        assertTrue(ConfigManager.isSandboxEnabled(), "Sandbox should be on unless disabled in config")
+    }
+
+    @Test
+    fun `test java class lookup is blocked`() {
+        val result = GraalEngine.executeScript(script("""
+            const File = Java.type('java.io.File');
+        """))
+
+        assertTrue(result is ScriptResult.Error, "Java.type should fail for classes not on the allow-list")
+    }
+
+    @Test
+    fun `test allow-listed classes can be looked up`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "sandbox_allowed_classes": ["java.util.ArrayList", "java.time.*"]
+            }
+        """)
+
+        val result = GraalEngine.executeScript(script("""
+            const ArrayList = Java.type('java.util.ArrayList');
+            const list = new ArrayList();
+            list.add('a');
+            const Duration = Java.type('java.time.Duration');
+            if (list.size() !== 1 || Duration.ofSeconds(2).toMillis() !== 2000) {
+                throw new Error('Allowed classes should be usable');
+            }
+        """))
+
+        assertTrue(result is ScriptResult.Success, "Allowed classes should be usable: ${(result as? ScriptResult.Error)?.message}")
+        assertTrue(SandboxPolicy.isClassAllowed("java.time.Instant"))
+        assertFalse(SandboxPolicy.isClassAllowed("java.util.HashMap"))
+    }
+
+    @Test
+    fun `test imports outside the rjs directory are blocked`() {
+        val outside = tempDir.resolve("outside.js")
+        outside.writeText("export const secret = 42;")
+
+        val result = GraalEngine.executeScript(script("""
+            import { secret } from '${outside.toAbsolutePath().toString().replace("\\", "/")}';
+        """))
+
+        assertTrue(result is ScriptResult.Error, "Importing a file outside rjs/ should fail")
+        assertTrue(
+            (result as ScriptResult.Error).message.contains("inside the rjs directory"),
+            "Error should explain the sandbox: ${result.message}"
+        )
+    }
+
+    @Test
+    fun `test imports inside the rjs directory still work`() {
+        scriptsDir.resolve("modules/shared.js").writeText("export const value = 7;")
+
+        val result = GraalEngine.executeScript(script("""
+            import { value } from '../modules/shared.js';
+            if (value !== 7) throw new Error('wrong value');
+        """))
+
+        assertTrue(result is ScriptResult.Success, "Modules under rjs/ should be importable: ${(result as? ScriptResult.Error)?.message}")
+    }
+
+    @Test
+    fun `test disabling the sandbox restores full access`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "sandbox_enabled": false
+            }
+        """)
+
+        val result = GraalEngine.executeScript(script("""
+            const File = Java.type('java.io.File');
+        """))
+
+        assertTrue(result is ScriptResult.Success)
+    }
+
+    private fun writeConfig(json: String) {
+        tempDir.resolve("rhettjs.json").writeText(json.trimIndent())
+        ConfigManager.load()
+        GraalEngine.reset()
+    }
+
+    private fun script(content: String): ScriptInfo {
+        val file = Files.createTempFile(scriptsDir, "test-script-", ".js")
+        Files.writeString(file, content)
+        return ScriptInfo(
+            name = "test-sandbox.js",
+            path = file,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
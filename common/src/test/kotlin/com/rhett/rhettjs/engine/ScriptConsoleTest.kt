@@ -0,0 +1,135 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.exists
+import kotlin.io.path.readText
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for console routing.
+ * Tests that console output reaches the caller's echo and the script's log file (written
+ * in the background), filtered by the minimum level of the script's category.
+ */
+class ScriptConsoleTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test console output is echoed to the caller`() {
+        val echoed = mutableListOf<Pair<ScriptConsole.Level, String>>()
+
+        val result = GraalEngine.executeScript(script("scripts/greet.js", """
+            console.log('hello', 42);
+            console.error('broken', { a: 1 });
+        """), echo = { level, message -> echoed += level to message })
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(
+            listOf(ScriptConsole.Level.INFO to "hello 42", ScriptConsole.Level.ERROR to "broken {a: 1}"),
+            echoed
+        )
+    }
+
+    @Test
+    fun `test output below the category level is dropped`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "console_levels": { "scripts": "warn" }
+            }
+        """)
+        val echoed = mutableListOf<String>()
+
+        GraalEngine.executeScript(script("scripts/quiet.js", """
+            console.debug('d');
+            console.log('i');
+            console.warn('w');
+        """), echo = { _, message -> echoed += message })
+
+        assertEquals(listOf("w"), echoed)
+        assertEquals(ScriptConsole.Level.INFO, ScriptConsole.minimumLevel(ScriptCategory.SERVER), "Other categories use the default")
+    }
+
+    @Test
+    fun `test output is written to the script's log file`() {
+        GraalEngine.executeScript(script("server/logged.js", """
+            console.info('first');
+            console.warn('second');
+        """))
+        ScriptConsole.flush()
+
+        val log = ScriptConsole.logFileOf("server/logged")!!
+        assertEquals(scriptsDir.resolve("logs/server/logged.log"), log)
+        val lines = log.readText().lines().filter { it.isNotBlank() }
+        assertEquals(2, lines.size)
+        assertTrue(lines[0].endsWith("[INFO] first"), lines[0])
+        assertTrue(lines[1].endsWith("[WARN] second"), lines[1])
+    }
+
+    @Test
+    fun `test log lines are written in the background`() {
+        GraalEngine.executeScript(script("server/background.js", "console.log('queued');"))
+
+        val log = ScriptConsole.logFileOf("server/background")!!
+        val deadline = System.currentTimeMillis() + 5000
+        while (!log.exists() && System.currentTimeMillis() < deadline) {
+            Thread.sleep(50)
+        }
+        assertTrue(log.exists(), "Queued lines should be flushed without an explicit flush()")
+        assertTrue(log.readText().contains("[INFO] queued"))
+    }
+
+    @Test
+    fun `test log files can be disabled`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "console_log_files": false
+            }
+        """)
+
+        GraalEngine.executeScript(script("server/unlogged.js", "console.log('x');"))
+        ScriptConsole.flush()
+
+        assertFalse(ScriptConsole.logFileOf("server/unlogged")!!.exists())
+    }
+
+    private fun writeConfig(json: String) {
+        tempDir.resolve("rhettjs.json").writeText(json.trimIndent())
+        ConfigManager.load()
+        GraalEngine.reset()
+    }
+
+    private fun script(path: String, content: String): ScriptInfo {
+        val file = scriptsDir.resolve(path)
+        file.writeText(content.trimIndent())
+        val category = ScriptCategory.values().first { path.startsWith("${it.dirName}/") }
+        val name = path.removeSuffix(".js").let { if (category == ScriptCategory.UTILITY) it.removePrefix("scripts/") else it }
+        return ScriptInfo(
+            name = name,
+            path = file,
+            category = category,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
@@ -0,0 +1,81 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.AfterEach
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.assertThrows
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Path
+
+/**
+ * Unit tests for inspector debugging.
+ * Tests which executions suspend and that suspending keeps line numbers.
+ * The inspector itself is not started: it would listen on a real port.
+ */
+class ScriptDebuggerTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        ScriptDebugger.clear()
+    }
+
+    @AfterEach
+    fun teardown() {
+        ScriptDebugger.clear()
+    }
+
+    @Test
+    fun `test inspector is disabled by default`() {
+        ScriptDebugger.suspendOnNextRun("server/arena")
+
+        assertFalse(ScriptDebugger.isEnabled())
+        assertTrue(ScriptDebugger.engineOptions().isEmpty())
+        assertFalse(ScriptDebugger.shouldSuspend("server/arena"), "Nothing suspends without the inspector")
+    }
+
+    @Test
+    fun `test enabling reports whether the engine must be recreated`() {
+        assertTrue(ScriptDebugger.enable(9229))
+        assertFalse(ScriptDebugger.enable(9229), "Same port keeps the engine")
+        assertTrue(ScriptDebugger.enable(9230))
+
+        assertEquals("127.0.0.1:9230", ScriptDebugger.engineOptions()["inspect"])
+        assertTrue(ScriptDebugger.devToolsUrl().contains("ws=127.0.0.1:9230/"))
+        assertThrows<IllegalArgumentException> { ScriptDebugger.enable(0) }
+    }
+
+    @Test
+    fun `test a failed engine restart keeps the previous port`() {
+        ScriptDebugger.enable(9229)
+
+        assertThrows<IllegalStateException> { ScriptDebugger.enable(9230) { throw IllegalStateException("Port in use") } }
+        assertEquals(9229, ScriptDebugger.port())
+        assertEquals("127.0.0.1:9229", ScriptDebugger.engineOptions()["inspect"])
+    }
+
+    @Test
+    fun `test armed script suspends once`() {
+        ScriptDebugger.enable(9229)
+        ScriptDebugger.suspendOnNextRun("server/arena")
+
+        assertFalse(ScriptDebugger.shouldSuspend("server/other"))
+        assertTrue(ScriptDebugger.shouldSuspend("server/arena"))
+        assertFalse(ScriptDebugger.shouldSuspend("server/arena"), "The request is used up by one execution")
+    }
+
+    @Test
+    fun `test instrumented source keeps its lines`() {
+        val source = "// header\nconst a = 1;\nconsole.log(a);"
+
+        val instrumented = ScriptDebugger.instrument(source)
+
+        assertTrue(instrumented.startsWith("debugger;"))
+        assertEquals(source.lines().drop(1), instrumented.lines().drop(1))
+    }
+}
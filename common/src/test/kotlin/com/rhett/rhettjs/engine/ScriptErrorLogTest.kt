@@ -0,0 +1,107 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import java.nio.file.Files
+import java.nio.file.Path
+
+/**
+ * Unit tests for ScriptErrorLog.
+ * Tests that errors from event handlers and rejected promises are captured with script name and stack.
+ */
+class ScriptErrorLogTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+        GraalEngine.setScriptsDirectory(tempDir)
+        GraalEngine.reset()
+        ScriptErrorLog.clear()
+    }
+
+    @Test
+    fun `test synchronous handler errors are recorded`() {
+        val script = ScriptInfo(
+            name = "test-sync-handler-error.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('custom:fail', () => {
+                    throw new Error('sync boom');
+                });
+            """),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+
+        ServerEventManager.emit("custom:fail", null)
+
+        val error = ScriptErrorLog.getErrors().single()
+        assertEquals("test-sync-handler-error.js", error.script)
+        assertEquals("event:custom:fail", error.origin)
+        assertTrue(error.message.contains("sync boom"), "Message should contain the JS error: ${error.message}")
+    }
+
+    @Test
+    fun `test rejected promises from async handlers are recorded`() {
+        val script = ScriptInfo(
+            name = "test-async-handler-error.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('custom:fail', async () => {
+                    await null;
+                    throw new Error('async boom');
+                });
+            """),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+
+        ServerEventManager.emit("custom:fail", null)
+
+        val error = ScriptErrorLog.getErrors().single()
+        assertEquals("test-async-handler-error.js", error.script)
+        assertEquals("event:custom:fail", error.origin)
+        assertEquals("async boom", error.message)
+        assertNotNull(error.stack, "JS stack should be captured")
+    }
+
+    @Test
+    fun `test unhandled rejections are recorded`() {
+        val script = ScriptInfo(
+            name = "test-unhandled-rejection.js",
+            path = createTempScript("""
+                Promise.reject(new Error('nobody caught this'));
+            """),
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        GraalEngine.executeScript(script)
+
+        val error = ScriptErrorLog.getErrors().firstOrNull { it.message == "nobody caught this" }
+        assertNotNull(error, "Unhandled rejection should be recorded")
+        assertEquals("promise", error!!.origin)
+    }
+
+    private fun createTempScript(content: String): Path {
+        val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
+        Files.writeString(tempFile, content)
+        return tempFile
+    }
+}
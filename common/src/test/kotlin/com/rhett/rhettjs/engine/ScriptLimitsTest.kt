@@ -0,0 +1,173 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for ScriptLimits.
+ * Tests that runaway scripts are stopped by their category's statement and allocation limits,
+ * that the error names the script, and that server scripts survive a stopped shared context.
+ */
+class ScriptLimitsTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        Files.createDirectories(scriptsDir.resolve("modules"))
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+    }
+
+    @Test
+    fun `test infinite loop is stopped by the statement limit`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "resource_limits": { "server": { "max_statements": 10000 } }
+            }
+        """)
+
+        val result = GraalEngine.executeScript(script("test-runaway.js", """
+            while (true) {}
+        """, isolated = true))
+
+        assertTrue(result is ScriptResult.Error, "Infinite loop should be stopped")
+        val message = (result as ScriptResult.Error).message
+        assertTrue(message.contains("test-runaway.js"), "Error should name the script: $message")
+        assertTrue(message.contains("statement limit"), "Error should name the limit: $message")
+    }
+
+    @Test
+    fun `test script runs again after tripping the statement limit`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "resource_limits": { "server": { "max_statements": 10000 } }
+            }
+        """)
+
+        val runaway = script("test-runaway.js", "while (true) {}", isolated = true)
+        assertTrue(GraalEngine.executeScript(runaway) is ScriptResult.Error)
+
+        val result = GraalEngine.executeScript(script("test-runaway.js", "const ok = 1 + 1;", isolated = true))
+        assertTrue(result is ScriptResult.Success, "A fresh context should replace the stopped one: ${(result as? ScriptResult.Error)?.message}")
+    }
+
+    @Test
+    fun `test allocation loop is stopped by the allocation limit`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "resource_limits": { "server": { "max_statements": 50000000, "max_allocated_mb": 16 } }
+            }
+        """)
+
+        val result = GraalEngine.executeScript(script("test-allocator.js", """
+            let total = 0;
+            while (true) {
+                const chunk = new Array(10000).fill(1);
+                total += chunk.length;
+            }
+        """, isolated = true))
+
+        assertTrue(result is ScriptResult.Error, "Allocation loop should be stopped")
+        val message = (result as ScriptResult.Error).message
+        assertTrue(message.contains("test-allocator.js"), "Error should name the script: $message")
+        assertTrue(message.contains("allocation limit"), "Error should name the limit: $message")
+    }
+
+    @Test
+    fun `test default config has no limits`() {
+        val limits = ConfigManager.getResourceLimits(ScriptCategory.SERVER.dirName)
+
+        assertEquals(0L, limits.max_statements)
+        assertEquals(0L, limits.max_allocated_mb)
+    }
+
+    @Test
+    fun `test server scripts are restored after the shared context is stopped`() {
+        writeConfig("""
+            {
+              "enabled": true,
+              "resource_limits": {
+                "startup": { "max_statements": 100000 },
+                "server": { "max_statements": 100000 },
+                "scripts": { "max_statements": 100000 }
+              }
+            }
+        """)
+        StoreAPI.clearAll()
+        Files.createDirectories(scriptsDir.resolve("server"))
+        scriptsDir.resolve("server/guard.js").writeText("""
+            import Server from 'Server';
+            import Store from 'Store';
+            Server.on('custom:ping', () => Store.namespace('limits').set('pinged', 'yes'));
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+        ScriptRegistry.getScripts(ScriptCategory.SERVER).forEach { GraalEngine.executeScript(it) }
+
+        val runaway = script("runaway.js", "while (true) {}").copy(category = ScriptCategory.UTILITY)
+        assertTrue(GraalEngine.executeScript(runaway) is ScriptResult.Error, "The utility script should trip the shared limit")
+
+        ServerEventManager.emit("custom:ping", null)
+        assertEquals("yes", (StoreAPI.namespace("limits").get("pinged") as? Value)?.asString(), "Server handlers should be registered again")
+    }
+
+    @Test
+    fun `test shared scripts cannot override the statement limit`() {
+        val result = GraalEngine.executeScript(script("test-override.js", """
+            Runtime.setResourceLimits({ maxStatements: 10 });
+        """))
+
+        assertTrue(result is ScriptResult.Error, "Shared scripts should not change the shared context's limit")
+        assertTrue(
+            (result as ScriptResult.Error).message.contains("isolated"),
+            "Error should point at isolated scripts: ${result.message}"
+        )
+    }
+
+    @Test
+    fun `test allocation override is accepted`() {
+        val result = GraalEngine.executeScript(script("test-override.js", """
+            Runtime.setResourceLimits({ maxAllocatedMb: 64 });
+        """))
+
+        assertTrue(result is ScriptResult.Success, "Allocation override should be accepted: ${(result as? ScriptResult.Error)?.message}")
+        assertEquals(64L, ScriptLimits.limitsFor("test-override.js", ScriptCategory.SERVER).max_allocated_mb)
+    }
+
+    private fun writeConfig(json: String) {
+        tempDir.resolve("rhettjs.json").writeText(json.trimIndent())
+        ConfigManager.load()
+        GraalEngine.reset()
+    }
+
+    private fun script(name: String, content: String, isolated: Boolean = false): ScriptInfo {
+        val file = scriptsDir.resolve(name)
+        Files.writeString(file, content)
+        return ScriptInfo(
+            name = name,
+            path = file,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED,
+            isolated = isolated
+        )
+    }
+}
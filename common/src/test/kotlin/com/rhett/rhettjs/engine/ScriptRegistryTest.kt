@@ -251,4 +251,88 @@ class ScriptRegistryTest {
         ScriptRegistry.scan(tempDir)
         assertEquals(2, ScriptRegistry.getAllScripts().size)
     }
+
+    @Test
+    fun `test isolated header directive is detected`() {
+        tempDir.resolve("scripts/isolated.js").writeText("// Keeps its globals to itself\n// @rjs isolated\n\nglobalThis.x = 1;")
+        tempDir.resolve("scripts/shared.js").writeText("console.log('shared');\n// @rjs isolated")
+
+        ScriptRegistry.scan(tempDir)
+
+        assertTrue(ScriptRegistry.getScript("isolated")!!.isolated, "Directive in the header should mark the script isolated")
+        assertFalse(ScriptRegistry.getScript("shared")!!.isolated, "Directive after code should be ignored")
+    }
+
+    @Test
+    fun `test metadata header is parsed`() {
+        tempDir.resolve("server/arena.js").writeText("""
+            // Arena minigame
+            // @rjs name Arena
+            // @rjs description Minigame arenas with queues
+            // @rjs requires economy, server/teams
+            // @rjs after setup
+            // @rjs permission 3
+            // @rjs isolated
+
+            console.log('arena');
+        """.trimIndent())
+
+        ScriptRegistry.scan(tempDir)
+
+        val metadata = ScriptRegistry.getScript("server/arena")!!.metadata
+        assertEquals("Arena", metadata.name)
+        assertEquals("Minigame arenas with queues", metadata.description)
+        assertEquals(listOf("economy", "server/teams"), metadata.requires)
+        assertEquals(listOf("setup"), metadata.after)
+        assertEquals(3, metadata.permission)
+        assertTrue(metadata.isolated)
+        assertTrue(metadata.enabled)
+    }
+
+    @Test
+    fun `test execution order follows dependencies then names`() {
+        tempDir.resolve("server/a-arena.js").writeText("// @rjs requires economy\nconsole.log('a');")
+        tempDir.resolve("server/b-setup.js").writeText("console.log('b');")
+        tempDir.resolve("server/economy.js").writeText("// @rjs name Economy\n// @rjs after b-setup\nconsole.log('e');")
+        tempDir.resolve("server/z-late.js").writeText("// @rjs after missing-script\nconsole.log('z');")
+
+        ScriptRegistry.scan(tempDir)
+
+        assertEquals(
+            listOf("server/b-setup", "server/economy", "server/a-arena", "server/z-late"),
+            ScriptRegistry.getExecutionOrder(ScriptCategory.SERVER).map { it.name }
+        )
+        assertEquals("server/economy", ScriptRegistry.resolveReference("Economy", ScriptRegistry.getScript("server/a-arena")!!)?.name)
+    }
+
+    @Test
+    fun `test dependency cycles are reported and left out`() {
+        tempDir.resolve("server/first.js").writeText("// @rjs requires second\nconsole.log(1);")
+        tempDir.resolve("server/second.js").writeText("// @rjs after first\nconsole.log(2);")
+        tempDir.resolve("server/free.js").writeText("console.log(3);")
+
+        ScriptRegistry.scan(tempDir)
+
+        assertEquals(listOf("server/free"), ScriptRegistry.getExecutionOrder(ScriptCategory.SERVER).map { it.name })
+        assertEquals(ScriptStatus.ERROR, ScriptRegistry.getScript("server/first")!!.status)
+        assertEquals(ScriptStatus.ERROR, ScriptRegistry.getScript("server/second")!!.status)
+    }
+
+    @Test
+    fun `test enabled false header disables the script until enabled`() {
+        tempDir.resolve("server/off-by-default.js").writeText("// @rjs enabled false\nconsole.log('off');")
+        tempDir.resolve("server/needs-off.js").writeText("// @rjs requires off-by-default\nconsole.log('needs');")
+
+        ScriptRegistry.scan(tempDir)
+        assertEquals(ScriptStatus.DISABLED, ScriptRegistry.getScript("server/off-by-default")!!.status)
+        assertEquals(
+            listOf("off-by-default"),
+            ScriptSystemInitializer.unmetRequirements(ScriptRegistry.getScript("server/needs-off")!!)
+        )
+
+        ScriptRegistry.setDisabled("server/off-by-default", false)
+        ScriptRegistry.scan(tempDir)
+        assertEquals(ScriptStatus.LOADED, ScriptRegistry.getScript("server/off-by-default")!!.status, "Enabling should survive a rescan")
+        assertTrue(ScriptSystemInitializer.unmetRequirements(ScriptRegistry.getScript("server/needs-off")!!).isEmpty())
+    }
 }
@@ -0,0 +1,132 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import org.graalvm.polyglot.PolyglotException
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for source-mapped stack traces.
+ * Tests that frames point at files relative to rjs/ from scripts, modules and handlers,
+ * and that locations can only be resolved inside rjs/.
+ */
+class ScriptStackTraceTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        ScriptErrorLog.clear()
+    }
+
+    @Test
+    fun `test script errors report frames relative to rjs`() {
+        val result = GraalEngine.executeScript(script("server/thrower.js", """
+            function explode() {
+                throw new Error('boom');
+            }
+            explode();
+        """))
+
+        assertTrue(result is ScriptResult.Error)
+        val frames = ScriptStackTrace.framesOf((result as ScriptResult.Error).exception as PolyglotException)
+        assertEquals("explode", frames[0].function)
+        assertEquals("server/thrower.js:2:5", frames[0].location)
+        assertEquals("server/thrower.js", frames[1].file)
+        assertNull(frames[1].function, "Top-level code has no function name")
+        assertTrue(result.message.contains("at explode (server/thrower.js:2:5)"), result.message)
+    }
+
+    @Test
+    fun `test frames inside modules point at the module file`() {
+        scriptsDir.resolve("modules/fail.js").writeText("""
+            export function fail() {
+                throw new Error('from module');
+            }
+        """.trimIndent())
+
+        val result = GraalEngine.executeScript(script("server/importer.js", """
+            import { fail } from '../modules/fail.js';
+            fail();
+        """))
+
+        val frames = ScriptStackTrace.framesOf((result as ScriptResult.Error).exception as PolyglotException)
+        assertEquals("modules/fail.js:2:5", frames[0].location)
+        assertEquals("server/importer.js:2:1", frames[1].location)
+        assertEquals("throw new Error('from module');", ScriptStackTrace.sourceLine(frames[0])?.trim())
+    }
+
+    @Test
+    fun `test handler errors are logged with frames`() {
+        val script = script("server/handler.js", """
+            import Server from 'Server';
+
+            Server.on('custom:fail', () => {
+                throw new Error('handler boom');
+            });
+        """)
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+
+        ServerEventManager.emit("custom:fail", null)
+
+        val error = ScriptErrorLog.getErrors().single()
+        assertEquals("server/handler.js:4:5", error.frames.first().location)
+        assertTrue(error.stack!!.contains("server/handler.js:4:5"), error.stack)
+    }
+
+    @Test
+    fun `test Error stack strings are parsed and internal frames dropped`() {
+        val frames = ScriptStackTrace.framesOf("""
+            Error: nope
+                at check (${scriptsDir.resolve("modules/check.js")}:3:9)
+                at <eval>:1:1
+                at Unnamed:4:2
+        """.trimIndent())
+
+        assertEquals(1, frames.size)
+        assertEquals("check", frames[0].function)
+        assertEquals("modules/check.js:3:9", frames[0].location)
+    }
+
+    @Test
+    fun `test locations resolve only inside rjs`() {
+        script("server/target.js", "const a = 1;\nconst b = 2;")
+        tempDir.resolve("secret.js").writeText("const password = 'x';")
+
+        val frame = ScriptStackTrace.resolve("server/target.js:2:7")
+        assertNotNull(frame)
+        assertEquals("const b = 2;", ScriptStackTrace.sourceLine(frame!!))
+
+        assertNull(ScriptStackTrace.resolve("../secret.js:1:1"), "Paths outside rjs/ must not resolve")
+        assertNull(ScriptStackTrace.resolve("server/missing.js:1:1"))
+        assertNull(ScriptStackTrace.resolve("server/target.js"), "Line and column are required")
+    }
+
+    private fun script(path: String, content: String): ScriptInfo {
+        val file = scriptsDir.resolve(path)
+        file.writeText(content.trimIndent())
+        val category = ScriptCategory.values().first { path.startsWith("${it.dirName}/") }
+        return ScriptInfo(
+            name = path.removeSuffix(".js"),
+            path = file,
+            category = category,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
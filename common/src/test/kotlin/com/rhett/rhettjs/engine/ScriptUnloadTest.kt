@@ -0,0 +1,181 @@
+package com.rhett.rhettjs.engine
+
+import com.mojang.brigadier.CommandDispatcher
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import net.minecraft.commands.CommandSourceStack
+import org.graalvm.polyglot.Value
+import org.mockito.Mockito
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for per-script ownership of registrations.
+ * Tests that unloading or disabling a script removes only its own handlers and commands,
+ * and that Script.onUnload() callbacks run.
+ */
+class ScriptUnloadTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+    }
+
+    @Test
+    fun `test unloading a script removes only its handlers`() {
+        scriptsDir.resolve("modules/listen.js").writeText("""
+            import Server from 'Server';
+            import Store from 'Store';
+            export function listen(tag) {
+                Server.on('custom:ping', () => {
+                    const store = Store.namespace('unload');
+                    const calls = store.get('calls');
+                    store.set('calls', calls ? calls + ',' + tag : tag);
+                });
+            }
+        """.trimIndent())
+        val first = script("first", "import { listen } from '../modules/listen.js'; listen('first');")
+        val second = script("second", "import { listen } from '../modules/listen.js'; listen('second');")
+
+        assertTrue(GraalEngine.executeScript(first) is ScriptResult.Success)
+        assertTrue(GraalEngine.executeScript(second) is ScriptResult.Success)
+        assertEquals(1, ServerEventManager.countHandlers(first), "Handlers defined in a module belong to the script that registered them")
+
+        GraalEngine.unloadScript(first)
+        ServerEventManager.emit("custom:ping", null)
+
+        assertEquals("second", storedString("calls"))
+    }
+
+    @Test
+    fun `test unloading a script removes its commands`() {
+        val owner = script("owner", """
+            import Commands from 'Commands';
+            Commands.register('unloadtest').executes(() => {});
+        """)
+        val other = script("other", """
+            import Commands from 'Commands';
+            Commands.register('keeptest').executes(() => {});
+        """)
+        GraalEngine.executeScript(owner)
+        GraalEngine.executeScript(other)
+
+        GraalEngine.unloadScript(owner)
+
+        val names = GraalEngine.getCommandRegistry().getCommandNames()
+        assertFalse("unloadtest" in names, "The unloaded script's command should be removed")
+        assertTrue("keeptest" in names, "Other scripts' commands should stay")
+    }
+
+    @Test
+    fun `test an unloaded script's command is hidden from the dispatcher`() {
+        val owner = script("owner", """
+            import Commands from 'Commands';
+            Commands.register('hidetest').executes(() => {});
+        """)
+        GraalEngine.executeScript(owner)
+
+        val registry = GraalEngine.getCommandRegistry()
+        val dispatcher = CommandDispatcher<CommandSourceStack>()
+        registry.dispatcher = dispatcher
+        registry.context = GraalEngine.getOrCreateContext()
+        registry.registerAll()
+
+        val source = Mockito.mock(CommandSourceStack::class.java)
+        val node = dispatcher.root.getChild("hidetest")
+        assertNotNull(node, "The command should be registered with Brigadier")
+        assertTrue(node.canUse(source), "A loaded script's command should be usable")
+
+        GraalEngine.unloadScript(owner)
+
+        assertFalse(node.canUse(source), "An unloaded script's command should be hidden")
+    }
+
+    @Test
+    fun `test onUnload runs when the script is unloaded`() {
+        val script = script("hooked", """
+            import Store from 'Store';
+            Script.onUnload(() => Store.namespace('unload').set('hook', 'ran'));
+        """)
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+        assertNull(storedString("hook"))
+
+        GraalEngine.unloadScript(script)
+        assertEquals("ran", storedString("hook"))
+
+        // Hooks run once
+        StoreAPI.clearAll()
+        GraalEngine.unloadScript(script)
+        assertNull(storedString("hook"))
+    }
+
+    @Test
+    fun `test onUnload runs on reset`() {
+        val script = script("hooked", """
+            import Store from 'Store';
+            Script.onUnload(() => Store.namespace('unload').set('hook', 'reset'));
+        """)
+        GraalEngine.executeScript(script)
+
+        GraalEngine.reset()
+
+        assertEquals("reset", storedString("hook"))
+    }
+
+    @Test
+    fun `test disabled server scripts are skipped until enabled`() {
+        scriptsDir.resolve("server/toggled.js").writeText("""
+            import Server from 'Server';
+            import Store from 'Store';
+            Server.on('custom:ping', () => Store.namespace('unload').set('calls', 'toggled'));
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+        val script = ScriptRegistry.getScripts(ScriptCategory.SERVER).single()
+
+        ScriptSystemInitializer.disableScript(script)
+        ScriptSystemInitializer.executeServerScripts(fromModInit = true)
+        ServerEventManager.emit("custom:ping", null)
+
+        assertEquals(ScriptStatus.DISABLED, ScriptRegistry.getScript(script.name)?.status)
+        assertNull(storedString("calls"), "Disabled scripts should not run")
+
+        val result = ScriptSystemInitializer.enableScript(ScriptRegistry.getScript(script.name)!!)
+        ServerEventManager.emit("custom:ping", null)
+
+        assertTrue(result is ScriptResult.Success)
+        assertEquals("toggled", storedString("calls"))
+    }
+
+    private fun storedString(key: String): String? {
+        return (StoreAPI.namespace("unload").get(key) as? Value)?.asString()
+    }
+
+    private fun script(name: String, content: String): ScriptInfo {
+        val file = scriptsDir.resolve("server/$name.js")
+        file.writeText(content.trimIndent())
+        return ScriptInfo(
+            name = "server/$name",
+            path = file,
+            category = ScriptCategory.SERVER,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+    }
+}
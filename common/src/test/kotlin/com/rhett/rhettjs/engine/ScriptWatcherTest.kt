@@ -0,0 +1,125 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.ServerEventManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for hot reload (ScriptWatcher.handleChange and ModuleCache).
+ * Tests that a changed server script replaces its own handlers, and that changed modules
+ * are imported again.
+ */
+class ScriptWatcherTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+    }
+
+    @Test
+    fun `test changed server script replaces its handlers`() {
+        val file = scriptsDir.resolve("server/listener.js")
+        file.writeText(listener("v1"))
+        val other = scriptsDir.resolve("server/other.js")
+        other.writeText(listener("other"))
+        ScriptRegistry.scan(scriptsDir)
+        ScriptRegistry.getScripts(ScriptCategory.SERVER).forEach { GraalEngine.executeScript(it) }
+
+        file.writeText(listener("v2"))
+        ScriptWatcher.handleChange(scriptsDir, file)
+        ServerEventManager.emit("custom:ping", null)
+
+        val calls = storedString("calls")?.split(",")?.sorted()
+        assertEquals(listOf("other", "v2"), calls, "Only the new handler and the untouched script's handler should run")
+    }
+
+    @Test
+    fun `test deleted server script unregisters its handlers`() {
+        val file = scriptsDir.resolve("server/listener.js")
+        file.writeText(listener("v1"))
+        ScriptRegistry.scan(scriptsDir)
+        GraalEngine.executeScript(ScriptRegistry.getScripts(ScriptCategory.SERVER).single())
+
+        Files.delete(file)
+        ScriptWatcher.handleChange(scriptsDir, file)
+        ServerEventManager.emit("custom:ping", null)
+
+        assertNull(storedString("calls"), "Handlers of a deleted script should be gone")
+        assertTrue(ScriptRegistry.getScripts(ScriptCategory.SERVER).isEmpty())
+    }
+
+    @Test
+    fun `test changed module is imported again`() {
+        val module = scriptsDir.resolve("modules/value.js")
+        module.writeText("export const value = 'first';")
+        val reader = scriptsDir.resolve("server/reader.js")
+        reader.writeText("""
+            import Store from 'Store';
+            import { value } from '../modules/value.js';
+            Store.namespace('watcher').set('value', value);
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+        val script = ScriptRegistry.getScripts(ScriptCategory.SERVER).single()
+
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+        assertEquals("first", storedString("value"))
+
+        module.writeText("export const value = 'second';")
+        ScriptWatcher.handleChange(scriptsDir, module)
+        assertTrue(GraalEngine.executeScript(script) is ScriptResult.Success)
+
+        assertEquals("second", storedString("value"), "The invalidated module should be loaded again")
+    }
+
+    @Test
+    fun `test versioned module paths map back to the file`() {
+        val module = scriptsDir.resolve("modules/math.js")
+        module.writeText("export const one = 1;")
+        val real = module.toRealPath()
+
+        assertEquals(real, ModuleCache.versioned(real), "Modules that were never invalidated keep their path")
+
+        ModuleCache.invalidate(module)
+        val versioned = ModuleCache.versioned(real)
+
+        assertNotEquals(real, versioned)
+        assertEquals(real.parent, versioned.parent, "Relative imports must resolve from the same directory")
+        assertTrue(versioned.fileName.toString().endsWith(".js"))
+        assertEquals(real, ModuleCache.unversioned(versioned))
+    }
+
+    private fun listener(tag: String): String {
+        return """
+            import Server from 'Server';
+            import Store from 'Store';
+            Server.on('custom:ping', () => {
+                const store = Store.namespace('watcher');
+                const calls = store.get('calls');
+                store.set('calls', calls ? calls + ',$tag' : '$tag');
+            });
+        """.trimIndent()
+    }
+
+    private fun storedString(key: String): String? {
+        return (StoreAPI.namespace("watcher").get(key) as? Value)?.asString()
+    }
+}
@@ -5,6 +5,20 @@ import org.junit.jupiter.api.Assertions.*
 import org.junit.jupiter.api.BeforeEach
 import org.junit.jupiter.api.io.TempDir
 import com.rhett.rhettjs.config.ConfigManager
+import com.rhett.rhettjs.events.BlockData
+import com.rhett.rhettjs.events.BlockEventData
+import com.rhett.rhettjs.events.BlockPosition
+import com.rhett.rhettjs.events.PlayerData
+import com.rhett.rhettjs.events.ServerEvent
+import com.rhett.rhettjs.events.ServerEventManager
+import net.minecraft.SharedConstants
+import net.minecraft.server.Bootstrap
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.server.level.ServerPlayerGameMode
+import net.minecraft.world.damagesource.DamageSource
+import net.minecraft.world.entity.LivingEntity
+import net.minecraft.world.level.GameType
+import org.mockito.Mockito
 import java.nio.file.Files
 import java.nio.file.Path
 
@@ -240,6 +254,402 @@ class ServerAPIBindingsTest {
         assertTrue(result is ScriptResult.Success, "Event handlers should support async")
     }
 
+    @Test
+    fun `test block event handlers are registered`() {
+        val script = ScriptInfo(
+            name = "test-block-events.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('blockLeftClick', (event) => event.cancel());
+                Server.on('blockRightClick', (event) => event.cancel());
+                Server.on('blockPlace', (event) => event.cancel());
+                Server.once('blockBreak', (event) => event.cancel());
+
+                console.log('Block event handlers registered');
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Block event handlers should register")
+
+        for (event in listOf("blockLeftClick", "blockRightClick", "blockPlace", "blockBreak")) {
+            assertTrue(ServerEventManager.hasHandlers(event), "Should have handler for $event")
+        }
+        assertFalse(ServerEventManager.hasHandlers("blockUnknown"), "Unregistered event should have no handlers")
+    }
+
+    @Test
+    fun `test block event handlers decide whether the action is cancelled`() {
+        val script = ScriptInfo(
+            name = "test-block-cancel.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('blockBreak', (event) => {
+                    if (event.block.id === 'minecraft:bedrock') {
+                        event.cancel();
+                    }
+                });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Block event handler should register")
+
+        val player = mockPlayer()
+        assertTrue(
+            ServerEventManager.triggerBlockEvent("blockBreak", brokenBlock("minecraft:bedrock"), player),
+            "A handler calling cancel() should cancel the break"
+        )
+        assertFalse(
+            ServerEventManager.triggerBlockEvent("blockBreak", brokenBlock("minecraft:stone"), player),
+            "A handler that does not cancel should let the break through"
+        )
+    }
+
+    @Test
+    fun `test entity event handlers are registered`() {
+        val script = ScriptInfo(
+            name = "test-entity-events.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('entityHurt', (event) => { event.amount = event.amount * 2; });
+                Server.on('entityDeath', (event) => console.log(event.entity.id));
+                Server.on('entitySpawn', (event) => event.cancel());
+                Server.on('playerInteractEntity', (event) => event.cancel());
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Entity event handlers should register")
+
+        for (event in listOf("entityHurt", "entityDeath", "entitySpawn", "playerInteractEntity")) {
+            assertTrue(ServerEventManager.hasHandlers(event), "Should have handler for $event")
+        }
+    }
+
+    @Test
+    fun `test entityHurt handlers rewrite or cancel the damage`() {
+        val script = ScriptInfo(
+            name = "test-entity-hurt.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('entityHurt', (event) => {
+                    if (event.amount > 10) {
+                        event.cancel();
+                    } else {
+                        event.amount = event.amount * 2;
+                    }
+                });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "entityHurt handler should register")
+
+        bootstrapMinecraft()
+        val entity = Mockito.mock(LivingEntity::class.java, Mockito.RETURNS_DEEP_STUBS)
+        val source = Mockito.mock(DamageSource::class.java, Mockito.RETURNS_DEEP_STUBS)
+        Mockito.`when`(source.entity).thenReturn(null)
+        Mockito.`when`(source.msgId).thenReturn("generic")
+
+        assertEquals(8f, ServerEventManager.triggerEntityHurt(entity, source, 4f), "The rewritten amount should be applied")
+        assertNull(ServerEventManager.triggerEntityHurt(entity, source, 20f), "A cancelled hurt should return null")
+    }
+
+    @Test
+    fun `test handlers run in priority order and share cancellation`() {
+        val script = ScriptInfo(
+            name = "test-priority.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                globalThis.order = [];
+
+                Server.on('testEvent', () => order.push('monitor'), { priority: 'monitor' });
+                Server.on('testEvent', () => order.push('normal'));
+                Server.on('testEvent', (event) => {
+                    order.push('highest');
+                    event.cancel();
+                }, { priority: 'highest' });
+                Server.on('testEvent', () => order.push('skipped'), { priority: 'high', ignoreCancelled: true });
+                Server.on('testEvent', (event) => order.push('low:' + event.isCancelled), { priority: 'low' });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "Handlers with options should register")
+
+        val event = ServerEventManager.trigger(ServerEvent("testEvent", emptyMap(), cancellable = true))
+        assertTrue(event.isCancelled, "Event should be cancelled by highest handler")
+
+        val order = GraalEngine.getOrCreateContext().getBindings("js").getMember("order")
+        val actual = (0 until order.arraySize).map { order.getArrayElement(it).asString() }
+        assertEquals(listOf("highest", "normal", "low:true", "monitor"), actual)
+    }
+
+    @Test
+    fun `test once handlers skipped for a cancelled event stay registered`() {
+        val script = ScriptInfo(
+            name = "test-once-ignore-cancelled.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                globalThis.onceRuns = 0;
+
+                Server.on('testEvent', (event) => {
+                    if (event.cancelFirst) event.cancel();
+                }, { priority: 'highest' });
+                Server.once('testEvent', () => globalThis.onceRuns++, { ignoreCancelled: true });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success)
+
+        val runs = { GraalEngine.getOrCreateContext().getBindings("js").getMember("onceRuns").asInt() }
+
+        ServerEventManager.trigger(ServerEvent("testEvent", mapOf("cancelFirst" to true), cancellable = true))
+        assertEquals(0, runs(), "The once handler should be skipped for a cancelled event")
+
+        ServerEventManager.trigger(ServerEvent("testEvent", mapOf("cancelFirst" to false), cancellable = true))
+        assertEquals(1, runs(), "The once handler should still run for the next uncancelled event")
+
+        ServerEventManager.trigger(ServerEvent("testEvent", mapOf("cancelFirst" to false), cancellable = true))
+        assertEquals(1, runs(), "The once handler should be removed after running")
+    }
+
+    @Test
+    fun `test monitor handlers cannot cancel events`() {
+        val script = ScriptInfo(
+            name = "test-monitor.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('testEvent', (event) => event.cancel(), { priority: 'monitor' });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success)
+
+        val event = ServerEventManager.trigger(ServerEvent("testEvent", emptyMap(), cancellable = true))
+        assertFalse(event.isCancelled, "Monitor handler should not be able to cancel")
+    }
+
+    @Test
+    fun `test invalid priority is rejected`() {
+        val script = ScriptInfo(
+            name = "test-invalid-priority.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('testEvent', () => {}, { priority: 'urgent' });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Error, "Unknown priority should throw")
+    }
+
+    @Test
+    fun `test tick handlers are throttled with every option`() {
+        val script = ScriptInfo(
+            name = "test-tick-every.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                globalThis.everyTick = 0;
+                globalThis.everyThird = 0;
+
+                Server.on('tick', () => globalThis.everyTick++);
+                Server.on('tick', () => globalThis.everyThird++, { every: 3 });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success)
+
+        repeat(7) { ServerEventManager.triggerTick() }
+
+        val bindings = GraalEngine.getOrCreateContext().getBindings("js")
+        assertEquals(7, bindings.getMember("everyTick").asInt())
+        assertEquals(2, bindings.getMember("everyThird").asInt(), "every: 3 should run on ticks 3 and 6")
+    }
+
+    @Test
+    fun `test invalid every option is rejected`() {
+        val script = ScriptInfo(
+            name = "test-invalid-every.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                Server.on('tick', () => {}, { every: 0 });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Error, "every: 0 should throw")
+    }
+
+    @Test
+    fun `test Server emit dispatches custom events with error isolation`() {
+        val script = ScriptInfo(
+            name = "test-emit.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                globalThis.received = [];
+
+                Server.on('custom:arenaStart', () => { throw new Error('broken handler'); }, { priority: 'high' });
+                Server.on('custom:arenaStart', (event) => {
+                    globalThis.received.push(event.type + ':' + event.payload.name);
+                    event.cancel();
+                });
+
+                globalThis.cancelled = Server.emit('custom:arenaStart', { name: 'pit' });
+                globalThis.unheard = Server.emit('custom:nobodyListens');
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success, "A failing handler should not fail the emitter")
+
+        val bindings = GraalEngine.getOrCreateContext().getBindings("js")
+        val received = bindings.getMember("received")
+        assertEquals(1, received.arraySize)
+        assertEquals("custom:arenaStart:pit", received.getArrayElement(0).asString())
+        assertTrue(bindings.getMember("cancelled").asBoolean(), "emit() should report cancellation")
+        assertFalse(bindings.getMember("unheard").asBoolean())
+    }
+
+    @Test
+    fun `test Server emit rejects built-in and unprefixed names`() {
+        listOf("playerJoin", "arenaStart", "custom:").forEachIndexed { index, name ->
+            val script = ScriptInfo(
+                name = "test-emit-invalid-$index.js",
+                path = createTempScript("""
+                    import Server from 'Server';
+
+                    Server.emit('$name', {});
+                """),
+                category = ScriptCategory.STARTUP,
+                lastModified = System.currentTimeMillis(),
+                status = ScriptStatus.LOADED
+            )
+
+            val result = GraalEngine.executeScript(script)
+            assertTrue(result is ScriptResult.Error, "emit('$name') should throw")
+        }
+    }
+
+    @Test
+    fun `test handlers can rewrite writable event fields only`() {
+        val script = ScriptInfo(
+            name = "test-event-rewrite.js",
+            path = createTempScript("""
+                import Server from 'Server';
+
+                globalThis.readOnlyError = null;
+
+                Server.on('testChat', (event) => {
+                    event.formatted = '[Admin] ' + event.formatted;
+                    try {
+                        event.message = 'changed';
+                    } catch (e) {
+                        globalThis.readOnlyError = String(e);
+                    }
+                }, { priority: 'high' });
+                Server.on('testChat', (event) => {
+                    event.formatted = event.formatted.replace('darn', '****');
+                });
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success)
+
+        val event = ServerEventManager.trigger(ServerEvent(
+            "testChat",
+            mapOf("message" to "oh darn", "formatted" to "<Steve> oh darn"),
+            cancellable = true,
+            writable = setOf("formatted")
+        ))
+
+        val formatted = event.get("formatted") as org.graalvm.polyglot.Value
+        assertEquals("[Admin] <Steve> oh ****", formatted.asString())
+        assertEquals("oh darn", event.get("message"), "Read-only field should be unchanged")
+
+        val error = GraalEngine.getOrCreateContext().getBindings("js").getMember("readOnlyError")
+        assertFalse(error.isNull, "Assigning a read-only field should throw")
+    }
+
+    /**
+     * A player whose adapter fields can be read without a running server.
+     */
+    private fun mockPlayer(): ServerPlayer {
+        bootstrapMinecraft()
+        val player = Mockito.mock(ServerPlayer::class.java, Mockito.RETURNS_DEEP_STUBS)
+        val gameMode = Mockito.mock(ServerPlayerGameMode::class.java)
+        Mockito.`when`(gameMode.gameModeForPlayer).thenReturn(GameType.SURVIVAL)
+        ServerPlayer::class.java.getField("gameMode").apply { isAccessible = true }.set(player, gameMode)
+        return player
+    }
+
+    private fun brokenBlock(id: String): BlockEventData.Broken {
+        return BlockEventData.Broken(
+            position = BlockPosition(0, 64, 0, "minecraft:overworld"),
+            block = BlockData(id),
+            player = PlayerData("Steve", "00000000-0000-0000-0000-000000000000", false),
+            drops = emptyList(),
+            experience = 0
+        )
+    }
+
+    private fun bootstrapMinecraft() {
+        SharedConstants.tryDetectVersion()
+        Bootstrap.bootStrap()
+    }
+
     private fun createTempScript(content: String): Path {
         val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
         Files.writeString(tempFile, content)
@@ -4,6 +4,7 @@ import org.junit.jupiter.api.Test
 import org.junit.jupiter.api.Assertions.*
 import org.junit.jupiter.api.BeforeEach
 import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
 import com.rhett.rhettjs.config.ConfigManager
 import java.nio.file.Files
 import java.nio.file.Path
@@ -499,6 +500,41 @@ class StructureAPIBindingsTest {
         assertTrue(result is ScriptResult.Success, "Structure.placeLarge should accept rotation and centered parameters")
     }
 
+    @Test
+    fun `test Structure rejects options it does not declare`() {
+        StoreAPI.clearAll()
+        val script = ScriptInfo(
+            name = "test-structure-invalid-options.js",
+            path = createTempScript("""
+                import Structure from 'Structure';
+                import Store from 'Store';
+
+                const pos = { x: 0, y: 64, z: 0 };
+                const rejected = Store.namespace('structure-options');
+
+                Structure.place(pos, 'test:house', { rotaton: 90 }).catch(e => rejected.set('unknown', e.message));
+                Structure.place(pos, 'test:house', { rotation: 45 }).catch(e => rejected.set('rotation', e.message));
+                Structure.captureLarge(pos, pos, 'test:large', { pieceSize: 48 }).catch(e => rejected.set('pieceSize', e.message));
+                Structure.capture(pos, pos).catch(e => rejected.set('missing', e.message));
+            """),
+            category = ScriptCategory.STARTUP,
+            lastModified = System.currentTimeMillis(),
+            status = ScriptStatus.LOADED
+        )
+
+        val result = GraalEngine.executeScript(script)
+        assertTrue(result is ScriptResult.Success)
+
+        val rejected = StoreAPI.namespace("structure-options")
+        assertEquals(
+            "Unknown PlaceOptions field 'rotaton' (expected one of: rotation, centered, dimension)",
+            rejected.get("unknown").toString()
+        )
+        assertEquals("PlaceOptions.rotation must be one of 0, 90, 180, 270, got 45", rejected.get("rotation").toString())
+        assertEquals("CaptureLargeOptions.pieceSize must be { x: number; y: number; z: number }, got 48", rejected.get("pieceSize").toString())
+        assertEquals("capture() requires pos1, pos2, and name", rejected.get("missing").toString())
+    }
+
     private fun createTempScript(content: String): Path {
         val tempFile = Files.createTempFile(tempDir, "test-script-", ".js")
         Files.writeString(tempFile, content)
@@ -0,0 +1,126 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.readText
+
+/**
+ * Unit tests for rhettjs.d.ts generation.
+ * Tests that the bundled definitions match the engine bindings, and that drift
+ * is repaired by adding stubs and dropping stale declarations.
+ */
+class TypeDefinitionGeneratorTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+    }
+
+    @Test
+    fun `test bundled definitions match the engine bindings`() {
+        val definitions = TypeDefinitionGenerator.generate()
+
+        assertEquals(emptyList<String>(), definitions.undocumented, "Document these bindings in rhettjs.d.ts")
+        assertEquals(emptyList<String>(), definitions.removed, "Remove these declarations from rhettjs.d.ts")
+        assertEquals(
+            TypeDefinitionGenerator.readBundled(), definitions.content,
+            "rhettjs.d.ts is out of date: run /rjs types and copy __types/rhettjs.d.ts to common/src/main/resources/rhettjs-types/"
+        )
+    }
+
+    @Test
+    fun `test undocumented bindings get stubs and stale declarations are dropped`() {
+        val template = """
+            declare namespace World {
+                /** Get a block */
+                function getBlock(position: Position): Promise<Block>;
+
+                /** Removed from the engine */
+                function explode(position: Position): void;
+            }
+
+            export default Runtime;
+            export { World };
+        """.trimIndent()
+        val bindings = mapOf(
+            "World" to listOf(
+                TypeDefinitionGenerator.BindingMember("getBlock", isFunction = true),
+                TypeDefinitionGenerator.BindingMember("seed", isFunction = false, valueType = "number")
+            ),
+            "Weather" to listOf(TypeDefinitionGenerator.BindingMember("get", isFunction = true))
+        )
+
+        val definitions = TypeDefinitionGenerator.render(template, bindings, emptyMap())
+
+        assertEquals(listOf("World.seed", "Weather.get"), definitions.undocumented)
+        assertEquals(listOf("World.explode"), definitions.removed)
+        assertTrue(definitions.content.contains("/** Get a block */"), "Documented members keep their docs")
+        assertFalse(definitions.content.contains("explode"))
+        assertTrue(definitions.content.contains("    const seed: number;"))
+        assertTrue(definitions.content.contains("declare namespace Weather {\n    /** Undocumented engine binding */\n    function get(...args: any[]): any;\n}"))
+        assertTrue(definitions.content.contains("export { World, Weather };"))
+    }
+
+    @Test
+    fun `test aliases are written from engine constants`() {
+        val template = "type EventPriority = \"normal\";\ntype Other = \"kept\";"
+
+        val definitions = TypeDefinitionGenerator.render(template, emptyMap(), mapOf("EventPriority" to listOf("high", "low")))
+
+        assertEquals("type EventPriority = \"high\" | \"low\";\ntype Other = \"kept\";", definitions.content)
+    }
+
+    @Test
+    fun `test signatures and option objects are written from binding descriptors`() {
+        val template = """
+            interface PlaceOptions {
+                rotation?: number;
+            }
+
+            declare namespace Structure {
+                /**
+                 * Place structure at position
+                 * @param position - Placement position
+                 */
+                function place(position: Position): Promise<void>;
+
+                /** Not described */
+                function list(namespace?: string): Promise<string[]>;
+            }
+        """.trimIndent()
+        val signatures = mapOf("Structure.place" to BindingSignatures.FUNCTIONS.getValue("Structure.place"))
+        val options = mapOf("PlaceOptions" to BindingSignatures.OPTIONS.getValue("PlaceOptions"))
+
+        val content = TypeDefinitionGenerator.render(template, emptyMap(), emptyMap(), signatures, options).content
+
+        assertTrue(content.contains("interface PlaceOptions {\n    rotation?: 0 | 90 | 180 | 270;\n    centered?: boolean;\n    dimension?: string;\n}"))
+        assertTrue(content.contains("     * @param position - Placement position\n     */\n    function place(position: Position, name: string, options?: PlaceOptions): Promise<void>;"))
+        assertTrue(content.contains("    function list(namespace?: string): Promise<string[]>;"), "Members without a descriptor are kept")
+    }
+
+    @Test
+    fun `test definitions are written to the types directory`() {
+        TypeDefinitionGenerator.writeTo(scriptsDir)
+
+        val written = scriptsDir.resolve("__types/rhettjs.d.ts").readText()
+        assertTrue(written.contains(TypeDefinitionGenerator.GENERATED_MARKER))
+        assertTrue(written.contains("declare namespace World {"))
+    }
+}
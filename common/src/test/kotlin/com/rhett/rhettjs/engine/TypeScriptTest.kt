@@ -0,0 +1,140 @@
+package com.rhett.rhettjs.engine
+
+import org.junit.jupiter.api.Test
+import org.junit.jupiter.api.Assertions.*
+import org.junit.jupiter.api.BeforeEach
+import org.junit.jupiter.api.assertThrows
+import org.junit.jupiter.api.io.TempDir
+import com.rhett.rhettjs.api.StoreAPI
+import com.rhett.rhettjs.config.ConfigManager
+import org.graalvm.polyglot.Value
+import java.nio.file.Files
+import java.nio.file.Path
+import kotlin.io.path.writeText
+
+/**
+ * Unit tests for TypeScript support.
+ * Tests that types are stripped without moving code, that unsupported features are reported
+ * with their location, and that .ts scripts and modules run.
+ */
+class TypeScriptTest {
+
+    @TempDir
+    lateinit var tempDir: Path
+
+    private lateinit var scriptsDir: Path
+
+    @BeforeEach
+    fun setup() {
+        ConfigManager.init(tempDir)
+
+        scriptsDir = tempDir.resolve("rjs")
+        ScriptCategory.values().forEach { Files.createDirectories(scriptsDir.resolve(it.dirName)) }
+        GraalEngine.setScriptsDirectory(scriptsDir)
+        GraalEngine.reset()
+        StoreAPI.clearAll()
+    }
+
+    @Test
+    fun `test types are replaced with whitespace`() {
+        assertEquals("let x         = 1;", TypeScriptTranspiler.transpile("let x: number = 1;"))
+        assertEquals(
+            "function f(a        , b    )         { return a }",
+            TypeScriptTranspiler.transpile("function f(a: string, b?: T): string { return a }")
+        )
+        assertEquals("const n = el .v          ;", TypeScriptTranspiler.transpile("const n = el!.v as number;"))
+        assertEquals("const m = new Map                ();", TypeScriptTranspiler.transpile("const m = new Map<string, number>();"))
+    }
+
+    @Test
+    fun `test line and column layout is preserved`() {
+        val source = """
+            import type { Player } from './types.ts';
+            interface Options {
+                radius: number;
+                label?: string;
+            }
+            type Mode = 'fill' | 'outline';
+            abstract class Shape<T> implements Drawable {
+                private readonly size: number = 1;
+                abstract area(): number;
+                scale<U>(by: U): this { return this }
+            }
+            export const draw = <T,>(opts: Options, mode: Mode = 'fill'): void => {};
+        """.trimIndent()
+
+        val result = TypeScriptTranspiler.transpile(source)
+
+        assertEquals(source.length, result.length)
+        assertEquals(source.lines().size, result.lines().size)
+        assertTrue(result.lines()[0].isBlank(), "Type-only imports are removed")
+        assertTrue(result.lines().subList(1, 6).all { it.isBlank() }, "Interfaces and type aliases are removed")
+        assertEquals("export const draw =     (opts         , mode       = 'fill')       => {};", result.lines()[11])
+    }
+
+    @Test
+    fun `test code that looks like types is kept`() {
+        val source = "const o = { type: 'a', as: 1 }; if (a < b && c > d) { x = y ? (z) : w; }"
+        assertEquals(source, TypeScriptTranspiler.transpile(source))
+    }
+
+    @Test
+    fun `test enums are rejected with their location`() {
+        val error = assertThrows<TypeScriptSyntaxException> {
+            TypeScriptTranspiler.transpile("const a = 1;\n  enum Color { Red }", "colors.ts")
+        }
+        assertEquals(2, error.line)
+        assertEquals(3, error.column)
+        assertTrue(error.message!!.contains("colors.ts:2:3"))
+    }
+
+    @Test
+    fun `test parameter properties are rejected`() {
+        assertThrows<TypeScriptSyntaxException> {
+            TypeScriptTranspiler.transpile("class A { constructor(private x: number) {} }")
+        }
+    }
+
+    @Test
+    fun `test TypeScript script imports a TypeScript module`() {
+        scriptsDir.resolve("modules/math.ts").writeText("""
+            export interface Point { x: number; y: number }
+            export function length(p: Point): number {
+                return Math.sqrt(p.x * p.x + p.y * p.y);
+            }
+        """.trimIndent())
+        scriptsDir.resolve("server/shapes.ts").writeText("""
+            import Store from 'Store';
+            import { length, type Point } from '../modules/math.ts';
+            const p: Point = { x: 3, y: 4 };
+            Store.namespace('ts').set('length', length(p) as number);
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+        val script = ScriptRegistry.getScript("server/shapes")
+
+        assertNotNull(script, ".ts files are registered without their extension")
+        assertEquals(ScriptStatus.LOADED, script!!.status)
+
+        val result = GraalEngine.executeScript(script)
+
+        assertTrue(result is ScriptResult.Success, "Script failed: $result")
+        assertEquals(5, (StoreAPI.namespace("ts").get("length") as Value).asInt())
+    }
+
+    @Test
+    fun `test errors point at the TypeScript line`() {
+        scriptsDir.resolve("server/broken.ts").writeText("""
+            interface Unused {
+                a: string;
+            }
+            const value: string | null = null;
+            value!.length;
+        """.trimIndent())
+        ScriptRegistry.scan(scriptsDir)
+
+        val result = GraalEngine.executeScript(ScriptRegistry.getScript("server/broken")!!)
+
+        assertTrue(result is ScriptResult.Error)
+        assertTrue((result as ScriptResult.Error).message.contains("server/broken.ts:5:"), "Expected line 5 in: ${result.message}")
+    }
+}
@@ -74,6 +74,7 @@ dependencies {
     shade("org.graalvm.js:js-community:24.1.0")
     shade("org.graalvm.js:js-language:24.1.0")
     shade("org.graalvm.truffle:truffle-runtime:24.1.0")
+    shade("org.graalvm.tools:chromeinspector-tool:24.1.0")  // Chrome DevTools debugging (/rjs debug)
 
     // Testing
     testImplementation("org.junit.jupiter:junit-jupiter-api:5.10.0")
@@ -9,6 +9,8 @@ import net.fabricmc.api.ModInitializer
 import net.fabricmc.fabric.api.command.v2.CommandRegistrationCallback
 import net.fabricmc.fabric.api.event.lifecycle.v1.ServerLifecycleEvents
 import net.fabricmc.fabric.api.event.lifecycle.v1.ServerTickEvents
+import net.fabricmc.fabric.api.message.v1.ServerMessageDecoratorEvent
+import net.fabricmc.fabric.api.message.v1.ServerMessageEvents
 import net.fabricmc.fabric.api.networking.v1.ServerPlayConnectionEvents
 import net.fabricmc.fabric.api.resource.ResourceManagerHelper
 import net.fabricmc.fabric.api.resource.SimpleSynchronousResourceReloadListener
@@ -16,11 +18,17 @@ import net.fabricmc.loader.api.FabricLoader
 import net.minecraft.resources.ResourceLocation
 import net.minecraft.server.packs.PackType
 import net.minecraft.server.packs.resources.ResourceManager
+import java.util.UUID
+import java.util.concurrent.ConcurrentHashMap
 
 /**
  * Fabric entrypoint for RhettJS mod.
  */
 class RhettJSFabric : ModInitializer {
+
+    /** Raw text of each player's last chat message cancelled by a chat handler */
+    private val cancelledChat = ConcurrentHashMap<UUID, String>()
+
     override fun onInitialize() {
         RhettJSCommon.init()
 
@@ -64,6 +72,10 @@ class RhettJSFabric : ModInitializer {
         com.rhett.rhettjs.events.FabricBlockEventHandler.register()
         ConfigManager.debug("Registered block event handlers")
 
+        // Register entity event handlers
+        com.rhett.rhettjs.events.FabricEntityEventHandler.register()
+        ConfigManager.debug("Registered entity event handlers")
+
         // Register player connection event handlers (Server API)
         ServerPlayConnectionEvents.JOIN.register { handler, _, _ ->
             com.rhett.rhettjs.events.ServerEventManager.triggerPlayerJoin(handler.player)
@@ -72,10 +84,38 @@ class RhettJSFabric : ModInitializer {
 
         ServerPlayConnectionEvents.DISCONNECT.register { handler, _ ->
             com.rhett.rhettjs.events.ServerEventManager.triggerPlayerLeave(handler.player)
+            com.rhett.rhettjs.commands.ReplSessionManager.end(handler.player)
             ConfigManager.debug("Player disconnected: ${handler.player.name.string}")
         }
         ConfigManager.debug("Registered player connection event handlers")
 
+        // Register chat event handler (Server API). Handlers run while the message is decorated,
+        // so rewrites become its unsigned content and keep the chat type and signature;
+        // cancelled messages are suppressed when they are broadcast. Message commands are decorated
+        // too; they are skipped so the event only covers chat, as on NeoForge.
+        ServerMessageDecoratorEvent.EVENT.register(ServerMessageDecoratorEvent.CONTENT_PHASE) { sender, message ->
+            if (sender == null || com.rhett.rhettjs.events.ServerEventManager.decoratingCommandMessage ||
+                com.rhett.rhettjs.commands.ReplSessionManager.isActive(sender)) {
+                return@register message
+            }
+            val text = message.string
+            val content = com.rhett.rhettjs.events.ServerEventManager.triggerChat(sender, text, message)
+            if (content == null) {
+                cancelledChat[sender.uuid] = text
+            } else {
+                cancelledChat.remove(sender.uuid)
+            }
+            content ?: message
+        }
+
+        // Returning false suppresses the message
+        // Lines from players in a /rjs repl session are evaluated instead of broadcast
+        ServerMessageEvents.ALLOW_CHAT_MESSAGE.register { message, sender, _ ->
+            !com.rhett.rhettjs.commands.ReplSessionManager.handleChat(sender, message.signedContent()) &&
+                !cancelledChat.remove(sender.uuid, message.signedContent())
+        }
+        ConfigManager.debug("Registered chat event handler")
+
         // Register commands
         CommandRegistrationCallback.EVENT.register { dispatcher, registryAccess, environment ->
             RJSCommand.register(dispatcher)
@@ -102,9 +142,15 @@ class RhettJSFabric : ModInitializer {
 
         ServerLifecycleEvents.SERVER_STARTED.register { server ->
             ScriptSystemInitializer.reinitializeWithWorldPaths(server)
+            com.rhett.rhettjs.events.ServerEventManager.triggerServerStarted()
         }
 
+        // worldSaved is fired by ServerLevelMixin (Fabric API has no save callback)
         ServerLifecycleEvents.SERVER_STOPPING.register { _ ->
+            com.rhett.rhettjs.events.ServerEventManager.triggerServerStopping()
+            com.rhett.rhettjs.engine.ScriptWatcher.stop()
+            com.rhett.rhettjs.engine.ScriptConsole.flush()
+            com.rhett.rhettjs.commands.ReplSessionManager.clear()
             RhettJSCommon.LOGGER.info("[RhettJS] Shutting down...")
             ConfigManager.debug("Server stopping, cleaning up")
         }
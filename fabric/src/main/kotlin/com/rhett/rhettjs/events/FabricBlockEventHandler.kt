@@ -1,12 +1,18 @@
 package com.rhett.rhettjs.events
 
 import net.fabricmc.fabric.api.event.player.AttackBlockCallback
+import net.fabricmc.fabric.api.event.player.PlayerBlockBreakEvents
 import net.fabricmc.fabric.api.event.player.UseBlockCallback
+import net.minecraft.server.level.ServerLevel
+import net.minecraft.server.level.ServerPlayer
 import net.minecraft.world.InteractionResult
+import net.minecraft.world.level.block.Block
 
 /**
  * Fabric-specific event handler that bridges Fabric's block events to our internal event system.
  * Implements anti-corruption layer pattern by converting Fabric events to our domain models.
+ *
+ * Block placement has no Fabric API callback; it is bridged by BlockItemMixin instead.
  */
 object FabricBlockEventHandler {
 
@@ -17,7 +23,10 @@ object FabricBlockEventHandler {
     fun register() {
         // Right-click on block
         UseBlockCallback.EVENT.register { player, world, hand, hitResult ->
-            if (world.isClientSide) {
+            if (world.isClientSide || player !is ServerPlayer) {
+                return@register InteractionResult.PASS
+            }
+            if (!ServerEventManager.hasHandlers("blockRightClick")) {
                 return@register InteractionResult.PASS
             }
 
@@ -35,15 +44,17 @@ object FabricBlockEventHandler {
                 isRightClick = true
             )
 
-            // TODO: Re-implement event trigger for GraalVM
-            val cancelled = false // BlockEventTrigger.trigger("blockRightClicked", eventData, player)
+            val cancelled = ServerEventManager.triggerBlockEvent("blockRightClick", eventData, player)
 
             if (cancelled) InteractionResult.FAIL else InteractionResult.PASS
         }
 
         // Left-click on block
         AttackBlockCallback.EVENT.register { player, world, hand, pos, direction ->
-            if (world.isClientSide) {
+            if (world.isClientSide || player !is ServerPlayer) {
+                return@register InteractionResult.PASS
+            }
+            if (!ServerEventManager.hasHandlers("blockLeftClick")) {
                 return@register InteractionResult.PASS
             }
 
@@ -59,12 +70,33 @@ object FabricBlockEventHandler {
                 isRightClick = false
             )
 
-            // TODO: Re-implement event trigger for GraalVM
-            val cancelled = false // BlockEventTrigger.trigger("blockLeftClicked", eventData, player)
+            val cancelled = ServerEventManager.triggerBlockEvent("blockLeftClick", eventData, player)
 
             if (cancelled) InteractionResult.FAIL else InteractionResult.PASS
         }
 
+        // Block break (returning false cancels the break)
+        PlayerBlockBreakEvents.BEFORE.register { world, player, pos, state, blockEntity ->
+            if (world !is ServerLevel || player !is ServerPlayer) {
+                return@register true
+            }
+            if (!ServerEventManager.hasHandlers("blockBreak")) {
+                return@register true
+            }
+
+            // Experience is only rolled after the break, so it is not known here
+            val eventData = BlockEventAdapter.createBrokenEvent(
+                pos = pos,
+                level = world,
+                player = player,
+                state = state,
+                drops = Block.getDrops(state, world, pos, blockEntity, player, player.mainHandItem),
+                experience = 0
+            )
+
+            !ServerEventManager.triggerBlockEvent("blockBreak", eventData, player)
+        }
+
         com.rhett.rhettjs.RhettJSCommon.LOGGER.info("[RhettJS] Registered Fabric block event handlers")
     }
 }
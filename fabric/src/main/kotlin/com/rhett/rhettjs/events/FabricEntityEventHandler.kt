@@ -0,0 +1,39 @@
+package com.rhett.rhettjs.events
+
+import net.fabricmc.fabric.api.entity.event.v1.ServerLivingEntityEvents
+import net.fabricmc.fabric.api.event.player.UseEntityCallback
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionResult
+
+/**
+ * Fabric-specific event handler that bridges Fabric's entity events to our internal event system.
+ *
+ * entityHurt and entitySpawn have no suitable Fabric API callback; they are bridged by
+ * LivingEntityMixin and ServerLevelMixin instead.
+ */
+object FabricEntityEventHandler {
+
+    /**
+     * Register all Fabric entity event listeners.
+     * Called during mod initialization.
+     */
+    fun register() {
+        ServerLivingEntityEvents.AFTER_DEATH.register { entity, source ->
+            ServerEventManager.triggerEntityDeath(entity, source)
+        }
+
+        // Right-click on entity. Fabric fires this for both the interact-at and interact
+        // packets; only the latter (no hit result) is used so handlers run once per hand.
+        UseEntityCallback.EVENT.register { player, world, hand, entity, hitResult ->
+            if (world.isClientSide || player !is ServerPlayer || hitResult != null) {
+                return@register InteractionResult.PASS
+            }
+
+            val cancelled = ServerEventManager.triggerPlayerInteractEntity(player, entity, hand)
+
+            if (cancelled) InteractionResult.FAIL else InteractionResult.PASS
+        }
+
+        com.rhett.rhettjs.RhettJSCommon.LOGGER.info("[RhettJS] Registered Fabric entity event handlers")
+    }
+}
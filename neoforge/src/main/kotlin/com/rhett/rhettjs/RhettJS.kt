@@ -5,6 +5,7 @@ import com.rhett.rhettjs.config.ConfigManager
 import com.rhett.rhettjs.engine.ScriptSystemInitializer
 import com.rhett.rhettjs.engine.GraalEngine
 import com.rhett.rhettjs.threading.TickScheduler
+import net.minecraft.server.level.ServerLevel
 import net.minecraft.server.packs.resources.PreparableReloadListener
 import net.minecraft.server.packs.resources.ResourceManager
 import net.minecraft.util.profiling.ProfilerFiller
@@ -15,7 +16,9 @@ import net.neoforged.fml.loading.FMLPaths
 import net.neoforged.neoforge.common.NeoForge
 import net.neoforged.neoforge.event.AddReloadListenerEvent
 import net.neoforged.neoforge.event.RegisterCommandsEvent
+import net.neoforged.neoforge.event.ServerChatEvent
 import net.neoforged.neoforge.event.entity.player.PlayerEvent
+import net.neoforged.neoforge.event.level.LevelEvent
 import net.neoforged.neoforge.event.server.ServerStartedEvent
 import net.neoforged.neoforge.event.server.ServerStartingEvent
 import net.neoforged.neoforge.event.server.ServerStoppingEvent
@@ -46,9 +49,13 @@ class RhettJS(modEventBus: IEventBus) {
             NeoForge.EVENT_BUS.register(com.rhett.rhettjs.events.NeoForgeBlockEventHandler)
             ConfigManager.debug("Registered block event handlers")
 
-            // Register player connection event handlers (Server API)
+            // Register entity event handlers
+            NeoForge.EVENT_BUS.register(com.rhett.rhettjs.events.NeoForgeEntityEventHandler)
+            ConfigManager.debug("Registered entity event handlers")
+
+            // Register player connection and chat event handlers (Server API)
             NeoForge.EVENT_BUS.register(PlayerEventHandler)
-            ConfigManager.debug("Registered player connection event handlers")
+            ConfigManager.debug("Registered player connection and chat event handlers")
 
             // Register reload listener handler for SERVER scripts
             NeoForge.EVENT_BUS.register(ReloadListenerHandler)
@@ -146,17 +153,28 @@ class RhettJS(modEventBus: IEventBus) {
         @SubscribeEvent
         fun onServerStarted(event: ServerStartedEvent) {
             ScriptSystemInitializer.reinitializeWithWorldPaths(event.server)
+            com.rhett.rhettjs.events.ServerEventManager.triggerServerStarted()
         }
 
         @SubscribeEvent
         fun onServerStopping(event: ServerStoppingEvent) {
+            com.rhett.rhettjs.events.ServerEventManager.triggerServerStopping()
+            com.rhett.rhettjs.engine.ScriptWatcher.stop()
+            com.rhett.rhettjs.engine.ScriptConsole.flush()
+            com.rhett.rhettjs.commands.ReplSessionManager.clear()
             RhettJSCommon.LOGGER.info("[RhettJS] Shutting down...")
             ConfigManager.debug("Server stopping, cleaning up")
         }
+
+        @SubscribeEvent
+        fun onLevelSave(event: LevelEvent.Save) {
+            val level = event.level as? ServerLevel ?: return
+            com.rhett.rhettjs.events.ServerEventManager.triggerWorldSaved(level.dimension().location().toString())
+        }
     }
 
     /**
-     * Handles player connection events (Server API).
+     * Handles player connection and chat events (Server API).
      */
     object PlayerEventHandler {
         @SubscribeEvent
@@ -173,8 +191,26 @@ class RhettJS(modEventBus: IEventBus) {
             if (event.entity is net.minecraft.server.level.ServerPlayer) {
                 val player = event.entity as net.minecraft.server.level.ServerPlayer
                 com.rhett.rhettjs.events.ServerEventManager.triggerPlayerLeave(player)
+                com.rhett.rhettjs.commands.ReplSessionManager.end(player)
                 ConfigManager.debug("Player disconnected: ${player.name.string}")
             }
         }
+
+        @SubscribeEvent
+        fun onServerChat(event: ServerChatEvent) {
+            // Lines from players in a /rjs repl session are evaluated instead of broadcast
+            if (com.rhett.rhettjs.commands.ReplSessionManager.handleChat(event.player, event.rawText)) {
+                event.isCanceled = true
+                return
+            }
+
+            // setMessage() replaces the decorated content; the chat type and signature are kept
+            val content = com.rhett.rhettjs.events.ServerEventManager.triggerChat(event.player, event.rawText, event.message)
+            if (content == null) {
+                event.isCanceled = true
+            } else {
+                event.message = content
+            }
+        }
     }
 }
@@ -1,7 +1,17 @@
 package com.rhett.rhettjs.events
 
+import net.minecraft.server.level.ServerLevel
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionHand
+import net.minecraft.world.InteractionResult
+import net.minecraft.world.item.BlockItem
+import net.minecraft.world.item.ItemStack
+import net.minecraft.world.level.Level
+import net.minecraft.world.level.block.Block
+import net.minecraft.world.level.block.state.BlockState
 import net.neoforged.bus.api.SubscribeEvent
 import net.neoforged.neoforge.event.entity.player.PlayerInteractEvent
+import net.neoforged.neoforge.event.level.BlockEvent
 
 /**
  * NeoForge-specific event handler that bridges NeoForge's block events to our internal event system.
@@ -11,7 +21,9 @@ object NeoForgeBlockEventHandler {
 
     @SubscribeEvent
     fun onBlockRightClick(event: PlayerInteractEvent.RightClickBlock) {
-        val player = event.entity
+        val player = event.entity as? ServerPlayer ?: return
+        if (!ServerEventManager.hasHandlers("blockRightClick")) return
+
         val level = event.level
         val pos = event.pos
         val hand = event.hand
@@ -28,16 +40,18 @@ object NeoForgeBlockEventHandler {
             isRightClick = true
         )
 
-        // TODO: Re-implement event trigger for GraalVM
-        val cancelled = false // BlockEventTrigger.trigger("blockRightClicked", eventData, player)
+        val cancelled = ServerEventManager.triggerBlockEvent("blockRightClick", eventData, player)
         if (cancelled) {
             event.isCanceled = true
+            event.cancellationResult = InteractionResult.FAIL
         }
     }
 
     @SubscribeEvent
     fun onBlockLeftClick(event: PlayerInteractEvent.LeftClickBlock) {
-        val player = event.entity
+        val player = event.entity as? ServerPlayer ?: return
+        if (!ServerEventManager.hasHandlers("blockLeftClick")) return
+
         val level = event.level
         val pos = event.pos
         val hand = event.hand
@@ -54,8 +68,64 @@ object NeoForgeBlockEventHandler {
             isRightClick = false
         )
 
-        // TODO: Re-implement event trigger for GraalVM
-        val cancelled = false // BlockEventTrigger.trigger("blockLeftClicked", eventData, player)
+        val cancelled = ServerEventManager.triggerBlockEvent("blockLeftClick", eventData, player)
+        if (cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onBlockPlace(event: BlockEvent.EntityPlaceEvent) {
+        val player = event.entity as? ServerPlayer ?: return
+        val level = event.level as? Level ?: return
+        if (!ServerEventManager.hasHandlers("blockPlace")) return
+
+        // NeoForge does not report the clicked block or face for placements
+        val eventData = BlockEventAdapter.createPlacedEvent(
+            pos = event.pos,
+            level = level,
+            player = player,
+            state = event.placedBlock,
+            placedAgainst = null,
+            face = null,
+            item = placedFrom(player, event.placedBlock)
+        )
+
+        val cancelled = ServerEventManager.triggerBlockEvent("blockPlace", eventData, player)
+        if (cancelled) {
+            event.isCanceled = true
+        }
+    }
+
+    /**
+     * Find the held stack the placed block came from (main hand first, then off hand).
+     */
+    private fun placedFrom(player: ServerPlayer, state: BlockState): ItemStack? {
+        return InteractionHand.entries
+            .map { player.getItemInHand(it) }
+            .firstOrNull { (it.item as? BlockItem)?.block == state.block }
+    }
+
+    @SubscribeEvent
+    fun onBlockBreak(event: BlockEvent.BreakEvent) {
+        val player = event.player as? ServerPlayer ?: return
+        val level = event.level as? ServerLevel ?: return
+        if (!ServerEventManager.hasHandlers("blockBreak")) return
+
+        val pos = event.pos
+        val state = event.state
+
+        // Experience is only rolled after the break, so it is not known here
+        val eventData = BlockEventAdapter.createBrokenEvent(
+            pos = pos,
+            level = level,
+            player = player,
+            state = state,
+            drops = Block.getDrops(state, level, pos, level.getBlockEntity(pos), player, player.mainHandItem),
+            experience = 0
+        )
+
+        val cancelled = ServerEventManager.triggerBlockEvent("blockBreak", eventData, player)
         if (cancelled) {
             event.isCanceled = true
         }
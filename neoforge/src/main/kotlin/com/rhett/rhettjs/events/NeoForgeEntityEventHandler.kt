@@ -0,0 +1,56 @@
+package com.rhett.rhettjs.events
+
+import net.minecraft.server.level.ServerPlayer
+import net.minecraft.world.InteractionResult
+import net.neoforged.bus.api.SubscribeEvent
+import net.neoforged.neoforge.event.entity.EntityJoinLevelEvent
+import net.neoforged.neoforge.event.entity.living.LivingDeathEvent
+import net.neoforged.neoforge.event.entity.living.LivingIncomingDamageEvent
+import net.neoforged.neoforge.event.entity.player.PlayerInteractEvent
+
+/**
+ * NeoForge-specific event handler that bridges NeoForge's entity events to our internal event system.
+ * Implements anti-corruption layer pattern by converting NeoForge events to our domain models.
+ */
+object NeoForgeEntityEventHandler {
+
+    @SubscribeEvent
+    fun onEntityHurt(event: LivingIncomingDamageEvent) {
+        if (event.entity.level().isClientSide) return
+
+        val amount = ServerEventManager.triggerEntityHurt(event.entity, event.source, event.amount)
+        if (amount == null) {
+            event.isCanceled = true
+        } else {
+            event.amount = amount
+        }
+    }
+
+    @SubscribeEvent
+    fun onEntityDeath(event: LivingDeathEvent) {
+        if (event.entity.level().isClientSide) return
+
+        ServerEventManager.triggerEntityDeath(event.entity, event.source)
+    }
+
+    @SubscribeEvent
+    fun onEntitySpawn(event: EntityJoinLevelEvent) {
+        // Only newly created entities; chunk loads and joining players are not spawns
+        if (event.level.isClientSide || event.loadedFromDisk() || event.entity is ServerPlayer) return
+
+        if (ServerEventManager.triggerEntitySpawn(event.entity)) {
+            event.isCanceled = true
+        }
+    }
+
+    @SubscribeEvent
+    fun onPlayerInteractEntity(event: PlayerInteractEvent.EntityInteract) {
+        val player = event.entity as? ServerPlayer ?: return
+
+        val cancelled = ServerEventManager.triggerPlayerInteractEntity(player, event.target, event.hand)
+        if (cancelled) {
+            event.isCanceled = true
+            event.cancellationResult = InteractionResult.FAIL
+        }
+    }
+}
@@ -1,17 +1,21 @@
 // Example: Store player positions using Store API with namespaces
 
+import Server from 'Server';
+import Store from 'Store';
+
 const positions = Store.namespace('positions');
 
-// Left-click to set pos1
-ServerEvents.blockLeftClicked(event => {
+// Left-click to set pos1 (cancelled so the block isn't broken)
+Server.on('blockLeftClick', event => {
     const player = event.player.name;
 
     positions.set(`${player}:pos1`, event.position);
     console.log(`[${player}] pos1 set at ${event.position.x}, ${event.position.y}, ${event.position.z}`);
+    event.cancel();
 });
 
 // Right-click to set pos2
-ServerEvents.blockRightClicked(event => {
+Server.on('blockRightClick', event => {
     const player = event.player.name;
 
     positions.set(`${player}:pos2`, event.position);